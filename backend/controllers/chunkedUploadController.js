@@ -0,0 +1,518 @@
+// controllers/chunkedUploadController.js - RESUMABLE CHUNKED UPLOADS
+
+// ===== IMPORT REQUIRED MODULES =====
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+import UploadSession from "../models/uploadSessionModel.js";
+import { ALLOWED_VIDEO_TYPES, storedFilename } from "../middleware/multer.js";
+import { ownerFilter } from "../middleware/auth.js";
+import { localPathFor } from "../services/storage/index.js";
+import Upload from "../models/uploadModel.js";
+import { parseJobOptions, createJob, queueUpload, describeRejection } from "./uploadController.js";
+import { MediaValidationError } from "../services/mediaProbeService.js";
+
+// ===== CHUNKED UPLOAD CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getChunkedUploadConfig = () => ({
+  defaultChunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024,
+  maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 4 * 1024 * 1024 * 1024,
+  sessionTtlHours: parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+  // A session still 'assembling' after this was left by a crashed server and is reopened
+  assemblingTimeoutMinutes: parseFloat(process.env.UPLOAD_ASSEMBLING_TIMEOUT_MINUTES) || 60
+});
+
+// Largest chunk a client may send (also the body limit of the chunk route)
+export const MAX_CHUNK_BYTES = 64 * 1024 * 1024;
+const MIN_CHUNK_BYTES = 256 * 1024;
+
+const CHUNKS_DIR = localPathFor("chunks");
+const ORIGINALS_DIR = localPathFor("originals");
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+// ===== INIT =====
+/**
+ * POST /api/upload/sessions
+ * Start a resumable upload
+ * Body: { filename, size, mimeType, checksum? (SHA-256 hex of the whole file, else required on complete), chunkSize?,
+ *         fromLang, toLang, transcriptionEngine?, callbackUrl?, audioMix?, voice?, voiceGender?, speechRate?, pitch? }
+ */
+export const createUploadSession = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { maxFileSize, defaultChunkSize, sessionTtlHours } = getChunkedUploadConfig();
+    const size = Number(body.size);
+    const checksum = body.checksum ? String(body.checksum).trim().toLowerCase() : null;
+
+    if (!body.filename || typeof body.filename !== "string") {
+      return sendError(res, 400, "filename is required");
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return sendError(res, 400, "size must be the file size in bytes");
+    }
+    if (size > maxFileSize) {
+      return sendError(res, 413, "File too large", `Uploads are limited to ${formatBytes(maxFileSize)}`);
+    }
+    if (!ALLOWED_VIDEO_TYPES.includes(body.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported video type: ${body.mimeType || "none"}`,
+        allowed_types: ALLOWED_VIDEO_TYPES
+      });
+    }
+    if (checksum && !SHA256_PATTERN.test(checksum)) {
+      return sendError(res, 400, "checksum must be a SHA-256 hex digest");
+    }
+
+    const parsed = parseJobOptions(body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, ...parsed.error });
+    }
+
+    const requestedChunkSize = parseInt(body.chunkSize) || defaultChunkSize;
+    const chunkSize = Math.min(MAX_CHUNK_BYTES, Math.max(MIN_CHUNK_BYTES, requestedChunkSize));
+
+    const session = await UploadSession.create({
+      owner: req.user._id,
+      original_name: path.basename(body.filename),
+      mime_type: body.mimeType,
+      size,
+      checksum,
+      chunk_size: chunkSize,
+      total_chunks: Math.ceil(size / chunkSize),
+      received_chunks: [],
+      job_options: parsed.options,
+      expires_at: new Date(Date.now() + sessionTtlHours * 60 * 60 * 1000)
+    });
+
+    fs.mkdirSync(getSessionDir(session), { recursive: true });
+    console.log(`📦 Upload session ${session._id} started: ${session.original_name} (${formatBytes(size)}, ${session.total_chunks} chunks)`);
+
+    // Housekeeping: drop sessions nobody finished
+    sweepExpiredUploadSessions().catch(error => console.warn("⚠️ Upload session sweep failed:", error.message));
+
+    res.status(201).json({
+      success: true,
+      ...describeSession(session)
+    });
+
+  } catch (error) {
+    console.error("❌ Upload session creation error:", error.message);
+    sendError(res, 500, "Failed to start upload", error.message);
+  }
+};
+
+// ===== STATUS =====
+/**
+ * GET /api/upload/sessions/:uploadId
+ * Report which chunks have arrived, so an interrupted client knows where to resume
+ */
+export const getUploadSession = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) return sendError(res, 404, "Upload session not found");
+
+    res.json({
+      success: true,
+      ...describeSession(session)
+    });
+
+  } catch (error) {
+    console.error("❌ Upload session status error:", error.message);
+    sendError(res, 500, "Failed to get upload session", error.message);
+  }
+};
+
+// ===== CHUNK =====
+/**
+ * PUT /api/upload/sessions/:uploadId/chunks/:index
+ * Store one chunk (raw request body). Re-sending a chunk replaces it, so retries are safe
+ * Optional header X-Chunk-Checksum: SHA-256 hex of the chunk, verified before it is stored
+ */
+export const uploadChunk = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    const check = checkSessionOpen(session);
+    if (check) return sendError(res, check.status, check.error);
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+      return sendError(res, 400, `Chunk index must be between 0 and ${session.total_chunks - 1}`);
+    }
+
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const expectedLength = getChunkLength(session, index);
+
+    if (data.length !== expectedLength) {
+      return sendError(res, 400, "Wrong chunk length", `Chunk ${index} must be ${expectedLength} bytes, received ${data.length}`);
+    }
+
+    const chunkChecksum = req.get("X-Chunk-Checksum");
+    if (chunkChecksum && sha256(data) !== chunkChecksum.trim().toLowerCase()) {
+      return sendError(res, 422, "Chunk checksum mismatch", `Chunk ${index} was corrupted in transit, send it again`);
+    }
+
+    // Write to a temp file first so a dropped connection never leaves a partial chunk
+    const chunkPath = getChunkPath(session, index);
+    fs.mkdirSync(path.dirname(chunkPath), { recursive: true });
+    fs.writeFileSync(`${chunkPath}.tmp`, data);
+    fs.renameSync(`${chunkPath}.tmp`, chunkPath);
+
+    const updated = await UploadSession.findByIdAndUpdate(
+      session._id,
+      { $addToSet: { received_chunks: index } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      uploadId: session._id,
+      index,
+      received_count: updated.received_chunks.length,
+      total_chunks: updated.total_chunks,
+      complete: updated.received_chunks.length === updated.total_chunks
+    });
+
+  } catch (error) {
+    console.error("❌ Chunk upload error:", error.message);
+    sendError(res, 500, "Failed to store chunk", error.message);
+  }
+};
+
+// ===== COMPLETE =====
+/**
+ * POST /api/upload/sessions/:uploadId/complete
+ * Assemble the chunks into uploads/originals, verify size and checksum, then probe the video,
+ * create the Upload record and queue processing exactly like POST /api/upload
+ * Completing a session that already created its job returns that job (queueing it if that
+ * failed the first time), so a client retrying after an error never gets a second job
+ * Body: { checksum } when it was not given at init - the whole file is always verified,
+ * so a session without a checksum is not completed
+ */
+export const completeUploadSession = async (req, res) => {
+  let outputPath = null;
+  let session = null;
+  let jobId = null;
+
+  try {
+    const found = await findSession(req);
+    if (found && found.status === "completed" && found.job_id) {
+      return res.json(await describeCompletedSession(found));
+    }
+
+    const check = checkSessionOpen(found);
+    if (check) return sendError(res, check.status, check.error);
+
+    const missing = getMissingChunks(found);
+    if (missing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Upload incomplete",
+        message: `${missing.length} of ${found.total_chunks} chunks are missing`,
+        missing_chunks: missing.slice(0, 100)
+      });
+    }
+
+    const checksum = String((req.body && req.body.checksum) || found.checksum || "").trim().toLowerCase();
+    if (!checksum) {
+      return sendError(res, 400, "checksum is required", "Send the SHA-256 hex digest of the whole file at init or on complete");
+    }
+    if (!SHA256_PATTERN.test(checksum)) {
+      return sendError(res, 400, "checksum must be a SHA-256 hex digest");
+    }
+
+    // Claim the session so a second complete request cannot assemble it twice; the file name is
+    // recorded so a sweep can remove a partial file if this server dies while assembling
+    const filename = storedFilename(found.original_name);
+    session = await UploadSession.findOneAndUpdate(
+      { _id: found._id, status: "open" },
+      { status: "assembling", checksum, assembled_filename: filename },
+      { new: true }
+    );
+    if (!session) return sendError(res, 409, "Upload session is already being completed");
+
+    // ===== ASSEMBLE CHUNKS IN ORDER =====
+    outputPath = path.join(ORIGINALS_DIR, filename);
+    fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+
+    console.log(`📦 Assembling upload session ${session._id} into ${outputPath}...`);
+    const { size, digest } = await assembleChunks(session, outputPath);
+
+    if (size !== session.size) {
+      throw new UploadVerificationError(`Assembled file is ${size} bytes, expected ${session.size}`);
+    }
+    if (digest !== checksum) {
+      throw new UploadVerificationError(`Checksum mismatch: expected ${checksum}, got ${digest}`);
+    }
+
+    // ===== CREATE THE JOB =====
+    // Once the record exists the original belongs to the job: the session is linked to it
+    // before queueing, so a failure after this point keeps the file and a retry reuses the job
+    const job = await createJob(req.user, {
+      filename,
+      originalName: session.original_name,
+      size
+    }, session.job_options, async (savedUpload) => {
+      jobId = savedUpload._id;
+      await linkSessionToJob(session, jobId);
+    });
+
+    console.log(`✅ Upload session ${session._id} completed: job ${job.jobId}`);
+
+    res.json({
+      ...job,
+      uploadId: session._id,
+      checksum: digest,
+      checksum_verified: true
+    });
+
+  } catch (error) {
+    // The job exists (saving or queueing failed after it): keep its original, point the client at it
+    if (jobId) {
+      await linkSessionToJob(session, jobId).catch(() => {});
+      console.error(`❌ Upload session ${session._id} created job ${jobId} but could not queue it: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: "Job created but not queued",
+        message: `${error.message}. Complete the upload again to queue job ${jobId}`,
+        jobId: jobId
+      });
+    }
+
+    if (outputPath && fs.existsSync(outputPath)) {
+      fs.rmSync(outputPath, { force: true });
+    }
+
+    // Corrupt data cannot be repaired by resuming: the client has to upload again
+    if (error instanceof UploadVerificationError) {
+      console.error(`❌ Upload session ${session._id} failed verification: ${error.message}`);
+      await UploadSession.findByIdAndUpdate(session._id, { status: "aborted", error_message: error.message });
+      removeSessionChunks(session);
+      return sendError(res, 422, "Upload verification failed", error.message);
+    }
+
+    // Intact but unusable video (see mediaProbeService): uploading it again will not help either
+    if (error instanceof MediaValidationError) {
+      await UploadSession.findByIdAndUpdate(session._id, { status: "aborted", error_message: error.message });
+      removeSessionChunks(session);
+      return res.status(422).json({ success: false, ...describeRejection(error) });
+    }
+
+    // Anything else (disk, database): leave the chunks so completing can be retried
+    if (session) {
+      await UploadSession.findByIdAndUpdate(session._id, { status: "open", $unset: { assembled_filename: 1 } }).catch(() => {});
+    }
+
+    console.error("❌ Upload completion error:", error.message);
+    sendError(res, 500, "Failed to complete upload", error.message);
+  }
+};
+
+// ===== ABORT =====
+/**
+ * DELETE /api/upload/sessions/:uploadId
+ * Abandon an upload and delete its chunks
+ */
+export const abortUploadSession = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) return sendError(res, 404, "Upload session not found");
+
+    if (session.status === "completed") {
+      return sendError(res, 400, "Upload session already completed", `It created job ${session.job_id}`);
+    }
+
+    await UploadSession.findByIdAndUpdate(session._id, { status: "aborted" });
+    removeSessionChunks(session);
+
+    console.log(`🗑️ Upload session ${session._id} aborted`);
+    res.json({
+      success: true,
+      uploadId: session._id,
+      status: "aborted"
+    });
+
+  } catch (error) {
+    console.error("❌ Upload abort error:", error.message);
+    sendError(res, 500, "Failed to abort upload", error.message);
+  }
+};
+
+// ===== SWEEP EXPIRED SESSIONS =====
+/**
+ * Abort open sessions past their expiry and delete their chunks, after reopening sessions
+ * a crashed server left 'assembling' (see recoverAssemblingSessions)
+ * @returns {Promise<number>} - Number of sessions swept
+ */
+export const sweepExpiredUploadSessions = async () => {
+  await recoverAssemblingSessions();
+
+  const expired = await UploadSession.find({ status: "open", expires_at: { $lt: new Date() } }).select("_id");
+
+  for (const session of expired) {
+    await UploadSession.findByIdAndUpdate(session._id, { status: "aborted", error_message: "Upload session expired" });
+    removeSessionChunks(session);
+  }
+
+  if (expired.length > 0) {
+    console.log(`🗑️ Swept ${expired.length} expired upload session(s)`);
+  }
+  return expired.length;
+};
+
+// ===== HELPER FUNCTION: RECOVER ASSEMBLING SESSIONS =====
+/**
+ * Reopen sessions stuck in 'assembling' for longer than UPLOAD_ASSEMBLING_TIMEOUT_MINUTES
+ * Their chunks are intact, so completing can be retried; the partial file is deleted unless
+ * the job record was already saved for it, in which case the session is linked to that job
+ */
+const recoverAssemblingSessions = async () => {
+  const cutoff = new Date(Date.now() - getChunkedUploadConfig().assemblingTimeoutMinutes * 60 * 1000);
+  const stuck = await UploadSession.find({ status: "assembling", updatedAt: { $lt: cutoff } });
+
+  for (const session of stuck) {
+    const job = session.assembled_filename
+      ? await Upload.findOne({ filename: session.assembled_filename }).select("_id")
+      : null;
+
+    if (job) {
+      await linkSessionToJob(session, job._id);
+      console.log(`♻️ Upload session ${session._id} was interrupted after creating job ${job._id}, linked it`);
+      continue;
+    }
+
+    const reopened = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: "assembling", updatedAt: { $lt: cutoff } },
+      { status: "open", $unset: { assembled_filename: 1 } }
+    );
+    if (!reopened) continue;
+
+    if (session.assembled_filename) {
+      fs.rmSync(path.join(ORIGINALS_DIR, session.assembled_filename), { force: true });
+    }
+    console.log(`♻️ Upload session ${session._id} was interrupted while assembling, reopened it`);
+  }
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Verification failures are the client's data, not a server error
+class UploadVerificationError extends Error {}
+
+const findSession = (req) => {
+  if (!mongoose.isValidObjectId(req.params.uploadId)) return null;
+  return UploadSession.findOne({ _id: req.params.uploadId, ...ownerFilter(req.user) });
+};
+
+// Mark a session completed by the job it created and drop its chunks
+const linkSessionToJob = async (session, jobId) => {
+  await UploadSession.findByIdAndUpdate(session._id, {
+    status: "completed",
+    job_id: jobId,
+    completed_at: new Date()
+  });
+  removeSessionChunks(session);
+};
+
+// Response for a session that already created its job; a job that never got queued is queued now
+const describeCompletedSession = async (session) => {
+  const upload = await Upload.findById(session.job_id);
+  if (!upload) {
+    return { success: false, uploadId: session._id, jobId: session.job_id, message: "The job of this upload was deleted" };
+  }
+
+  if (upload.processing_status === "uploaded") {
+    console.log(`♻️ Upload session ${session._id}: queueing job ${upload._id} left unqueued by an earlier attempt`);
+    return { ...await queueUpload(upload, upload.filename), uploadId: session._id, already_completed: true };
+  }
+
+  return {
+    jobId: upload._id,
+    status: upload.processing_status,
+    uploadId: session._id,
+    already_completed: true,
+    message: "Upload already completed"
+  };
+};
+
+// Returns { status, error } when chunks can no longer be sent to the session
+const checkSessionOpen = (session) => {
+  if (!session) return { status: 404, error: "Upload session not found" };
+  if (session.status !== "open") return { status: 409, error: `Upload session is ${session.status}` };
+  if (session.expires_at && session.expires_at < new Date()) return { status: 410, error: "Upload session expired" };
+  return null;
+};
+
+const getSessionDir = (session) => path.join(CHUNKS_DIR, session._id.toString());
+
+const getChunkPath = (session, index) => path.join(getSessionDir(session), `${index}.part`);
+
+const getChunkLength = (session, index) => {
+  return index === session.total_chunks - 1
+    ? session.size - session.chunk_size * (session.total_chunks - 1)
+    : session.chunk_size;
+};
+
+const getMissingChunks = (session) => {
+  const received = new Set(session.received_chunks);
+  const missing = [];
+  for (let index = 0; index < session.total_chunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+// Concatenate the chunk files into outputPath while hashing them
+const assembleChunks = async (session, outputPath) => {
+  const hash = crypto.createHash("sha256");
+  const output = fs.createWriteStream(outputPath);
+  let size = 0;
+
+  async function* readChunks() {
+    for (let index = 0; index < session.total_chunks; index++) {
+      for await (const data of fs.createReadStream(getChunkPath(session, index))) {
+        hash.update(data);
+        size += data.length;
+        yield data;
+      }
+    }
+  }
+
+  await pipeline(readChunks, output);
+  return { size, digest: hash.digest("hex") };
+};
+
+const removeSessionChunks = (session) => {
+  try {
+    fs.rmSync(getSessionDir(session), { recursive: true, force: true });
+  } catch (error) {
+    console.warn(`⚠️ Failed to delete chunks of upload session ${session._id}:`, error.message);
+  }
+};
+
+const describeSession = (session) => ({
+  uploadId: session._id,
+  status: session.status,
+  filename: session.original_name,
+  size: session.size,
+  chunk_size: session.chunk_size,
+  total_chunks: session.total_chunks,
+  received_chunks: [...session.received_chunks].sort((a, b) => a - b),
+  missing_chunks: getMissingChunks(session).slice(0, 100),
+  checksum: session.checksum || null,
+  expires_at: session.expires_at,
+  job_id: session.job_id || null
+});
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const sendError = (res, status, error, message = undefined) => {
+  return res.status(status).json({ success: false, error, ...(message && { message }) });
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+};
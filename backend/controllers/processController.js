@@ -2,16 +2,28 @@
 
 // ===== IMPORT REQUIRED MODULES =====
 import Upload from '../models/uploadModel.js'; 
+import QueueJob from '../models/queueModel.js';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs';
 import path from 'path';
 import { extractAudio } from '../services/audioService.js';
 import { transcribeAudio } from '../services/transcriptionService.js';
+import { diarizeTranscription } from '../services/diarizationService.js';
 import { translateText } from '../services/translationService.js';
-import { generateTTS } from '../services/ttsService.js';
+import { generateTTS, resolveVoice, resolveSpeakerVoices, getDubEngines } from '../services/ttsService.js';
+import { loadLexicon } from '../services/lexiconService.js';
 import { generateCaptions } from '../services/captionService.js';
 import { assembleVideoWithCaptions, assembleVideoWithAudioOnly } from '../services/videoService.js'; // ✅ FIXED: Import proper video service
+import { PIPELINE_STAGES, loadPipelineState, getMissingStageInputs, saveStageArtifact, getTargetLanguages } from '../services/pipelineStateService.js';
+import { beginJob, endJob, throwIfCancelled, isJobCancelled, JobCancelledError } from '../services/cancellationService.js';
+import { publishJobEvent, toArtifactUrl } from '../services/jobEventsService.js';
+import { notifyJobOutcome } from '../services/webhookService.js';
+import { findJobForUser } from '../middleware/auth.js';
+import { cleanupJobTempFiles } from '../utils/fileUtils.js';
+import { persistFiles, releaseLocalCopies } from '../services/storage/index.js';
+import { packageJobHls, listHlsFiles } from '../services/hlsService.js';
+import { mixDubTrack, resolveMixMode } from '../services/audioMixService.js';
 
 // Set FFmpeg binary path (required for fluent-ffmpeg to work)
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -20,102 +32,218 @@ ffmpeg.setFfmpegPath(ffmpegStatic);
 /**
  * Main video processing pipeline function
  * This function orchestrates all processing steps in the correct order
+ * Audio extraction, transcription and speaker diarization run once, then translation,
+ * TTS, captions and assembly run as one branch per target language
+ * When options.fromStage is given, earlier stages are skipped and their results
+ * are rebuilt from the artifacts stored by a previous run
  * @param {string} jobId - Unique identifier for the video processing job
+ * @param {Object} options - Pipeline options
+ * @param {string} options.fromStage - Stage to start from (default: audio_extraction)
+ * @throws {JobCancelledError} - When the job is cancelled while running
  */
-export const processVideo = async (jobId) => {
+export const processVideo = async (jobId, options = {}) => {
+  const fromStage = options.fromStage || PIPELINE_STAGES[0];
+  const startIndex = PIPELINE_STAGES.indexOf(fromStage);
+  const runs = (stage) => PIPELINE_STAGES.indexOf(stage) >= startIndex;
+
+  // Register the job so a cancel request can abort it and kill its processes
+  beginJob(jobId);
+
   try {
+    if (startIndex === -1) {
+      throw new Error(`Unknown pipeline stage: ${fromStage}. Use one of: ${PIPELINE_STAGES.join(', ')}`);
+    }
+
+    // ===== REBUILD STATE FROM STORED ARTIFACTS =====
+    const state = await loadPipelineState(jobId);
+    const multiLanguage = state.branches.length > 1;
+
+    if (startIndex > 0) {
+      const missing = getMissingStageInputs(state, fromStage);
+
+      if (missing.length > 0) {
+        throw new Error(`Cannot resume from ${fromStage}: missing ${missing.join(', ')}`);
+      }
+      console.log(`[${jobId}] ♻️ Pipeline state rebuilt from stored artifacts`);
+    }
+
+    if (state.branches.length === 0) {
+      throw new Error(`Target language not specified for job ID: ${jobId}`);
+    }
+
     // ===== STEP 1: MARK PROCESSING AS STARTED =====
-    console.log(`[${jobId}] Starting video processing pipeline`);
-    await Upload.findByIdAndUpdate(jobId, {
+    console.log(`[${jobId}] Starting video processing pipeline${startIndex > 0 ? ` (resuming from ${fromStage})` : ''}`);
+    console.log(`[${jobId}] Target languages: ${state.branches.map(branch => branch.language).join(', ')}`);
+    // A cancel that landed after the queue picked the job up must not be overwritten
+    const started = await Upload.findOneAndUpdate({ _id: jobId, processing_status: { $ne: 'cancelled' } }, {
       processing_status: 'processing',
-      processing_step: 'audio_extraction',
-      processing_started_at: new Date()
+      processing_step: fromStage,
+      processing_started_at: new Date(),
+      language_branches: buildBranchRecords(state),
+      ...(startIndex > 0 && {
+        resumed_from_stage: fromStage,
+        resumed_at: new Date(),
+        error_message: null,
+        failed_at: null
+      })
+    });
+    if (!started) {
+      throw new JobCancelledError(jobId);
+    }
+    publishJobEvent(jobId, 'status', {
+      status: 'processing',
+      from_stage: fromStage,
+      target_languages: state.branches.map(branch => branch.language)
     });
 
+    let { audioPath, transcription } = state;
+
     // ===== STEP 2: EXTRACT AUDIO FROM VIDEO =====
-    console.log(`[${jobId}] Step 1/6: Extracting audio from video...`);
-    const audioPath = await extractAudio(jobId);
-    console.log(`[${jobId}] ✅ Audio extraction completed: ${audioPath}`);
-    
-    await Upload.findByIdAndUpdate(jobId, {
-      processing_step: 'transcription'
-    });
+    throwIfCancelled(jobId);
+    if (runs('audio_extraction')) {
+      console.log(`[${jobId}] Step 1/6: Extracting audio from video...`);
+      publishJobEvent(jobId, 'stage', { stage: 'audio_extraction', status: 'started' });
+      audioPath = await extractAudio(jobId);
+      console.log(`[${jobId}] ✅ Audio extraction completed: ${audioPath}`);
+      publishJobEvent(jobId, 'stage', { stage: 'audio_extraction', status: 'completed' });
+      
+      await Upload.findByIdAndUpdate(jobId, {
+        processing_step: 'transcription'
+      });
+    }
 
     // ===== STEP 3: CONVERT AUDIO TO TEXT =====
-    console.log(`[${jobId}] Step 2/6: Converting speech to text...`);
-    const transcription = await transcribeAudio(jobId);
-    console.log(`[${jobId}] ✅ Transcription completed`);
-    console.log(`[${jobId}]    Language detected: ${transcription.language}`);
-    console.log(`[${jobId}]    Text preview: "${transcription.text.substring(0, 100)}..."`);
-    
-    await Upload.findByIdAndUpdate(jobId, {
-      processing_step: 'translation',
-      transcription_completed_at: new Date()
-    });
+    throwIfCancelled(jobId);
+    if (runs('transcription')) {
+      console.log(`[${jobId}] Step 2/6: Converting speech to text...`);
+      publishJobEvent(jobId, 'stage', { stage: 'transcription', status: 'started' });
+      transcription = await transcribeAudio(jobId);
+      saveStageArtifact(jobId, 'transcription', transcription);
+      console.log(`[${jobId}] ✅ Transcription completed`);
+      publishJobEvent(jobId, 'stage', { stage: 'transcription', status: 'completed', detected_language: transcription.language });
+      console.log(`[${jobId}]    Language detected: ${transcription.language}`);
+      console.log(`[${jobId}]    Text preview: "${transcription.text.substring(0, 100)}..."`);
+      
+      await Upload.findByIdAndUpdate(jobId, {
+        processing_step: 'diarization',
+        transcription_completed_at: new Date()
+      });
+    }
 
-    // ===== STEP 4: TRANSLATE TEXT TO TARGET LANGUAGE =====
-    console.log(`[${jobId}] Step 3/6: Translating text to target language...`);
-    const translation = await translateText(transcription, jobId);
-    console.log(`[${jobId}] ✅ Translation completed`);
-    console.log(`[${jobId}]    Original: "${transcription.text.substring(0, 50)}..."`);
-    console.log(`[${jobId}]    Translated: "${translation.text.substring(0, 50)}..."`);
-    
-    await Upload.findByIdAndUpdate(jobId, {
-      processing_step: 'tts_generation',
-      translatedText: translation.text,
-      translation_completed_at: new Date()
-    });
+    // ===== STEP 3B: LABEL SEGMENTS WITH THEIR SPEAKERS =====
+    throwIfCancelled(jobId);
+    if (runs('diarization')) {
+      transcription = await labelSpeakers(jobId, transcription, audioPath, state.video);
+    }
 
-    // ===== STEP 5: GENERATE TRANSLATED SPEECH =====
-    console.log(`[${jobId}] Step 4/6: Generating speech in target language...`);
-    const ttsAudioPath = await generateTTS(translation, jobId);
-    console.log(`[${jobId}] ✅ Speech generation completed: ${ttsAudioPath}`);
-    
-    await Upload.findByIdAndUpdate(jobId, {
-      processing_step: 'caption_generation',
-      tts_audio_path: ttsAudioPath,
-      tts_completed_at: new Date()
-    });
+    // ===== STEPS 4-7: ONE BRANCH PER TARGET LANGUAGE =====
+    const context = {
+      jobId,
+      runs,
+      multiLanguage,
+      transcription,
+      originalVideoPath: state.originalVideoPath || state.video.file_path,
+      audioMix: resolveMixMode(state.video.audio_mix),
+      voiceOptions: state.video.voice_options || {},
+      media: state.video.source_media || {}
+    };
+    const finishedBranches = [];
+    const failedBranches = [];
 
-    // ===== STEP 6: CREATE CAPTIONS AND TRANSCRIPT =====
-    console.log(`[${jobId}] Step 5/6: Creating captions and transcript files...`);
-    const captionResult = await generateCaptions(translation, jobId);
-    console.log(`[${jobId}] ✅ Caption generation completed`);
-    console.log(`[${jobId}]    WebVTT file: ${captionResult.captionPath}`);
-    console.log(`[${jobId}]    SRT file: ${captionResult.srtPath}`);
-    console.log(`[${jobId}]    Transcript file: ${captionResult.transcriptPath}`);
-    
-    await Upload.findByIdAndUpdate(jobId, {
-      processing_step: 'video_assembly',
-      caption_file_path: captionResult.captionPath,
-      caption_srt_path: captionResult.srtPath,
-      transcript_file_path: captionResult.transcriptPath,
-      captions_completed_at: new Date()
-    });
+    for (const branch of state.branches) {
+      throwIfCancelled(jobId);
 
-    // ===== STEP 7: ASSEMBLE FINAL VIDEO WITH CAPTIONS =====
-    // ✅ FIXED: Now uses proper videoService.js function instead of placeholder
-    console.log(`[${jobId}] Step 6/6: Assembling final translated video with captions...`);
-    const finalVideoPath = await assembleVideoWithCaptions(jobId); // ✅ Uses proper video service
-    console.log(`[${jobId}] ✅ Video assembly completed: ${finalVideoPath}`);
+      try {
+        finishedBranches.push(await runLanguageBranch(branch, context));
+
+      } catch (branchError) {
+        if (branchError instanceof JobCancelledError || isJobCancelled(jobId)) {
+          await updateBranch(jobId, branch.language, { status: 'cancelled', step: 'cancelled' });
+          throw branchError;
+        }
+
+        console.error(`[${jobId}] ❌ [${branch.language}] Branch failed: ${branchError.message}`);
+        await updateBranch(jobId, branch.language, {
+          status: 'failed',
+          step: 'failed',
+          error_message: branchError.message,
+          failed_at: new Date()
+        });
+        publishJobEvent(jobId, 'branch', { language: branch.language, status: 'failed', error: branchError.message });
+
+        // A single-language job fails exactly as before
+        if (!multiLanguage) throw branchError;
+        failedBranches.push({ language: branch.language, error: branchError.message });
+      }
+    }
+
+    if (finishedBranches.length === 0) {
+      throw new Error(`All language branches failed: ${failedBranches.map(failed => `${failed.language} (${failed.error})`).join('; ')}`);
+    }
+
+    // ===== HLS PACKAGE WITH EVERY FINISHED LANGUAGE (HLS_ENABLED) =====
+    throwIfCancelled(jobId);
+    await buildHlsPackage(jobId);
+
+    // ===== STORE FINISHED ARTIFACTS (remote storage backends only) =====
+    throwIfCancelled(jobId);
+    await storeFinishedArtifacts(jobId);
 
     // ===== STEP 8: MARK JOB AS COMPLETED =====
     const upload = await Upload.findById(jobId).select('processing_started_at');
     const processingDuration = new Date() - upload.processing_started_at;
 
-    await Upload.findByIdAndUpdate(jobId, {
+    // Never overwrite a cancellation that landed while the job was finishing
+    await Upload.findOneAndUpdate({ _id: jobId, processing_status: { $ne: 'cancelled' } }, {
       processing_status: 'completed',
       processing_step: 'completed',
-      processed_file_path: finalVideoPath,
+      processed_file_path: finishedBranches[0].processedFilePath,
       completed_at: new Date(),
       processing_duration_ms: processingDuration,
-      video_assembly_completed_at: new Date()
+      video_assembly_completed_at: new Date(),
+      ...(failedBranches.length > 0 && {
+        error_message: `${failedBranches.length} of ${state.branches.length} language branches failed: ${failedBranches.map(failed => failed.language).join(', ')}`
+      })
     });
 
+    const completed = await Upload.findById(jobId);
+    publishJobEvent(jobId, completed.processing_status === 'cancelled' ? 'cancelled' : 'completed', {
+      status: completed.processing_status,
+      processing_duration_ms: processingDuration,
+      video_url: toArtifactUrl(finishedBranches[0].processedFilePath),
+      hls_url: getHlsUrl(completed),
+      artifacts: getBranchArtifactUrls(completed),
+      failed_languages: failedBranches.map(failed => failed.language)
+    });
+    notifyJobOutcome(jobId);
+
+    // Everything is in the storage backend now; drop local copies unless configured to keep them
+    releaseLocalCopies(completed.stored_files || [], jobId);
+
     console.log(`[${jobId}] 🎉 PROCESSING COMPLETED SUCCESSFULLY!`);
+    console.log(`[${jobId}] Languages completed: ${finishedBranches.map(branch => branch.language).join(', ')}${failedBranches.length > 0 ? ` (failed: ${failedBranches.map(failed => failed.language).join(', ')})` : ''}`);
     console.log(`[${jobId}] All files are ready for user download and viewing`);
     
   } catch (error) {
+    // ===== CANCELLED: CLEAN UP AND STOP WITHOUT MARKING AS FAILED =====
+    if (error instanceof JobCancelledError || isJobCancelled(jobId)) {
+      console.log(`[${jobId}] 🛑 Processing cancelled during ${fromStage === PIPELINE_STAGES[0] ? 'pipeline' : `pipeline resumed from ${fromStage}`}`);
+      cleanupJobTempFiles(jobId);
+      
+      try {
+        await Upload.findByIdAndUpdate(jobId, {
+          processing_status: 'cancelled',
+          processing_step: 'cancelled'
+        });
+      } catch (dbError) {
+        console.error(`[${jobId}] Failed to update database with cancelled status:`, dbError.message);
+      }
+      publishJobEvent(jobId, 'cancelled', { status: 'cancelled' });
+      notifyJobOutcome(jobId);
+      
+      throw error instanceof JobCancelledError ? error : new JobCancelledError(jobId);
+    }
+    
     console.error(`[${jobId}] ❌ PROCESSING FAILED!`);
     console.error(`[${jobId}] Error message: ${error.message}`);
     console.error(`[${jobId}] Error stack trace:`, error.stack);
@@ -135,11 +263,289 @@ export const processVideo = async (jobId) => {
     } catch (dbError) {
       console.error(`[${jobId}] Failed to update database with error status:`, dbError.message);
     }
+    publishJobEvent(jobId, 'failed', { status: 'failed', error: error.message });
+    notifyJobOutcome(jobId);
     
     throw error;
+  } finally {
+    endJob(jobId);
   }
 };
 
+// ===== LANGUAGE BRANCH =====
+/**
+ * Run translation, TTS, captions and assembly for one target language
+ * Single-language jobs also mirror their paths onto the job document as before
+ * @param {Object} branch - Branch state from loadPipelineState
+ * @param {Object} context - Shared pipeline context (jobId, runs, multiLanguage, transcription, originalVideoPath, audioMix, voiceOptions, media)
+ * @returns {Promise<Object>} - Language and final video path of the branch
+ */
+const runLanguageBranch = async (branch, context) => {
+  const { jobId, runs, multiLanguage, transcription, originalVideoPath, audioMix, voiceOptions, media } = context;
+  const { language, artifactKey } = branch;
+  const label = multiLanguage ? ` [${language}]` : '';
+  let { translation, ttsAudioPath, captionResult } = branch;
+
+  // Record a step on the branch and, for single-language jobs, on the job itself
+  const advance = async (step, branchFields = {}, jobFields = {}) => {
+    await updateBranch(jobId, language, { step, ...branchFields });
+    await Upload.findByIdAndUpdate(jobId, {
+      processing_step: step,
+      ...(!multiLanguage && jobFields)
+    });
+  };
+
+  await updateBranch(jobId, language, { status: 'processing', started_at: new Date() });
+
+  // ===== STEP 4: TRANSLATE TEXT TO TARGET LANGUAGE =====
+  throwIfCancelled(jobId);
+  if (runs('translation')) {
+    console.log(`[${jobId}] Step 3/6${label}: Translating text to target language...`);
+    publishJobEvent(jobId, 'stage', { stage: 'translation', status: 'started', language });
+    translation = await translateText(transcription, jobId, { targetLanguage: language });
+    saveStageArtifact(artifactKey, 'translation', translation);
+    console.log(`[${jobId}] ✅ Translation completed${label}`);
+    console.log(`[${jobId}]    Original: "${transcription.text.substring(0, 50)}..."`);
+    console.log(`[${jobId}]    Translated: "${translation.text.substring(0, 50)}..."`);
+    
+    await advance('tts_generation', { translated_text: translation.text }, {
+      translatedText: translation.text,
+      translation_completed_at: new Date()
+    });
+  }
+
+  // ===== STEP 5: GENERATE TRANSLATED SPEECH =====
+  throwIfCancelled(jobId);
+  if (runs('tts_generation')) {
+    console.log(`[${jobId}] Step 4/6${label}: Generating speech in target language...`);
+    const voice = resolveVoice(language, voiceOptions);
+    const speakerVoices = resolveSpeakerVoices(language, translation.speakers, voiceOptions);
+    const lexicon = await loadLexicon(language);
+    publishJobEvent(jobId, 'stage', { stage: 'tts_generation', status: 'started', language, voice: voice ? voice.voice : null });
+    ttsAudioPath = await generateTTS(translation, jobId, { artifactKey, originalVideoPath, voice, speakerVoices, lexicon });
+    console.log(`[${jobId}] ✅ Speech generation completed${label}: ${ttsAudioPath}`);
+    const dubEngines = getDubEngines(ttsAudioPath);
+    
+    await advance('caption_generation', {
+      tts_audio_path: ttsAudioPath,
+      voice: voice ? voice.voice : null,
+      speaker_voices: Object.entries(speakerVoices || {}).map(([speaker, speakerVoice]) => ({ speaker, voice: speakerVoice.voice, pitch: speakerVoice.pitch })),
+      lexicon_version: lexicon ? lexicon.version : null,
+      tts_engines: dubEngines.engines,
+      silent_segments: dubEngines.silent_segments
+    }, {
+      tts_audio_path: ttsAudioPath,
+      tts_completed_at: new Date()
+    });
+  }
+
+  // ===== STEP 6: CREATE CAPTIONS AND TRANSCRIPT =====
+  throwIfCancelled(jobId);
+  if (runs('caption_generation')) {
+    console.log(`[${jobId}] Step 5/6${label}: Creating captions and transcript files...`);
+    publishJobEvent(jobId, 'stage', { stage: 'caption_generation', status: 'started', language });
+    captionResult = await generateCaptions(translation, jobId, { artifactKey, ttsAudioPath, originalVideoPath });
+    console.log(`[${jobId}] ✅ Caption generation completed${label}`);
+    console.log(`[${jobId}]    WebVTT file: ${captionResult.captionPath}`);
+    console.log(`[${jobId}]    SRT file: ${captionResult.srtPath}`);
+    console.log(`[${jobId}]    Transcript file: ${captionResult.transcriptPath}`);
+    
+    const captionFields = {
+      caption_file_path: captionResult.captionPath,
+      caption_srt_path: captionResult.srtPath,
+      transcript_file_path: captionResult.transcriptPath
+    };
+    await advance('video_assembly', captionFields, {
+      ...captionFields,
+      captions_completed_at: new Date()
+    });
+  }
+
+  // ===== STEP 7: ASSEMBLE FINAL VIDEO WITH CAPTIONS =====
+  // ✅ FIXED: Now uses proper videoService.js function instead of placeholder
+  throwIfCancelled(jobId);
+  console.log(`[${jobId}] Step 6/6${label}: Assembling final translated video with captions...`);
+  publishJobEvent(jobId, 'stage', { stage: 'video_assembly', status: 'started', language, audio_mix: audioMix });
+
+  // Background music and effects of the original under the dub (audio_mix duck / mix)
+  const dubAudioPath = await mixDubTrack(jobId, { mode: audioMix, originalVideoPath, ttsAudioPath, artifactKey, language, media });
+  await updateBranch(jobId, language, { mixed_audio_path: dubAudioPath !== ttsAudioPath ? dubAudioPath : null });
+  throwIfCancelled(jobId);
+
+  const finalVideoPath = await assembleVideoWithCaptions(jobId, { // ✅ Uses proper video service
+    artifactKey,
+    language,
+    ttsAudioPath: dubAudioPath,
+    captionPath: captionResult ? captionResult.captionPath : null
+  });
+  throwIfCancelled(jobId);
+  console.log(`[${jobId}] ✅ Video assembly completed${label}: ${finalVideoPath}`);
+
+  await updateBranch(jobId, language, {
+    status: 'completed',
+    step: 'completed',
+    processed_file_path: finalVideoPath,
+    error_message: null,
+    completed_at: new Date()
+  });
+  publishJobEvent(jobId, 'branch', { language, status: 'completed', video_url: toArtifactUrl(finalVideoPath) });
+
+  return { language, processedFilePath: finalVideoPath };
+};
+
+// ===== HELPER FUNCTION: LABEL SPEAKERS =====
+/**
+ * Diarize the transcription (see services/diarizationService.js) and store the labelled version
+ * as the transcription artifact, so a resume from translation keeps the speakers
+ * A diarization failure is recorded on the job but does not fail it: everyone gets the job voice
+ * @param {string} jobId - Job identifier
+ * @param {Object} transcription - Transcription from the previous stage
+ * @param {string} audioPath - Extracted audio
+ * @param {Object} video - Upload document (speaker_count)
+ * @returns {Promise<Object>} - Transcription with speaker labels (unchanged when skipped or failed)
+ * @throws {JobCancelledError} - When the job is cancelled while diarizing
+ */
+const labelSpeakers = async (jobId, transcription, audioPath, video) => {
+  publishJobEvent(jobId, 'stage', { stage: 'diarization', status: 'started' });
+
+  try {
+    const diarized = await diarizeTranscription(transcription, audioPath, jobId, { speakerCount: video.speaker_count });
+
+    if (!diarized) {
+      await Upload.findByIdAndUpdate(jobId, { processing_step: 'translation', 'diarization.status': 'skipped' });
+      publishJobEvent(jobId, 'stage', { stage: 'diarization', status: 'skipped' });
+      return transcription;
+    }
+
+    saveStageArtifact(jobId, 'transcription', diarized);
+    await Upload.findByIdAndUpdate(jobId, {
+      processing_step: 'translation',
+      diarization: {
+        status: 'completed',
+        speakers: diarized.speakers,
+        completed_at: new Date()
+      }
+    });
+    publishJobEvent(jobId, 'stage', { stage: 'diarization', status: 'completed', speakers: diarized.speakers });
+    return diarized;
+
+  } catch (error) {
+    if (error instanceof JobCancelledError || isJobCancelled(jobId)) throw error;
+
+    console.error(`[${jobId}] ⚠️ Speaker diarization failed, dubbing with one voice: ${error.message}`);
+    await Upload.findByIdAndUpdate(jobId, {
+      processing_step: 'translation',
+      'diarization.status': 'failed',
+      'diarization.error_message': error.message,
+      $push: { errorMessages: `Speaker diarization failed: ${error.message}` }
+    });
+    publishJobEvent(jobId, 'stage', { stage: 'diarization', status: 'failed', error: error.message });
+    return transcription;
+  }
+};
+
+// ===== HELPER FUNCTION: BUILD HLS PACKAGE =====
+/**
+ * Package the job for adaptive streaming (see services/hlsService.js)
+ * A packaging failure is recorded on the job but does not fail it: the MP4s are still usable
+ * @param {string} jobId - Job identifier
+ * @throws {JobCancelledError} - When the job is cancelled while packaging
+ */
+const buildHlsPackage = async (jobId) => {
+  try {
+    publishJobEvent(jobId, 'stage', { stage: 'hls_packaging', status: 'started' });
+    await Upload.findByIdAndUpdate(jobId, { processing_step: 'hls_packaging' });
+
+    const masterPath = await packageJobHls(jobId);
+    if (masterPath) {
+      publishJobEvent(jobId, 'stage', { stage: 'hls_packaging', status: 'completed', hls_url: toArtifactUrl(masterPath) });
+    }
+
+  } catch (error) {
+    if (error instanceof JobCancelledError || isJobCancelled(jobId)) throw error;
+
+    console.error(`[${jobId}] ⚠️ HLS packaging failed, keeping the MP4 outputs: ${error.message}`);
+    await Upload.findByIdAndUpdate(jobId, {
+      'hls.status': 'failed',
+      'hls.error_message': error.message,
+      $push: { errorMessages: `HLS packaging failed: ${error.message}` }
+    });
+    publishJobEvent(jobId, 'stage', { stage: 'hls_packaging', status: 'failed', error: error.message });
+  }
+};
+
+// ===== HELPER FUNCTION: STORE FINISHED ARTIFACTS =====
+/**
+ * Copy the finished artifacts of a job (videos, captions, transcripts, dubbed audio, HLS package) to the
+ * storage backend and record them on the job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Array<Object>>} - Stored files (empty for the local driver)
+ */
+const storeFinishedArtifacts = async (jobId) => {
+  const video = await Upload.findById(jobId);
+  const records = [video, ...(video.language_branches || [])];
+  const filePaths = records.flatMap(record => [
+    record.processed_file_path,
+    record.caption_file_path,
+    record.caption_srt_path,
+    record.transcript_file_path,
+    record.tts_audio_path,
+    record.mixed_audio_path
+  ]);
+  filePaths.push(...listHlsFiles(jobId));
+
+  const stored = await persistFiles(filePaths, jobId);
+
+  if (stored.length > 0) {
+    // A resumed run replaces earlier copies of the same keys
+    const keys = stored.map(entry => entry.key);
+    await Upload.findByIdAndUpdate(jobId, { $pull: { stored_files: { key: { $in: keys } } } });
+    await Upload.findByIdAndUpdate(jobId, { $push: { stored_files: { $each: stored } } });
+  }
+
+  return stored;
+};
+
+// ===== HELPER FUNCTION: BUILD BRANCH RECORDS =====
+/**
+ * Build the language_branches array for a (re)started run
+ * Keeps paths recorded by earlier runs so resumed branches still report them
+ * @param {Object} state - State returned by loadPipelineState
+ * @returns {Array<Object>} - Branch records reset to pending
+ */
+const buildBranchRecords = (state) => {
+  const previous = state.video.language_branches || [];
+
+  return state.branches.map(branch => {
+    const existing = previous.find(record => record.language === branch.language);
+    return {
+      ...(existing ? existing.toObject() : {}),
+      language: branch.language,
+      artifact_key: branch.artifactKey,
+      status: 'pending',
+      step: 'pending',
+      error_message: null,
+      failed_at: null
+    };
+  });
+};
+
+// ===== HELPER FUNCTION: UPDATE BRANCH =====
+/**
+ * Update fields of one language branch on the job document
+ * @param {string} jobId - Job identifier
+ * @param {string} language - Branch language
+ * @param {Object} fields - Branch fields to set
+ */
+const updateBranch = async (jobId, language, fields) => {
+  const update = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    update[`language_branches.$.${key}`] = value;
+  });
+
+  await Upload.updateOne({ _id: jobId, 'language_branches.language': language }, { $set: update });
+};
+
 // ===== STATUS CHECKING FUNCTION =====
 /**
  * Get current processing status for a job
@@ -149,7 +555,7 @@ export const getProcessingStatus = async (req, res) => {
     const jobId = req.params.jobId;
     console.log(`[${jobId}] Status check requested`);
     
-    const video = await Upload.findById(jobId);
+    const video = await findJobForUser(req.user, jobId);
     
     if (!video) {
       console.log(`[${jobId}] Job not found in database`);
@@ -173,13 +579,32 @@ export const getProcessingStatus = async (req, res) => {
       error_message: video.error_message || null,
       original_filename: video.originalName,
       target_language: video.target_language || null,
+      target_languages: getTargetLanguages(video),
       source_language: video.source_language || null,
+      audio_mix: resolveMixMode(video.audio_mix),
+      voice_options: getVoiceOptions(video),
+      diarization: getDiarizationStatus(video),
       transcription_text: video.transcriptionText || null,
       translated_text: video.translatedText || null,
       audio_extracted: video.audioExtracted || false,
-      error_messages: video.errorMessages || []
+      error_messages: video.errorMessages || [],
+      media: getSourceMedia(video),
+      branches: getBranchStatuses(video),
+      hls: getHlsStatus(video)
     };
     
+    // ===== REPORT DOWNLOAD PROGRESS OF URL INGESTS =====
+    if (video.source_url) {
+      statusResponse.source_url = video.source_url;
+      statusResponse.download = getDownloadStatus(video);
+    }
+    
+    // ===== REPORT QUEUE POSITION WHILE WAITING FOR A WORKER =====
+    if (statusResponse.status === 'queued') {
+      statusResponse.queued_at = video.queued_at || null;
+      statusResponse.queue_position = await QueueJob.getQueuePosition(jobId);
+    }
+    
     console.log(`[${jobId}] Status: ${statusResponse.status}, Step: ${statusResponse.step}`);
     res.json(statusResponse);
     
@@ -196,6 +621,168 @@ export const getProcessingStatus = async (req, res) => {
 
 // ===== HELPER FUNCTIONS =====
 
+/**
+ * Format the probed properties of the uploaded video for status responses
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Object|null} - Duration, codecs, resolution, frame rate and stream counts (null if never probed)
+ */
+export const getSourceMedia = (video) => {
+  const media = video.source_media;
+  if (!media || !media.probed_at) return null;
+  return {
+    format: media.format || null,
+    duration_s: media.duration_s ?? null,
+    resolution: media.resolution || null,
+    frame_rate: media.frame_rate ?? null,
+    video_codec: media.video_codec || null,
+    audio_codec: media.audio_codec || null,
+    audio_stream_count: media.audio_stream_count ?? 0,
+    bit_rate: media.bit_rate || null
+  };
+};
+
+/**
+ * Format the voice requested for a job for status responses
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Object} - Explicit voices, gender, rate (percent) and pitch (Hz); the voice each
+ *   language got is reported on its branch
+ */
+export const getVoiceOptions = (video) => {
+  const options = video.voice_options || {};
+  return {
+    voices: options.voices ? [...options.voices] : [],
+    gender: options.gender || null,
+    rate: options.rate || 0,
+    pitch: options.pitch || 0,
+    speakers: (options.speakers || []).map(mapping => ({ speaker: mapping.speaker, voice: mapping.voice || null, gender: mapping.gender || null }))
+  };
+};
+
+/**
+ * Format the speakers found in a job for status responses
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Object|null} - Diarization status and speakers (null if the job was never diarized)
+ */
+export const getDiarizationStatus = (video) => {
+  const diarization = video.diarization;
+  if (!diarization || !diarization.status) return null;
+  return {
+    status: diarization.status,
+    requested_speaker_count: video.speaker_count || null,
+    speakers: (diarization.speakers || []).map(speaker => ({
+      id: speaker.id,
+      label: speaker.label,
+      gender: speaker.gender || null,
+      pitch_hz: speaker.pitch_hz ?? null,
+      segment_count: speaker.segment_count || 0,
+      speaking_seconds: speaker.speaking_seconds || 0
+    })),
+    completed_at: diarization.completed_at || null,
+    error_message: diarization.error_message || null
+  };
+};
+
+/**
+ * Format the download progress of a job created from a URL for status responses
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Object} - Bytes received, total and percentage of the source download
+ */
+export const getDownloadStatus = (video) => {
+  const download = video.download || {};
+  return {
+    bytes_received: download.bytes_received || 0,
+    total_bytes: download.total_bytes || null,
+    percent: download.percent ?? null,
+    started_at: download.started_at || null,
+    completed_at: download.completed_at || null
+  };
+};
+
+/**
+ * Format the per-language branch records of a job for status responses
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Array<Object>} - One status entry per target language
+ */
+export const getBranchStatuses = (video) => {
+  return (video.language_branches || []).map(branch => ({
+    language: branch.language,
+    status: branch.status,
+    step: branch.step,
+    voice: branch.voice || null,
+    speaker_voices: (branch.speaker_voices || []).map(entry => ({ speaker: entry.speaker, voice: entry.voice, pitch: entry.pitch || 0 })),
+    lexicon_version: branch.lexicon_version ?? null,
+    tts_engines: (branch.tts_engines || []).map(entry => ({ engine: entry.engine, segments: entry.segments })),
+    silent_segments: branch.silent_segments || 0,
+    started_at: branch.started_at || null,
+    completed_at: branch.completed_at || null,
+    failed_at: branch.failed_at || null,
+    error_message: branch.error_message || null,
+    files: {
+      tts_audio_path: branch.tts_audio_path || null,
+      mixed_audio_path: branch.mixed_audio_path || null,
+      caption_file_path: branch.caption_file_path || null,
+      caption_srt_path: branch.caption_srt_path || null,
+      transcript_file_path: branch.transcript_file_path || null,
+      processed_file_path: branch.processed_file_path || null
+    }
+  }));
+};
+
+/**
+ * Format the HLS package of a job for status responses
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Object|null} - Master playlist URL and renditions (null if the job was never packaged)
+ */
+export const getHlsStatus = (video) => {
+  const hls = video.hls;
+  if (!hls || !hls.status) return null;
+  return {
+    status: hls.status,
+    master_url: getHlsUrl(video),
+    video_renditions: (hls.video_renditions || []).map(rendition => ({
+      resolution: rendition.width ? `${rendition.width}x${rendition.height}` : `${rendition.height}p`,
+      bandwidth: rendition.bandwidth || null,
+      average_bandwidth: rendition.average_bandwidth || null
+    })),
+    audio_languages: (hls.audio_renditions || []).map(rendition => ({
+      language: rendition.language || null,
+      name: rendition.name,
+      original: rendition.original || false
+    })),
+    subtitle_languages: (hls.subtitle_renditions || []).map(rendition => rendition.language),
+    completed_at: hls.completed_at || null,
+    error_message: hls.error_message || null
+  };
+};
+
+/**
+ * URL of the HLS master playlist of a job
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {string|null} - /uploads/hls/<jobId>_hls/master.m3u8, or null if not packaged
+ */
+export const getHlsUrl = (video) => {
+  const hls = video.hls;
+  return hls && hls.status === 'completed' ? toArtifactUrl(hls.master_playlist_path) : null;
+};
+
+/**
+ * Get the download URLs of every artifact a job produced, per target language
+ * @param {Object} video - Upload document (or lean object)
+ * @returns {Array<Object>} - [{ language, status, video, audio, mixed_audio, captions_vtt, captions_srt, transcript }]
+ */
+export const getBranchArtifactUrls = (video) => {
+  return getBranchStatuses(video).map(branch => ({
+    language: branch.language,
+    status: branch.status,
+    video: toArtifactUrl(branch.files.processed_file_path),
+    audio: toArtifactUrl(branch.files.tts_audio_path),
+    mixed_audio: toArtifactUrl(branch.files.mixed_audio_path),
+    captions_vtt: toArtifactUrl(branch.files.caption_file_path),
+    captions_srt: toArtifactUrl(branch.files.caption_srt_path),
+    transcript: toArtifactUrl(branch.files.transcript_file_path)
+  }));
+};
+
 /**
  * Get processing statistics for monitoring
  */
@@ -1,50 +1,355 @@
+import fs from "fs";
 import Upload from "../models/uploadModel.js";
-import { processVideo } from "../controllers/processController.js";  // ADD THIS
+import { enqueueJob } from "../services/queueService.js";
+import { getTranscriptionEngine, listTranscriptionEngines } from "../services/transcriptionEngines/index.js";
+import { isValidCallbackUrl, notifyJobOutcome } from "../services/webhookService.js";
+import { validateSourceUrl, downloadVideo, DOWNLOAD_WORKER_ID } from "../services/downloadService.js";
+import { beginJob, endJob, JobCancelledError } from "../services/cancellationService.js";
+import { publishJobEvent } from "../services/jobEventsService.js";
+import { inspectUpload, toUploadFields, MediaValidationError } from "../services/mediaProbeService.js";
+import { persistFiles, localPathFor } from "../services/storage/index.js";
+import { AUDIO_MIX_MODES, resolveMixMode } from "../services/audioMixService.js";
+import { validateVoiceOptions, VOICE_GENDERS } from "../services/ttsService.js";
+import { SPEAKER_COUNT_RANGE } from "../services/diarizationService.js";
 
 export const uploadVideo = async (req, res) => {
+    // The stored file is removed on every failure unless a job record already refers to it
+    let jobSaved = false;
+    const discardFile = () => {
+        if(req.file && !jobSaved) fs.rmSync(req.file.path, { force: true });
+    };
+
     try {
         const file = req.file;
-        const fromLang = req.body.fromLang;
-        const toLang = req.body.toLang;
+        const parsed = parseJobOptions(req.body || {});
 
         if(!file) return res.status(400).json({ error: "No file uploaded" });
+        if(parsed.error) {
+            discardFile();
+            return res.status(400).json(parsed.error);
+        }
 
-        // Create full file path
-        const filePath = `uploads/originals/${file.filename}`;
-        
-        // Save to database with processing fields
-        const upload = new Upload({
+        const job = await createJob(req.user, {
             filename: file.filename,
             originalName: file.originalname,
-            size: file.size,
-            file_path: filePath,  // For process controller
-            target_language: toLang,
-            source_language: fromLang,
-            processing_status: "uploaded"
-        });
+            size: file.size
+        }, parsed.options, async () => { jobSaved = true; });
+
+        res.json(job);
+    } catch(err) {
+        discardFile();
+        if(err instanceof MediaValidationError) {
+            return res.status(422).json(describeRejection(err));
+        }
+        console.error(err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+/**
+ * Response body for a video that failed probing (422)
+ * @param {MediaValidationError} error - Rejection from mediaProbeService
+ * @returns {Object}
+ */
+export const describeRejection = (error) => ({
+    error: "Video rejected",
+    message: error.reasons.map(reason => reason.message).join("; "),
+    reasons: error.reasons,
+    media: error.media
+});
+
+/**
+ * Read and validate the job options every upload path accepts
+ * (fromLang, toLang, transcriptionEngine, callbackUrl, audioMix, voice, voiceGender, speechRate, pitch,
+ * speakerVoices, speakerCount)
+ * @param {Object} body - Request body
+ * @returns {Object} - { options } or { error: JSON body for a 400 response }
+ */
+export const parseJobOptions = (body) => {
+    const fromLang = (body.fromLang || "auto").trim(); // "auto" = detect the spoken language
+    const toLangs = parseListField(body.toLang);
+    const engineName = (body.transcriptionEngine || "").trim(); // empty = server default (TRANSCRIPTION_ENGINE)
+    const callbackUrl = (body.callbackUrl || "").trim(); // empty = server default (WEBHOOK_URL)
+    const audioMix = (body.audioMix || "").trim().toLowerCase(); // empty = server default (DUB_AUDIO_MIX)
+    const voiceOptions = {
+        voices: parseListField(body.voice), // edge-tts voice names, at most one per target language
+        gender: (body.voiceGender || "").trim().toLowerCase() || undefined,
+        rate: parseOptionalInteger(body.speechRate), // percent, e.g. 10 = 10% faster
+        pitch: parseOptionalInteger(body.pitch),     // Hz
+        speakers: parseSpeakerVoices(body.speakerVoices) // { "S1": "male", "S2": "hi-IN-SwaraNeural" }
+    };
+    const speakerCount = parseOptionalInteger(body.speakerCount); // empty = found by diarization
+
+    if(toLangs.length === 0) return { error: { error: "At least one target language (toLang) is required" } };
+    if(engineName && !getTranscriptionEngine(engineName)) {
+        return {
+            error: {
+                error: `Unknown transcription engine: ${engineName}`,
+                availableEngines: listTranscriptionEngines().map(engine => engine.name)
+            }
+        };
+    }
+    if(callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+        return { error: { error: "callbackUrl must be an absolute http(s) URL" } };
+    }
+    if(audioMix && !AUDIO_MIX_MODES.includes(audioMix)) {
+        return { error: { error: `Unknown audioMix: ${audioMix}`, audioMixModes: AUDIO_MIX_MODES } };
+    }
+    if(voiceOptions.speakers === null) {
+        return { error: { error: "speakerVoices must map speaker ids to a voice or gender, e.g. {\"S1\":\"male\"} or S1=male,S2=female" } };
+    }
+    if(speakerCount !== undefined && !(Number.isInteger(speakerCount) && speakerCount >= SPEAKER_COUNT_RANGE.min && speakerCount <= SPEAKER_COUNT_RANGE.max)) {
+        return { error: { error: `speakerCount must be a whole number between ${SPEAKER_COUNT_RANGE.min} and ${SPEAKER_COUNT_RANGE.max}` } };
+    }
+    const voiceError = validateVoiceOptions(voiceOptions, toLangs);
+    if(voiceError) return { error: { error: voiceError, voicesUrl: "/api/voices" } };
+
+    return {
+        options: {
+            fromLang,
+            toLangs,
+            transcriptionEngine: engineName ? getTranscriptionEngine(engineName).name : undefined,
+            callbackUrl: callbackUrl || undefined,
+            audioMix: audioMix || undefined,
+            voiceOptions,
+            speakerCount
+        }
+    };
+};
+
+/**
+ * Probe a file already stored in uploads/originals, then create its Upload record and queue it
+ * @param {Object} user - req.user (becomes the job owner)
+ * @param {Object} file - { filename, originalName, size }
+ * @param {Object} options - Result of parseJobOptions
+ * @param {Function} onSaved - Optional async hook run with the saved record before it is queued
+ *   (chunked uploads link their session to the job there)
+ * @returns {Promise<Object>} - Response body describing the queued job
+ * @throws {MediaValidationError} - When the video is unreadable or breaks a media rule (nothing is saved)
+ */
+export const createJob = async (user, file, options, onSaved = null) => {
+    const media = await inspectUpload(localPathFor(`originals/${file.filename}`), file.filename);
+    const savedUpload = await saveUpload(user, file, options, toUploadFields(media));
+    if(onSaved) await onSaved(savedUpload);
+    return queueUpload(savedUpload, file.filename);
+};
+
+/**
+ * POST /api/upload/from-url
+ * Download the video from an HTTP(S) URL instead of receiving it, then process it as usual
+ * The job exists from the start (status "downloading"); download progress is reported
+ * through the job status and its live events
+ * Body: { url, fromLang, toLang, transcriptionEngine?, callbackUrl?, audioMix?, voice?, voiceGender?, speechRate?, pitch?,
+ *   speakerVoices?, speakerCount? }
+ */
+export const uploadFromUrl = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const sourceUrl = typeof body.url === "string" ? body.url.trim() : "";
+        const parsed = parseJobOptions(body);
 
-        const savedUpload = await upload.save();
-        
-        console.log("File uploaded:", file.filename);
-        console.log("From:", fromLang, "To:", toLang);
-        console.log("Job ID:", savedUpload._id);
+        if(!sourceUrl) return res.status(400).json({ error: "url is required" });
+        const urlError = validateSourceUrl(sourceUrl);
+        if(urlError) return res.status(400).json({ error: urlError });
+        if(parsed.error) return res.status(400).json(parsed.error);
 
-        // Start processing pipeline asynchronously
-        processVideo(savedUpload._id.toString()).catch(error => {
-            console.error("Processing failed:", error.message);
+        const savedUpload = await saveUpload(req.user, { filename: null, originalName: null, size: 0 }, parsed.options, {
+            source_url: sourceUrl,
+            processing_status: "downloading",
+            processing_step: "download",
+            download: { worker_id: DOWNLOAD_WORKER_ID }  // Owner, so a restart can tell the download was lost
         });
 
-        // Return job info immediately
-        const downloadUrl = `http://localhost:${process.env.PORT || 5000}/uploads/originals/${file.filename}`;
-        
-        res.json({ 
-            downloadUrl,
+        console.log(`[${savedUpload._id}] 🌐 Job created from URL: ${sourceUrl}`);
+
+        // Runs after the response; failures are recorded on the job
+        ingestFromUrl(savedUpload._id.toString(), sourceUrl);
+
+        res.status(202).json({
             jobId: savedUpload._id,
-            status: "uploaded",
-            message: "Upload successful, processing started"
+            status: "downloading",
+            sourceUrl,
+            targetLanguages: parsed.options.toLangs,
+            transcriptionEngine: savedUpload.transcription_engine || null,
+            callbackUrl: savedUpload.callback_url || null,
+            audioMix: savedUpload.audio_mix,
+            statusUrl: `/api/process/status/${savedUpload._id}`,
+            message: "Download started, the job is queued for processing once it finishes"
         });
     } catch(err) {
         console.error(err);
         res.status(500).json({ error: "Server error" });
     }
 };
+
+// Save the Upload record of a new job
+const saveUpload = (user, file, options, fields = {}) => {
+    const { fromLang, toLangs, transcriptionEngine, callbackUrl, audioMix, voiceOptions, speakerCount } = options;
+
+    const upload = new Upload({
+        owner: user._id, // Set by middleware/auth.js
+        filename: file.filename,
+        originalName: file.originalName,
+        size: file.size,
+        file_path: file.filename ? localPathFor(`originals/${file.filename}`) : undefined,  // For process controller
+        target_language: toLangs[0],
+        target_languages: toLangs,
+        source_language: fromLang,
+        transcription_engine: transcriptionEngine,
+        callback_url: callbackUrl,
+        audio_mix: resolveMixMode(audioMix),  // Fixed at creation so a later DUB_AUDIO_MIX change does not alter the job
+        voice_options: voiceOptions,
+        speaker_count: speakerCount,
+        processing_status: "uploaded",
+        ...fields
+    });
+
+    return upload.save();
+};
+
+// Store the original, queue the saved job and describe it for the upload response
+export const queueUpload = async (savedUpload, filename) => {
+    // Keep the original in the storage backend so any node can process the job
+    const stored = await persistFiles([savedUpload.file_path], savedUpload._id);
+    if(stored.length > 0) {
+        await Upload.findByIdAndUpdate(savedUpload._id, { $push: { stored_files: { $each: stored } } });
+    }
+
+    console.log("File uploaded:", filename);
+    console.log("From:", savedUpload.source_language, "To:", savedUpload.target_languages.join(", "));
+    console.log("Job ID:", savedUpload._id);
+
+    // Queue the processing pipeline (a worker picks it up when a slot is free)
+    const { position } = await enqueueJob(savedUpload._id.toString());
+
+    // Return job info immediately
+    const downloadUrl = `http://localhost:${process.env.PORT || 5000}/uploads/originals/${filename}`;
+
+    return {
+        downloadUrl,
+        jobId: savedUpload._id,
+        status: "queued",
+        queuePosition: position,
+        targetLanguages: savedUpload.target_languages,
+        transcriptionEngine: savedUpload.transcription_engine || null,
+        callbackUrl: savedUpload.callback_url || null,
+        audioMix: savedUpload.audio_mix,
+        message: "Upload successful, job queued for processing"
+    };
+};
+
+// Download the source of a from-url job, then queue it like an upload
+const ingestFromUrl = async (jobId, sourceUrl) => {
+    const signal = beginJob(jobId);
+
+    try {
+        const file = await downloadVideo(jobId, sourceUrl, signal);
+        const filePath = localPathFor(`originals/${file.filename}`);
+
+        let media;
+        try {
+            media = await inspectUpload(filePath, jobId);
+        } catch(probeError) {
+            fs.rmSync(filePath, { force: true });
+            throw probeError;
+        }
+
+        // Only move on if the job was not cancelled in the meantime
+        const savedUpload = await Upload.findOneAndUpdate(
+            { _id: jobId, processing_status: "downloading" },
+            {
+                filename: file.filename,
+                originalName: file.originalName,
+                size: file.size,
+                file_path: filePath,
+                ...toUploadFields(media)
+            },
+            { new: true }
+        );
+        if(!savedUpload) throw new JobCancelledError(jobId);
+
+        // Released before queueing: the pipeline registers the job again when it starts
+        endJob(jobId);
+        await queueUpload(savedUpload, file.filename);
+    } catch(error) {
+        endJob(jobId);
+
+        if(error instanceof JobCancelledError) {
+            console.log(`[${jobId}] 🛑 Download cancelled`);
+            publishJobEvent(jobId, "cancelled", { status: "cancelled" });
+            notifyJobOutcome(jobId);
+            return;
+        }
+
+        console.error(`[${jobId}] ❌ Download failed: ${error.message}`);
+        try {
+            await Upload.findByIdAndUpdate(jobId, {
+                processing_status: "failed",
+                processing_step: "failed",
+                error_message: error.message,
+                failed_at: new Date(),
+                $push: { errorMessages: error.message }
+            });
+        } catch(dbError) {
+            console.error(`[${jobId}] Failed to update database with error status:`, dbError.message);
+        }
+        publishJobEvent(jobId, "failed", { status: "failed", error: error.message });
+        notifyJobOutcome(jobId);
+    }
+};
+
+// Accepts repeated fields, a JSON array or a comma-separated list ("ta,te,bn") - toLang and voice
+const parseListField = (field) => {
+    let values = Array.isArray(field) ? field : [field];
+
+    if (typeof field === "string" && field.trim().startsWith("[")) {
+        try {
+            values = JSON.parse(field);
+        } catch (err) {
+            values = [field];
+        }
+    }
+
+    const items = values
+        .filter(value => typeof value === "string")
+        .flatMap(value => value.split(","))
+        .map(value => value.trim())
+        .filter(Boolean);
+
+    return [...new Set(items)];
+};
+
+// Speaker → voice mapping from a JSON object (or its string form) or a "S1=male,S2=<voice>" list
+// Each value becomes { speaker, gender } or { speaker, voice }; null when the field cannot be read
+const parseSpeakerVoices = (field) => {
+    let entries;
+
+    if (field && typeof field === "object" && !Array.isArray(field)) {
+        entries = Object.entries(field);
+    } else if (typeof field === "string" && field.trim().startsWith("{")) {
+        try {
+            entries = Object.entries(JSON.parse(field));
+        } catch (err) {
+            return null;
+        }
+    } else {
+        entries = parseListField(field).map(item => item.split("="));
+        if (entries.some(entry => entry.length !== 2)) return null;
+    }
+
+    if (entries.some(([, value]) => typeof value !== "string")) return null;
+
+    return entries.map(([speaker, value]) => {
+        const target = value.trim();
+        return VOICE_GENDERS.includes(target.toLowerCase())
+            ? { speaker: speaker.trim().toUpperCase(), gender: target.toLowerCase() }
+            : { speaker: speaker.trim().toUpperCase(), voice: target };
+    });
+};
+
+// Whole number from a form field or JSON body; undefined when absent, NaN when not a whole number
+const parseOptionalInteger = (value) => {
+    if (value === undefined || value === null || String(value).trim() === "") return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : NaN;
+};
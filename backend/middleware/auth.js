@@ -0,0 +1,175 @@
+// middleware/auth.js - API KEY AUTHENTICATION AND PER-OWNER JOB ACCESS
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import Upload from "../models/uploadModel.js";
+
+// ===== AUTH CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getAuthConfig = () => ({
+  // Bootstrap key that always authenticates as an admin (use it to create the first users)
+  adminApiKey: process.env.ADMIN_API_KEY || null
+});
+
+// Stage outputs are named `${jobId}_<type>.<ext>` (or `${jobId}_<lang>_...` for multi-language jobs)
+const JOB_FILE_PATTERN = /^([a-f0-9]{24})(?=[_.])/i;
+
+// Refresh last_used_at at most this often per user
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+// ===== AUTHENTICATE =====
+/**
+ * Require a valid API key on the request and attach the caller as req.user
+ * The key is read from `Authorization: Bearer <key>`, the `X-API-Key` header or the
+ * `api_key` query parameter (for EventSource and <video> elements, which cannot set headers)
+ */
+export const authenticate = async (req, res, next) => {
+  const apiKey = readApiKey(req);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+      message: "Send an API key as 'Authorization: Bearer <key>' or 'X-API-Key: <key>'"
+    });
+  }
+
+  try {
+    const { adminApiKey } = getAuthConfig();
+
+    if (adminApiKey && safeEqual(apiKey, adminApiKey)) {
+      req.user = { _id: null, name: "admin (ADMIN_API_KEY)", role: "admin", bootstrap: true };
+      return next();
+    }
+
+    const user = await User.findByApiKey(apiKey);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid API key",
+        message: "The API key is unknown or its user has been deactivated"
+      });
+    }
+
+    if (!user.last_used_at || Date.now() - user.last_used_at.getTime() > LAST_USED_UPDATE_MS) {
+      User.updateOne({ _id: user._id }, { last_used_at: new Date() }).catch(() => {});
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    console.error("❌ Authentication error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "Authentication failed",
+      message: error.message
+    });
+  }
+};
+
+// ===== REQUIRE ADMIN =====
+/**
+ * Allow only admins (use after authenticate)
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: "Admin access required",
+      message: "This endpoint is only available to admin API keys"
+    });
+  }
+  next();
+};
+
+// ===== JOB OWNERSHIP =====
+/**
+ * Whether a caller can see every job
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => Boolean(user && user.role === "admin");
+
+/**
+ * Mongo filter limiting Upload queries to the caller's own jobs (empty for admins)
+ * @param {Object} user - req.user
+ * @returns {Object} - Filter to merge into Upload queries
+ */
+export const ownerFilter = (user) => (isAdmin(user) ? {} : { owner: user._id });
+
+/**
+ * Find a job the caller may access
+ * Jobs of other owners are reported as not found, so their ids are not confirmed
+ * @param {Object} user - req.user
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object|null>} - Upload document (query, so .lean()/.select() can be chained)
+ */
+export const findJobForUser = (user, jobId) => {
+  return Upload.findOne({ _id: jobId, ...ownerFilter(user) });
+};
+
+// ===== AUTHORIZE FILE ACCESS =====
+/**
+ * Only serve files under /uploads that belong to one of the caller's jobs
+ * Mounted in front of the static and stream routes (use after authenticate)
+ * Originals are matched by stored filename, stage outputs by their `${jobId}_` prefix
+ */
+export const authorizeFileAccess = async (req, res, next) => {
+  if (isAdmin(req.user)) return next();
+
+  const notFound = () => res.status(404).json({
+    success: false,
+    error: "File not found"
+  });
+
+  try {
+    const [directory, ...rest] = decodeURIComponent(req.path).split("/").filter(Boolean);
+    const filename = rest.join("/");
+    if (!directory || !filename) return notFound();
+
+    let filter;
+    if (directory === "originals") {
+      filter = { filename };
+    } else {
+      const match = filename.match(JOB_FILE_PATTERN);
+      if (!match || !mongoose.isValidObjectId(match[1])) return notFound();
+      filter = { _id: match[1] };
+    }
+
+    const owned = await Upload.exists({ ...filter, ...ownerFilter(req.user) });
+    return owned ? next() : notFound();
+
+  } catch (error) {
+    console.error("❌ File access check error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "File access check failed",
+      message: error.message
+    });
+  }
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Read the API key from the supported places
+const readApiKey = (req) => {
+  const authorization = req.get("Authorization") || "";
+  if (authorization.toLowerCase().startsWith("bearer ")) {
+    return authorization.slice(7).trim() || null;
+  }
+
+  const headerKey = req.get("X-API-Key");
+  if (headerKey) return headerKey.trim();
+
+  return typeof req.query.api_key === "string" ? req.query.api_key.trim() || null : null;
+};
+
+// Constant-time comparison of two keys
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
@@ -1,19 +1,25 @@
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import { localPathFor } from "../services/storage/index.js";
 
-// Correct folder name
-const uploadPath = "uploads/originals"; 
+// Uploads land in the local working directory; createJob copies them to the storage backend
+const uploadPath = localPathFor("originals");
 if (!fs.existsSync(uploadPath)) fs.mkdirSync(uploadPath, { recursive: true });
 
+// Video types accepted by every upload path (also used by chunked upload sessions)
+export const ALLOWED_VIDEO_TYPES = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv"];
+
+// Name a stored original is saved under
+export const storedFilename = (originalname) => Date.now() + path.extname(originalname);
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadPath),
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname))
+  filename: (req, file, cb) => cb(null, storedFilename(file.originalname))
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv"];
-  cb(null, allowedTypes.includes(file.mimetype));
+  cb(null, ALLOWED_VIDEO_TYPES.includes(file.mimetype));
 };
 
 const upload = multer({ storage, fileFilter });
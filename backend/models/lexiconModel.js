@@ -0,0 +1,39 @@
+// models/lexiconModel.js
+
+import mongoose from "mongoose";
+
+// ===== LEXICON ENTRY =====
+// How the voices should say one term: a respelling in the target script, an SSML phoneme, or both
+// (the respelling is used when the phoneme cannot be sent, see services/lexiconService.js)
+const lexiconEntrySchema = new mongoose.Schema({
+  term: { type: String, required: true, trim: true },
+  respelling: { type: String, trim: true },
+  phoneme: { type: String, trim: true },
+  alphabet: { type: String, enum: ["ipa", "x-sampa"], default: "ipa" }, // Alphabet of phoneme
+  case_sensitive: { type: Boolean, default: false },
+  note: String,
+  updated_by: String,           // Name of the API user who last changed the entry
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== PRONUNCIATION LEXICON =====
+// One document per target language; version goes up with every change so a job can record
+// which lexicon it was dubbed with (language_branches[].lexicon_version in uploadModel.js)
+const lexiconSchema = new mongoose.Schema({
+  language: { type: String, required: true, unique: true },
+  version: { type: Number, default: 0 },
+  entries: [lexiconEntrySchema],
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { optimisticConcurrency: true });
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+lexiconSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// ===== EXPORT MODEL =====
+export default mongoose.model("Lexicon", lexiconSchema);
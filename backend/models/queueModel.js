@@ -0,0 +1,57 @@
+// models/queueModel.js
+
+import mongoose from "mongoose";
+
+const queueJobSchema = new mongoose.Schema({
+  // ===== QUEUE ENTRY IDENTITY =====
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload', required: true },
+  options: { type: mongoose.Schema.Types.Mixed, default: {} }, // Options passed to processVideo
+
+  // ===== QUEUE STATE =====
+  status: { type: String, default: "queued" }, // queued, active, done, failed, cancelled
+  enqueued_at: { type: Date, default: Date.now },
+  started_at: Date,
+  finished_at: Date,
+  attempts: { type: Number, default: 0 },
+
+  // ===== WORKER TRACKING =====
+  worker_id: String,      // hostname-pid of the worker that claimed the entry
+  heartbeat_at: Date,     // Refreshed while the worker is still running the job
+  last_error: String
+});
+
+// ===== STATIC METHODS =====
+
+// Get 1-based position of a job among queued entries (null if not queued)
+queueJobSchema.statics.getQueuePosition = async function(jobId) {
+  const entry = await this.findOne({ job_id: jobId, status: 'queued' })
+    .sort({ enqueued_at: -1 });
+
+  if (!entry) return null;
+
+  const ahead = await this.countDocuments({
+    status: 'queued',
+    $or: [
+      { enqueued_at: { $lt: entry.enqueued_at } },
+      { enqueued_at: entry.enqueued_at, _id: { $lt: entry._id } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+// Get queue counters for monitoring
+queueJobSchema.statics.getQueueStats = async function() {
+  const [queued, active] = await Promise.all([
+    this.countDocuments({ status: 'queued' }),
+    this.countDocuments({ status: 'active' })
+  ]);
+  return { queued, active };
+};
+
+// ===== INDEXES FOR PERFORMANCE =====
+queueJobSchema.index({ status: 1, enqueued_at: 1 });
+queueJobSchema.index({ job_id: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.model("QueueJob", queueJobSchema);
@@ -0,0 +1,52 @@
+// models/retentionRunModel.js
+
+import mongoose from "mongoose";
+
+// ===== RETENTION RUN =====
+// One document per cleanup run of services/retentionService.js, so admins can see what was removed
+const retentionRunSchema = new mongoose.Schema({
+  trigger: { type: String, default: "schedule" }, // schedule, manual
+  status: { type: String, default: "running" },   // running, completed, failed
+  started_at: { type: Date, default: Date.now },
+  finished_at: Date,
+  duration_ms: Number,
+
+  // Policy in effect for this run
+  policy: {
+    intermediate_hours: Number,
+    failed_job_days: Number,
+    delete_originals: Boolean,
+    originals_hours: Number
+  },
+
+  // ===== WHAT WAS REMOVED =====
+  // Lists are capped (see MAX_LISTED in retentionService.js); the counts are always complete
+  removed: {
+    intermediate_files: [{ _id: false, path: String, size_bytes: Number }],
+    intermediate_file_count: { type: Number, default: 0 },
+    failed_jobs: [{ _id: false, job_id: String, original_name: String, failed_at: Date }],
+    failed_job_count: { type: Number, default: 0 },
+    originals: [{ _id: false, job_id: String, path: String, size_bytes: Number }],
+    original_count: { type: Number, default: 0 },
+    upload_sessions: { type: Number, default: 0 },
+    stored_objects: { type: Number, default: 0 }
+  },
+  total_bytes: { type: Number, default: 0 },
+  error_messages: [String],
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+retentionRunSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// ===== INDEXES =====
+retentionRunSchema.index({ started_at: -1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.model("RetentionRun", retentionRunSchema);
@@ -2,26 +2,119 @@
 
 import mongoose from "mongoose";
 
+// ===== PER-LANGUAGE BRANCH =====
+// One entry per target language; translation, TTS, captions and assembly run per branch
+const languageBranchSchema = new mongoose.Schema({
+  language: { type: String, required: true },
+  artifact_key: String,         // File-name prefix of the branch artifacts
+  status: { type: String, default: "pending" }, // pending, processing, completed, failed, cancelled
+  step: { type: String, default: "pending" },
+  started_at: Date,
+  completed_at: Date,
+  failed_at: Date,
+  error_message: String,
+  translated_text: String,
+  tts_audio_path: String,
+  caption_file_path: String,
+  caption_srt_path: String,
+  transcript_file_path: String,
+  voice: String,                // edge-tts voice the branch was dubbed with
+  speaker_voices: [{ _id: false, speaker: String, voice: String, pitch: Number }], // Voice of each diarized speaker
+  lexicon_version: Number,      // Pronunciation lexicon version used for TTS (null: the language had none)
+  tts_engines: [{ _id: false, engine: String, segments: Number }], // Segments voiced per TTS engine (edge, piper, espeak)
+  silent_segments: Number,      // Segments no engine could voice (left silent)
+  mixed_audio_path: String,     // Dub with the background of the original (audio_mix duck / mix)
+  processed_file_path: String
+}, { _id: false });
+
+// ===== WEBHOOK DELIVERY ATTEMPT =====
+// One entry per POST to the job's callback URL (see services/webhookService.js)
+const webhookDeliverySchema = new mongoose.Schema({
+  delivery_id: String,          // Same for every retry of one event (X-Webhook-Delivery header)
+  event: String,                // job.completed, job.failed, job.cancelled
+  url: String,
+  attempt: Number,              // 1-based attempt number
+  success: Boolean,
+  status_code: Number,          // HTTP status of the response (missing on network errors)
+  error: String,
+  duration_ms: Number,
+  attempted_at: Date,
+  next_retry_at: Date           // Set when another attempt is scheduled
+}, { _id: false });
+
+// ===== PENDING WEBHOOK RETRY =====
+// The next attempt of a failed delivery; kept on the job so any server instance can send it
+const webhookRetrySchema = new mongoose.Schema({
+  delivery_id: String,
+  event: String,
+  url: String,
+  payload: mongoose.Schema.Types.Mixed, // Body of the first attempt, resent unchanged
+  attempt: Number,              // Attempt number of the next POST
+  next_attempt_at: Date         // Due time; pushed forward while an instance is sending it
+}, { _id: false });
+
+// ===== STORED FILE =====
+// A file copied to the storage backend (see services/storage/index.js)
+const storedFileSchema = new mongoose.Schema({
+  key: String,                  // Storage key, mirrors the path under uploads/
+  size: Number,
+  content_type: String,
+  driver: String,               // Storage driver that holds it (s3)
+  stored_at: Date
+}, { _id: false });
+
 const uploadSchema = new mongoose.Schema({
+  // ===== OWNERSHIP =====
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = created with the ADMIN_API_KEY
+
   // ===== BASIC FILE INFORMATION =====
   filename: String,
   originalName: String,
   size: Number,
   status: { type: String, default: "uploaded" },
   
+  // ===== URL INGEST (POST /api/upload/from-url) =====
+  source_url: String,           // Where the video was downloaded from (unset for uploaded files)
+  download: {
+    total_bytes: Number,        // From Content-Length (null when the server does not send it)
+    bytes_received: Number,
+    percent: Number,
+    content_type: String,
+    started_at: Date,
+    completed_at: Date,
+    worker_id: String           // hostname-pid of the process downloading it
+  },
+  
   // ===== PROCESSING FIELDS FOR AUDIO PIPELINE =====
   file_path: String,  // Full path to uploaded file
-  target_language: String,  // Language to translate to
+  original_deleted_at: Date,  // Set when retention removed the original (RETENTION_DELETE_ORIGINALS)
+  target_language: String,  // Language to translate to (first entry of target_languages)
+  target_languages: [String],  // Every language the upload is dubbed into
   source_language: String,  // Original video language
-  detected_language: String,  // Language detected by Whisper
+  detected_language: String,  // Language detected by the transcription engine
+  transcription_engine: String,  // Recognition engine requested for this job (speech_recognition, whisper, vosk)
+  audio_mix: String,  // How the dub meets the original audio: replace, duck or mix (see services/audioMixService.js)
+  voice_options: {  // Voice requested at upload (see GET /api/voices); unset fields use the language defaults
+    voices: [String],  // Explicit edge-tts voices, at most one per target language
+    gender: String,    // female, male
+    rate: Number,      // Base speaking rate adjustment in percent
+    pitch: Number,     // Pitch adjustment in Hz
+    speakers: [{ _id: false, speaker: String, voice: String, gender: String }]  // Voice or gender per diarized speaker (S1, S2, ...)
+  },
+  speaker_count: Number,  // Number of speakers when known at upload (otherwise found by diarization)
   
   // ===== PROCESSING STATUS TRACKING =====
-  processing_status: { type: String, default: "uploaded" }, // uploaded, processing, completed, failed, cancelled
-  processing_step: { type: String, default: "pending" }, // audio_extraction, transcription, translation, etc.
+  processing_status: { type: String, default: "uploaded" }, // uploaded, downloading, queued, processing, completed, failed, cancelled
+  processing_step: { type: String, default: "pending" }, // queued, audio_extraction, transcription, translation, etc.
+  queued_at: Date,
+  queue_position: Number,  // Position in the processing queue while status is "queued"
   processing_started_at: Date,
   completed_at: Date,
   failed_at: Date,
   processing_duration_ms: Number,
+  resumed_from_stage: String,  // Stage requested by the last resume (POST /jobs/:jobId/resume)
+  resumed_at: Date,
+  language_branches: [languageBranchSchema],
   
   // ===== DETAILED PROCESSING TIMESTAMPS =====
   transcription_completed_at: Date,
@@ -33,6 +126,7 @@ const uploadSchema = new mongoose.Schema({
   // ===== FILE PATHS FOR PROCESSED CONTENT =====
   processed_file_path: String,  // Final translated video
   caption_file_path: String,    // WebVTT captions
+  caption_srt_path: String,     // SRT captions
   transcript_file_path: String, // Text transcript
   audioOutputPath: String,      // Extracted audio file path
   tts_audio_path: String,       // Generated TTS audio path
@@ -47,13 +141,31 @@ const uploadSchema = new mongoose.Schema({
   
   // ===== VIDEO/AUDIO TECHNICAL INFO =====
   processed_file_size: Number,
-  video_codec: String,
+  video_codec: String,          // Probed from the upload; replaced by the output codec after assembly
   audio_codec: String,
   video_resolution: String,
+  source_media: {               // ffprobe summary of the uploaded video (see services/mediaProbeService.js)
+    format: String,
+    duration_s: Number,
+    bit_rate: Number,
+    video_codec: String,
+    width: Number,
+    height: Number,
+    resolution: String,
+    frame_rate: Number,
+    audio_codec: String,
+    audio_channels: Number,
+    audio_sample_rate: Number,
+    video_stream_count: Number,
+    audio_stream_count: Number,
+    probed_at: Date
+  },
   has_embedded_captions: Boolean,
   
   // ===== SERVICE TRACKING =====
   processing_service: String,   // Which service processed (ffmpeg, whisper, etc.)
+  transcription_service: String,      // Service label of the engine that transcribed
+  transcription_engine_used: String,  // Engine that produced the transcription (after fallbacks)
   
   // ===== ERROR HANDLING =====
   error_message: String,
@@ -66,6 +178,34 @@ const uploadSchema = new mongoose.Schema({
   cancelled_at: Date,
   cancellation_reason: String,
   
+  // ===== SPEAKER DIARIZATION (see services/diarizationService.js) =====
+  diarization: {
+    status: String,               // completed, skipped, failed
+    speakers: [{ _id: false, id: String, label: String, gender: String, pitch_hz: Number, segment_count: Number, speaking_seconds: Number }],
+    completed_at: Date,
+    error_message: String
+  },
+  
+  // ===== HLS PACKAGE (see services/hlsService.js) =====
+  hls: {
+    status: String,               // processing, completed, failed
+    master_playlist_path: String, // uploads/hls/<jobId>_hls/master.m3u8
+    video_renditions: [{ _id: false, height: Number, width: Number, bandwidth: Number, average_bandwidth: Number, playlist_path: String }],
+    audio_renditions: [{ _id: false, language: String, name: String, original: Boolean, playlist_path: String }],
+    subtitle_renditions: [{ _id: false, language: String, name: String, playlist_path: String }],
+    started_at: Date,
+    completed_at: Date,
+    error_message: String
+  },
+  
+  // ===== STORAGE BACKEND =====
+  stored_files: [storedFileSchema],  // Originals and finished artifacts kept in remote storage
+  
+  // ===== COMPLETION WEBHOOK =====
+  callback_url: String,         // Notified when the job completes, fails or is cancelled (default: WEBHOOK_URL)
+  webhook_deliveries: [webhookDeliverySchema],
+  webhook_retry: webhookRetrySchema, // Unset once the delivery succeeds or gives up
+  
   // ===== METADATA =====
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -86,7 +226,7 @@ uploadSchema.pre(['updateOne', 'findOneAndUpdate', 'findByIdAndUpdate'], functio
 
 // Get processing progress percentage
 uploadSchema.virtual('progressPercentage').get(function() {
-  const steps = ['pending', 'audio_extraction', 'transcription', 'translation', 'tts_generation', 'caption_generation', 'video_assembly', 'completed'];
+  const steps = ['pending', 'audio_extraction', 'transcription', 'diarization', 'translation', 'tts_generation', 'caption_generation', 'video_assembly', 'completed'];
   const currentStepIndex = steps.indexOf(this.processing_step);
   return currentStepIndex >= 0 ? Math.round((currentStepIndex / (steps.length - 1)) * 100) : 0;
 });
@@ -226,6 +366,7 @@ uploadSchema.index({ processing_status: 1 });
 uploadSchema.index({ createdAt: -1 });
 uploadSchema.index({ processing_started_at: 1 });
 uploadSchema.index({ target_language: 1 });
+uploadSchema.index({ owner: 1, createdAt: -1 });
 
 // ===== EXPORT MODEL =====
 export default mongoose.model("Upload", uploadSchema);
@@ -0,0 +1,68 @@
+// models/uploadSessionModel.js
+
+import mongoose from "mongoose";
+
+// ===== RESUMABLE UPLOAD SESSION =====
+// One document per chunked upload (see controllers/chunkedUploadController.js); chunks are
+// stored in uploads/chunks/<session id>/ until the session is completed
+const uploadSessionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  status: { type: String, default: "open" }, // open, assembling, completed, aborted
+
+  // ===== FILE DESCRIPTION (declared by the client at init) =====
+  original_name: { type: String, required: true },
+  mime_type: String,
+  size: { type: Number, required: true },
+  checksum: String,             // Expected SHA-256 (hex) of the whole file, required and verified on complete
+
+  // ===== CHUNKING =====
+  chunk_size: { type: Number, required: true },
+  total_chunks: { type: Number, required: true },
+  received_chunks: [Number],    // Indexes of the chunks stored so far
+
+  // ===== JOB OPTIONS (applied when the job is created) =====
+  job_options: {
+    fromLang: String,
+    toLangs: [String],
+    transcriptionEngine: String,
+    audioMix: String,
+    voiceOptions: {
+      voices: [String],
+      gender: String,
+      rate: Number,
+      pitch: Number,
+      speakers: [{ _id: false, speaker: String, voice: String, gender: String }]
+    },
+    speakerCount: Number,
+    callbackUrl: String
+  },
+
+  // ===== RESULT =====
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: "Upload", default: null },
+  assembled_filename: String,   // File under uploads/originals being assembled (set while 'assembling')
+  error_message: String,
+
+  // ===== METADATA =====
+  expires_at: Date,             // Open sessions are rejected (and swept) after this
+  completed_at: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+uploadSessionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+uploadSessionSchema.pre(['updateOne', 'findOneAndUpdate', 'findByIdAndUpdate'], function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+// ===== INDEXES =====
+uploadSessionSchema.index({ owner: 1, createdAt: -1 });
+uploadSessionSchema.index({ status: 1, expires_at: 1 });
+
+// ===== EXPORT MODEL =====
+export default mongoose.model("UploadSession", uploadSessionSchema);
@@ -0,0 +1,88 @@
+// models/userModel.js
+
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// ===== API USER =====
+// Callers authenticate with an API key (see middleware/auth.js); only its SHA-256 hash is stored
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
+  role: { type: String, enum: ["user", "admin"], default: "user" }, // admin sees and manages every job
+  active: { type: Boolean, default: true },
+  api_key_hash: { type: String, required: true, unique: true },
+  api_key_prefix: String,       // First characters of the key, to recognise it in listings
+  api_key_created_at: Date,
+  last_used_at: Date,
+
+  // ===== METADATA =====
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// ===== MIDDLEWARE TO UPDATE 'updatedAt' ON SAVE =====
+userSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+userSchema.pre(['updateOne', 'findOneAndUpdate', 'findByIdAndUpdate'], function(next) {
+  this.set({ updatedAt: new Date() });
+  next();
+});
+
+// ===== STATIC METHODS =====
+
+/**
+ * Hash an API key the way it is stored
+ * @param {string} apiKey - Plain API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+userSchema.statics.hashApiKey = function(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Find the active user an API key belongs to
+ * @param {string} apiKey - Plain API key
+ * @returns {Promise<Object|null>} - User document
+ */
+userSchema.statics.findByApiKey = function(apiKey) {
+  return this.findOne({ api_key_hash: this.hashApiKey(apiKey), active: true });
+};
+
+// ===== INSTANCE METHODS =====
+
+/**
+ * Give the user a new API key (the previous one stops working)
+ * The plain key is only returned here; it cannot be recovered later
+ * @returns {string} - New plain API key
+ */
+userSchema.methods.issueApiKey = function() {
+  const apiKey = `vt_${crypto.randomBytes(24).toString('hex')}`;
+  this.api_key_hash = this.constructor.hashApiKey(apiKey);
+  this.api_key_prefix = apiKey.slice(0, 10);
+  this.api_key_created_at = new Date();
+  return apiKey;
+};
+
+/**
+ * User fields that are safe to return from the API
+ * @returns {Object}
+ */
+userSchema.methods.toPublicJSON = function() {
+  return {
+    userId: this._id,
+    name: this.name,
+    email: this.email || null,
+    role: this.role,
+    active: this.active,
+    api_key_prefix: this.api_key_prefix || null,
+    api_key_created_at: this.api_key_created_at || null,
+    last_used_at: this.last_used_at || null,
+    created_at: this.createdAt
+  };
+};
+
+// ===== EXPORT MODEL =====
+export default mongoose.model("User", userSchema);
@@ -0,0 +1,261 @@
+// routes/adminRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/userModel.js';
+import Upload from '../models/uploadModel.js';
+import RetentionRun from '../models/retentionRunModel.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { runRetention, isRetentionRunning, getRetentionPolicy } from '../services/retentionService.js';
+
+const router = express.Router();
+
+// Every admin endpoint needs an admin API key (authenticate runs in server.js)
+router.use(requireAdmin);
+
+const USER_ROLES = ['user', 'admin'];
+
+// ===== USERS AND API KEYS =====
+
+/**
+ * GET /api/admin/users
+ * List API users with their job counts (keys themselves are never returned)
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 });
+    const jobCounts = await Upload.aggregate([
+      { $match: { owner: { $ne: null } } },
+      { $group: { _id: '$owner', count: { $sum: 1 } } }
+    ]);
+    const countByOwner = new Map(jobCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      users: users.map(user => ({
+        ...user.toPublicJSON(),
+        job_count: countByOwner.get(user._id.toString()) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ User list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Create an API user; the response holds its API key, which is shown only once
+ * Body: { name, email?, role? ('user' | 'admin') }
+ */
+router.post('/users', async (req, res) => {
+  try {
+    const { name, email, role = 'user' } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role: ${role}`,
+        valid_roles: USER_ROLES
+      });
+    }
+
+    const user = new User({ name: name.trim(), email: email || undefined, role });
+    const apiKey = user.issueApiKey();
+    await user.save();
+
+    console.log(`👤 API user created: ${user.name} (${user.role}, key ${user.api_key_prefix}...)`);
+
+    res.status(201).json({
+      success: true,
+      user: user.toPublicJSON(),
+      api_key: apiKey,
+      message: 'Store this API key now; it cannot be shown again'
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+
+    console.error('❌ User creation error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/api-key
+ * Issue a new API key for a user; the previous key stops working immediately
+ */
+router.post('/users/:userId/api-key', async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        userId: req.params.userId
+      });
+    }
+
+    const apiKey = user.issueApiKey();
+    await user.save();
+
+    console.log(`🔑 API key rotated for ${user.name} (key ${user.api_key_prefix}...)`);
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON(),
+      api_key: apiKey,
+      message: 'Store this API key now; it cannot be shown again'
+    });
+
+  } catch (error) {
+    console.error('❌ API key rotation error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:userId
+ * Change a user's name, role or active flag (inactive users cannot authenticate;
+ * their jobs are kept)
+ * Body: { name?, role?, active? }
+ */
+router.patch('/users/:userId', async (req, res) => {
+  try {
+    const { name, role, active } = req.body || {};
+    const user = await findUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        userId: req.params.userId
+      });
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role: ${role}`,
+        valid_roles: USER_ROLES
+      });
+    }
+
+    if (typeof name === 'string' && name.trim()) user.name = name.trim();
+    if (role !== undefined) user.role = role;
+    if (typeof active === 'boolean') user.active = active;
+    await user.save();
+
+    console.log(`👤 API user updated: ${user.name} (${user.role}, ${user.active ? 'active' : 'inactive'})`);
+
+    res.json({
+      success: true,
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('❌ User update error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user',
+      message: error.message
+    });
+  }
+});
+
+// ===== RETENTION =====
+
+/**
+ * GET /api/admin/retention
+ * Show the retention policy, the last run in full and a summary of recent runs
+ * Query: ?limit=10 (recent runs to list)
+ */
+router.get('/retention', async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+    const [lastRun, recentRuns] = await Promise.all([
+      RetentionRun.findOne().sort({ started_at: -1 }),
+      RetentionRun.find()
+        .sort({ started_at: -1 })
+        .limit(limit)
+        .select('-removed.intermediate_files -removed.failed_jobs -removed.originals')
+    ]);
+
+    res.json({
+      success: true,
+      policy: getRetentionPolicy(),
+      running: isRetentionRunning(),
+      last_run: lastRun,
+      recent_runs: recentRuns
+    });
+
+  } catch (error) {
+    console.error('❌ Retention status error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get retention status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/retention/run
+ * Run the retention cleanup now and return what it removed
+ */
+router.post('/retention/run', async (req, res) => {
+  try {
+    console.log(`🧹 Retention run requested by ${req.user.name}`);
+    const run = await runRetention('manual');
+
+    res.json({
+      success: true,
+      run: run
+    });
+
+  } catch (error) {
+    console.error('❌ Retention run error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Retention run failed',
+      message: error.message
+    });
+  }
+});
+
+// ===== HELPER FUNCTIONS =====
+
+// Find a user by id (null for malformed ids)
+const findUser = (userId) => {
+  return mongoose.isValidObjectId(userId) ? User.findById(userId) : null;
+};
+
+// ===== EXPORT ROUTER =====
+export default router;
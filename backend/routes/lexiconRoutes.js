@@ -0,0 +1,276 @@
+// routes/lexiconRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import mongoose from 'mongoose';
+import Lexicon from '../models/lexiconModel.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { getSupportedIndianVoices } from '../services/ttsService.js';
+import { validateLexiconEntry, isSameTerm, LEXICON_ALPHABETS } from '../services/lexiconService.js';
+
+const router = express.Router();
+
+// Fields of an entry that can be sent to the API
+const ENTRY_FIELDS = ['term', 'respelling', 'phoneme', 'alphabet', 'case_sensitive', 'note'];
+
+// ===== READ LEXICONS =====
+
+/**
+ * GET /api/lexicons
+ * List the pronunciation lexicons: language, current version and entry count
+ */
+router.get('/', async (req, res) => {
+  try {
+    const lexicons = await Lexicon.find().sort({ language: 1 }).lean();
+
+    res.json({
+      success: true,
+      lexicons: lexicons.map(lexicon => ({
+        language: lexicon.language,
+        version: lexicon.version,
+        entry_count: lexicon.entries.length,
+        updated_at: lexicon.updatedAt
+      })),
+      alphabets: LEXICON_ALPHABETS
+    });
+
+  } catch (error) {
+    console.error('❌ Lexicon list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list lexicons',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/lexicons/:language
+ * Entries of one target language (version 0 and no entries when none were added yet)
+ */
+router.get('/:language', async (req, res) => {
+  try {
+    const { language } = req.params;
+    if (!isVoiceLanguage(language)) {
+      return unsupportedLanguage(res, language);
+    }
+
+    const lexicon = await Lexicon.findOne({ language }).lean();
+
+    res.json({
+      success: true,
+      lexicon: formatLexicon(lexicon || { language, version: 0, entries: [] })
+    });
+
+  } catch (error) {
+    console.error('❌ Lexicon read error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get lexicon',
+      message: error.message
+    });
+  }
+});
+
+// ===== CHANGE LEXICONS (ADMIN) =====
+// Every change raises the version of the language's lexicon; jobs record the version they used
+
+/**
+ * POST /api/lexicons/:language/entries
+ * Add a term
+ * Body: { term, respelling?, phoneme?, alphabet? ('ipa' | 'x-sampa'), case_sensitive?, note? }
+ *   (respelling or phoneme is required)
+ */
+router.post('/:language/entries', requireAdmin, async (req, res) => {
+  try {
+    const { language } = req.params;
+    if (!isVoiceLanguage(language)) {
+      return unsupportedLanguage(res, language);
+    }
+
+    const error = validateLexiconEntry(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const lexicon = await Lexicon.findOne({ language }) || new Lexicon({ language });
+    const fields = pickEntryFields(req.body);
+
+    if (lexicon.entries.some(entry => isSameTerm(entry, fields.term))) {
+      return res.status(409).json({
+        success: false,
+        error: `'${fields.term}' is already in the ${language} lexicon`
+      });
+    }
+
+    lexicon.entries.push({ ...fields, updated_by: req.user.name, updatedAt: new Date() });
+    lexicon.version += 1;
+    await lexicon.save();
+
+    const entry = lexicon.entries[lexicon.entries.length - 1];
+    console.log(`📖 Lexicon ${language} v${lexicon.version}: added '${entry.term}' (${req.user.name})`);
+
+    res.status(201).json({
+      success: true,
+      version: lexicon.version,
+      entry: formatEntry(entry)
+    });
+
+  } catch (error) {
+    handleWriteError(res, error, 'Failed to add lexicon entry');
+  }
+});
+
+/**
+ * PUT /api/lexicons/:language/entries/:entryId
+ * Change a term; fields left out keep their value, null clears respelling, phoneme or note
+ * Body: { term?, respelling?, phoneme?, alphabet?, case_sensitive?, note? }
+ */
+router.put('/:language/entries/:entryId', requireAdmin, async (req, res) => {
+  try {
+    const { language, entryId } = req.params;
+    const lexicon = await Lexicon.findOne({ language });
+    const entry = lexicon && mongoose.isValidObjectId(entryId) ? lexicon.entries.id(entryId) : null;
+
+    if (!entry) {
+      return entryNotFound(res, language, entryId);
+    }
+
+    const fields = pickEntryFields(req.body);
+    const changed = { ...formatEntry(entry), ...fields };
+    const error = validateLexiconEntry(changed);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    if (fields.term && lexicon.entries.some(other => other !== entry && isSameTerm(other, fields.term))) {
+      return res.status(409).json({
+        success: false,
+        error: `'${fields.term}' is already in the ${language} lexicon`
+      });
+    }
+
+    entry.set({ ...fields, updated_by: req.user.name, updatedAt: new Date() });
+    lexicon.version += 1;
+    await lexicon.save();
+
+    console.log(`📖 Lexicon ${language} v${lexicon.version}: changed '${entry.term}' (${req.user.name})`);
+
+    res.json({
+      success: true,
+      version: lexicon.version,
+      entry: formatEntry(entry)
+    });
+
+  } catch (error) {
+    handleWriteError(res, error, 'Failed to change lexicon entry');
+  }
+});
+
+/**
+ * DELETE /api/lexicons/:language/entries/:entryId
+ * Remove a term
+ */
+router.delete('/:language/entries/:entryId', requireAdmin, async (req, res) => {
+  try {
+    const { language, entryId } = req.params;
+    const lexicon = await Lexicon.findOne({ language });
+    const entry = lexicon && mongoose.isValidObjectId(entryId) ? lexicon.entries.id(entryId) : null;
+
+    if (!entry) {
+      return entryNotFound(res, language, entryId);
+    }
+
+    entry.deleteOne();
+    lexicon.version += 1;
+    await lexicon.save();
+
+    console.log(`📖 Lexicon ${language} v${lexicon.version}: removed '${entry.term}' (${req.user.name})`);
+
+    res.json({
+      success: true,
+      version: lexicon.version,
+      message: `'${entry.term}' removed from the ${language} lexicon`
+    });
+
+  } catch (error) {
+    handleWriteError(res, error, 'Failed to remove lexicon entry');
+  }
+});
+
+// ===== HELPER FUNCTIONS =====
+
+// Lexicons exist for the languages TTS has voices for
+const isVoiceLanguage = (language) => Object.hasOwn(getSupportedIndianVoices(), language);
+
+const unsupportedLanguage = (res, language) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Language not supported',
+    message: `No voices for language '${language}'`
+  });
+};
+
+const entryNotFound = (res, language, entryId) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Lexicon entry not found',
+    language,
+    entryId
+  });
+};
+
+// Entry fields from a request body, trimmed (null clears an optional text field)
+const pickEntryFields = (body = {}) => {
+  const fields = {};
+  ENTRY_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    fields[field] = typeof body[field] === 'string' ? body[field].trim().replace(/\s+/g, ' ') : body[field];
+  });
+  return fields;
+};
+
+const formatEntry = (entry) => ({
+  id: entry._id.toString(),
+  term: entry.term,
+  respelling: entry.respelling || null,
+  phoneme: entry.phoneme || null,
+  alphabet: entry.alphabet || 'ipa',
+  case_sensitive: Boolean(entry.case_sensitive),
+  note: entry.note || null,
+  updated_by: entry.updated_by || null,
+  updated_at: entry.updatedAt || null
+});
+
+const formatLexicon = (lexicon) => ({
+  language: lexicon.language,
+  version: lexicon.version,
+  updated_at: lexicon.updatedAt || null,
+  entries: lexicon.entries.map(formatEntry)
+});
+
+// Two admins saving the same lexicon at once: the later save is rejected instead of overwriting
+const handleWriteError = (res, error, message) => {
+  if (error.name === 'VersionError' || error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'The lexicon was changed at the same time, please retry'
+    });
+  }
+
+  console.error(`❌ ${message}:`, error.message);
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+};
+
+// ===== EXPORT ROUTER =====
+export default router;
@@ -2,11 +2,24 @@
 
 // ===== IMPORT REQUIRED MODULES =====
 import express from 'express';
-import { getProcessingStatus } from '../controllers/processController.js';
+import { getProcessingStatus, getBranchStatuses, getBranchArtifactUrls, getDownloadStatus, getSourceMedia, getHlsStatus, getHlsUrl, getVoiceOptions, getDiarizationStatus } from '../controllers/processController.js';
 import Upload from '../models/uploadModel.js';
+import { enqueueJob, cancelQueuedJob, isJobActiveInQueue, getQueuePosition, getQueueStatus } from '../services/queueService.js';
+import { PIPELINE_STAGES, loadPipelineState, getMissingStageInputs, getTargetLanguages } from '../services/pipelineStateService.js';
+import { cancelJob } from '../services/cancellationService.js';
+import { deleteJobArtifacts } from '../utils/fileUtils.js';
+import { notifyJobOutcome } from '../services/webhookService.js';
+import { listTranscriptionEngines, getTranscriptionEngine } from '../services/transcriptionEngines/index.js';
+import { resolveMixMode } from '../services/audioMixService.js';
+import { publishJobEvent, subscribeToJobEvents, TERMINAL_EVENTS, toArtifactUrl } from '../services/jobEventsService.js';
+import { findJobForUser, ownerFilter } from '../middleware/auth.js';
+import { deleteStoredFiles, getStorageInfo } from '../services/storage/index.js';
 
 const router = express.Router();
 
+// How often an open event stream re-reads the job from the database
+const EVENT_STREAM_POLL_MS = 10000;
+
 // ===== MAIN STATUS ENDPOINT =====
 /**
  * GET /api/process/status/:jobId
@@ -16,6 +29,140 @@ const router = express.Router();
  */
 router.get('/status/:jobId', getProcessingStatus);
 
+// ===== LIVE PROGRESS (SERVER-SENT EVENTS) =====
+/**
+ * GET /api/process/jobs/:jobId/events
+ * Stream the progress of a job as Server-Sent Events (use EventSource in the browser)
+ * Starts with a `status` snapshot from the database, then pushes `stage` transitions,
+ * `progress` percentages (FFmpeg, per-segment TTS), `branch` results and finally one of
+ * `completed` (with artifact URLs), `failed` or `cancelled`, after which the stream closes
+ * Reconnecting clients send Last-Event-ID and receive the events they missed
+ * Live events only exist on the server running the job; every EVENT_STREAM_POLL_MS the
+ * database is also checked, so a job running on another instance still gets `status`
+ * snapshots and its outcome, and the stream closes
+ */
+router.get('/jobs/:jobId/events', async (req, res) => {
+  const jobId = req.params.jobId;
+  let video;
+
+  try {
+    video = await findJobForUser(req.user, jobId);
+  } catch (error) {
+    console.error(`❌ [${jobId}] Event stream error:`, error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to open event stream',
+      message: error.message
+    });
+  }
+
+  if (!video) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      jobId: jobId
+    });
+  }
+
+  console.log(`📡 [${jobId}] Event stream opened`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+  });
+
+  // Nothing is written once the stream is over (a late event would crash on write after end)
+  let closed = false;
+  const send = (type, data, id = null) => {
+    if (closed) return;
+    res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // ===== SNAPSHOT OF THE CURRENT STATE =====
+  const status = video.processing_status || 'uploaded';
+  send('status', {
+    jobId: jobId,
+    status: status,
+    step: video.processing_step || 'queued',
+    queue_position: status === 'queued' ? await getQueuePosition(jobId) : null,
+    branches: getBranchStatuses(video),
+    snapshot: true
+  });
+
+  // Job already over: report the outcome from the database and close
+  if (TERMINAL_EVENTS.includes(status)) {
+    send(status, buildOutcomeEvent(video));
+    return res.end();
+  }
+
+  // ===== LIVE EVENTS =====
+  let unsubscribe = () => {};
+  let lastSnapshot = `${status}:${video.processing_step}`;
+
+  const close = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(poll);
+    unsubscribe();
+  };
+
+  const finish = (type, data, id = null) => {
+    send(type, data, id);
+    close();
+    res.end();
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, 15000);
+
+  // Database fallback for jobs running on another server instance (no live events reach this one)
+  const poll = setInterval(async () => {
+    try {
+      const current = await Upload.findById(jobId);
+      if (closed || !current) return;
+
+      const currentStatus = current.processing_status;
+      if (TERMINAL_EVENTS.includes(currentStatus)) {
+        return finish(currentStatus, buildOutcomeEvent(current));
+      }
+
+      const snapshot = `${currentStatus}:${current.processing_step}`;
+      if (snapshot !== lastSnapshot) {
+        lastSnapshot = snapshot;
+        send('status', {
+          jobId: jobId,
+          status: currentStatus,
+          step: current.processing_step,
+          branches: getBranchStatuses(current),
+          snapshot: true
+        });
+      }
+    } catch (error) {
+      console.warn(`📡 [${jobId}] Event stream poll failed: ${error.message}`);
+    }
+  }, EVENT_STREAM_POLL_MS);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  unsubscribe = subscribeToJobEvents(jobId, (event) => {
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      finish(event.type, event.data, event.id);
+    } else {
+      send(event.type, event.data, event.id);
+    }
+  }, isNaN(lastEventId) ? -1 : lastEventId);
+
+  // A terminal event in the replay ended the stream before unsubscribe was assigned
+  if (closed) unsubscribe();
+
+  req.on('close', () => {
+    close();
+    console.log(`📡 [${jobId}] Event stream closed`);
+  });
+});
+
 // ===== ADDITIONAL PROCESSING ENDPOINTS =====
 
 /**
@@ -29,8 +176,8 @@ router.get('/jobs', async (req, res) => {
     
     const { status, limit = 50, offset = 0 } = req.query;
     
-    // Build query filter
-    const filter = {};
+    // Build query filter (callers only see their own jobs, admins see all)
+    const filter = { ...ownerFilter(req.user) };
     if (status) {
       filter.processing_status = status;
     }
@@ -40,7 +187,7 @@ router.get('/jobs', async (req, res) => {
       .sort({ createdAt: -1 })  // Newest first
       .limit(parseInt(limit))
       .skip(parseInt(offset))
-      .select('_id processing_status processing_step originalName target_language createdAt completed_at processing_started_at processing_duration_ms')
+      .select('_id processing_status processing_step originalName target_language target_languages language_branches.language language_branches.status createdAt completed_at processing_started_at processing_duration_ms queue_position')
       .lean();
     
     // Get total count for pagination
@@ -56,8 +203,14 @@ router.get('/jobs', async (req, res) => {
         step: job.processing_step || 'queued',
         filename: job.originalName,
         target_language: job.target_language,
+        target_languages: getTargetLanguages(job),
+        branches: (job.language_branches || []).map(branch => ({
+          language: branch.language,
+          status: branch.status
+        })),
         created_at: job.createdAt,
         completed_at: job.completed_at || null,
+        queue_position: job.processing_status === 'queued' ? (job.queue_position || null) : null,
         processing_duration: job.processing_duration_ms || (
           job.completed_at && job.processing_started_at 
             ? job.completed_at - job.processing_started_at 
@@ -65,7 +218,7 @@ router.get('/jobs', async (req, res) => {
         ),
         // Add progress percentage using virtual field
         progress_percentage: (() => {
-          const steps = ['pending', 'audio_extraction', 'transcription', 'translation', 'tts_generation', 'caption_generation', 'video_assembly', 'completed'];
+          const steps = ['pending', 'audio_extraction', 'transcription', 'diarization', 'translation', 'tts_generation', 'caption_generation', 'video_assembly', 'hls_packaging', 'completed'];
           const currentStepIndex = steps.indexOf(job.processing_step);
           return currentStepIndex >= 0 ? Math.round((currentStepIndex / (steps.length - 1)) * 100) : 0;
         })()
@@ -98,7 +251,7 @@ router.get('/status/:jobId/detailed', async (req, res) => {
     const jobId = req.params.jobId;
     console.log(`🔍 [${jobId}] Detailed status requested`);
     
-    const video = await Upload.findById(jobId).lean();
+    const video = await findJobForUser(req.user, jobId).lean();
     
     if (!video) {
       return res.status(404).json({
@@ -117,11 +270,26 @@ router.get('/status/:jobId/detailed', async (req, res) => {
       status: video.processing_status,
       step: video.processing_step || 'queued',
       progress_percentage: (() => {
-        const steps = ['pending', 'audio_extraction', 'transcription', 'translation', 'tts_generation', 'caption_generation', 'video_assembly', 'completed'];
+        const steps = ['pending', 'audio_extraction', 'transcription', 'diarization', 'translation', 'tts_generation', 'caption_generation', 'video_assembly', 'hls_packaging', 'completed'];
         const currentStepIndex = steps.indexOf(video.processing_step);
         return currentStepIndex >= 0 ? Math.round((currentStepIndex / (steps.length - 1)) * 100) : 0;
       })(),
       
+      // ===== QUEUE INFO =====
+      queue: {
+        queued_at: video.queued_at || null,
+        position: video.processing_status === 'queued' ? await getQueuePosition(jobId) : null
+      },
+      
+      // ===== URL INGEST (null for uploaded files) =====
+      download: video.source_url ? { source_url: video.source_url, ...getDownloadStatus(video) } : null,
+      
+      // ===== PER-LANGUAGE BRANCHES =====
+      branches: getBranchStatuses(video),
+      
+      // ===== HLS PACKAGE (null until packaged) =====
+      hls: getHlsStatus(video),
+      
       // ===== TIMESTAMPS =====
       timestamps: {
         created_at: video.createdAt,
@@ -151,10 +319,20 @@ router.get('/status/:jobId/detailed', async (req, res) => {
       // ===== LANGUAGE INFO =====
       languages: {
         target_language: video.target_language,
+        target_languages: getTargetLanguages(video),
         detected_language: video.detected_language || null,
         source_language: video.source_language || null
       },
       
+      // ===== AUDIO MIX (replace, duck, mix) =====
+      audio_mix: resolveMixMode(video.audio_mix),
+      
+      // ===== VOICE REQUESTED AT UPLOAD =====
+      voice_options: getVoiceOptions(video),
+      
+      // ===== SPEAKERS FOUND BY DIARIZATION =====
+      diarization: getDiarizationStatus(video),
+      
       // ===== PROCESSING STATS =====
       stats: {
         file_size: video.size || 0,
@@ -164,6 +342,9 @@ router.get('/status/:jobId/detailed', async (req, res) => {
         audio_extracted: video.audioExtracted || false
       },
       
+      // ===== SOURCE VIDEO (ffprobe at upload time) =====
+      source_media: getSourceMedia(video),
+      
       // ===== SERVICE INFO =====
       services: {
         processing_service: video.processing_service || null,
@@ -181,6 +362,12 @@ router.get('/status/:jobId/detailed', async (req, res) => {
         video_assembly_error: video.video_assembly_error || null
       },
       
+      // ===== COMPLETION WEBHOOK =====
+      webhook: {
+        callback_url: video.callback_url || null,
+        deliveries: video.webhook_deliveries || []
+      },
+      
       // ===== CONTENT =====
       content: {
         transcription_text: video.transcriptionText || null,
@@ -212,9 +399,12 @@ router.get('/stats', async (req, res) => {
     console.log('📊 Processing stats requested');
     
     // ===== AGGREGATE PROCESSING STATISTICS =====
+    // Callers get statistics about their own jobs, admins about every job
+    const scope = ownerFilter(req.user);
     const stats = await Promise.all([
       // Total jobs by status using Mongoose aggregation
       Upload.aggregate([
+        { $match: scope },
         {
           $group: {
             _id: '$processing_status',
@@ -225,6 +415,7 @@ router.get('/stats', async (req, res) => {
       
       // Jobs by target language
       Upload.aggregate([
+        { $match: scope },
         {
           $group: {
             _id: '$target_language',
@@ -235,6 +426,7 @@ router.get('/stats', async (req, res) => {
       
       // Processing time statistics (completed jobs only)
       Upload.aggregate([
+        { $match: scope },
         {
           $match: {
             processing_status: 'completed',
@@ -262,11 +454,13 @@ router.get('/stats', async (req, res) => {
       
       // Recent activity (last 24 hours)
       Upload.countDocuments({
+        ...scope,
         createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
       }),
       
       // Processing steps distribution
       Upload.aggregate([
+        { $match: scope },
         {
           $group: {
             _id: '$processing_step',
@@ -336,15 +530,16 @@ router.get('/stats', async (req, res) => {
 /**
  * POST /api/process/jobs/:jobId/cancel
  * Cancel a processing job (if still in progress)
- * Note: This is a placeholder - actual cancellation would require more complex logic
+ * Queued jobs are withdrawn from the queue; running jobs have their FFmpeg,
+ * Python and edge-tts processes killed and the pipeline stops before the next stage
  */
 router.post('/jobs/:jobId/cancel', async (req, res) => {
   try {
     const jobId = req.params.jobId;
-    const { reason = 'User requested cancellation' } = req.body;
+    const { reason = 'User requested cancellation' } = req.body || {};
     console.log(`🚫 [${jobId}] Job cancellation requested`);
     
-    const video = await Upload.findById(jobId);
+    const video = await findJobForUser(req.user, jobId);
     
     if (!video) {
       return res.status(404).json({
@@ -393,13 +588,30 @@ router.post('/jobs/:jobId/cancel', async (req, res) => {
     
     console.log(`🚫 [${jobId}] Job marked as cancelled`);
     
+    // ===== STOP QUEUED OR RUNNING WORK =====
+    // If the job runs on another server, its queue worker sees the status on the next heartbeat
+    await cancelQueuedJob(jobId);
+    const { running, killed } = cancelJob(jobId, reason);
+    
+    // A running pipeline or download announces its own cancellation once it has stopped,
+    // also when it runs on another server (which would otherwise send a second webhook)
+    const runningElsewhere = !running && (video.processing_status === 'downloading' || await isJobActiveInQueue(jobId));
+    if (!running) {
+      publishJobEvent(jobId, 'cancelled', { status: 'cancelled', reason: reason });
+    }
+    if (!running && !runningElsewhere) {
+      notifyJobOutcome(jobId);
+    }
+    
     res.json({
       success: true,
       jobId: jobId,
       status: 'cancelled',
-      message: 'Job cancellation requested',
+      message: running ? 'Job cancelled, running processes stopped' : 'Job cancellation requested',
       cancelled_at: new Date(),
-      reason: reason
+      reason: reason,
+      was_running: running,
+      processes_killed: killed
     });
     
   } catch (error) {
@@ -412,17 +624,98 @@ router.post('/jobs/:jobId/cancel', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/process/jobs/:jobId/resume?from=<stage>
+ * Resume a job from any pipeline stage using the artifacts stored by a previous run
+ * Stages: audio_extraction, transcription, diarization, translation, tts_generation, caption_generation, video_assembly
+ */
+router.post('/jobs/:jobId/resume', async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const fromStage = req.query.from || PIPELINE_STAGES[0];
+    console.log(`♻️ [${jobId}] Resume requested from stage: ${fromStage}`);
+    
+    if (!PIPELINE_STAGES.includes(fromStage)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid stage',
+        jobId: jobId,
+        message: `Unknown stage '${fromStage}'`,
+        stages: PIPELINE_STAGES
+      });
+    }
+    
+    const video = await findJobForUser(req.user, jobId);
+    
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        jobId: jobId
+      });
+    }
+    
+    // Check if job is already running or waiting
+    if (['downloading', 'processing', 'queued'].includes(video.processing_status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot resume a job that is ${video.processing_status}`,
+        jobId: jobId,
+        status: video.processing_status
+      });
+    }
+    
+    // ===== VERIFY INPUTS FOR THE REQUESTED STAGE =====
+    const state = await loadPipelineState(jobId);
+    const missing = getMissingStageInputs(state, fromStage);
+    
+    if (missing.length > 0) {
+      console.log(`♻️ [${jobId}] Resume refused, missing: ${missing.join(', ')}`);
+      return res.status(422).json({
+        success: false,
+        error: 'Missing inputs for stage',
+        jobId: jobId,
+        stage: fromStage,
+        message: `Cannot resume from ${fromStage}: missing ${missing.join(', ')}`,
+        missing: missing
+      });
+    }
+    
+    // ===== QUEUE THE RESUMED RUN =====
+    const { position } = await enqueueJob(jobId, { fromStage });
+    
+    console.log(`♻️ [${jobId}] Job queued to resume from ${fromStage}`);
+    
+    res.status(202).json({
+      success: true,
+      jobId: jobId,
+      status: 'queued',
+      from_stage: fromStage,
+      queue_position: position,
+      message: `Job queued to resume from ${fromStage}`
+    });
+    
+  } catch (error) {
+    console.error('❌ Job resume error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume job',
+      message: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/process/jobs/:jobId
- * Delete a job and its associated files
- * Only works for completed, failed, or cancelled jobs
+ * Delete a job, every file it produced in uploads/ and its copies in the storage backend
+ * Refused while the job is downloading or processing (cancel it first)
  */
 router.delete('/jobs/:jobId', async (req, res) => {
   try {
     const jobId = req.params.jobId;
     console.log(`🗑️ [${jobId}] Job deletion requested`);
     
-    const video = await Upload.findById(jobId);
+    const video = await findJobForUser(req.user, jobId);
     
     if (!video) {
       return res.status(404).json({
@@ -433,7 +726,7 @@ router.delete('/jobs/:jobId', async (req, res) => {
     }
     
     // Check if job can be deleted
-    if (video.processing_status === 'processing') {
+    if (['downloading', 'processing'].includes(video.processing_status)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot delete job that is currently processing',
@@ -442,16 +735,30 @@ router.delete('/jobs/:jobId', async (req, res) => {
       });
     }
     
-    // Delete the job record
+    // Withdraw the job if it is still waiting for a worker
+    await cancelQueuedJob(jobId);
+    
+    // Delete every artifact on disk, then the job record
+    const freed = deleteJobArtifacts(jobId, video);
+    const stored = await deleteStoredFiles(video.stored_files);
     await Upload.findByIdAndDelete(jobId);
     
-    console.log(`🗑️ [${jobId}] Job deleted successfully`);
+    console.log(`🗑️ [${jobId}] Job deleted successfully (${freed.files.length} files, ${freed.total_size_formatted} freed, ${stored.deleted.length} stored objects)`);
     
     res.json({
       success: true,
       jobId: jobId,
       message: 'Job deleted successfully',
-      deleted_at: new Date()
+      deleted_at: new Date(),
+      freed: {
+        files: freed.files,
+        file_count: freed.files.length,
+        total_bytes: freed.total_bytes,
+        total_size_formatted: freed.total_size_formatted
+      },
+      stored_objects_deleted: stored.deleted,
+      ...(freed.failed.length > 0 && { failed_files: freed.failed }),
+      ...(stored.failed.length > 0 && { failed_stored_objects: stored.failed })
     });
     
   } catch (error) {
@@ -464,6 +771,34 @@ router.delete('/jobs/:jobId', async (req, res) => {
   }
 });
 
+// ===== TRANSCRIPTION ENGINES =====
+/**
+ * GET /api/process/transcription-engines
+ * List the speech recognition engines an upload can pick (transcriptionEngine field)
+ * and whether each one is installed on this server
+ */
+router.get('/transcription-engines', async (req, res) => {
+  try {
+    const engines = await Promise.all(listTranscriptionEngines().map(async (info) => {
+      const availability = await getTranscriptionEngine(info.name).checkAvailability('engines');
+      return { ...info, available: availability.available, message: availability.message };
+    }));
+    
+    res.json({
+      success: true,
+      engines: engines
+    });
+    
+  } catch (error) {
+    console.error('❌ Transcription engines error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list transcription engines',
+      message: error.message
+    });
+  }
+});
+
 // ===== HEALTH CHECK ENDPOINT =====
 /**
  * GET /api/process/health
@@ -477,6 +812,7 @@ router.get('/health', async (req, res) => {
     // Get basic system stats
     const totalJobs = await Upload.countDocuments();
     const activeJobs = await Upload.countDocuments({ processing_status: 'processing' });
+    const queue = await getQueueStatus();
     
     res.json({
       success: true,
@@ -484,12 +820,15 @@ router.get('/health', async (req, res) => {
       timestamp: new Date(),
       services: {
         database: 'connected',
-        processing_pipeline: 'operational'
+        processing_pipeline: 'operational',
+        storage: getStorageInfo()
       },
       stats: {
         total_jobs: totalJobs,
-        active_jobs: activeJobs
-      }
+        active_jobs: activeJobs,
+        queued_jobs: queue.queued
+      },
+      queue: queue
     });
     
   } catch (error) {
@@ -504,6 +843,30 @@ router.get('/health', async (req, res) => {
 
 // ===== UTILITY FUNCTIONS =====
 
+/**
+ * Build the final event of a job that is already over from its database record
+ * @param {Object} video - Upload document
+ * @returns {Object} - Payload of the completed / failed / cancelled event
+ */
+function buildOutcomeEvent(video) {
+  const outcome = {
+    jobId: video._id.toString(),
+    status: video.processing_status
+  };
+
+  if (video.processing_status === 'completed') {
+    outcome.video_url = toArtifactUrl(video.processed_file_path);
+    outcome.hls_url = getHlsUrl(video);
+    outcome.artifacts = getBranchArtifactUrls(video);
+  } else if (video.processing_status === 'failed') {
+    outcome.error = video.error_message || null;
+  } else {
+    outcome.reason = video.cancellation_reason || null;
+  }
+
+  return outcome;
+}
+
 /**
  * Format duration from milliseconds to human readable string
  * @param {number} ms - Duration in milliseconds
@@ -1,66 +1,148 @@
 import express from "express";
 import fs from 'fs';
 import path from 'path';
+import { getStorage, localPathFor, storageKeyFor, getContentType, getDeliveryUrl } from '../services/storage/index.js';
 
 const router = express.Router();
 
-// Video streaming route with range request support
-router.get('/originals/:filename', (req, res) => {
-    const filename = req.params.filename;
-    const filePath = path.join(process.cwd(), 'uploads', 'originals', filename);
-    
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).send('Video not found');
+// Files under /uploads with range request support
+// Local files are streamed from disk; files that only exist in remote storage are redirected
+// to a presigned URL or proxied through the API (STORAGE_DELIVERY)
+// Nested paths are HLS packages (hls/<jobId>_hls/<rendition>/<file>)
+router.get('/:directory/*filePath', async (req, res) => {
+    const { directory } = req.params;
+    const filename = req.params.filePath.join('/');
+    const filePath = localPathFor(`${directory}/${filename}`);
+    const key = storageKeyFor(filePath);
+
+    if (!key) {
+        return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    try {
+        // ===== HLS PLAYLISTS (never redirected, so the URIs inside resolve against /uploads) =====
+        if (path.extname(filename).toLowerCase() === '.m3u8') {
+            const playlist = await readPlaylist(filePath, key);
+            if (playlist === null) {
+                return res.status(404).json({ success: false, error: 'File not found' });
+            }
+            res.set('Content-Type', getContentType(filename));
+            res.set('Cache-Control', 'no-cache');
+            return res.send(withApiKey(playlist, req.query.api_key));
+        }
+
+        // ===== LOCAL FILE =====
+        if (fs.existsSync(filePath)) {
+            const fileSize = fs.statSync(filePath).size;
+            return sendStream(req, res, fileSize, filename, (range) => fs.createReadStream(filePath, range || {}));
+        }
+
+        // ===== REMOTE STORAGE =====
+        const storage = getStorage();
+        const stat = storage.isLocal ? null : await storage.stat(key);
+
+        if (!stat) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
+
+        const deliveryUrl = await getDeliveryUrl(key);
+        if (deliveryUrl) {
+            return res.redirect(302, deliveryUrl);
+        }
+
+        return sendStream(req, res, stat.size, filename, (range) => storage.getStream(key, range));
+
+    } catch (error) {
+        console.error(`❌ Failed to serve ${key}:`, error.message);
+        if (!res.headersSent) {
+            res.status(502).json({ success: false, error: 'Failed to read file from storage', message: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Text of a playlist from disk or remote storage (null when it does not exist)
+async function readPlaylist(filePath, key) {
+    if (fs.existsSync(filePath)) {
+        return fs.readFileSync(filePath, 'utf8');
     }
-    
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
+
+    const storage = getStorage();
+    if (storage.isLocal || !(await storage.stat(key))) return null;
+
+    const chunks = [];
+    for await (const chunk of await storage.getStream(key)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Players do not carry the query string over to the URIs in a playlist, so a key sent as
+// ?api_key= (native HLS playback cannot set headers) is added to every URI it references
+function withApiKey(playlist, apiKey) {
+    if (!apiKey) return playlist;
+    const query = `api_key=${encodeURIComponent(apiKey)}`;
+    const addQuery = (uri) => `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+
+    return playlist.split('\n').map(line => {
+        if (!line.trim()) return line;
+        if (line.startsWith('#')) return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${addQuery(uri)}"`);
+        return addQuery(line.trim());
+    }).join('\n');
+}
+
+// Send a whole file or the requested byte range
+async function sendStream(req, res, fileSize, filename, openStream) {
+    const range = parseRange(req.headers.range, fileSize);
+
+    if (range === false) {
+        res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+        return res.end();
+    }
+
     if (range) {
-        // Parse Range header
-        const parts = range.replace(/bytes=/, "").split("-");
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-        
-        const chunksize = (end - start) + 1;
-        const file = fs.createReadStream(filePath, { start, end });
-        
         // Set proper headers for range request
-        const head = {
-            'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+        res.writeHead(206, {
+            'Content-Range': `bytes ${range.start}-${range.end}/${fileSize}`,
             'Accept-Ranges': 'bytes',
-            'Content-Length': chunksize,
+            'Content-Length': (range.end - range.start) + 1,
             'Content-Type': getContentType(filename),
-        };
-        
-        res.writeHead(206, head);
-        file.pipe(res);
+        });
     } else {
         // No range request - serve entire file
-        const head = {
+        res.writeHead(200, {
             'Content-Length': fileSize,
             'Content-Type': getContentType(filename),
             'Accept-Ranges': 'bytes'
-        };
-        
-        res.writeHead(200, head);
-        fs.createReadStream(filePath).pipe(res);
+        });
+    }
+
+    const stream = await openStream(range);
+    stream.on('error', (error) => res.destroy(error));
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
+
+// Parse "bytes=start-end" / "bytes=start-" / "bytes=-suffix"
+// Returns null without a Range header and false when the range cannot be satisfied
+function parseRange(header, fileSize) {
+    if (!header) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (!match[1] && !match[2])) return false;
+
+    let start;
+    let end;
+    if (!match[1]) {
+        start = Math.max(0, fileSize - parseInt(match[2], 10));
+        end = fileSize - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), fileSize - 1) : fileSize - 1;
     }
-});
 
-// Helper function for content types
-function getContentType(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    const contentTypes = {
-        '.mp4': 'video/mp4',
-        '.avi': 'video/avi', 
-        '.mov': 'video/quicktime',
-        '.wmv': 'video/x-ms-wmv',
-        '.webm': 'video/webm'
-    };
-    return contentTypes[ext] || 'application/octet-stream';
+    return start <= end && start < fileSize ? { start, end } : false;
 }
 
 export default router;
@@ -1,5 +1,13 @@
 import express from "express";
-import { uploadVideo } from "../controllers/uploadController.js";
+import { uploadVideo, uploadFromUrl } from "../controllers/uploadController.js";
+import {
+    createUploadSession,
+    getUploadSession,
+    uploadChunk,
+    completeUploadSession,
+    abortUploadSession,
+    MAX_CHUNK_BYTES
+} from "../controllers/chunkedUploadController.js";
 import upload from "../middleware/multer.js";
 
 const router = express.Router();
@@ -7,4 +15,18 @@ const router = express.Router();
 // Single video upload
 router.post("/", upload.single("video"), uploadVideo);
 
+// Download the video from an HTTP(S) URL instead
+router.post("/from-url", uploadFromUrl);
+
+// Resumable chunked upload (for large files and unreliable connections)
+router.post("/sessions", createUploadSession);
+router.get("/sessions/:uploadId", getUploadSession);
+router.put(
+    "/sessions/:uploadId/chunks/:index",
+    express.raw({ type: () => true, limit: MAX_CHUNK_BYTES }),
+    uploadChunk
+);
+router.post("/sessions/:uploadId/complete", completeUploadSession);
+router.delete("/sessions/:uploadId", abortUploadSession);
+
 export default router;
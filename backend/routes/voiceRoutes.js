@@ -0,0 +1,52 @@
+// routes/voiceRoutes.js
+
+// ===== IMPORT REQUIRED MODULES =====
+import express from 'express';
+import { getVoiceCatalog, VOICE_GENDERS, VOICE_RATE_RANGE, VOICE_PITCH_RANGE } from '../services/ttsService.js';
+import { SPEAKER_COUNT_RANGE } from '../services/diarizationService.js';
+import { listTtsEngines } from '../services/ttsEngines/index.js';
+
+const router = express.Router();
+
+// ===== VOICE CATALOG =====
+/**
+ * GET /api/voices
+ * List the voices an upload can pick per target language (voice / voiceGender fields, or per
+ * diarized speaker with speakerVoices) and the accepted speechRate, pitch and speakerCount ranges
+ * The engines are tried in order per segment (TTS_ENGINES); offline ones voice the dub without network
+ * Query: language (optional) - only this target language
+ */
+router.get('/', (req, res) => {
+  try {
+    const language = (req.query.language || '').trim();
+    const languages = getVoiceCatalog().filter(entry => !language || entry.language === language);
+
+    if (language && languages.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Language not supported',
+        message: `No voices for language '${language}'`
+      });
+    }
+
+    res.json({
+      success: true,
+      languages,
+      genders: VOICE_GENDERS,
+      speech_rate: { ...VOICE_RATE_RANGE, unit: 'percent', default: 0 },
+      pitch: { ...VOICE_PITCH_RANGE, unit: 'Hz', default: 0 },
+      speaker_count: { ...SPEAKER_COUNT_RANGE, default: null },
+      engines: listTtsEngines()
+    });
+
+  } catch (error) {
+    console.error('❌ Voice catalog error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list voices',
+      message: error.message
+    });
+  }
+});
+
+export default router;
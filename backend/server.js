@@ -14,10 +14,41 @@ import connectDB from "./config/db.js";
 import uploadRoutes from "./routes/uploadRoutes.js";
 import streamRoutes from "./routes/streamRoutes.js"; 
 import processRoutes from "./routes/processRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import voiceRoutes from "./routes/voiceRoutes.js";
+import lexiconRoutes from "./routes/lexiconRoutes.js";
+
+// Import authentication middleware
+import { authenticate, authorizeFileAccess } from "./middleware/auth.js";
+
+// Import background queue worker
+import { startQueueWorker, stopQueueWorker } from "./services/queueService.js";
+import { startDownloadRecovery, stopDownloadRecovery } from "./services/downloadService.js";
+import { startRetentionSchedule, stopRetentionSchedule } from "./services/retentionService.js";
+import { localPathFor } from "./services/storage/index.js";
+import { startWebhookRetries, stopWebhookRetries } from "./services/webhookService.js";
 
 // ===== INITIALIZE ENVIRONMENT AND DATABASE =====
 dotenv.config();
-connectDB();
+connectDB()
+    .then(() => {
+        startDownloadRecovery();
+        startQueueWorkerWithRetry();
+        startRetentionSchedule();
+        startWebhookRetries();
+    });
+
+// A database error while the queue worker starts is retried instead of becoming an
+// unhandled rejection (which ends the process)
+const QUEUE_START_RETRY_MS = 10000;
+let queueStartRetryTimer = null;
+
+const startQueueWorkerWithRetry = () => {
+    startQueueWorker().catch(error => {
+        console.error(`❌ Queue worker failed to start: ${error.message}. Retrying in ${QUEUE_START_RETRY_MS / 1000}s`);
+        queueStartRetryTimer = setTimeout(startQueueWorkerWithRetry, QUEUE_START_RETRY_MS);
+    });
+};
 
 const app = express();
 
@@ -26,8 +57,8 @@ const app = express();
 // Enable CORS for frontend (running outside backend folder)
 app.use(cors({
     origin: "*",
-    methods: ["GET", "POST", "HEAD", "OPTIONS", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Range", "Accept-Ranges", "Authorization"],
+    methods: ["GET", "POST", "HEAD", "OPTIONS", "PUT", "PATCH", "DELETE"],
+    allowedHeaders: ["Content-Type", "Range", "Accept-Ranges", "Authorization", "X-API-Key", "Last-Event-ID", "X-Chunk-Checksum"],
     exposedHeaders: ["Content-Range", "Accept-Ranges", "Content-Length"],
     credentials: true
 }));
@@ -38,15 +69,8 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // ===== DIRECTORY SETUP =====
 // Ensure upload directories exist
-const uploadDirs = [
-    'uploads',
-    'uploads/originals',
-    'uploads/audio',
-    'uploads/translated_audio',
-    'uploads/captions',
-    'uploads/transcripts',
-    'uploads/processed'
-];
+const uploadDirs = ['', 'originals', 'audio', 'translated_audio', 'captions', 'transcripts', 'processed', 'hls']
+    .map(subdirectory => localPathFor(subdirectory));
 
 uploadDirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
@@ -56,8 +80,10 @@ uploadDirs.forEach(dir => {
 });
 
 // ===== STATIC FILE SERVING =====
-// Serve uploaded videos and processed files
-app.use("/uploads", express.static(path.join(process.cwd(), "uploads"), {
+// Serve uploaded videos and processed files (only to the owner of the job, or an admin)
+// Files that are only in remote storage fall through to streamRoutes (presigned redirect or proxy)
+// HLS playlists skip the static handler: streamRoutes adds the caller's api_key to the URIs inside them
+const serveUploads = express.static(path.resolve(localPathFor("")), {
     setHeaders: (res, filePath) => {
         // Set proper headers for video files
         if (filePath.endsWith('.mp4') || filePath.endsWith('.avi') || filePath.endsWith('.mov')) {
@@ -71,20 +97,33 @@ app.use("/uploads", express.static(path.join(process.cwd(), "uploads"), {
         if (filePath.endsWith('.vtt')) {
             res.setHeader('Content-Type', 'text/vtt');
         }
+        // Set proper headers for HLS segments
+        if (filePath.endsWith('.m4s')) {
+            res.setHeader('Content-Type', 'video/iso.segment');
+        }
     }
-}));
+});
+app.use("/uploads", authenticate, authorizeFileAccess, (req, res, next) => {
+    if (req.path.endsWith('.m3u8')) return next();
+    serveUploads(req, res, next);
+});
 
 // ===== REQUEST LOGGING MIDDLEWARE =====
 app.use((req, res, next) => {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${req.method} ${req.url} - ${req.ip}`);
+    // Path only: EventSource and artifact links carry the API key in the query string
+    console.log(`[${timestamp}] ${req.method} ${req.path} - ${req.ip}`);
     next();
 });
 
 // ===== API ROUTES =====
-app.use("/api/upload", uploadRoutes);
-app.use("/uploads", streamRoutes);
-app.use("/api/process", processRoutes);
+// Every API route needs an API key (see middleware/auth.js)
+app.use("/api/upload", authenticate, uploadRoutes);
+app.use("/uploads", authenticate, authorizeFileAccess, streamRoutes);
+app.use("/api/process", authenticate, processRoutes);
+app.use("/api/admin", authenticate, adminRoutes);
+app.use("/api/voices", authenticate, voiceRoutes);
+app.use("/api/lexicons", authenticate, lexiconRoutes);
 
 // ===== ROOT ENDPOINT =====
 app.get("/", (req, res) => {
@@ -102,8 +141,11 @@ app.get("/", (req, res) => {
             "Video Upload & Processing",
             "Audio Extraction with FFmpeg",
             "Speech-to-Text Transcription", 
+            "Speaker Diarization with Per-Speaker Voices",
             "Text Translation",
-            "Text-to-Speech Generation",
+            "Text-to-Speech Generation with SSML Pauses and Emphasis",
+            "Pronunciation Lexicon per Language",
+            "Offline TTS Fallback (Piper, eSpeak NG)",
             "Caption Generation",
             "Video Assembly",
             "Real-time Processing Status"
@@ -120,14 +162,36 @@ app.get("/api", (req, res) => {
         version: "1.0.0",
         routes: {
             "POST /api/upload": "Upload video file for processing",
+            "POST /api/upload/from-url": "Download a video from an HTTP(S) URL and process it",
+            "POST /api/upload/sessions": "Start a resumable chunked upload",
+            "GET /api/upload/sessions/:uploadId": "Get the chunks received so far",
+            "PUT /api/upload/sessions/:uploadId/chunks/:index": "Upload one chunk (raw body, optional X-Chunk-Checksum)",
+            "POST /api/upload/sessions/:uploadId/complete": "Assemble the chunks, verify the checksum and queue the job",
+            "DELETE /api/upload/sessions/:uploadId": "Abort a chunked upload",
             "GET /api/process/status/:jobId": "Get processing status",
+            "GET /api/process/jobs/:jobId/events": "Live job progress (Server-Sent Events)",
             "GET /api/process/jobs": "List all processing jobs",
             "GET /api/process/stats": "Get processing statistics",
             "POST /api/process/jobs/:jobId/cancel": "Cancel a processing job",
+            "POST /api/process/jobs/:jobId/resume?from=<stage>": "Resume a job from a pipeline stage",
             "DELETE /api/process/jobs/:jobId": "Delete a processing job",
+            "GET /api/admin/users": "List API users (admin)",
+            "POST /api/admin/users": "Create an API user and key (admin)",
+            "POST /api/admin/users/:userId/api-key": "Issue a new API key for a user (admin)",
+            "PATCH /api/admin/users/:userId": "Change a user's role or deactivate them (admin)",
+            "GET /api/admin/retention": "Retention policy and what the last cleanup runs removed (admin)",
+            "POST /api/admin/retention/run": "Run the retention cleanup now (admin)",
             "GET /api/process/health": "System health check",
-            "GET /uploads/:filename": "Stream uploaded/processed files"
+            "GET /api/voices": "Voices per target language, speech rate and pitch ranges (voice, voiceGender, speechRate, pitch, speakerVoices upload fields)",
+            "GET /api/lexicons": "Pronunciation lexicons per target language (version, entry count)",
+            "GET /api/lexicons/:language": "Terms of one language with their respelling or phoneme",
+            "POST /api/lexicons/:language/entries": "Add a term (admin)",
+            "PUT /api/lexicons/:language/entries/:entryId": "Change a term (admin)",
+            "DELETE /api/lexicons/:language/entries/:entryId": "Remove a term (admin)",
+            "GET /uploads/:directory/:filename": "Stream uploaded/processed files (local disk or storage backend)",
+            "GET /uploads/hls/:jobId_hls/master.m3u8": "HLS master playlist (video renditions, original + dubbed audio, WebVTT subtitles)"
         },
+        authentication: "Send an API key as 'Authorization: Bearer <key>' or 'X-API-Key: <key>'",
         documentation: "Visit /api/docs for detailed API documentation",
         timestamp: new Date()
     });
@@ -165,16 +229,20 @@ app.use((req, res) => {
     res.status(404).json({
         success: false,
         error: "Route not found",
-        message: `The requested endpoint ${req.method} ${req.url} does not exist`,
+        message: `The requested endpoint ${req.method} ${req.path} does not exist`,
         availableRoutes: [
             "GET /",
             "GET /api",
             "GET /health",
             "POST /api/upload",
+            "POST /api/upload/from-url",
+            "POST /api/upload/sessions",
             "GET /api/process/status/:jobId",
             "GET /api/process/jobs",
             "GET /api/process/stats",
             "GET /api/process/health",
+            "GET /api/voices",
+            "GET /api/lexicons",
             "GET /uploads/:filename"
         ],
         timestamp: new Date()
@@ -226,6 +294,13 @@ app.use((error, req, res, next) => {
 const gracefulShutdown = (signal) => {
     console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
     
+    // Stop pulling new jobs from the queue
+    clearTimeout(queueStartRetryTimer);
+    stopQueueWorker();
+    stopRetentionSchedule();
+    stopDownloadRecovery();
+    stopWebhookRetries();
+    
     server.close(() => {
         console.log('✅ HTTP server closed');
         
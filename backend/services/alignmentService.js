@@ -0,0 +1,274 @@
+// services/alignmentService.js - WORD TIMESTAMPS AND FORCED ALIGNMENT OVER THE EXTRACTED WAV
+
+// ===== IMPORT REQUIRED MODULES =====
+import { readWavFile } from '../utils/audioUtils.js';
+
+// ===== ALIGNMENT CONFIGURATION =====
+const FRAME_SECONDS = 0.02;          // Energy analysis window
+const SPEECH_ABOVE_FLOOR_DB = 12;    // A frame is speech when this much louder than the noise floor
+const MIN_SPEECH_DB = -55;           // ...and at least this loud (dBFS)
+const MERGE_GAP_SECONDS = 0.3;       // Pauses shorter than this stay inside one speech region
+const MIN_REGION_SECONDS = 0.12;     // Shorter bursts are treated as noise
+const REGION_PADDING_SECONDS = 0.05;
+
+// Segment grouping limits (roughly one two-line caption)
+const SEGMENT_PAUSE_SECONDS = 0.5;
+const SEGMENT_MAX_WORDS = 14;
+const SEGMENT_MAX_SECONDS = 7;
+const SENTENCE_END = /[.!?।॥]$/;
+
+// ===== MAIN ALIGNMENT FUNCTION =====
+/**
+ * Give every segment word-level timestamps
+ * - Engines that time their output (timestamps: 'model') keep their segment boundaries;
+ *   segments whose words have no timings are aligned inside those boundaries
+ * - Untimed output (Google Web Speech) is aligned over the whole file and regrouped into
+ *   segments at the pauses found in the audio
+ * Alignment detects speech regions from the energy of the extracted wav and spreads the
+ * words over them in proportion to their length, so no word is placed in silence
+ * Called by transcriptionService.js before post-processing
+ * @param {Object} srResult - Raw engine output (text, segments, timestamps)
+ * @param {string} audioPath - Extracted 16 kHz mono WAV file
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Object} - srResult with segments[].words = [{ word, start, end, confidence }]
+ */
+export const alignTranscription = (srResult, audioPath, jobId) => {
+  const segments = srResult.segments || [];
+  const modelTimed = srResult.timestamps === 'model';
+
+  if (modelTimed && segments.every(hasTimedWords)) {
+    console.log(`[${jobId}] ✅ Engine returned word-level timestamps, no alignment needed`);
+    return srResult;
+  }
+
+  console.log(`[${jobId}] Aligning words to the extracted audio...`);
+
+  const audio = readWavFile(audioPath);
+  const regions = detectSpeechRegions(audio.samples, audio.sampleRate);
+  const speechSeconds = regions.reduce((sum, region) => sum + region.end - region.start, 0);
+
+  console.log(`[${jobId}]   Audio duration: ${audio.duration.toFixed(1)}s`);
+  console.log(`[${jobId}]   Speech regions: ${regions.length} (${speechSeconds.toFixed(1)}s of speech)`);
+
+  let alignedSegments;
+
+  if (modelTimed) {
+    // Keep the engine's segment boundaries, align words inside each one
+    alignedSegments = segments.map(segment => {
+      if (hasTimedWords(segment)) return segment;
+      const window = clipRegions(regions, segment.start, segment.end);
+      const words = alignWords(splitWords(segment), window, segment.confidence);
+      return { ...segment, words };
+    });
+  } else {
+    // No usable timing at all: align the full word sequence, then segment at pauses
+    const allWords = segments.flatMap(segment =>
+      splitWords(segment).map(word => ({ word, confidence: segment.confidence }))
+    );
+    const timedWords = alignWords(allWords.map(entry => entry.word), regions.length > 0 ? regions : [{ start: 0, end: audio.duration }]);
+    timedWords.forEach((word, index) => { word.confidence = allWords[index].confidence; });
+    alignedSegments = groupWordsIntoSegments(timedWords);
+  }
+
+  console.log(`[${jobId}] ✅ Aligned ${alignedSegments.reduce((sum, segment) => sum + segment.words.length, 0)} words into ${alignedSegments.length} segments`);
+
+  return {
+    ...srResult,
+    segments: alignedSegments,
+    timestamps: modelTimed ? 'model' : 'aligned',
+    alignment: {
+      method: 'energy-vad',
+      speech_regions: regions.length,
+      speech_seconds: parseFloat(speechSeconds.toFixed(3)),
+      audio_duration: parseFloat(audio.duration.toFixed(3))
+    }
+  };
+};
+
+// ===== GROUP TIMED WORDS INTO SEGMENTS =====
+/**
+ * Build segments from a sequence of timed words, breaking at pauses, sentence ends
+ * and caption-sized limits
+ * Also used by engines that only return word timings (Whisper word mode)
+ * @param {Array<Object>} words - [{ word, start, end, confidence? }]
+ * @returns {Array<Object>} - Segments { start, end, text, confidence, words }
+ */
+export const groupWordsIntoSegments = (words) => {
+  const segments = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const confidences = current.filter(word => typeof word.confidence === 'number');
+    segments.push({
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      text: current.map(word => word.word).join(' '),
+      confidence: confidences.length > 0
+        ? confidences.reduce((sum, word) => sum + word.confidence, 0) / confidences.length
+        : undefined,
+      words: current
+    });
+    current = [];
+  };
+
+  words.forEach(word => {
+    if (current.length > 0) {
+      const previous = current[current.length - 1];
+      const pause = word.start - previous.end;
+      const tooLong = word.end - current[0].start > SEGMENT_MAX_SECONDS || current.length >= SEGMENT_MAX_WORDS;
+
+      if (pause >= SEGMENT_PAUSE_SECONDS || SENTENCE_END.test(previous.word) || tooLong) {
+        flush();
+      }
+    }
+    current.push(word);
+  });
+  flush();
+
+  return segments;
+};
+
+// ===== HELPER FUNCTION: DETECT SPEECH REGIONS =====
+/**
+ * Find the parts of the audio that contain speech from frame energy
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} - [{ start, end }] in seconds, sorted
+ */
+export const detectSpeechRegions = (samples, sampleRate) => {
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+  const frameCount = Math.floor(samples.length / frameSize);
+  if (frameCount === 0) return [];
+
+  const levels = new Float32Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+      sum += samples[i] * samples[i];
+    }
+    levels[frame] = 20 * Math.log10(Math.sqrt(sum / frameSize) + 1e-10);
+  }
+
+  // Noise floor = 10th percentile of frame levels
+  const sorted = Float32Array.from(levels).sort();
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+  const threshold = Math.max(noiseFloor + SPEECH_ABOVE_FLOOR_DB, MIN_SPEECH_DB);
+  const frameSeconds = frameSize / sampleRate;
+  const duration = samples.length / sampleRate;
+
+  // Collect runs of speech frames
+  const regions = [];
+  let runStart = null;
+  for (let frame = 0; frame <= frameCount; frame++) {
+    const speech = frame < frameCount && levels[frame] >= threshold;
+    if (speech && runStart === null) runStart = frame;
+    if (!speech && runStart !== null) {
+      regions.push({ start: runStart * frameSeconds, end: frame * frameSeconds });
+      runStart = null;
+    }
+  }
+
+  // Merge short pauses, drop noise bursts, pad edges
+  const merged = [];
+  regions.forEach(region => {
+    const previous = merged[merged.length - 1];
+    if (previous && region.start - previous.end < MERGE_GAP_SECONDS) {
+      previous.end = region.end;
+    } else {
+      merged.push({ ...region });
+    }
+  });
+
+  return merged
+    .filter(region => region.end - region.start >= MIN_REGION_SECONDS)
+    .map(region => ({
+      start: parseFloat(Math.max(0, region.start - REGION_PADDING_SECONDS).toFixed(3)),
+      end: parseFloat(Math.min(duration, region.end + REGION_PADDING_SECONDS).toFixed(3))
+    }));
+};
+
+// ===== HELPER FUNCTION: ALIGN WORDS TO SPEECH REGIONS =====
+/**
+ * Spread words over speech regions in proportion to their length (in characters)
+ * @param {Array<string>} words - Words in spoken order
+ * @param {Array<Object>} regions - [{ start, end }] speech regions
+ * @param {number} confidence - Confidence copied onto every word (optional)
+ * @returns {Array<Object>} - [{ word, start, end, confidence }]
+ */
+const alignWords = (words, regions, confidence) => {
+  if (words.length === 0 || regions.length === 0) return [];
+
+  const speechSeconds = regions.reduce((sum, region) => sum + region.end - region.start, 0);
+  const weights = words.map(word => [...word].length + 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Convert a position on the concatenated speech timeline to file time
+  const toFileTime = (speechTime) => {
+    let remaining = speechTime;
+    for (const region of regions) {
+      const length = region.end - region.start;
+      if (remaining <= length) return { time: region.start + remaining, region };
+      remaining -= length;
+    }
+    const last = regions[regions.length - 1];
+    return { time: last.end, region: last };
+  };
+
+  let position = 0;
+  return words.map((word, index) => {
+    const from = toFileTime((position / totalWeight) * speechSeconds);
+    position += weights[index];
+    const to = toFileTime((position / totalWeight) * speechSeconds - 1e-6);
+
+    let start = from.time;
+    let end = to.time;
+
+    // A word crossing a pause stays in the region holding most of it
+    if (from.region !== to.region) {
+      if (from.region.end - start >= end - to.region.start) {
+        end = from.region.end;
+      } else {
+        start = to.region.start;
+      }
+    }
+
+    const aligned = {
+      word,
+      start: parseFloat(start.toFixed(3)),
+      end: parseFloat(Math.max(end, start).toFixed(3))
+    };
+    if (typeof confidence === 'number') aligned.confidence = confidence;
+    return aligned;
+  });
+};
+
+// ===== HELPER FUNCTION: CLIP REGIONS TO A WINDOW =====
+const clipRegions = (regions, start, end) => {
+  const clipped = regions
+    .filter(region => region.end > start && region.start < end)
+    .map(region => ({ start: Math.max(region.start, start), end: Math.min(region.end, end) }));
+
+  // The engine heard speech here even if the energy detector did not
+  return clipped.length > 0 ? clipped : [{ start, end: Math.max(end, start) }];
+};
+
+// ===== HELPER FUNCTION: WORDS OF A SEGMENT =====
+const splitWords = (segment) => {
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    return segment.words.map(word => (typeof word === 'string' ? word : word.word)).filter(Boolean);
+  }
+  return (segment.text || '').split(/\s+/).filter(Boolean);
+};
+
+const hasTimedWords = (segment) => {
+  return Array.isArray(segment.words) && segment.words.length > 0 &&
+    segment.words.every(word => word && typeof word.start === 'number' && typeof word.end === 'number');
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  alignTranscription,
+  groupWordsIntoSegments,
+  detectSpeechRegions
+};
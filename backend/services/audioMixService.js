@@ -0,0 +1,232 @@
+// services/audioMixService.js - BACKGROUND MUSIC AND EFFECTS UNDER THE DUB TRACK
+
+// ===== IMPORT REQUIRED MODULES =====
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import fs from 'fs';
+import path from 'path';
+import { trackProcess } from './cancellationService.js';
+import { publishJobProgress } from './jobEventsService.js';
+
+// Set FFmpeg binary path (required for fluent-ffmpeg to work)
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+// ===== MIX MODES =====
+// replace - the dub track replaces the original audio (no background)
+// duck    - background bed from the original audio, lowered while the dub speaks
+// mix     - background bed at a constant lower level under the whole dub
+export const AUDIO_MIX_MODES = ['replace', 'duck', 'mix'];
+
+// ===== MIX CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getMixConfig = () => ({
+  // Mode of jobs created without audioMix
+  defaultMode: AUDIO_MIX_MODES.includes(process.env.DUB_AUDIO_MIX) ? process.env.DUB_AUDIO_MIX : 'replace',
+  // Cancel the centre channel of stereo sources, where dialogue usually sits
+  centerCut: process.env.DUB_BED_CENTER_CUT !== 'false',
+  // Attenuation of the voice band (300 Hz - 3.4 kHz) in the bed, 0 = off
+  voiceCutDb: parseNumber(process.env.DUB_BED_VOICE_CUT_DB, 12),
+  // Bed level while the dub speaks (duck) and throughout (mix)
+  duckBedDb: parseNumber(process.env.DUB_DUCK_BED_DB, -18),
+  mixBedDb: parseNumber(process.env.DUB_MIX_BED_DB, -8),
+  // Ramp into and out of a ducked region
+  duckFadeSeconds: Math.max(0.01, parseNumber(process.env.DUB_DUCK_FADE_S, 0.25)),
+  // Speech regions closer than this are ducked as one (no pumping between sentences)
+  duckMergeGapSeconds: Math.max(0, parseNumber(process.env.DUB_DUCK_MERGE_GAP_S, 0.8))
+});
+
+// Sample rate of the mixed track
+const MIX_SAMPLE_RATE = 48000;
+
+// ===== RESOLVE MODE =====
+/**
+ * Mix mode of a job (its audio_mix option, else DUB_AUDIO_MIX)
+ * @param {string} mode - Mode requested for the job (optional)
+ * @returns {string} - One of AUDIO_MIX_MODES
+ */
+export const resolveMixMode = (mode) => {
+  return AUDIO_MIX_MODES.includes(mode) ? mode : getMixConfig().defaultMode;
+};
+
+// ===== MIX DUB TRACK =====
+/**
+ * Put the background of the original audio under the dub track of a language branch
+ * The bed is the original audio with the centre channel (stereo sources) and the voice band
+ * suppressed; in duck mode it is lowered over the speech regions recorded in the
+ * `<key>_timeline.json` written by ttsService.js (or keyed on the dub itself without one)
+ * @param {string} jobId - Job identifier (logging and cancellation)
+ * @param {Object} options - Mix options
+ * @param {string} options.mode - replace, duck or mix
+ * @param {string} options.originalVideoPath - Source of the background
+ * @param {string} options.ttsAudioPath - Dub track of the branch
+ * @param {string} options.artifactKey - File-name key of the branch (default: jobId)
+ * @param {string} options.language - Branch language (progress events)
+ * @param {Object} options.media - Probed source media (source_media), used for channel count
+ * @returns {Promise<string>} - Audio to put on the final video (ttsAudioPath itself for replace)
+ */
+export const mixDubTrack = async (jobId, options = {}) => {
+  const mode = resolveMixMode(options.mode);
+  const { originalVideoPath, ttsAudioPath, media = {} } = options;
+  const artifactKey = options.artifactKey || jobId;
+
+  if (mode === 'replace') return ttsAudioPath;
+
+  if ((media.audio_stream_count ?? 1) === 0) {
+    console.warn(`[${jobId}] ⚠️ Original video has no audio; using the dub track alone (${mode} needs a background)`);
+    return ttsAudioPath;
+  }
+
+  const config = getMixConfig();
+  const outputPath = path.join(path.dirname(ttsAudioPath), `${artifactKey}_mixed.wav`);
+  const speechRegions = readSpeechRegions(ttsAudioPath, config.duckMergeGapSeconds);
+  const stereo = (media.audio_channels || 2) >= 2;
+
+  const filterGraph = buildMixFilter(mode, { ...config, stereo, speechRegions });
+
+  // The duck expression grows with every speech region; read from a file, a long video's
+  // graph cannot exceed the argument size limit of the ffmpeg command (E2BIG)
+  const filterScriptPath = path.join(path.dirname(outputPath), `${artifactKey}_mix_filter.txt`);
+  fs.writeFileSync(filterScriptPath, filterGraph.join(';\n'));
+
+  console.log(`[${jobId}] 🎚️ Mixing dub with background (${mode}${mode === 'duck' ? `, ${speechRegions ? `${speechRegions.length} speech regions` : 'keyed on the dub track'}` : ''})...`);
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg()
+      .input(originalVideoPath)     // Input 0: original audio (background source)
+      .input(ttsAudioPath)          // Input 1: dub track
+      .outputOptions(['-filter_complex_script', filterScriptPath, '-map', '[mixed]'])
+      .audioCodec('pcm_s16le')
+      .audioFrequency(MIX_SAMPLE_RATE)
+      .outputOptions(['-vn'])
+      .format('wav')
+      .output(outputPath)
+      .on('start', (commandLine) => {
+        console.log(`[${jobId}] FFmpeg dub mix command: ${commandLine}`);
+      })
+      .on('progress', (progress) => {
+        if (progress.percent) {
+          publishJobProgress(jobId, 'audio_mix', progress.percent, options.language ? { language: options.language } : {});
+        }
+      })
+      .on('end', resolve)
+      .on('error', (error) => reject(new Error(`Dub mix failed: ${error.message}`)));
+
+    trackProcess(jobId, command);
+    command.run();
+  }).finally(() => fs.rmSync(filterScriptPath, { force: true }));
+
+  if (!fs.existsSync(outputPath)) {
+    throw new Error('Dub mix produced no output');
+  }
+
+  console.log(`[${jobId}] ✅ Dub mixed with background: ${outputPath}`);
+  return outputPath;
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Build the filter graph for a mix
+ * @param {string} mode - duck or mix
+ * @param {Object} settings - Mix configuration plus stereo and speechRegions
+ * @returns {Array<string>} - Filters ending in the [mixed] output
+ */
+export const buildMixFilter = (mode, settings) => {
+  const format = `aformat=sample_rates=${MIX_SAMPLE_RATE}:channel_layouts=stereo`;
+  const bed = [format];
+
+  // Centre cancel: scale the mid (L+R) signal of stereo sources down to 10%
+  if (settings.centerCut && settings.stereo) {
+    bed.push('stereotools=mlev=0.1');
+  }
+
+  // Voice band: cuts around 300 Hz and 3 kHz plus a deeper, wide cut around 1 kHz
+  if (settings.voiceCutDb > 0) {
+    const cut = settings.voiceCutDb;
+    bed.push(
+      `equalizer=f=300:t=o:w=1:g=${-cut / 2}`,
+      `equalizer=f=1000:t=o:w=2:g=${-cut}`,
+      `equalizer=f=3000:t=o:w=1:g=${-cut / 2}`
+    );
+  }
+
+  const filters = [];
+
+  if (mode === 'mix') {
+    bed.push(`volume=${settings.mixBedDb}dB`);
+    filters.push(`[0:a:0]${bed.join(',')}[bed]`);
+    filters.push(`[1:a:0]${format}[dub]`);
+
+  } else if (settings.speechRegions) {
+    // Gain follows the recorded speech regions with linear ramps of duckFadeSeconds
+    bed.push(`volume='${buildDuckExpression(settings.speechRegions, settings)}':eval=frame`);
+    filters.push(`[0:a:0]${bed.join(',')}[bed]`);
+    filters.push(`[1:a:0]${format}[dub]`);
+
+  } else {
+    // No timeline: compress the bed whenever the dub track carries signal
+    filters.push(`[0:a:0]${bed.join(',')}[bedsrc]`);
+    filters.push(`[1:a:0]${format},asplit=2[dub][key]`);
+    filters.push(`[bedsrc][key]sidechaincompress=threshold=0.01:ratio=20:attack=${Math.round(settings.duckFadeSeconds * 200)}:release=${Math.round(settings.duckFadeSeconds * 2000)}:makeup=1[bed]`);
+  }
+
+  // Bed decides the length (the dub track is exactly as long as the video); limiter keeps peaks
+  filters.push(`[bed][dub]amix=inputs=2:duration=first:normalize=0,alimiter=limit=0.95[mixed]`);
+  return filters;
+};
+
+// volume expression: 1 outside speech, duck gain inside, linear ramps at the edges
+const buildDuckExpression = (regions, settings) => {
+  if (regions.length === 0) return '1';
+
+  const duckGain = Math.pow(10, settings.duckBedDb / 20).toFixed(4);
+  const fade = settings.duckFadeSeconds;
+  const inside = regions.map(region => {
+    const rampInStart = (region.start - fade).toFixed(3);
+    const rampOutEnd = (region.end + fade).toFixed(3);
+    return `min(clip((t-${rampInStart})/${fade},0,1),clip((${rampOutEnd}-t)/${fade},0,1))`;
+  });
+
+  // Quoted in the filter graph, so the commas need no escaping
+  return `1-(1-${duckGain})*min(1,${inside.join('+')})`;
+};
+
+// Speech regions of a dub track from its timeline file (null when there is none)
+const readSpeechRegions = (ttsAudioPath, mergeGapSeconds) => {
+  const timelinePath = ttsAudioPath.replace(/_translated\.wav$/, '_timeline.json');
+  if (timelinePath === ttsAudioPath || !fs.existsSync(timelinePath)) return null;
+
+  try {
+    const timeline = JSON.parse(fs.readFileSync(timelinePath, 'utf8'));
+    const regions = (timeline.placements || [])
+      .filter(placement => typeof placement.start === 'number' && typeof placement.end === 'number' && placement.end > placement.start)
+      .map(placement => ({ start: placement.start, end: placement.end }))
+      .sort((a, b) => a.start - b.start);
+
+    return regions.reduce((merged, region) => {
+      const last = merged[merged.length - 1];
+      if (last && region.start - last.end <= mergeGapSeconds) {
+        last.end = Math.max(last.end, region.end);
+      } else {
+        merged.push({ ...region });
+      }
+      return merged;
+    }, []);
+  } catch (error) {
+    console.warn(`⚠️ Unreadable dub timeline ${timelinePath}: ${error.message}`);
+    return null;
+  }
+};
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// ===== MAIN EXPORT =====
+export default {
+  AUDIO_MIX_MODES,
+  resolveMixMode,
+  mixDubTrack,
+  buildMixFilter
+};
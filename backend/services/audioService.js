@@ -7,6 +7,8 @@ import fs from 'fs';
 import path from 'path';
 import Upload from '../models/uploadModel.js';
 import { getFilePath } from '../utils/fileUtils.js';
+import { trackProcess } from './cancellationService.js';
+import { publishJobProgress } from './jobEventsService.js';
 
 // Set FFmpeg binary path (required for fluent-ffmpeg to work)
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -43,7 +45,7 @@ export const extractAudio = async (jobId) => {
       }
       
       // ===== EXTRACT AUDIO USING FFMPEG =====
-      ffmpeg(inputVideoPath)
+      const command = ffmpeg(inputVideoPath)
         .noVideo()                    // Remove video stream, keep only audio
         .audioCodec('pcm_s16le')      // Use PCM 16-bit little-endian (uncompressed, high quality)
         .audioChannels(1)             // Mono audio (required for Whisper)
@@ -59,6 +61,7 @@ export const extractAudio = async (jobId) => {
         .on('progress', (progress) => {
           if (progress.percent) {
             console.log(`[${jobId}] Audio extraction progress: ${Math.round(progress.percent)}%`);
+            publishJobProgress(jobId, 'audio_extraction', progress.percent);
           }
         })
         
@@ -92,9 +95,11 @@ export const extractAudio = async (jobId) => {
           } else {
             reject(new Error(`Audio extraction failed: ${error.message}`));
           }
-        })
-        
-        .run();
+        });
+      
+      // Register with the cancellation service so a cancel request can kill FFmpeg
+      trackProcess(jobId, command);
+      command.run();
         
     } catch (error) {
       console.error(`[${jobId}] ❌ Audio extraction setup failed:`, error.message);
@@ -150,7 +155,7 @@ export const replaceAudioInVideo = async (jobId) => {
       }
       
       // ===== REPLACE AUDIO USING FFMPEG =====
-      ffmpeg()
+      const command = ffmpeg()
         .input(originalVideoPath)
         .input(translatedAudioPath)
         .videoCodec('copy')
@@ -171,6 +176,7 @@ export const replaceAudioInVideo = async (jobId) => {
         .on('progress', (progress) => {
           if (progress.percent) {
             console.log(`[${jobId}] Audio replacement progress: ${Math.round(progress.percent)}%`);
+            publishJobProgress(jobId, 'video_assembly', progress.percent);
           }
         })
         
@@ -207,9 +213,11 @@ export const replaceAudioInVideo = async (jobId) => {
           } else {
             reject(new Error(`Audio replacement failed: ${error.message}`));
           }
-        })
-        
-        .run();
+        });
+      
+      // Register with the cancellation service so a cancel request can kill FFmpeg
+      trackProcess(jobId, command);
+      command.run();
         
     } catch (error) {
       console.error(`[${jobId}] ❌ Audio replacement setup failed:`, error.message);
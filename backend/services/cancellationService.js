@@ -0,0 +1,233 @@
+// services/cancellationService.js - PER-JOB CANCELLATION OF RUNNING PROCESSES
+
+// ===== IMPORT REQUIRED MODULES =====
+import { execFileSync } from 'child_process';
+
+// ===== RUNNING JOB REGISTRY =====
+// jobId -> { controller: AbortController, processes: Set, reason: string|null }
+const runningJobs = new Map();
+
+// ===== CANCELLATION ERROR =====
+/**
+ * Error thrown inside the pipeline once a job has been cancelled
+ * processVideo and the queue worker use it to tell cancellation apart from failure
+ */
+export class JobCancelledError extends Error {
+  constructor(jobId, reason = null) {
+    super(`Job ${jobId} was cancelled${reason ? `: ${reason}` : ''}`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+    this.reason = reason;
+  }
+}
+
+// ===== BEGIN JOB =====
+/**
+ * Register a job as running on this server
+ * Called by processController.js when the pipeline starts
+ * @param {string} jobId - Job identifier
+ * @returns {AbortSignal} - Signal that is aborted when the job is cancelled
+ */
+export const beginJob = (jobId) => {
+  const existing = runningJobs.get(jobId);
+  if (existing && !existing.controller.signal.aborted) {
+    return existing.controller.signal;
+  }
+
+  const entry = { controller: new AbortController(), processes: new Set(), reason: null };
+  runningJobs.set(jobId, entry);
+  return entry.controller.signal;
+};
+
+// ===== END JOB =====
+/**
+ * Forget a job once the pipeline has finished (successfully or not)
+ * @param {string} jobId - Job identifier
+ */
+export const endJob = (jobId) => {
+  runningJobs.delete(jobId);
+};
+
+// ===== TRACK PROCESS =====
+/**
+ * Register an external process so cancellation can kill it
+ * Accepts fluent-ffmpeg commands and child_process ChildProcess objects
+ * @param {string} jobId - Job identifier
+ * @param {Object} proc - FfmpegCommand or ChildProcess
+ * @returns {Object} - The same process, for chaining
+ */
+export const trackProcess = (jobId, proc) => {
+  const entry = runningJobs.get(jobId);
+  if (!entry || !proc) return proc;
+
+  // Cancelled before the process even started: kill it right away
+  if (entry.controller.signal.aborted) {
+    setImmediate(() => killProcess(proc));
+    return proc;
+  }
+
+  entry.processes.add(proc);
+  const untrack = () => entry.processes.delete(proc);
+
+  if (typeof proc.once === 'function') {
+    if (typeof proc.run === 'function') {
+      // fluent-ffmpeg command
+      proc.once('end', untrack);
+      proc.once('error', untrack);
+    } else {
+      // child_process
+      proc.once('exit', untrack);
+      proc.once('error', untrack);
+    }
+  }
+
+  return proc;
+};
+
+// ===== CANCEL JOB =====
+/**
+ * Abort a running job and kill every process it registered
+ * @param {string} jobId - Job identifier
+ * @param {string} reason - Reason recorded on the error
+ * @returns {Object} - Whether the job was running here and how many processes were killed
+ */
+export const cancelJob = (jobId, reason = null) => {
+  const entry = runningJobs.get(jobId);
+
+  if (!entry) {
+    return { running: false, killed: 0 };
+  }
+
+  entry.reason = reason;
+  entry.controller.abort(new JobCancelledError(jobId, reason));
+
+  let killed = 0;
+  for (const proc of entry.processes) {
+    if (killProcess(proc)) killed++;
+  }
+  entry.processes.clear();
+
+  console.log(`[${jobId}] 🛑 Cancellation signalled, ${killed} running process(es) killed`);
+  return { running: true, killed };
+};
+
+// ===== CHECK CANCELLATION =====
+/**
+ * Check whether a running job has been cancelled
+ * @param {string} jobId - Job identifier
+ * @returns {boolean} - True if cancelJob was called for this job
+ */
+export const isJobCancelled = (jobId) => {
+  const entry = runningJobs.get(jobId);
+  return !!entry && entry.controller.signal.aborted;
+};
+
+/**
+ * Throw JobCancelledError if the job has been cancelled
+ * Used between pipeline stages and inside long per-segment loops
+ * @param {string} jobId - Job identifier
+ */
+export const throwIfCancelled = (jobId) => {
+  const entry = runningJobs.get(jobId);
+  if (entry && entry.controller.signal.aborted) {
+    throw new JobCancelledError(jobId, entry.reason);
+  }
+};
+
+/**
+ * Get the abort signal of a running job (null if the job is not running here)
+ * @param {string} jobId - Job identifier
+ * @returns {AbortSignal|null}
+ */
+export const getJobSignal = (jobId) => {
+  const entry = runningJobs.get(jobId);
+  return entry ? entry.controller.signal : null;
+};
+
+/**
+ * List ids of jobs currently running on this server
+ * @returns {Array<string>}
+ */
+export const getRunningJobIds = () => [...runningJobs.keys()];
+
+// ===== HELPER FUNCTION: KILL PROCESS =====
+/**
+ * Kill a fluent-ffmpeg command or child process (including everything it spawned)
+ * @param {Object} proc - FfmpegCommand or ChildProcess
+ * @returns {boolean} - True if a kill signal was sent
+ */
+const killProcess = (proc) => {
+  try {
+    if (typeof proc.run === 'function') {
+      proc.kill('SIGKILL');
+      return true;
+    }
+
+    if (proc.exitCode !== null || proc.signalCode !== null) {
+      return false;
+    }
+
+    // exec() runs commands through a shell, so the real worker is usually a grandchild
+    for (const pid of getDescendantPids(proc.pid)) {
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    }
+    proc.kill('SIGKILL');
+    return true;
+
+  } catch (error) {
+    console.warn(`⚠️ Failed to kill process: ${error.message}`);
+    return false;
+  }
+};
+
+// ===== HELPER FUNCTION: DESCENDANT PIDS =====
+/**
+ * List every process below a pid (deepest first) using ps
+ * @param {number} rootPid - Parent process id
+ * @returns {Array<number>} - Descendant pids, empty if ps is unavailable
+ */
+const getDescendantPids = (rootPid) => {
+  if (process.platform === 'win32') return [];
+
+  try {
+    const children = new Map();
+    execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' })
+      .trim()
+      .split('\n')
+      .forEach(line => {
+        const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push(pid);
+      });
+
+    const descendants = [];
+    const collect = (pid) => {
+      for (const child of children.get(pid) || []) {
+        collect(child);
+        descendants.push(child);
+      }
+    };
+    collect(rootPid);
+    return descendants;
+
+  } catch (error) {
+    return [];
+  }
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  JobCancelledError,
+  beginJob,
+  endJob,
+  trackProcess,
+  cancelJob,
+  isJobCancelled,
+  throwIfCancelled,
+  getJobSignal,
+  getRunningJobIds
+};
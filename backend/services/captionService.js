@@ -1,20 +1,30 @@
-// services/captionService.js - FIXED TO SYNC WITH REGENERATED AUDIO DURATIONS
+// services/captionService.js - CAPTIONS TIMED FROM SOURCE SPEECH BOUNDARIES
 
 // ===== IMPORT REQUIRED MODULES =====
 import fs from 'fs';
 import path from 'path';
 import { exec } from 'child_process';
+import { stripEmphasisMarkers } from './ssmlService.js';
+import { localPathFor } from './storage/index.js';
 
 // ===== CAPTION AND TRANSCRIPT GENERATION SERVICE - NO DATABASE DEPENDENCY =====
 /**
  * Generate WebVTT captions and plain text transcript from translated segments
- * Synced with newly regenerated TTS audio durations (no database dependency)
+ * Cues follow the speech boundaries found during transcription (word timestamps or
+ * forced alignment); transcriptions without real timing are spread over the media
+ * duration as before (no database dependency)
  * Called by processController.js in step 6 of processing pipeline
  * @param {Object} translation - Translation object from translationService with text, language, segments
  * @param {string} jobId - Unique job identifier for file naming
+ * @param {Object} options - Caption options
+ * @param {string} options.artifactKey - File-name key of the language branch (default: jobId)
+ * @param {string} options.ttsAudioPath - TTS audio of the branch (default: `${artifactKey}_translated.wav`)
+ * @param {string} options.originalVideoPath - Source video (default: most recent upload)
  * @returns {Promise<Object>} - Object with captionPath and transcriptPath
  */
-export const generateCaptions = async (translation, jobId) => {
+export const generateCaptions = async (translation, jobId, options = {}) => {
+  const artifactKey = options.artifactKey || jobId;
+  
   try {
     console.log(`[${jobId}] Starting caption and transcript generation...`);
     
@@ -27,6 +37,13 @@ export const generateCaptions = async (translation, jobId) => {
       throw new Error('Translation segments array is empty or invalid');
     }
     
+    // Emphasis markers only steer the dub (see ssmlService.js); captions show the plain words
+    translation = {
+      ...translation,
+      text: stripEmphasisMarkers(translation.text),
+      segments: translation.segments.map(segment => ({ ...segment, text: stripEmphasisMarkers(segment.text) }))
+    };
+    
     console.log(`[${jobId}] Processing ${translation.segments.length} segments for captions`);
     console.log(`[${jobId}] Target language: ${translation.language_name || translation.language}`);
     
@@ -35,7 +52,7 @@ export const generateCaptions = async (translation, jobId) => {
     
     // Get video duration from original video file
     let videoDuration = 0;
-    const originalVideoPath = await findOriginalVideoFile(jobId);
+    const originalVideoPath = options.originalVideoPath || await findOriginalVideoFile(jobId);
     if (originalVideoPath) {
       videoDuration = await getFileDuration(originalVideoPath);
       console.log(`[${jobId}] ✅ Original video duration: ${videoDuration}s`);
@@ -43,22 +60,23 @@ export const generateCaptions = async (translation, jobId) => {
     
     // Get TTS audio duration from generated file
     let audioDuration = 0;
-    const ttsAudioPath = `./uploads/translated_audio/${jobId}_translated.wav`;
+    const ttsAudioPath = options.ttsAudioPath || localPathFor(`translated_audio/${artifactKey}_translated.wav`);
     if (fs.existsSync(ttsAudioPath)) {
       audioDuration = await getFileDuration(ttsAudioPath);
       console.log(`[${jobId}] ✅ Generated TTS audio duration: ${audioDuration}s`);
     }
     
-    // Use the actual durations for caption timing
-    const actualDuration = audioDuration || videoDuration || 30; // Prefer TTS audio duration
+    // Cues are clamped to the video; the TTS duration is only used when the video is unknown
+    const actualDuration = videoDuration || audioDuration || 30;
+    const useSpeechTiming = hasSpeechTiming(translation);
     
-    console.log(`[${jobId}] 🎯 Using duration for captions: ${actualDuration}s`);
+    console.log(`[${jobId}] 🎯 Media duration for captions: ${actualDuration}s`);
     console.log(`[${jobId}] 📊 Segment count: ${translation.segments.length}`);
-    console.log(`[${jobId}] ⏱️ Duration per segment: ${(actualDuration / translation.segments.length).toFixed(2)}s`);
+    console.log(`[${jobId}] ⏱️ Timing source: ${useSpeechTiming ? `source speech (${translation.timestamps})` : 'equal slicing (no speech timing)'}`);
     
     // ===== CREATE OUTPUT DIRECTORIES =====
-    const captionsDir = './uploads/captions/';
-    const transcriptsDir = './uploads/transcripts/';
+    const captionsDir = localPathFor('captions');
+    const transcriptsDir = localPathFor('transcripts');
     
     // Create captions directory
     if (!fs.existsSync(captionsDir)) {
@@ -73,9 +91,9 @@ export const generateCaptions = async (translation, jobId) => {
     }
     
     // ===== PREPARE OUTPUT FILE PATHS =====
-    const captionFileName = `${jobId}_captions.vtt`;
-    const transcriptFileName = `${jobId}_transcript.txt`;
-    const srtFileName = `${jobId}_captions.srt`;
+    const captionFileName = `${artifactKey}_captions.vtt`;
+    const transcriptFileName = `${artifactKey}_transcript.txt`;
+    const srtFileName = `${artifactKey}_captions.srt`;
     
     const captionFilePath = path.join(captionsDir, captionFileName);
     const transcriptFilePath = path.join(transcriptsDir, transcriptFileName);
@@ -85,9 +103,10 @@ export const generateCaptions = async (translation, jobId) => {
     console.log(`[${jobId}] SRT file: ${srtFilePath}`);
     console.log(`[${jobId}] Transcript file: ${transcriptFilePath}`);
     
-    // ===== REGENERATE SEGMENT TIMING BASED ON ACTUAL DURATION =====
-    console.log(`[${jobId}] 🔧 Regenerating segment timing for captions...`);
-    const syncedSegments = regenerateSegmentTiming(translation.segments, actualDuration, jobId);
+    // ===== TIME CUES FROM SPEECH BOUNDARIES (EQUAL SLICING ONLY WITHOUT TIMING) =====
+    const syncedSegments = useSpeechTiming
+      ? buildSpeechTimedCues(translation.segments, actualDuration, jobId)
+      : regenerateSegmentTiming(translation.segments, actualDuration, jobId);
     
     // ===== GENERATE WEBVTT CAPTIONS =====
     console.log(`[${jobId}] Step 1/3: Generating WebVTT captions...`);
@@ -132,7 +151,7 @@ export const generateCaptions = async (translation, jobId) => {
     // ===== NO DATABASE OPERATIONS - JUST RETURN RESULTS =====
     console.log(`[${jobId}] ✅ Caption and transcript generation completed successfully`);
     console.log(`[${jobId}] WebVTT: ${Math.round(captionStats.size / 1024)} KB, SRT: ${Math.round(srtStats.size / 1024)} KB, Transcript: ${Math.round(transcriptStats.size / 1024)} KB`);
-    console.log(`[${jobId}] 🎯 Captions synced with ${actualDuration}s audio duration`);
+    console.log(`[${jobId}] 🎯 Captions timed from ${useSpeechTiming ? 'source speech boundaries' : `${actualDuration}s media duration`}`);
     
     // ===== RETURN FILE PATHS =====
     return {
@@ -144,6 +163,7 @@ export const generateCaptions = async (translation, jobId) => {
         originalDuration: videoDuration,
         audioDuration: audioDuration,
         usedDuration: actualDuration,
+        timingSource: useSpeechTiming ? 'speech' : 'equal_slicing',
         segmentCount: syncedSegments.length,
         avgSegmentDuration: actualDuration / syncedSegments.length
       }
@@ -164,7 +184,7 @@ export const generateCaptions = async (translation, jobId) => {
  */
 const findOriginalVideoFile = async (jobId) => {
   try {
-    const originalsDir = './uploads/originals/';
+    const originalsDir = localPathFor('originals');
     
     if (!fs.existsSync(originalsDir)) {
       console.warn(`[${jobId}] Originals directory not found: ${originalsDir}`);
@@ -229,9 +249,113 @@ const getFileDuration = async (filePath) => {
   });
 };
 
+// ===== HELPER FUNCTION: CHECK FOR SPEECH TIMING =====
+/**
+ * Whether the translated segments carry real speech timestamps
+ * (engine word timestamps or forced alignment, see alignmentService.js)
+ * @param {Object} translation - Translation object
+ * @returns {boolean} - True when cues can follow the segment start/end times
+ */
+const hasSpeechTiming = (translation) => {
+  return ['model', 'aligned'].includes(translation.timestamps) &&
+    translation.segments.some(segment => typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end > segment.start);
+};
+
+// ===== HELPER FUNCTION: BUILD CUES FROM SPEECH BOUNDARIES =====
+/**
+ * Turn translated segments into caption cues at their real speech boundaries
+ * Segments too long for one two-line cue are split; the split points follow the
+ * timestamps of the source words when available
+ * @param {Array} segments - Translated segments with start, end, text, source_words
+ * @param {number} mediaDuration - Video duration used to clamp cue ends
+ * @param {string} jobId - Job ID for logging
+ * @returns {Array} - Cues with start, end, duration, index
+ */
+const buildSpeechTimedCues = (segments, mediaDuration, jobId) => {
+  console.log(`[${jobId}] Building caption cues from speech boundaries...`);
+  
+  const timed = segments
+    .filter(segment => typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end > segment.start)
+    .filter(segment => segment.text && segment.text.trim().length > 0)
+    .sort((a, b) => a.start - b.start);
+  
+  const cues = [];
+  
+  timed.forEach(segment => {
+    const parts = splitCueText(segment.text.trim().replace(/\s+/g, ' '), MAX_CUE_CHARACTERS);
+    const totalChars = parts.reduce((sum, part) => sum + part.length, 0);
+    let charsBefore = 0;
+    
+    parts.forEach((part, partIndex) => {
+      const start = partIndex === 0 ? segment.start : timeAtFraction(segment, charsBefore / totalChars);
+      charsBefore += part.length;
+      const end = partIndex === parts.length - 1 ? segment.end : timeAtFraction(segment, charsBefore / totalChars);
+      
+      cues.push({
+        ...segment,
+        text: part,
+        start,
+        end,
+        originalStart: segment.start,
+        originalEnd: segment.end,
+        timingRegenerated: false
+      });
+    });
+  });
+  
+  // Clamp to the video and never let a cue run into the next one
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    if (mediaDuration > 0) cue.end = Math.min(cue.end, mediaDuration);
+    if (next && cue.end > next.start) cue.end = next.start;
+    cue.start = parseFloat(cue.start.toFixed(3));
+    cue.end = parseFloat(Math.max(cue.end, cue.start).toFixed(3));
+    cue.duration = parseFloat((cue.end - cue.start).toFixed(3));
+    cue.index = index + 1;
+  });
+  
+  const validCues = cues.filter(cue => cue.duration > 0);
+  console.log(`[${jobId}] ✅ ${validCues.length} cues from ${timed.length} timed segments`);
+  
+  return validCues;
+};
+
+// Longest cue text before a segment is split (two lines of breakLongLines' 40 characters)
+const MAX_CUE_CHARACTERS = 80;
+
+// Split caption text at word boundaries into parts no longer than maxChars
+const splitCueText = (text, maxChars) => {
+  const parts = [];
+  let current = '';
+  
+  text.split(' ').forEach(word => {
+    if (current && (current.length + 1 + word.length) > maxChars) {
+      parts.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) parts.push(current);
+  
+  return parts;
+};
+
+// Time at a fraction of a segment: the start of the source word at that point of the
+// utterance, or linear interpolation when the segment has no word timestamps
+const timeAtFraction = (segment, fraction) => {
+  const words = (segment.source_words || []).filter(word => typeof word.start === 'number');
+  if (words.length > 1) {
+    const word = words[Math.min(words.length - 1, Math.round(fraction * words.length))];
+    return Math.min(Math.max(word.start, segment.start), segment.end);
+  }
+  return segment.start + (segment.end - segment.start) * fraction;
+};
+
 // ===== HELPER FUNCTION: REGENERATE SEGMENT TIMING =====
 /**
  * Regenerate segment timing based on actual audio duration
+ * Fallback for transcriptions without speech timestamps: spreads segments evenly
  * @param {Array} originalSegments - Original segments with old timing
  * @param {number} actualDuration - Actual duration from generated audio
  * @param {string} jobId - Job ID for logging
@@ -279,7 +403,8 @@ const regenerateSegmentTiming = (originalSegments, actualDuration, jobId) => {
 // ===== HELPER FUNCTION: GENERATE WEBVTT CONTENT =====
 /**
  * Create WebVTT format captions from translation segments
- * @param {Array} segments - Array of translation segments with start, end, text
+ * Cues of diarized segments start with a voice tag (<v Speaker 1>)
+ * @param {Array} segments - Array of translation segments with start, end, text, speaker
  * @param {Object} translation - Full translation object for metadata
  * @param {string} jobId - Job ID for logging
  * @returns {string} - WebVTT formatted content
@@ -291,9 +416,10 @@ export const generateWebVTT = (segments, translation, jobId) => {
   let webvtt = 'WEBVTT\n';
   webvtt += `NOTE Generated by Video Translation App\n`;
   webvtt += `NOTE Language: ${translation.language_name || translation.language}\n`;
+  webvtt += `NOTE Source Language: ${describeSourceLanguage(translation)}\n`;
   webvtt += `NOTE Service: ${translation.translation_service || 'enhanced-pipeline'}\n`;
   webvtt += `NOTE Generated: ${new Date().toISOString()}\n`;
-  webvtt += `NOTE Synced with regenerated TTS audio\n`;
+  webvtt += `NOTE Timing: ${describeTiming(translation)}\n`;
   webvtt += `NOTE Total Duration: ${segments[segments.length - 1]?.end || 0}s\n\n`;
   
   // ===== PROCESS EACH SEGMENT =====
@@ -329,6 +455,12 @@ export const generateWebVTT = (segments, translation, jobId) => {
     // Break long lines (WebVTT recommendation: max 32 characters per line)
     captionText = breakLongLines(captionText, 40);
     
+    // Voice span naming the speaker (covers every line of the cue)
+    const speaker = speakerLabel(segment, translation);
+    if (speaker) {
+      captionText = `<v ${speaker}>${escapeCueText(captionText)}`;
+    }
+    
     // ===== ADD SEGMENT TO WEBVTT =====
     webvtt += `${i + 1}\n`;                    // Cue identifier
     webvtt += `${startTime} --> ${endTime}\n`; // Timing
@@ -339,6 +471,45 @@ export const generateWebVTT = (segments, translation, jobId) => {
   return webvtt;
 };
 
+// ===== HELPER FUNCTION: DESCRIBE SOURCE LANGUAGE =====
+/**
+ * Describe the source language of a translation for caption metadata
+ * @param {Object} translation - Translation object with original_language fields
+ * @returns {string} - e.g. "தமிழ் (Tamil) [declared]" or "en [detected]"
+ */
+const describeSourceLanguage = (translation) => {
+  const name = translation.original_language_name || translation.original_language || 'unknown';
+  return translation.source_language_mode ? `${name} [${translation.source_language_mode}]` : name;
+};
+
+// ===== HELPER FUNCTION: SPEAKER LABEL =====
+/**
+ * Display name of the speaker of a segment (see services/diarizationService.js)
+ * @param {Object} segment - Segment or cue with an optional speaker id
+ * @param {Object} translation - Translation object with the speakers list
+ * @returns {string|null} - e.g. "Speaker 2", or null for segments without a speaker
+ */
+const speakerLabel = (segment, translation) => {
+  if (!segment.speaker) return null;
+  const speaker = (translation.speakers || []).find(candidate => candidate.id === segment.speaker);
+  return (speaker && speaker.label) || segment.speaker;
+};
+
+// Cue text may not contain a raw & or < once it is inside a voice span
+const escapeCueText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// ===== HELPER FUNCTION: DESCRIBE CAPTION TIMING =====
+/**
+ * Describe where caption timing comes from, for caption metadata
+ * @param {Object} translation - Translation object with the transcription's timestamps mode
+ * @returns {string} - Human-readable timing source
+ */
+const describeTiming = (translation) => {
+  if (translation.timestamps === 'model') return 'Source speech boundaries (recognition word timestamps)';
+  if (translation.timestamps === 'aligned') return 'Source speech boundaries (forced alignment)';
+  return 'Evenly spread over the media duration (no speech timestamps)';
+};
+
 // ===== HELPER FUNCTION: GENERATE SRT CONTENT =====
 /**
  * Create SRT format captions from translation segments
@@ -392,14 +563,15 @@ export const generatePlainTextTranscript = (segments, translation, jobId) => {
   console.log(`[${jobId}] Generating plain text transcript for ${segments.length} segments...`);
   
   // ===== TRANSCRIPT HEADER =====
-  let transcript = `VIDEO TRANSCRIPT - SYNCED WITH REGENERATED AUDIO\n`;
+  let transcript = `VIDEO TRANSCRIPT\n`;
   transcript += `${'='.repeat(60)}\n\n`;
   transcript += `Language: ${translation.language_name || translation.language}\n`;
+  transcript += `Source Language: ${describeSourceLanguage(translation)}\n`;
   transcript += `Translation Service: ${translation.translation_service || 'enhanced-pipeline'}\n`;
   transcript += `Generated: ${new Date().toLocaleString()}\n`;
   transcript += `Total Segments: ${segments.length}\n`;
   transcript += `Total Duration: ${segments[segments.length - 1]?.end || 0}s\n`;
-  transcript += `Audio Sync: Regenerated TTS timing\n\n`;
+  transcript += `Timing: ${describeTiming(translation)}\n\n`;
   transcript += `${'='.repeat(60)}\n\n`;
   
   // ===== FULL TEXT VERSION =====
@@ -426,7 +598,8 @@ export const generatePlainTextTranscript = (segments, translation, jobId) => {
     const duration = (segment.end - segment.start).toFixed(1);
     
     // ===== ADD SEGMENT TO TRANSCRIPT =====
-    transcript += `[${startTime} - ${endTime}] (${duration}s)\n`;
+    const speaker = speakerLabel(segment, translation);
+    transcript += `[${startTime} - ${endTime}] (${duration}s)${speaker ? ` ${speaker}:` : ''}\n`;
     transcript += `${segment.text.trim()}\n\n`;
   }
   
@@ -434,7 +607,7 @@ export const generatePlainTextTranscript = (segments, translation, jobId) => {
   transcript += `${'='.repeat(60)}\n`;
   transcript += `End of Transcript\n`;
   transcript += `Total Duration: ${formatReadableTime(segments[segments.length - 1]?.end || 0)}\n`;
-  transcript += `Timing: Perfectly synced with generated Bengali TTS audio\n`;
+  transcript += `Timing: ${describeTiming(translation)}\n`;
   
   console.log(`[${jobId}] ✅ Plain text transcript generation completed: ${transcript.length} characters`);
   return transcript;
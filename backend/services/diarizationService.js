@@ -0,0 +1,515 @@
+// services/diarizationService.js - SPEAKER DIARIZATION OVER THE EXTRACTED WAV
+
+// ===== IMPORT REQUIRED MODULES =====
+import { readWavFile } from '../utils/audioUtils.js';
+import { throwIfCancelled } from './cancellationService.js';
+
+// Speaker count an upload may announce (speakerCount)
+export const SPEAKER_COUNT_RANGE = { min: 1, max: 20 };
+
+// ===== DIARIZATION CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getDiarizationConfig = () => ({
+  enabled: process.env.DIARIZATION_ENABLED !== 'false',
+  // Upper bound on the speakers found automatically (speakerCount on the upload overrides it)
+  maxSpeakers: Math.max(1, parseInt(process.env.DIARIZATION_MAX_SPEAKERS) || 8),
+  // Likelihood (nats per frame) two clusters may lose by being merged and still count as one speaker;
+  // higher values merge more readily
+  mergeThreshold: parseNumber(process.env.DIARIZATION_MERGE_THRESHOLD, 0.5)
+});
+
+// Frame analysis (the extracted audio is 16 kHz mono)
+const FRAME_SECONDS = 0.032;
+const HOP_SECONDS = 0.01;
+const FFT_SIZE = 1024;               // Twice the frame, so the autocorrelation taken from the spectrum is not circular
+const MEL_BANDS = 24;
+const MEL_MIN_HZ = 100;
+const CEPSTRAL_COEFFICIENTS = 12;    // c1..c12; c0 (loudness) says nothing about who speaks
+const PRE_EMPHASIS = 0.97;
+const SPEECH_BELOW_PEAK_DB = 30;     // Frames this far below the loudest frame of the segment are pauses
+const MIN_SPEECH_DB = -55;
+
+// Pitch
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 400;
+const VOICING_THRESHOLD = 0.45;      // Normalised autocorrelation peak of a voiced frame
+const MALE_PITCH_BELOW_HZ = 165;     // Median pitch that separates typical male and female voices
+
+// Clustering
+const MIN_CLUSTER_FRAMES = 50;       // Segments with less speech (0.5 s) join a speaker after clustering
+const MIN_SCORED_FRAMES = 10;        // ...by likelihood, or by their neighbours in time below this
+const CEPSTRUM_VARIANCE_FLOOR = 1e-4;
+const PITCH_VARIANCE_FLOOR = 1;      // Semitones squared; keeps a monotone voice from looking unlike itself
+
+// ===== MAIN DIARIZATION FUNCTION =====
+/**
+ * Label every transcription segment with the speaker who says it
+ * Each segment is described by the cepstrum of its speech frames; segments are merged
+ * bottom-up while one Gaussian explains a pair almost as well as two, so the number of
+ * speakers follows from the audio unless options.speakerCount fixes it
+ * Speaker gender is estimated from the median pitch and drives the automatic voice choice
+ * Called by processController.js after transcription
+ * @param {Object} transcription - Transcription with timed segments
+ * @param {string} audioPath - Extracted 16 kHz mono WAV file
+ * @param {string} jobId - Job identifier for logging and cancellation
+ * @param {Object} options - Diarization options
+ * @param {number} options.speakerCount - Exact number of speakers, when known
+ * @returns {Promise<Object|null>} - Transcription with segments[].speaker ('S1', 'S2', ...) and
+ *   speakers [{ id, label, gender, pitch_hz, segment_count, speaking_seconds }], or null when disabled
+ */
+export const diarizeTranscription = async (transcription, audioPath, jobId, options = {}) => {
+  const config = getDiarizationConfig();
+
+  if (!config.enabled) {
+    console.log(`[${jobId}] ⏭️ Speaker diarization disabled (DIARIZATION_ENABLED=false)`);
+    return null;
+  }
+
+  const segments = transcription.segments || [];
+  const timed = segments.map(isTimed);
+
+  if (!timed.some(Boolean)) {
+    throw new Error('Transcription has no timed segments to diarize');
+  }
+
+  console.log(`[${jobId}] Identifying speakers in ${segments.length} segments...`);
+
+  const audio = readWavFile(audioPath);
+  const analyzer = createFrameAnalyzer(audio.sampleRate);
+  const features = [];
+
+  for (let i = 0; i < segments.length; i++) {
+    throwIfCancelled(jobId);
+    features.push(timed[i] ? analyzeSegment(audio, segments[i], analyzer) : null);
+
+    // Yield between segments so live events and other requests are served meanwhile
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  // ===== CLUSTER THE SEGMENTS WITH ENOUGH SPEECH =====
+  let clusters = features
+    .map((feature, index) => feature && feature.frames.length >= MIN_CLUSTER_FRAMES ? createCluster(index, feature) : null)
+    .filter(Boolean);
+
+  // Nothing long enough to compare: everything is one speaker
+  if (clusters.length === 0) {
+    const voiced = features.map((feature, index) => feature && feature.frames.length > 0 ? index : -1).filter(index => index >= 0);
+    if (voiced.length === 0) throw new Error('No speech found in the transcribed segments');
+    clusters = [voiced.slice(1).reduce((cluster, index) => mergeClusters(cluster, createCluster(index, features[index])), createCluster(voiced[0], features[voiced[0]]))];
+  }
+
+  const targetCount = options.speakerCount ? Math.min(options.speakerCount, clusters.length) : null;
+  clusters = clusterSegments(clusters, { targetCount, maxSpeakers: config.maxSpeakers, mergeThreshold: config.mergeThreshold });
+
+  // Speakers are numbered in order of first appearance
+  clusters.sort((a, b) => Math.min(...a.members) - Math.min(...b.members));
+
+  const speakerOf = new Array(segments.length).fill(null);
+  clusters.forEach((cluster, clusterIndex) => {
+    cluster.members.forEach(index => { speakerOf[index] = clusterIndex; });
+  });
+
+  // ===== ASSIGN THE REMAINING SEGMENTS =====
+  segments.forEach((segment, index) => {
+    if (speakerOf[index] !== null) return;
+    const feature = features[index];
+
+    if (feature && feature.frames.length >= MIN_SCORED_FRAMES) {
+      speakerOf[index] = mostLikelyCluster(feature.frames, clusters);
+    } else {
+      speakerOf[index] = nearestLabelledNeighbour(segments, speakerOf, index);
+    }
+  });
+
+  // ===== DESCRIBE THE SPEAKERS =====
+  const speakers = clusters.map((cluster, clusterIndex) => {
+    const memberIndexes = speakerOf.map((speaker, index) => speaker === clusterIndex ? index : -1).filter(index => index >= 0);
+    const pitches = memberIndexes.flatMap(index => features[index] ? features[index].pitches : []);
+    const pitch = median(pitches);
+
+    return {
+      id: speakerId(clusterIndex),
+      label: `Speaker ${clusterIndex + 1}`,
+      gender: pitch === null ? null : (pitch < MALE_PITCH_BELOW_HZ ? 'male' : 'female'),
+      pitch_hz: pitch === null ? null : Math.round(pitch),
+      segment_count: memberIndexes.length,
+      speaking_seconds: parseFloat(memberIndexes
+        .filter(index => timed[index])
+        .reduce((sum, index) => sum + segments[index].end - segments[index].start, 0)
+        .toFixed(3))
+    };
+  });
+
+  console.log(`[${jobId}] ✅ Found ${speakers.length} speaker(s): ${speakers.map(speaker => `${speaker.label} (${speaker.gender || 'unknown'}${speaker.pitch_hz ? `, ${speaker.pitch_hz} Hz` : ''}, ${speaker.segment_count} segments)`).join(', ')}`);
+
+  return {
+    ...transcription,
+    segments: segments.map((segment, index) => ({
+      ...segment,
+      speaker: speakerId(speakerOf[index])
+    })),
+    speakers,
+    diarization: {
+      method: 'cepstral-bic',
+      speaker_count: speakers.length,
+      requested_speaker_count: options.speakerCount || null
+    }
+  };
+};
+
+// ===== HELPER FUNCTION: CLUSTER SEGMENTS =====
+/**
+ * Agglomerative clustering on the generalised likelihood ratio of cluster pairs
+ * The closest pair is merged until every pair costs more than mergeThreshold, then merging
+ * continues while there are more than maxSpeakers; a targetCount overrides both
+ * (frames of one utterance are strongly correlated, so a per-frame ratio is used instead of
+ * BIC, whose penalty is swamped by the frame count and splits one voice by its vowels)
+ * @param {Array<Object>} clusters - Initial clusters, one per segment
+ * @param {Object} settings - { targetCount, maxSpeakers, mergeThreshold }
+ * @returns {Array<Object>} - Remaining clusters
+ */
+const clusterSegments = (clusters, settings) => {
+  const active = [...clusters];
+
+  // costs[a][b] (a < b) of the active clusters; a merge only recomputes the pairs of the merged cluster
+  const costs = active.map((cluster, a) => active.map((other, b) => b > a ? mergeCost(cluster, other) : null));
+
+  while (active.length > 1) {
+    let best = null;
+
+    for (let a = 0; a < active.length; a++) {
+      for (let b = a + 1; b < active.length; b++) {
+        const score = costs[a][b];
+        if (!best || score < best.score) best = { a, b, score };
+      }
+    }
+
+    const mustMerge = settings.targetCount
+      ? active.length > settings.targetCount
+      : best.score <= settings.mergeThreshold || active.length > settings.maxSpeakers;
+    if (!mustMerge) break;
+
+    const merged = mergeClusters(active[best.a], active[best.b]);
+    active.splice(best.b, 1);
+    active.splice(best.a, 1, merged);
+
+    costs.splice(best.b, 1);
+    costs.forEach(row => row.splice(best.b, 1));
+    for (let other = 0; other < active.length; other++) {
+      if (other === best.a) continue;
+      const [a, b] = other < best.a ? [other, best.a] : [best.a, other];
+      costs[a][b] = mergeCost(active[a], active[b]);
+    }
+  }
+
+  return active;
+};
+
+// Likelihood per frame lost by modelling two clusters with one diagonal Gaussian instead of two,
+// for the cepstrum (voice timbre) plus the pitch of the voiced frames
+const mergeCost = (a, b) => {
+  return likelihoodLoss(a.cepstrum, b.cepstrum, CEPSTRUM_VARIANCE_FLOOR) + likelihoodLoss(a.pitch, b.pitch, PITCH_VARIANCE_FLOOR);
+};
+
+const likelihoodLoss = (a, b, floor) => {
+  if (a.n === 0 || b.n === 0) return 0;
+  const merged = combineStatistics(a, b);
+  return (merged.n * logDeterminant(merged, floor) - a.n * logDeterminant(a, floor) - b.n * logDeterminant(b, floor)) / (2 * merged.n);
+};
+
+const createCluster = (index, feature) => ({
+  members: [index],
+  cepstrum: accumulateStatistics(feature.frames, CEPSTRAL_COEFFICIENTS),
+  pitch: accumulateStatistics(feature.pitches.map(hz => [toSemitones(hz)]), 1)
+});
+
+const mergeClusters = (a, b) => ({
+  members: [...a.members, ...b.members],
+  cepstrum: combineStatistics(a.cepstrum, b.cepstrum),
+  pitch: combineStatistics(a.pitch, b.pitch)
+});
+
+// Sufficient statistics (count, sum, sum of squares per dimension) of a set of vectors
+const accumulateStatistics = (vectors, dimensions) => {
+  const sum = new Float64Array(dimensions);
+  const sumSquares = new Float64Array(dimensions);
+
+  vectors.forEach(vector => {
+    for (let d = 0; d < dimensions; d++) {
+      sum[d] += vector[d];
+      sumSquares[d] += vector[d] * vector[d];
+    }
+  });
+
+  return { n: vectors.length, sum, sumSquares };
+};
+
+const combineStatistics = (a, b) => ({
+  n: a.n + b.n,
+  sum: a.sum.map((value, d) => value + b.sum[d]),
+  sumSquares: a.sumSquares.map((value, d) => value + b.sumSquares[d])
+});
+
+const gaussian = (statistics, floor) => {
+  const mean = statistics.sum.map(value => value / statistics.n);
+  const variance = statistics.sumSquares.map((value, d) => Math.max(floor, value / statistics.n - mean[d] * mean[d]));
+  return { mean, variance };
+};
+
+const logDeterminant = (statistics, floor) => {
+  return gaussian(statistics, floor).variance.reduce((sum, value) => sum + Math.log(value), 0);
+};
+
+// Index of the cluster whose cepstral Gaussian gives the frames the highest likelihood
+const mostLikelyCluster = (frames, clusters) => {
+  let best = { index: 0, score: -Infinity };
+
+  clusters.forEach((cluster, index) => {
+    const { mean, variance } = gaussian(cluster.cepstrum, CEPSTRUM_VARIANCE_FLOOR);
+    let score = 0;
+    frames.forEach(frame => {
+      for (let d = 0; d < mean.length; d++) {
+        const difference = frame[d] - mean[d];
+        score -= 0.5 * (Math.log(variance[d]) + difference * difference / variance[d]);
+      }
+    });
+    if (score > best.score) best = { index, score };
+  });
+
+  return best.index;
+};
+
+// Speaker of the closest labelled segment in time (interjections usually belong to the turn around them)
+const nearestLabelledNeighbour = (segments, speakerOf, index) => {
+  for (let distance = 1; distance < segments.length; distance++) {
+    const before = index - distance;
+    const after = index + distance;
+    if (before >= 0 && speakerOf[before] !== null && speakerOf[before] !== undefined) return speakerOf[before];
+    if (after < segments.length && speakerOf[after] !== null && speakerOf[after] !== undefined) return speakerOf[after];
+  }
+  return 0;
+};
+
+// ===== HELPER FUNCTION: ANALYZE SEGMENT =====
+/**
+ * Cepstral features and pitch of the speech frames of one segment
+ * @param {Object} audio - Result of readWavFile
+ * @param {Object} segment - Segment with start and end in seconds
+ * @param {Object} analyzer - Result of createFrameAnalyzer
+ * @returns {Object} - { frames: [Float64Array(12)], pitches: [Hz of voiced frames] }
+ */
+const analyzeSegment = (audio, segment, analyzer) => {
+  const { samples, sampleRate } = audio;
+  const first = Math.max(0, Math.floor(segment.start * sampleRate));
+  const last = Math.min(samples.length, Math.ceil(segment.end * sampleRate)) - analyzer.frameSize;
+
+  const offsets = [];
+  const levels = [];
+  for (let offset = first; offset <= last; offset += analyzer.hopSize) {
+    offsets.push(offset);
+    levels.push(frameLevelDb(samples, offset, analyzer.frameSize));
+  }
+
+  const speechLevel = Math.max(MIN_SPEECH_DB, Math.max(...levels, -Infinity) - SPEECH_BELOW_PEAK_DB);
+  const frames = [];
+  const pitches = [];
+
+  offsets.forEach((offset, index) => {
+    if (levels[index] < speechLevel) return;
+    const { cepstrum, pitch } = analyzer.analyze(samples, offset);
+    frames.push(cepstrum);
+    if (pitch !== null) pitches.push(pitch);
+  });
+
+  return { frames, pitches };
+};
+
+const frameLevelDb = (samples, offset, frameSize) => {
+  let energy = 0;
+  for (let i = 0; i < frameSize; i++) energy += samples[offset + i] * samples[offset + i];
+  return 10 * Math.log10(energy / frameSize + 1e-12);
+};
+
+// ===== HELPER FUNCTION: FRAME ANALYZER =====
+/**
+ * Precompute the window, mel filterbank and lag range for a sample rate
+ * analyze() returns the mel cepstrum and the pitch (null when unvoiced) of one frame;
+ * both come from a single spectrum: pre-emphasis is applied as a spectral weight for the
+ * cepstrum and the autocorrelation (inverse transform of the power) gives the pitch
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} - { frameSize, hopSize, analyze(samples, offset) }
+ */
+const createFrameAnalyzer = (sampleRate) => {
+  const frameSize = Math.min(FFT_SIZE / 2, Math.round(sampleRate * FRAME_SECONDS));
+  const hopSize = Math.max(1, Math.round(sampleRate * HOP_SECONDS));
+  const bins = FFT_SIZE / 2 + 1;
+
+  const window = new Float64Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+  }
+
+  const emphasis = new Float64Array(bins);
+  for (let k = 0; k < bins; k++) {
+    emphasis[k] = 1 + PRE_EMPHASIS * PRE_EMPHASIS - 2 * PRE_EMPHASIS * Math.cos(Math.PI * k / (bins - 1));
+  }
+
+  const filterbank = buildMelFilterbank(sampleRate, bins);
+  const minLag = Math.max(2, Math.floor(sampleRate / MAX_PITCH_HZ));
+  const maxLag = Math.min(frameSize - 1, Math.ceil(sampleRate / MIN_PITCH_HZ));
+
+  // Autocorrelation of the window itself: dividing by it undoes the taper at long lags
+  const windowAutocorrelation = autocorrelate(window);
+
+  const real = new Float64Array(FFT_SIZE);
+  const imaginary = new Float64Array(FFT_SIZE);
+
+  const analyze = (samples, offset) => {
+    real.fill(0);
+    imaginary.fill(0);
+    for (let i = 0; i < frameSize; i++) real[i] = samples[offset + i] * window[i];
+    fft(real, imaginary);
+
+    const power = new Float64Array(FFT_SIZE);
+    for (let k = 0; k < FFT_SIZE; k++) power[k] = real[k] * real[k] + imaginary[k] * imaginary[k];
+
+    // Mel cepstrum
+    const logMel = filterbank.map(filter => {
+      let energy = 0;
+      for (let k = filter.from; k < filter.to; k++) energy += power[k] * emphasis[k] * filter.weights[k - filter.from];
+      return Math.log(energy + 1e-10);
+    });
+    const cepstrum = new Float64Array(CEPSTRAL_COEFFICIENTS);
+    for (let n = 1; n <= CEPSTRAL_COEFFICIENTS; n++) {
+      let value = 0;
+      for (let m = 0; m < MEL_BANDS; m++) value += logMel[m] * Math.cos(Math.PI * n * (m + 0.5) / MEL_BANDS);
+      cepstrum[n - 1] = value;
+    }
+
+    // Pitch from the strongest normalised autocorrelation peak
+    const correlation = inverseRealTransform(power);
+    let pitch = null;
+    if (correlation[0] > 0) {
+      let best = { lag: 0, value: VOICING_THRESHOLD };
+      for (let lag = minLag; lag <= maxLag; lag++) {
+        const value = (correlation[lag] / correlation[0]) / windowAutocorrelation[lag];
+        if (value > best.value && value >= correlation[lag - 1] / correlation[0] / windowAutocorrelation[lag - 1] &&
+            value >= correlation[lag + 1] / correlation[0] / windowAutocorrelation[lag + 1]) {
+          best = { lag, value };
+        }
+      }
+      if (best.lag > 0) pitch = sampleRate / best.lag;
+    }
+
+    return { cepstrum, pitch };
+  };
+
+  return { frameSize, hopSize, analyze };
+};
+
+// Triangular filters equally spaced on the mel scale between MEL_MIN_HZ and Nyquist
+const buildMelFilterbank = (sampleRate, bins) => {
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const toHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+  const minMel = toMel(MEL_MIN_HZ);
+  const maxMel = toMel(sampleRate / 2);
+  const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) => toHz(minMel + (maxMel - minMel) * i / (MEL_BANDS + 1)) * FFT_SIZE / sampleRate);
+
+  return Array.from({ length: MEL_BANDS }, (_, m) => {
+    const [low, centre, high] = [edges[m], edges[m + 1], edges[m + 2]];
+    const from = Math.max(0, Math.floor(low));
+    const to = Math.min(bins, Math.ceil(high) + 1);
+    const weights = new Float64Array(to - from);
+    for (let k = from; k < to; k++) {
+      weights[k - from] = k <= centre
+        ? Math.max(0, (k - low) / (centre - low))
+        : Math.max(0, (high - k) / (high - centre));
+    }
+    return { from, to, weights };
+  });
+};
+
+// Normalised autocorrelation of a short signal (r[0] = 1)
+const autocorrelate = (signal) => {
+  const result = new Float64Array(signal.length);
+  for (let lag = 0; lag < signal.length; lag++) {
+    let value = 0;
+    for (let i = 0; i + lag < signal.length; i++) value += signal[i] * signal[i + lag];
+    result[lag] = value;
+  }
+  return result.map(value => value / result[0]);
+};
+
+// Autocorrelation from a power spectrum: real part of its inverse transform
+const inverseRealTransform = (power) => {
+  const real = Float64Array.from(power);
+  const imaginary = new Float64Array(power.length);
+  fft(real, imaginary);
+  return real.map(value => value / power.length);
+};
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+const fft = (real, imaginary) => {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imaginary[i], imaginary[j]] = [imaginary[j], imaginary[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepReal = Math.cos(angle);
+    const stepImaginary = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let twiddleReal = 1;
+      let twiddleImaginary = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const even = start + k;
+        const odd = even + size / 2;
+        const oddReal = real[odd] * twiddleReal - imaginary[odd] * twiddleImaginary;
+        const oddImaginary = real[odd] * twiddleImaginary + imaginary[odd] * twiddleReal;
+        real[odd] = real[even] - oddReal;
+        imaginary[odd] = imaginary[even] - oddImaginary;
+        real[even] += oddReal;
+        imaginary[even] += oddImaginary;
+        [twiddleReal, twiddleImaginary] = [
+          twiddleReal * stepReal - twiddleImaginary * stepImaginary,
+          twiddleReal * stepImaginary + twiddleImaginary * stepReal
+        ];
+      }
+    }
+  }
+};
+
+const isTimed = (segment) => {
+  return typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end > segment.start;
+};
+
+// Pitch on a log scale (semitones above 100 Hz), where male and female ranges are equally wide
+const toSemitones = (hz) => 12 * Math.log2(hz / 100);
+
+const speakerId = (index) => `S${index + 1}`;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// ===== MAIN EXPORT =====
+export default {
+  SPEAKER_COUNT_RANGE,
+  diarizeTranscription
+};
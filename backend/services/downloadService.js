@@ -0,0 +1,346 @@
+// services/downloadService.js - INGEST SOURCE VIDEOS FROM HTTP(S) URLS
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import Upload from '../models/uploadModel.js';
+import { ALLOWED_VIDEO_TYPES, storedFilename } from '../middleware/multer.js';
+import { JobCancelledError } from './cancellationService.js';
+import { publishJobProgress } from './jobEventsService.js';
+import { localPathFor } from './storage/index.js';
+
+// ===== DOWNLOAD CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getDownloadConfig = () => ({
+  maxSize: parseInt(process.env.URL_DOWNLOAD_MAX_SIZE) || 4 * 1024 * 1024 * 1024,
+  // Abort when no data arrives for this long
+  idleTimeoutMs: parseInt(process.env.URL_DOWNLOAD_IDLE_TIMEOUT_MS) || 60000,
+  // Comma-separated host names downloads may come from (empty = any host)
+  allowedHosts: (process.env.URL_DOWNLOAD_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean)
+});
+
+const ORIGINALS_DIR = localPathFor('originals');
+
+// Persist download progress on the job at most this often
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+
+// A 'downloading' job whose record has not changed for this long lost its server
+const STALE_DOWNLOAD_MS = 5 * 60 * 1000;
+const DOWNLOAD_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Redirect hops followed (each one checked against the allowed hosts before it is requested)
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Process running a download, saved on the job as download.worker_id (same form as the queue worker id)
+export const DOWNLOAD_WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+let recoveryTimer = null;
+
+// Extension given to downloads whose URL has none
+const EXTENSION_BY_TYPE = {
+  'video/mp4': '.mp4',
+  'video/avi': '.avi',
+  'video/quicktime': '.mov',
+  'video/x-ms-wmv': '.wmv'
+};
+
+// Servers often label files generically; these are accepted when the URL has a video extension
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// ===== VALIDATE SOURCE URL =====
+/**
+ * Check that a URL can be downloaded from
+ * @param {string} url - Source URL
+ * @returns {string|null} - Reason the URL is rejected, or null if it is acceptable
+ */
+export const validateSourceUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  const { allowedHosts } = getDownloadConfig();
+  if (allowedHosts.length > 0 && !allowedHosts.includes(parsed.hostname.toLowerCase())) {
+    return `Downloads from ${parsed.hostname} are not allowed`;
+  }
+
+  return null;
+};
+
+// ===== DOWNLOAD VIDEO =====
+/**
+ * Stream a video from a URL into uploads/originals
+ * Progress is published as 'download' progress events and saved on the job as `download`
+ * @param {string} jobId - Job identifier
+ * @param {string} sourceUrl - HTTP(S) URL of the video
+ * @param {AbortSignal} signal - Job cancellation signal (from beginJob)
+ * @returns {Promise<Object>} - { filename, originalName, size, contentType }
+ */
+export const downloadVideo = async (jobId, sourceUrl, signal) => {
+  const { maxSize, idleTimeoutMs } = getDownloadConfig();
+
+  // Aborted by job cancellation or by the idle timer
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  if (signal.aborted) abort();
+  signal.addEventListener('abort', abort, { once: true });
+
+  let idleTimer = null;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      controller.abort(new Error(`Download stalled: no data received for ${Math.round(idleTimeoutMs / 1000)}s`));
+    }, idleTimeoutMs);
+  };
+
+  let outputPath = null;
+
+  try {
+    console.log(`[${jobId}] 🌐 Downloading source video from ${sourceUrl}...`);
+    resetIdleTimer();
+
+    const response = await fetchFollowingAllowedRedirects(sourceUrl, controller.signal);
+
+    if (!response.ok) {
+      throw new Error(`Download failed: ${response.url || sourceUrl} responded with HTTP ${response.status}`);
+    }
+
+    // ===== CHECK TYPE AND SIZE BEFORE WRITING ANYTHING =====
+    const originalName = getRemoteFilename(response);
+    const contentType = getVideoType(response, originalName);
+    const totalBytes = parseInt(response.headers.get('content-length')) || null;
+
+    if (totalBytes && totalBytes > maxSize) {
+      throw new Error(`Source video is ${formatBytes(totalBytes)}, the limit is ${formatBytes(maxSize)}`);
+    }
+
+    const filename = storedFilename(path.extname(originalName) ? originalName : `${originalName}${EXTENSION_BY_TYPE[contentType]}`);
+    outputPath = path.join(ORIGINALS_DIR, filename);
+    fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+
+    const startedAt = new Date();
+    await Upload.findByIdAndUpdate(jobId, {
+      download: { total_bytes: totalBytes, bytes_received: 0, percent: 0, content_type: contentType, started_at: startedAt, worker_id: DOWNLOAD_WORKER_ID }
+    });
+
+    // ===== STREAM TO DISK WHILE COUNTING BYTES =====
+    let bytesReceived = 0;
+    let lastSavedAt = 0;
+
+    const meter = new Transform({
+      transform(data, encoding, callback) {
+        bytesReceived += data.length;
+        resetIdleTimer();
+
+        if (bytesReceived > maxSize) {
+          return callback(new Error(`Source video exceeds the ${formatBytes(maxSize)} limit`));
+        }
+
+        const percent = totalBytes ? (bytesReceived / totalBytes) * 100 : null;
+        publishJobProgress(jobId, 'download', percent ?? 0, { bytes_received: bytesReceived, total_bytes: totalBytes });
+
+        if (Date.now() - lastSavedAt >= PROGRESS_SAVE_INTERVAL_MS) {
+          lastSavedAt = Date.now();
+          Upload.findByIdAndUpdate(jobId, {
+            'download.bytes_received': bytesReceived,
+            'download.percent': percent !== null ? Math.round(percent) : null
+          }).catch(() => {});
+        }
+
+        callback(null, data);
+      }
+    });
+
+    await pipeline(Readable.fromWeb(response.body), meter, fs.createWriteStream(outputPath), { signal: controller.signal });
+
+    if (totalBytes && bytesReceived !== totalBytes) {
+      throw new Error(`Download incomplete: received ${bytesReceived} of ${totalBytes} bytes`);
+    }
+
+    await Upload.findByIdAndUpdate(jobId, {
+      'download.bytes_received': bytesReceived,
+      'download.total_bytes': bytesReceived,
+      'download.percent': 100,
+      'download.completed_at': new Date()
+    });
+    publishJobProgress(jobId, 'download', 100, { bytes_received: bytesReceived, total_bytes: bytesReceived });
+
+    console.log(`[${jobId}] ✅ Downloaded ${formatBytes(bytesReceived)} in ${((Date.now() - startedAt.getTime()) / 1000).toFixed(1)}s: ${outputPath}`);
+
+    return { filename, originalName, size: bytesReceived, contentType };
+
+  } catch (error) {
+    if (outputPath) {
+      fs.rmSync(outputPath, { force: true });
+    }
+
+    // Report cancellation as such, not as a network error
+    if (signal.aborted) {
+      throw signal.reason instanceof JobCancelledError ? signal.reason : new JobCancelledError(jobId);
+    }
+    throw controller.signal.aborted && controller.signal.reason instanceof Error ? controller.signal.reason : error;
+
+  } finally {
+    clearTimeout(idleTimer);
+    signal.removeEventListener('abort', abort);
+  }
+};
+
+// ===== FAIL INTERRUPTED DOWNLOADS =====
+/**
+ * Mark downloads abandoned by a stopped server as failed (downloads are not resumed):
+ * - downloads of a process on this host that is no longer running, however recent
+ *   (a quick restart leaves records that still look fresh)
+ * - downloads anywhere whose record has not changed for STALE_DOWNLOAD_MS (progress is
+ *   saved every few seconds and a stalled transfer aborts after the idle timeout)
+ * @returns {Promise<number>} - Number of jobs marked as failed
+ */
+export const failInterruptedDownloads = async () => {
+  const cutoff = new Date(Date.now() - STALE_DOWNLOAD_MS);
+  const localWorkers = await Upload.distinct('download.worker_id', {
+    processing_status: 'downloading',
+    'download.worker_id': { $regex: `^${escapeRegex(os.hostname())}-\\d+$` }
+  });
+  const deadWorkers = localWorkers.filter(workerId => !isProcessAlive(parseInt(workerId.split('-').pop(), 10)));
+
+  const result = await Upload.updateMany(
+    {
+      processing_status: 'downloading',
+      $or: [{ updatedAt: { $lt: cutoff } }, { 'download.worker_id': { $in: deadWorkers } }]
+    },
+    {
+      processing_status: 'failed',
+      processing_step: 'failed',
+      error_message: 'Download interrupted by a server restart',
+      failed_at: new Date()
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`⚠️ Marked ${result.modifiedCount} interrupted download(s) as failed`);
+  }
+  return result.modifiedCount;
+};
+
+// ===== START / STOP DOWNLOAD RECOVERY =====
+/**
+ * Fail interrupted downloads now and then every minute, so jobs of a server that died
+ * after this one started do not stay 'downloading' forever
+ * Called by server.js once the database connection is established
+ */
+export const startDownloadRecovery = () => {
+  if (recoveryTimer) return;
+
+  const check = () => failInterruptedDownloads()
+    .catch(error => console.warn('⚠️ Interrupted download check failed:', error.message));
+
+  check();
+  recoveryTimer = setInterval(check, DOWNLOAD_CHECK_INTERVAL_MS);
+  recoveryTimer.unref();
+};
+
+export const stopDownloadRecovery = () => {
+  clearInterval(recoveryTimer);
+  recoveryTimer = null;
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Request a URL, following redirects by hand: every Location is validated with
+ * validateSourceUrl before it is requested, so a redirect cannot reach a disallowed host
+ * @param {string} sourceUrl - Validated source URL
+ * @param {AbortSignal} signal - Abort signal of the download
+ * @returns {Promise<Response>} - Final (non-redirect) response
+ */
+const fetchFollowingAllowedRedirects = async (sourceUrl, signal) => {
+  let url = sourceUrl;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await fetch(url, { signal, redirect: 'manual' });
+    if (!REDIRECT_STATUSES.includes(response.status)) {
+      return response;
+    }
+
+    const location = response.headers.get('location');
+    await response.body?.cancel().catch(() => {});
+    if (!location) {
+      throw new Error(`Download failed: ${url} redirected without a Location`);
+    }
+
+    const nextUrl = new URL(location, url).toString();
+    const redirectError = validateSourceUrl(nextUrl);
+    if (redirectError) {
+      throw new Error(`Download redirected to a disallowed URL: ${redirectError}`);
+    }
+    url = nextUrl;
+  }
+
+  throw new Error(`Download failed: more than ${MAX_REDIRECTS} redirects`);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a process of this host is still running (signal 0 only checks it exists)
+const isProcessAlive = (pid) => {
+  if (!pid || pid === process.pid) return pid === process.pid;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// File name from Content-Disposition, else the last URL path segment
+const getRemoteFilename = (response) => {
+  const disposition = response.headers.get('content-disposition') || '';
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  const fromUrl = decodeURIComponent(new URL(response.url).pathname.split('/').pop() || '');
+  const name = path.basename((match && decodeURIComponent(match[1])) || fromUrl);
+  return name || 'video';
+};
+
+// Content type of the download, which must be one of ALLOWED_VIDEO_TYPES
+const getVideoType = (response, originalName) => {
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+  if (ALLOWED_VIDEO_TYPES.includes(contentType)) {
+    return contentType;
+  }
+
+  if (GENERIC_TYPES.includes(contentType)) {
+    const extension = path.extname(originalName).toLowerCase();
+    const byExtension = Object.keys(EXTENSION_BY_TYPE).find(type => EXTENSION_BY_TYPE[type] === extension);
+    if (byExtension) return byExtension;
+  }
+
+  throw new Error(`Unsupported video type: ${contentType || 'none'} (allowed: ${ALLOWED_VIDEO_TYPES.join(', ')})`);
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  validateSourceUrl,
+  downloadVideo,
+  failInterruptedDownloads,
+  startDownloadRecovery,
+  stopDownloadRecovery
+};
@@ -0,0 +1,451 @@
+// services/hlsService.js - ADAPTIVE HLS PACKAGE WITH DUBBED AUDIO AND SUBTITLE RENDITIONS
+
+// ===== IMPORT REQUIRED MODULES =====
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import fs from 'fs';
+import path from 'path';
+import Upload from '../models/uploadModel.js';
+import { trackProcess, throwIfCancelled } from './cancellationService.js';
+import { publishJobProgress } from './jobEventsService.js';
+import { localPathFor } from './storage/index.js';
+
+// Set FFmpeg binary path (required for fluent-ffmpeg to work)
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+// ===== HLS CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getHlsConfig = () => ({
+  enabled: process.env.HLS_ENABLED !== 'false',
+  // Comma-separated video heights; heights above the source are skipped
+  renditions: (process.env.HLS_RENDITIONS || '360,720,1080')
+    .split(',')
+    .map(height => parseInt(height, 10))
+    .filter(height => height > 0),
+  segmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS) || 6,
+  audioBitrate: process.env.HLS_AUDIO_BITRATE || '128k'
+});
+
+// Video bitrate (kbit/s) per rendition height; other heights are interpolated by pixel count
+const VIDEO_BITRATES = {
+  240: 400,
+  360: 800,
+  480: 1400,
+  720: 2800,
+  1080: 5000,
+  1440: 8000,
+  2160: 14000
+};
+
+const AUDIO_CODEC = 'mp4a.40.2'; // AAC-LC
+
+// ===== PACKAGE JOB =====
+/**
+ * Package a finished job as HLS under uploads/hls/<jobId>_hls/:
+ * one H.264 playlist per rendition height (from the original video, without burned-in captions),
+ * the original audio plus the dubbed audio of every completed language as alternate audio
+ * renditions, the WebVTT captions of every language as subtitle renditions, and master.m3u8
+ * Called by processController.js after the language branches (skipped when HLS_ENABLED=false)
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<string|null>} - Path to master.m3u8, or null when HLS is disabled
+ */
+export const packageJobHls = async (jobId) => {
+  const config = getHlsConfig();
+  if (!config.enabled) return null;
+
+  const video = await Upload.findById(jobId);
+  if (!video) {
+    throw new Error(`Video record not found in database for job: ${jobId}`);
+  }
+
+  const originalVideoPath = video.file_path;
+  if (!originalVideoPath || !fs.existsSync(originalVideoPath)) {
+    throw new Error(`Original video file not found: ${originalVideoPath}`);
+  }
+
+  const media = video.source_media || {};
+  // Dubbed audio is the mixed track when the job keeps the original background (audio_mix)
+  const languages = (video.language_branches || [])
+    .filter(branch => branch.status === 'completed')
+    .map(branch => ({
+      language: branch.language,
+      caption_file_path: branch.caption_file_path,
+      audio_path: [branch.mixed_audio_path, branch.tts_audio_path].find(audioPath => audioPath && fs.existsSync(audioPath))
+    }))
+    .filter(branch => branch.audio_path);
+
+  // A resumed run packages from scratch
+  const outputDir = localPathFor(`hls/${jobId}_hls`);
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const startedAt = new Date();
+  await Upload.findByIdAndUpdate(jobId, {
+    hls: { status: 'processing', started_at: startedAt }
+  });
+
+  // ===== PLAN RENDITIONS =====
+  const videoRenditions = planVideoRenditions(config.renditions, media).map(rendition => ({
+    ...rendition,
+    dir: `video_${rendition.height}p`
+  }));
+
+  const audioRenditions = languages.map(branch => ({
+    language: branch.language,
+    name: `${languageName(branch.language)} (dubbed)`,
+    original: false,
+    input: branch.audio_path,
+    dir: `audio_${safeName(branch.language)}`
+  }));
+
+  if ((media.audio_stream_count ?? 1) > 0) {
+    const sourceLanguage = video.source_language || video.detected_language || null;
+    audioRenditions.push({
+      language: sourceLanguage,
+      name: sourceLanguage ? `${languageName(sourceLanguage)} (original)` : 'Original',
+      original: true,
+      input: originalVideoPath,
+      dir: 'audio_original'
+    });
+  }
+
+  const subtitleRenditions = languages
+    .filter(branch => branch.caption_file_path && fs.existsSync(branch.caption_file_path))
+    .map(branch => ({
+      language: branch.language,
+      name: languageName(branch.language),
+      input: branch.caption_file_path,
+      dir: `subs_${safeName(branch.language)}`
+    }));
+
+  console.log(`[${jobId}] 📺 Packaging HLS: ${videoRenditions.map(rendition => `${rendition.height}p`).join(', ')} video, ${audioRenditions.length} audio, ${subtitleRenditions.length} subtitle rendition(s)`);
+
+  // ===== ENCODE RENDITIONS =====
+  const totalSteps = videoRenditions.length + audioRenditions.length;
+  let finishedSteps = 0;
+  const onProgress = (percent, details) => {
+    const overall = ((finishedSteps + Math.min(percent, 100) / 100) / totalSteps) * 100;
+    publishJobProgress(jobId, 'hls_packaging', overall, details);
+  };
+
+  for (const rendition of videoRenditions) {
+    throwIfCancelled(jobId);
+    await encodeVideoRendition(jobId, originalVideoPath, path.join(outputDir, rendition.dir), rendition, config, onProgress);
+    Object.assign(rendition, measureBandwidth(path.join(outputDir, rendition.dir)));
+    finishedSteps++;
+  }
+
+  for (const rendition of audioRenditions) {
+    throwIfCancelled(jobId);
+    await encodeAudioRendition(jobId, rendition.input, path.join(outputDir, rendition.dir), rendition, config, onProgress);
+    Object.assign(rendition, measureBandwidth(path.join(outputDir, rendition.dir)));
+    finishedSteps++;
+  }
+
+  // ===== SUBTITLES: ONE WEBVTT FILE PER LANGUAGE =====
+  subtitleRenditions.forEach(rendition => {
+    const subtitleDir = path.join(outputDir, rendition.dir);
+    fs.mkdirSync(subtitleDir, { recursive: true });
+    fs.copyFileSync(rendition.input, path.join(subtitleDir, 'captions.vtt'));
+    fs.writeFileSync(path.join(subtitleDir, 'index.m3u8'), buildSubtitlePlaylist(media.duration_s || getPlaylistDuration(path.join(outputDir, videoRenditions[0].dir))));
+  });
+
+  // ===== MASTER PLAYLIST =====
+  const masterPath = path.join(outputDir, 'master.m3u8');
+  fs.writeFileSync(masterPath, buildMasterPlaylist(videoRenditions, audioRenditions, subtitleRenditions));
+  publishJobProgress(jobId, 'hls_packaging', 100);
+
+  await Upload.findByIdAndUpdate(jobId, {
+    hls: {
+      status: 'completed',
+      master_playlist_path: masterPath,
+      video_renditions: videoRenditions.map(rendition => ({
+        height: rendition.height,
+        width: rendition.width,
+        bandwidth: rendition.bandwidth,
+        average_bandwidth: rendition.average_bandwidth,
+        playlist_path: path.join(outputDir, rendition.dir, 'index.m3u8')
+      })),
+      audio_renditions: audioRenditions.map(rendition => ({
+        language: rendition.language,
+        name: rendition.name,
+        original: rendition.original,
+        playlist_path: path.join(outputDir, rendition.dir, 'index.m3u8')
+      })),
+      subtitle_renditions: subtitleRenditions.map(rendition => ({
+        language: rendition.language,
+        name: rendition.name,
+        playlist_path: path.join(outputDir, rendition.dir, 'index.m3u8')
+      })),
+      started_at: startedAt,
+      completed_at: new Date()
+    }
+  });
+
+  console.log(`[${jobId}] ✅ HLS package ready: ${masterPath}`);
+  return masterPath;
+};
+
+// ===== LIST PACKAGE FILES =====
+/**
+ * Every file of a job's HLS package (for the storage backend)
+ * @param {string} jobId - Job identifier
+ * @returns {Array<string>} - Local paths under uploads/hls/<jobId>_hls/
+ */
+export const listHlsFiles = (jobId) => {
+  const outputDir = localPathFor(`hls/${jobId}_hls`);
+  if (!fs.existsSync(outputDir)) return [];
+
+  return fs.readdirSync(outputDir, { recursive: true })
+    .map(entry => path.join(outputDir, entry))
+    .filter(filePath => fs.statSync(filePath).isFile());
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Rendition heights that fit the source (the source height itself when none do)
+const planVideoRenditions = (heights, media) => {
+  const sourceHeight = media.height || null;
+  const sourceWidth = media.width || null;
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+  let planned = [...new Set(heights)].sort((a, b) => a - b);
+  if (sourceHeight) {
+    planned = planned.filter(height => height <= sourceHeight);
+    if (planned.length === 0) planned = [even(sourceHeight)];
+  }
+
+  return planned.map(height => ({
+    height,
+    width: sourceWidth && sourceHeight ? even(sourceWidth * height / sourceHeight) : null,
+    bitrateKbps: videoBitrateFor(height)
+  }));
+};
+
+const videoBitrateFor = (height) => {
+  if (VIDEO_BITRATES[height]) return VIDEO_BITRATES[height];
+  const reference = 720;
+  return Math.round(VIDEO_BITRATES[reference] * (height * height) / (reference * reference));
+};
+
+// H.264 Main profile level for a rendition's frame size (in macroblocks), as used in -level and
+// the CODECS attribute; the width is assumed 16:9 when the source was never probed
+const h264LevelFor = (rendition) => {
+  const width = rendition.width || Math.ceil(rendition.height * 16 / 9);
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(rendition.height / 16);
+  if (macroblocks <= 1620) return { level: '3.0', codec: 'avc1.4d401e' };
+  if (macroblocks <= 3600) return { level: '3.1', codec: 'avc1.4d401f' };
+  if (macroblocks <= 8192) return { level: '4.0', codec: 'avc1.4d4028' };
+  return { level: '5.1', codec: 'avc1.4d4033' };
+};
+
+// HLS muxer options shared by every rendition (fMP4 segments, VOD playlist)
+const hlsOutputOptions = (outputDir, segmentSeconds) => [
+  '-f', 'hls',
+  '-hls_time', String(segmentSeconds),
+  '-hls_playlist_type', 'vod',
+  '-hls_segment_type', 'fmp4',
+  '-hls_fmp4_init_filename', 'init.mp4',
+  '-hls_segment_filename', path.join(outputDir, 'segment_%05d.m4s')
+];
+
+const encodeVideoRendition = (jobId, inputPath, outputDir, rendition, config, onProgress) => {
+  const { level } = h264LevelFor(rendition);
+  const bitrate = rendition.bitrateKbps;
+
+  return runFfmpeg(jobId, `${rendition.height}p video`, outputDir, ffmpeg()
+    .input(inputPath)
+    .videoCodec('libx264')
+    .videoFilter(`scale=-2:${rendition.height}`)
+    .outputOptions([
+      '-map', '0:v:0',
+      '-an',
+      '-preset', 'fast',
+      '-profile:v', 'main',
+      '-level', level,
+      '-pix_fmt', 'yuv420p',
+      '-b:v', `${bitrate}k`,
+      '-maxrate', `${Math.round(bitrate * 1.1)}k`,
+      '-bufsize', `${bitrate * 2}k`,
+      // Keyframe at every segment boundary so all renditions switch cleanly
+      '-force_key_frames', `expr:gte(t,n_forced*${config.segmentSeconds})`,
+      '-sc_threshold', '0',
+      ...hlsOutputOptions(outputDir, config.segmentSeconds)
+    ]), (percent) => onProgress(percent, { rendition: `${rendition.height}p` }));
+};
+
+const encodeAudioRendition = (jobId, inputPath, outputDir, rendition, config, onProgress) => {
+  return runFfmpeg(jobId, `${rendition.name} audio`, outputDir, ffmpeg()
+    .input(inputPath)
+    .audioCodec('aac')
+    .audioBitrate(config.audioBitrate)
+    .audioChannels(2)
+    .outputOptions([
+      '-map', '0:a:0',
+      '-vn',
+      ...hlsOutputOptions(outputDir, config.segmentSeconds)
+    ]), (percent) => onProgress(percent, { rendition: rendition.original ? 'original audio' : `${rendition.language} audio`, language: rendition.language }));
+};
+
+// Run one FFmpeg packaging command, registered with the cancellation service
+const runFfmpeg = (jobId, label, outputDir, command, onProgress) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    command
+      .output(path.join(outputDir, 'index.m3u8'))
+      .on('start', (commandLine) => {
+        console.log(`[${jobId}] FFmpeg HLS ${label} command: ${commandLine}`);
+      })
+      .on('progress', (progress) => {
+        if (progress.percent) onProgress(progress.percent);
+      })
+      .on('end', () => {
+        console.log(`[${jobId}] ✅ HLS ${label} rendition packaged`);
+        resolve();
+      })
+      .on('error', (error) => {
+        console.error(`[${jobId}] ❌ FFmpeg HLS ${label} failed:`, error.message);
+        reject(new Error(`HLS packaging of ${label} failed: ${error.message}`));
+      });
+
+    trackProcess(jobId, command);
+    command.run();
+  });
+};
+
+// Peak and average bit rate of a packaged rendition, from its segment sizes and durations
+const measureBandwidth = (renditionDir) => {
+  const segments = readPlaylistSegments(renditionDir);
+  const initPath = path.join(renditionDir, 'init.mp4');
+  const initBits = fs.existsSync(initPath) ? fs.statSync(initPath).size * 8 : 0;
+
+  let totalBits = initBits;
+  let totalDuration = 0;
+  let peak = 0;
+
+  segments.forEach(segment => {
+    const bits = fs.statSync(path.join(renditionDir, segment.uri)).size * 8;
+    totalBits += bits;
+    totalDuration += segment.duration;
+    if (segment.duration > 0) peak = Math.max(peak, bits / segment.duration);
+  });
+
+  const average = totalDuration > 0 ? totalBits / totalDuration : 0;
+  return {
+    bandwidth: Math.ceil(Math.max(peak, average)),
+    average_bandwidth: Math.ceil(average)
+  };
+};
+
+const getPlaylistDuration = (renditionDir) => {
+  return readPlaylistSegments(renditionDir).reduce((total, segment) => total + segment.duration, 0);
+};
+
+// [{ duration, uri }] of a media playlist written by FFmpeg
+const readPlaylistSegments = (renditionDir) => {
+  const lines = fs.readFileSync(path.join(renditionDir, 'index.m3u8'), 'utf8').split(/\r?\n/);
+  const segments = [];
+  let duration = null;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && duration !== null) {
+      segments.push({ duration, uri: line.trim() });
+      duration = null;
+    }
+  });
+
+  return segments;
+};
+
+// Subtitle playlist with the whole WebVTT file as its only segment
+const buildSubtitlePlaylist = (durationSeconds) => {
+  const duration = Math.max(durationSeconds || 0, 1);
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.ceil(duration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXTINF:${duration.toFixed(3)},`,
+    'captions.vtt',
+    '#EXT-X-ENDLIST',
+    ''
+  ].join('\n');
+};
+
+const buildMasterPlaylist = (videoRenditions, audioRenditions, subtitleRenditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS', ''];
+
+  // The first dubbed language plays by default; the original audio is one switch away
+  audioRenditions.forEach((rendition, index) => {
+    lines.push(`#EXT-X-MEDIA:${formatAttributes({
+      TYPE: 'AUDIO',
+      'GROUP-ID': quote('audio'),
+      ...(rendition.language && { LANGUAGE: quote(rendition.language) }),
+      NAME: quote(rendition.name),
+      DEFAULT: index === 0 ? 'YES' : 'NO',
+      AUTOSELECT: 'YES',
+      CHANNELS: quote('2'),
+      URI: quote(`${rendition.dir}/index.m3u8`)
+    })}`);
+  });
+
+  subtitleRenditions.forEach(rendition => {
+    lines.push(`#EXT-X-MEDIA:${formatAttributes({
+      TYPE: 'SUBTITLES',
+      'GROUP-ID': quote('subs'),
+      LANGUAGE: quote(rendition.language),
+      NAME: quote(rendition.name),
+      DEFAULT: 'NO',
+      AUTOSELECT: 'YES',
+      FORCED: 'NO',
+      URI: quote(`${rendition.dir}/index.m3u8`)
+    })}`);
+  });
+
+  lines.push('');
+
+  // Variant bandwidth includes the largest audio rendition a player may pick
+  const audioPeak = Math.max(0, ...audioRenditions.map(rendition => rendition.bandwidth));
+  const audioAverage = Math.max(0, ...audioRenditions.map(rendition => rendition.average_bandwidth));
+
+  videoRenditions.forEach(rendition => {
+    const codecs = [h264LevelFor(rendition).codec, ...(audioRenditions.length > 0 ? [AUDIO_CODEC] : [])];
+    lines.push(`#EXT-X-STREAM-INF:${formatAttributes({
+      BANDWIDTH: rendition.bandwidth + audioPeak,
+      'AVERAGE-BANDWIDTH': rendition.average_bandwidth + audioAverage,
+      CODECS: quote(codecs.join(',')),
+      ...(rendition.width && { RESOLUTION: `${rendition.width}x${rendition.height}` }),
+      ...(audioRenditions.length > 0 && { AUDIO: quote('audio') }),
+      ...(subtitleRenditions.length > 0 && { SUBTITLES: quote('subs') })
+    })}`);
+    lines.push(`${rendition.dir}/index.m3u8`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const formatAttributes = (attributes) => Object.entries(attributes).map(([key, value]) => `${key}=${value}`).join(',');
+
+const quote = (value) => `"${String(value).replace(/"/g, "'")}"`;
+
+// Directory-safe form of a language code
+const safeName = (language) => String(language).toLowerCase().replace(/[^a-z0-9-]/g, '_');
+
+// "Hindi" for "hi" (falls back to the code)
+const languageName = (language) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    return language;
+  }
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  packageJobHls,
+  listHlsFiles
+};
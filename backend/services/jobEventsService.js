@@ -0,0 +1,181 @@
+// services/jobEventsService.js - LIVE JOB PROGRESS EVENTS (SERVER-SENT EVENTS)
+
+// ===== IMPORT REQUIRED MODULES =====
+import { EventEmitter } from 'events';
+import { storageKeyFor } from './storage/index.js';
+
+// ===== EVENT REGISTRY =====
+// Events live in this process only: a client following a job that runs on another
+// server instance gets no live events; the SSE route polls the database for it instead
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+// jobId -> { nextId, events: [], progress: Map(stage key -> last percent), expiry: Timeout|null }
+const jobEvents = new Map();
+
+const MAX_BUFFERED_EVENTS = 200;               // Replayed to clients that connect late or reconnect
+const FINISHED_JOB_RETENTION_MS = 10 * 60 * 1000;
+
+// Events after which a job produces nothing more
+export const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+// ===== PUBLISH AN EVENT =====
+/**
+ * Publish an event for a job to every connected client
+ * Event types: status, stage, progress, branch, completed, failed, cancelled
+ * @param {string} jobId - Job identifier
+ * @param {string} type - Event type (SSE event name)
+ * @param {Object} data - Event payload
+ * @returns {Object} - The published event { id, type, data }
+ */
+export const publishJobEvent = (jobId, type, data = {}) => {
+  const key = jobId.toString();
+  const entry = getEntry(key);
+
+  const event = {
+    id: entry.nextId++,
+    type,
+    data: { jobId: key, ...data, timestamp: new Date().toISOString() }
+  };
+
+  entry.events.push(event);
+  if (entry.events.length > MAX_BUFFERED_EVENTS) {
+    entry.events.shift();
+  }
+
+  // Forget the buffer some time after the job is over
+  if (TERMINAL_EVENTS.includes(type)) {
+    entry.progress.clear();
+    entry.expiry = setTimeout(() => jobEvents.delete(key), FINISHED_JOB_RETENTION_MS);
+    entry.expiry.unref();
+  }
+
+  emitter.emit(key, event);
+  return event;
+};
+
+// ===== PUBLISH PROGRESS =====
+/**
+ * Publish a progress percentage for a stage
+ * FFmpeg reports progress many times per second, so only whole-percent changes are sent
+ * @param {string} jobId - Job identifier
+ * @param {string} stage - Pipeline stage (audio_extraction, tts_generation, video_assembly, ...)
+ * @param {number} percent - Progress of the stage, 0-100
+ * @param {Object} details - Extra fields (language, segment, total, ...)
+ */
+export const publishJobProgress = (jobId, stage, percent, details = {}) => {
+  if (typeof percent !== 'number' || isNaN(percent)) return;
+
+  const entry = getEntry(jobId.toString());
+  const rounded = Math.max(0, Math.min(100, Math.round(percent)));
+  const stageKey = `${stage}:${details.language || ''}`;
+
+  if (entry.progress.get(stageKey) === rounded) return;
+  entry.progress.set(stageKey, rounded);
+
+  publishJobEvent(jobId, 'progress', { stage, percent: rounded, ...details });
+};
+
+// ===== SUBSCRIBE =====
+/**
+ * Follow the events of a job
+ * Buffered events newer than lastEventId are replayed first, so reconnecting
+ * EventSource clients (Last-Event-ID header) do not miss anything
+ * The replay stops at the first terminal event and the listener is then already removed
+ * (nothing the job publishes afterwards reaches a client that was told it is over)
+ * @param {string} jobId - Job identifier
+ * @param {Function} listener - Called with every event { id, type, data }
+ * @param {number} lastEventId - Last event id the client has seen (default: replay everything)
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToJobEvents = (jobId, listener, lastEventId = -1) => {
+  const key = jobId.toString();
+  const entry = jobEvents.get(key);
+  const unsubscribe = () => emitter.off(key, listener);
+
+  // Subscribed before the replay, so the listener can be removed from inside it
+  emitter.on(key, listener);
+
+  for (const event of entry ? [...entry.events] : []) {
+    if (event.id <= lastEventId) continue;
+
+    listener(event);
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      unsubscribe();
+      break;
+    }
+  }
+
+  return unsubscribe;
+};
+
+// ===== RESET BUFFER =====
+/**
+ * Drop the buffered events of a job that starts over (queued, resumed or re-queued), so
+ * the outcome of an earlier run is not replayed; event ids keep counting up
+ * @param {string} jobId - Job identifier
+ */
+export const resetJobEvents = (jobId) => {
+  const entry = jobEvents.get(jobId.toString());
+  if (!entry) return;
+
+  if (entry.expiry) {
+    clearTimeout(entry.expiry);
+    entry.expiry = null;
+  }
+  entry.events = [];
+  entry.progress.clear();
+};
+
+/**
+ * Whether the last published event of a job ended it
+ * @param {string} jobId - Job identifier
+ * @returns {boolean}
+ */
+export const hasJobFinished = (jobId) => {
+  const entry = jobEvents.get(jobId.toString());
+  const last = entry && entry.events[entry.events.length - 1];
+  return Boolean(last && TERMINAL_EVENTS.includes(last.type));
+};
+
+// ===== ARTIFACT URLS =====
+/**
+ * Turn a path under uploads/ into the URL it is served from (server.js static route)
+ * @param {string} filePath - Artifact path
+ * @returns {string|null} - e.g. /uploads/processed/<jobId>_final.mp4, or null outside uploads/
+ */
+export const toArtifactUrl = (filePath) => {
+  const key = storageKeyFor(filePath);
+  if (!key) return null;
+
+  return `/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+// ===== HELPER FUNCTION: GET OR CREATE BUFFER =====
+const getEntry = (key) => {
+  let entry = jobEvents.get(key);
+
+  if (!entry) {
+    entry = { nextId: 1, events: [], progress: new Map(), expiry: null };
+    jobEvents.set(key, entry);
+  }
+
+  // A resumed job starts publishing again: keep its buffer
+  if (entry.expiry) {
+    clearTimeout(entry.expiry);
+    entry.expiry = null;
+  }
+
+  return entry;
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  publishJobEvent,
+  publishJobProgress,
+  subscribeToJobEvents,
+  resetJobEvents,
+  hasJobFinished,
+  toArtifactUrl,
+  TERMINAL_EVENTS
+};
@@ -0,0 +1,172 @@
+// services/lexiconService.js - PRONUNCIATION LEXICON PER TARGET LANGUAGE
+
+// ===== IMPORT REQUIRED MODULES =====
+import Lexicon from '../models/lexiconModel.js';
+
+// ===== ENTRY LIMITS =====
+export const LEXICON_ALPHABETS = ['ipa', 'x-sampa'];
+const MAX_TERM_LENGTH = 100;
+const MAX_PRONUNCIATION_LENGTH = 200;
+
+// ===== LOAD FOR A JOB =====
+/**
+ * Lexicon of a target language as TTS needs it (called by processController.js before TTS)
+ * @param {string} language - Target language code
+ * @returns {Promise<Object|null>} - { language, version, entries } or null when the language has none
+ */
+export const loadLexicon = async (language) => {
+  const lexicon = await Lexicon.findOne({ language }).lean();
+
+  if (!lexicon || lexicon.entries.length === 0) {
+    return null;
+  }
+
+  return {
+    language: lexicon.language,
+    version: lexicon.version,
+    entries: lexicon.entries.map(entry => ({
+      term: entry.term,
+      respelling: entry.respelling || null,
+      phoneme: entry.phoneme || null,
+      alphabet: entry.alphabet || 'ipa',
+      case_sensitive: Boolean(entry.case_sensitive)
+    }))
+  };
+};
+
+// ===== APPLY TO SEGMENT TEXT =====
+/**
+ * Apply a lexicon to the text of one segment before synthesis
+ * - Entries with only a respelling replace the term in the text
+ * - Entries with a phoneme leave the term in place and are returned, so the SSML can wrap
+ *   it in a phoneme element (see ssmlService.js); plainPronunciation() is the fallback
+ * Terms match whole words only; longer terms win over terms they contain
+ * @param {string} text - Segment text
+ * @param {Object|null} lexicon - Result of loadLexicon
+ * @returns {Object} - { text, phonemes: [{ term, phoneme, alphabet, respelling, case_sensitive }], replacements }
+ */
+export const applyLexicon = (text, lexicon) => {
+  const spoken = { text: text || '', phonemes: [], replacements: 0 };
+
+  if (!lexicon || !spoken.text) {
+    return spoken;
+  }
+
+  const entries = [...lexicon.entries].sort((a, b) => b.term.length - a.term.length);
+  const pattern = new RegExp(entries.map(entry => termSource(entry.term)).join('|'), 'giu');
+
+  spoken.text = spoken.text.replace(pattern, (match) => {
+    const entry = entries.find(candidate => matchesTerm(candidate, match));
+    if (!entry) {
+      return match;
+    }
+
+    spoken.replacements++;
+    if (entry.phoneme) {
+      if (!spoken.phonemes.includes(entry)) spoken.phonemes.push(entry);
+      return match;
+    }
+    return entry.respelling;
+  });
+
+  return spoken;
+};
+
+/**
+ * Text for engines that cannot take phoneme elements: phoneme terms become their respelling
+ * (or stay as written when the entry has none)
+ * @param {Object} spoken - Result of applyLexicon
+ * @returns {string} - Text to synthesize
+ */
+export const plainPronunciation = (spoken) => {
+  const fallbacks = spoken.phonemes.filter(entry => entry.respelling);
+
+  if (fallbacks.length === 0) {
+    return spoken.text;
+  }
+
+  return spoken.text.replace(new RegExp(fallbacks.map(entry => termSource(entry.term)).join('|'), 'giu'), (match) => {
+    const entry = fallbacks.find(candidate => matchesTerm(candidate, match));
+    return entry ? entry.respelling : match;
+  });
+};
+
+/**
+ * Regular expression matching a term as a whole word (also in Indic scripts, where \b does not work)
+ * @param {string} term - Lexicon term
+ * @param {boolean} caseSensitive - Match the exact case only
+ * @returns {RegExp} - Global pattern
+ */
+export const termPattern = (term, caseSensitive = false) => {
+  return new RegExp(termSource(term), caseSensitive ? 'gu' : 'giu');
+};
+
+// ===== VALIDATE ENTRIES =====
+/**
+ * Check a lexicon entry sent to the API
+ * @param {Object} entry - { term, respelling?, phoneme?, alphabet?, case_sensitive?, note? }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateLexiconEntry = (entry) => {
+  const { term, respelling, phoneme, alphabet, case_sensitive: caseSensitive } = entry || {};
+
+  if (typeof term !== 'string' || !term.trim()) {
+    return 'term is required';
+  }
+  if (term.trim().length > MAX_TERM_LENGTH) {
+    return `term must be at most ${MAX_TERM_LENGTH} characters`;
+  }
+  for (const [field, value] of [['respelling', respelling], ['phoneme', phoneme]]) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return `${field} must be a string`;
+    }
+    if (typeof value === 'string' && value.trim().length > MAX_PRONUNCIATION_LENGTH) {
+      return `${field} must be at most ${MAX_PRONUNCIATION_LENGTH} characters`;
+    }
+  }
+  if (!(respelling || '').trim() && !(phoneme || '').trim()) {
+    return 'respelling or phoneme is required';
+  }
+  if (alphabet !== undefined && !LEXICON_ALPHABETS.includes(alphabet)) {
+    return `alphabet must be one of: ${LEXICON_ALPHABETS.join(', ')}`;
+  }
+  if (caseSensitive !== undefined && typeof caseSensitive !== 'boolean') {
+    return 'case_sensitive must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Whether two spellings name the same entry of a lexicon
+ * @param {Object} entry - Existing entry
+ * @param {string} term - Term of a new or changed entry
+ * @returns {boolean}
+ */
+export const isSameTerm = (entry, term) => {
+  return entry.term.toLocaleLowerCase() === term.trim().toLocaleLowerCase();
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Whole-word source of a term: no letter, mark or digit directly before or after it
+const termSource = (term) => {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return `(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`;
+};
+
+const matchesTerm = (entry, match) => {
+  const normalized = match.replace(/\s+/g, ' ');
+  return entry.case_sensitive
+    ? normalized === entry.term
+    : normalized.toLocaleLowerCase() === entry.term.toLocaleLowerCase();
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  loadLexicon,
+  applyLexicon,
+  plainPronunciation,
+  termPattern,
+  validateLexiconEntry,
+  isSameTerm
+};
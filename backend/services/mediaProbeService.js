@@ -0,0 +1,189 @@
+// services/mediaProbeService.js - PROBE AND VALIDATE SOURCE VIDEOS BEFORE THEY ARE QUEUED
+
+// ===== IMPORT REQUIRED MODULES =====
+import { execFile } from 'child_process';
+
+// ===== PROBE CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getProbeConfig = () => ({
+  ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+  timeoutMs: parseInt(process.env.MEDIA_PROBE_TIMEOUT_MS) || 30000,
+  // Rules (0 = no limit)
+  requireAudio: process.env.MEDIA_REQUIRE_AUDIO !== 'false',
+  maxDurationS: parseFloat(process.env.MEDIA_MAX_DURATION_S) || 3 * 60 * 60,
+  maxWidth: parseInt(process.env.MEDIA_MAX_WIDTH) || 0,
+  maxHeight: parseInt(process.env.MEDIA_MAX_HEIGHT) || 0
+});
+
+// ===== MEDIA VALIDATION ERROR =====
+/**
+ * Error thrown when an upload is unreadable or breaks one of the media rules
+ * Upload handlers answer it with 422 and the list of reasons
+ */
+export class MediaValidationError extends Error {
+  constructor(reasons, media = null) {
+    super(`Video rejected: ${reasons.map(reason => reason.message).join('; ')}`);
+    this.name = 'MediaValidationError';
+    this.reasons = reasons;   // [{ rule, message }]
+    this.media = media;       // Probe summary (null when the file could not be read)
+  }
+}
+
+// ===== PROBE MEDIA =====
+/**
+ * Read container and stream information of a media file with ffprobe
+ * @param {string} filePath - Path to the media file
+ * @returns {Promise<Object>} - Duration, format, codecs, resolution, frame rate and stream counts
+ * @throws {MediaValidationError} - When ffprobe cannot read the file
+ */
+export const probeMedia = (filePath) => {
+  const { ffprobePath, timeoutMs } = getProbeConfig();
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+
+  return new Promise((resolve, reject) => {
+    execFile(ffprobePath, args, { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      // A missing ffprobe binary is a server problem, not a bad upload
+      if (error && error.code === 'ENOENT') {
+        reject(new Error(`ffprobe not found (${ffprobePath}); install FFmpeg or set FFPROBE_PATH`));
+        return;
+      }
+
+      if (error) {
+        const detail = error.killed ? `timed out after ${timeoutMs / 1000}s` : (stderr || error.message).trim().split('\n').pop();
+        reject(new MediaValidationError([{ rule: 'readable', message: `The file is not a readable video (${detail})` }]));
+        return;
+      }
+
+      try {
+        resolve(summarizeProbe(JSON.parse(stdout)));
+      } catch (parseError) {
+        reject(new MediaValidationError([{ rule: 'readable', message: 'The file is not a readable video (unparseable probe output)' }]));
+      }
+    });
+  });
+};
+
+// ===== VALIDATE MEDIA =====
+/**
+ * Check a probe summary against the configured rules
+ * @param {Object} media - Result of probeMedia
+ * @returns {Array<Object>} - Broken rules as { rule, message } (empty if the video is accepted)
+ */
+export const validateMedia = (media) => {
+  const { requireAudio, maxDurationS, maxWidth, maxHeight } = getProbeConfig();
+  const reasons = [];
+
+  if (media.video_stream_count === 0) {
+    reasons.push({ rule: 'video_stream', message: 'The file has no video stream' });
+  }
+
+  if (requireAudio && media.audio_stream_count === 0) {
+    reasons.push({ rule: 'audio_stream', message: 'The video has no audio stream, so there is no speech to translate' });
+  }
+
+  if (!media.duration_s) {
+    reasons.push({ rule: 'duration', message: 'The video duration could not be determined' });
+  } else if (maxDurationS && media.duration_s > maxDurationS) {
+    reasons.push({
+      rule: 'max_duration',
+      message: `The video is ${formatDuration(media.duration_s)} long, the limit is ${formatDuration(maxDurationS)}`
+    });
+  }
+
+  if ((maxWidth && media.width > maxWidth) || (maxHeight && media.height > maxHeight)) {
+    reasons.push({
+      rule: 'max_resolution',
+      message: `The video is ${media.resolution}, the limit is ${maxWidth || 'any'}x${maxHeight || 'any'}`
+    });
+  }
+
+  return reasons;
+};
+
+// ===== PROBE AND VALIDATE =====
+/**
+ * Probe a file and enforce the media rules
+ * @param {string} filePath - Path to the uploaded video
+ * @param {string} label - Job id or file name for logging
+ * @returns {Promise<Object>} - Probe summary of an accepted video
+ * @throws {MediaValidationError} - When the video is unreadable or breaks a rule
+ */
+export const inspectUpload = async (filePath, label) => {
+  const media = await probeMedia(filePath);
+  const reasons = validateMedia(media);
+
+  if (reasons.length > 0) {
+    console.log(`[${label}] 🚫 Upload rejected: ${reasons.map(reason => reason.rule).join(', ')}`);
+    throw new MediaValidationError(reasons, media);
+  }
+
+  console.log(`[${label}] 🔎 Media: ${media.format}, ${media.resolution} @ ${media.frame_rate ?? '?'} fps, ${media.video_codec}/${media.audio_codec || 'no audio'}, ${formatDuration(media.duration_s)}`);
+  return media;
+};
+
+/**
+ * Upload fields holding a probe summary
+ * @param {Object} media - Result of probeMedia
+ * @returns {Object} - Fields to set on the Upload record
+ */
+export const toUploadFields = (media) => ({
+  source_media: { ...media, probed_at: new Date() },
+  video_codec: media.video_codec,
+  audio_codec: media.audio_codec,
+  video_resolution: media.resolution
+});
+
+// ===== HELPER FUNCTIONS =====
+
+// Reduce ffprobe JSON to the fields jobs keep
+const summarizeProbe = (probe) => {
+  const streams = probe.streams || [];
+  const format = probe.format || {};
+  // Cover art is reported as a video stream; skip it
+  const videoStreams = streams.filter(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const audioStreams = streams.filter(stream => stream.codec_type === 'audio');
+  const video = videoStreams[0];
+  const audio = audioStreams[0];
+
+  const duration = parseFloat(format.duration) || parseFloat(video && video.duration) || 0;
+
+  return {
+    format: format.format_name || null,
+    duration_s: Math.round(duration * 1000) / 1000,
+    bit_rate: parseInt(format.bit_rate) || null,
+    video_codec: video ? video.codec_name : null,
+    width: video ? video.width : null,
+    height: video ? video.height : null,
+    resolution: video ? `${video.width}x${video.height}` : null,
+    frame_rate: video ? parseFrameRate(video.avg_frame_rate) ?? parseFrameRate(video.r_frame_rate) : null,
+    audio_codec: audio ? audio.codec_name : null,
+    audio_channels: audio ? audio.channels : null,
+    audio_sample_rate: audio ? parseInt(audio.sample_rate) || null : null,
+    video_stream_count: videoStreams.length,
+    audio_stream_count: audioStreams.length
+  };
+};
+
+// "30000/1001" -> 29.97 (null for "0/0")
+const parseFrameRate = (rate) => {
+  const [numerator, denominator] = String(rate || '').split('/').map(Number);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return hours > 0 ? `${hours}h${String(minutes).padStart(2, '0')}m` : `${minutes}m${String(secs).padStart(2, '0')}s`;
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  MediaValidationError,
+  probeMedia,
+  validateMedia,
+  inspectUpload,
+  toUploadFields
+};
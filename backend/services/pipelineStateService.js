@@ -0,0 +1,216 @@
+// services/pipelineStateService.js - REBUILD PIPELINE STATE FROM STORED ARTIFACTS
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import path from 'path';
+import Upload from '../models/uploadModel.js';
+import { getFilePath, ensureDirectoryExists } from '../utils/fileUtils.js';
+import { ensureLocalFile, localPathFor } from './storage/index.js';
+
+// ===== PIPELINE STAGES IN EXECUTION ORDER =====
+export const PIPELINE_STAGES = [
+  'audio_extraction',
+  'transcription',
+  'diarization',
+  'translation',
+  'tts_generation',
+  'caption_generation',
+  'video_assembly'
+];
+
+// Stages that run once per target language (after the shared transcription)
+export const BRANCH_STAGES = ['translation', 'tts_generation', 'caption_generation', 'video_assembly'];
+
+// ===== TARGET LANGUAGES =====
+/**
+ * Get the list of target languages of a job
+ * Older jobs only have the single target_language field
+ * @param {Object} video - Upload document
+ * @returns {Array<string>} - Target language codes
+ */
+export const getTargetLanguages = (video) => {
+  if (video.target_languages && video.target_languages.length > 0) {
+    return [...video.target_languages];
+  }
+  return video.target_language ? [video.target_language] : [];
+};
+
+/**
+ * Get the file-name key of a language branch
+ * Single-language jobs keep the plain `${jobId}_*` names so existing artifacts stay valid
+ * @param {string} jobId - Job identifier
+ * @param {string} language - Target language code
+ * @param {boolean} multiLanguage - Whether the job has more than one target language
+ * @returns {string} - Prefix used for the branch's artifact files
+ */
+export const getBranchArtifactKey = (jobId, language, multiLanguage) => {
+  return multiLanguage ? `${jobId}_${language}` : jobId;
+};
+
+// ===== STAGE ARTIFACT PATHS =====
+/**
+ * Get path of the JSON artifact a stage leaves behind for later resumes
+ * @param {string} jobId - Job identifier
+ * @param {string} kind - Artifact kind ('transcription' or 'translation')
+ * @returns {string} - Path inside uploads/transcripts
+ */
+export const getStageArtifactPath = (jobId, kind) => {
+  const transcriptsDir = localPathFor('transcripts');
+  ensureDirectoryExists(transcriptsDir);
+  return path.join(transcriptsDir, `${jobId}_${kind}.json`);
+};
+
+// ===== SAVE STAGE ARTIFACT =====
+/**
+ * Persist a stage result (transcription or translation object) as JSON
+ * Called by processController.js after the stage completes
+ * @param {string} jobId - Job identifier
+ * @param {string} kind - Artifact kind ('transcription' or 'translation')
+ * @param {Object} data - Stage result to store
+ * @returns {string} - Path to the written artifact
+ */
+export const saveStageArtifact = (jobId, kind, data) => {
+  const artifactPath = getStageArtifactPath(jobId, kind);
+  fs.writeFileSync(artifactPath, JSON.stringify(data, null, 2), 'utf8');
+  console.log(`[${jobId}] 💾 Saved ${kind} artifact: ${artifactPath}`);
+  return artifactPath;
+};
+
+// ===== LOAD PIPELINE STATE =====
+/**
+ * Rebuild the in-memory pipeline state from files and database fields of a job
+ * Shared artifacts (audio, transcription) sit at the top level, per-language
+ * artifacts are listed in state.branches
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - State with video record and every artifact that exists on disk
+ *   (stored files missing locally are downloaded from the storage backend first)
+ */
+export const loadPipelineState = async (jobId) => {
+  const video = await Upload.findById(jobId);
+
+  if (!video) {
+    throw new Error(`Video record not found in database for job: ${jobId}`);
+  }
+
+  // Files kept in remote storage (uploaded on another node, or released after completion)
+  for (const entry of video.stored_files || []) {
+    await ensureLocalFile(localPathFor(entry.key));
+  }
+
+  const audioPath = getFilePath('audio', jobId, '.wav');
+  const targetLanguages = getTargetLanguages(video);
+  const multiLanguage = targetLanguages.length > 1;
+
+  return {
+    video,
+    originalVideoPath: fileOrNull(video.file_path),
+    audioPath: fileOrNull(audioPath),
+    transcription: readJsonArtifact(getStageArtifactPath(jobId, 'transcription')),
+    branches: targetLanguages.map(language => {
+      const artifactKey = getBranchArtifactKey(jobId, language, multiLanguage);
+      // Single-language jobs may have paths recorded on the job document itself
+      const recorded = multiLanguage ? {} : video;
+      return loadBranchState(language, artifactKey, recorded);
+    })
+  };
+};
+
+// ===== LOAD BRANCH STATE =====
+/**
+ * Rebuild the state of one language branch from its artifacts
+ * @param {string} language - Target language code
+ * @param {string} artifactKey - File-name key of the branch
+ * @param {Object} recorded - Object with previously recorded paths (tts_audio_path, caption_file_path, ...)
+ * @returns {Object} - Branch state
+ */
+const loadBranchState = (language, artifactKey, recorded = {}) => {
+  const ttsAudioPath = recorded.tts_audio_path || localPathFor(`translated_audio/${artifactKey}_translated.wav`);
+  const captionPath = recorded.caption_file_path || localPathFor(`captions/${artifactKey}_captions.vtt`);
+
+  return {
+    language,
+    artifactKey,
+    translation: readJsonArtifact(getStageArtifactPath(artifactKey, 'translation')),
+    ttsAudioPath: fileOrNull(ttsAudioPath),
+    captionResult: fileOrNull(captionPath) ? {
+      captionPath,
+      srtPath: recorded.caption_srt_path || localPathFor(`captions/${artifactKey}_captions.srt`),
+      transcriptPath: recorded.transcript_file_path || localPathFor(`transcripts/${artifactKey}_transcript.txt`)
+    } : null
+  };
+};
+
+// ===== CHECK STAGE INPUTS =====
+/**
+ * List the inputs that are missing to run the pipeline from a given stage
+ * @param {Object} state - State returned by loadPipelineState
+ * @param {string} stage - Stage to resume from
+ * @returns {Array<string>} - Human-readable names of missing inputs (empty if resumable)
+ */
+export const getMissingStageInputs = (state, stage) => {
+  if (!PIPELINE_STAGES.includes(stage)) {
+    throw new Error(`Unknown pipeline stage: ${stage}. Use one of: ${PIPELINE_STAGES.join(', ')}`);
+  }
+
+  const sharedRequirements = {
+    audio_extraction: [['original video', state.originalVideoPath]],
+    transcription: [['extracted audio (uploads/audio)', state.audioPath]],
+    diarization: [['extracted audio (uploads/audio)', state.audioPath], ['transcription artifact (uploads/transcripts)', state.transcription]],
+    translation: [['transcription artifact (uploads/transcripts)', state.transcription]],
+    tts_generation: [],
+    caption_generation: [],
+    video_assembly: [['original video', state.originalVideoPath]]
+  };
+
+  const missing = sharedRequirements[stage]
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+
+  if (state.branches.length === 0) {
+    missing.push('target language');
+  }
+
+  // Every language branch needs its own inputs for the later stages
+  const prefix = state.branches.length > 1;
+  state.branches.forEach(branch => {
+    const branchRequirements = {
+      tts_generation: [['translation artifact (uploads/transcripts)', branch.translation]],
+      caption_generation: [['translation artifact (uploads/transcripts)', branch.translation]],
+      video_assembly: [['TTS audio (uploads/translated_audio)', branch.ttsAudioPath]]
+    };
+
+    (branchRequirements[stage] || [])
+      .filter(([, value]) => !value)
+      .forEach(([name]) => missing.push(prefix ? `${name} [${branch.language}]` : name));
+  });
+
+  return missing;
+};
+
+// ===== HELPER FUNCTION: FILE OR NULL =====
+const fileOrNull = (filePath) => {
+  return filePath && fs.existsSync(filePath) ? filePath : null;
+};
+
+// ===== HELPER FUNCTION: READ JSON ARTIFACT =====
+const readJsonArtifact = (artifactPath) => {
+  try {
+    if (!fs.existsSync(artifactPath)) return null;
+    return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable artifact ${artifactPath}: ${error.message}`);
+    return null;
+  }
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  PIPELINE_STAGES,
+  BRANCH_STAGES,
+  getTargetLanguages,
+  getBranchArtifactKey,
+  getStageArtifactPath,
+  saveStageArtifact,
+  loadPipelineState,
+  getMissingStageInputs
+};
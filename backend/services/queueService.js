@@ -0,0 +1,365 @@
+// services/queueService.js - PERSISTENT JOB QUEUE WITH BOUNDED CONCURRENCY
+
+// ===== IMPORT REQUIRED MODULES =====
+import os from 'os';
+import QueueJob from '../models/queueModel.js';
+import Upload from '../models/uploadModel.js';
+import { processVideo } from '../controllers/processController.js';
+import { cancelJob, JobCancelledError } from './cancellationService.js';
+import { publishJobEvent, resetJobEvents } from './jobEventsService.js';
+
+// ===== QUEUE CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getQueueConfig = () => ({
+  concurrency: Math.max(1, parseInt(process.env.QUEUE_CONCURRENCY) || 2),
+  pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 5000,
+  staleAfterMs: parseInt(process.env.QUEUE_STALE_AFTER_MS) || 5 * 60 * 1000
+});
+
+const QUEUE_HEARTBEAT_INTERVAL_MS = 30000;
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+// ===== WORKER STATE =====
+const activeJobs = new Map(); // jobId -> queue entry id
+let pollTimer = null;
+let heartbeatTimer = null;
+let isPolling = false;
+let pollRequested = false;
+
+// ===== ENQUEUE A JOB =====
+/**
+ * Add a job to the persistent processing queue
+ * Called by uploadController.js instead of starting processVideo directly
+ * @param {string} jobId - Upload document id to process
+ * @param {Object} options - Options forwarded to processVideo when the job is picked up
+ * @returns {Promise<Object>} - Queue entry id and current queue position
+ */
+export const enqueueJob = async (jobId, options = {}) => {
+  const entry = await QueueJob.create({ job_id: jobId, options });
+  const position = await QueueJob.getQueuePosition(jobId);
+
+  await Upload.findByIdAndUpdate(jobId, {
+    processing_status: 'queued',
+    processing_step: 'queued',
+    queued_at: entry.enqueued_at,
+    queue_position: position
+  });
+
+  console.log(`[${jobId}] 📥 Job queued at position ${position} (concurrency: ${getQueueConfig().concurrency})`);
+  resetJobEvents(jobId);
+  publishJobEvent(jobId, 'status', { status: 'queued', queue_position: position });
+
+  // Pick the job up right away if a slot is free
+  setImmediate(pollQueue);
+
+  return { queueEntryId: entry._id, position };
+};
+
+// ===== GET QUEUE POSITION =====
+/**
+ * Get the live 1-based queue position of a job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<number|null>} - Position, or null if the job is not waiting in the queue
+ */
+export const getQueuePosition = async (jobId) => {
+  return QueueJob.getQueuePosition(jobId);
+};
+
+// ===== GET QUEUE STATUS =====
+/**
+ * Get queue counters for health and monitoring endpoints
+ * @returns {Promise<Object>} - Queued/active counts and worker configuration
+ */
+export const getQueueStatus = async () => {
+  const stats = await QueueJob.getQueueStats();
+  return {
+    ...stats,
+    concurrency: getQueueConfig().concurrency,
+    worker_id: WORKER_ID,
+    running_on_this_worker: activeJobs.size
+  };
+};
+
+// ===== CANCEL QUEUED JOB =====
+/**
+ * Withdraw a job that is still waiting in the queue
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<number>} - Number of queue entries cancelled
+ */
+export const cancelQueuedJob = async (jobId) => {
+  const result = await QueueJob.updateMany(
+    { job_id: jobId, status: 'queued' },
+    { status: 'cancelled', finished_at: new Date() }
+  );
+
+  if (result.modifiedCount > 0) {
+    await refreshQueuePositions();
+  }
+
+  return result.modifiedCount;
+};
+
+// ===== CHECK ACTIVE JOB =====
+/**
+ * Whether a worker (on any server instance) has claimed the job and is running it
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<boolean>}
+ */
+export const isJobActiveInQueue = async (jobId) => {
+  return Boolean(await QueueJob.exists({ job_id: jobId, status: 'active' }));
+};
+
+// ===== START QUEUE WORKER =====
+/**
+ * Start the worker loop that pulls queued jobs up to the concurrency limit
+ * Called by server.js once the database connection is established
+ */
+export const startQueueWorker = async () => {
+  if (pollTimer) return;
+
+  const { concurrency, pollIntervalMs } = getQueueConfig();
+  console.log(`⚙️ Starting queue worker ${WORKER_ID} (concurrency: ${concurrency}, poll: ${pollIntervalMs}ms)`);
+
+  // A restart within QUEUE_STALE_AFTER_MS leaves fresh-looking entries of the previous process
+  await requeueStaleJobs({ includeDeadLocalWorkers: true });
+
+  pollTimer = setInterval(pollQueue, pollIntervalMs);
+  heartbeatTimer = setInterval(async () => {
+    await sendHeartbeat();
+    // Workers elsewhere can die at any time, not just while this one is starting
+    await requeueStaleJobs().catch(error => console.error('❌ Stale job check failed:', error.message));
+  }, QUEUE_HEARTBEAT_INTERVAL_MS);
+
+  pollQueue();
+};
+
+// ===== STOP QUEUE WORKER =====
+/**
+ * Stop pulling new jobs (running jobs are left to finish or be recovered on restart)
+ */
+export const stopQueueWorker = () => {
+  clearInterval(pollTimer);
+  clearInterval(heartbeatTimer);
+  pollTimer = null;
+  heartbeatTimer = null;
+  console.log(`⚙️ Queue worker ${WORKER_ID} stopped (${activeJobs.size} job(s) still running)`);
+};
+
+// ===== HELPER FUNCTION: POLL QUEUE =====
+/**
+ * Claim queued entries atomically until all worker slots are busy
+ */
+const pollQueue = async () => {
+  if (isPolling) {
+    pollRequested = true;
+    return;
+  }
+  isPolling = true;
+
+  try {
+    let claimedAny = false;
+    const { concurrency } = getQueueConfig();
+
+    while (activeJobs.size < concurrency) {
+      const now = new Date();
+      const entry = await QueueJob.findOneAndUpdate(
+        { status: 'queued' },
+        {
+          status: 'active',
+          started_at: now,
+          heartbeat_at: now,
+          worker_id: WORKER_ID,
+          $inc: { attempts: 1 }
+        },
+        { sort: { enqueued_at: 1, _id: 1 }, new: true }
+      );
+
+      if (!entry) break;
+
+      claimedAny = true;
+      runQueueEntry(entry);
+    }
+
+    if (claimedAny) {
+      await refreshQueuePositions();
+    }
+
+  } catch (error) {
+    console.error('❌ Queue poll failed:', error.message);
+  } finally {
+    isPolling = false;
+
+    if (pollRequested) {
+      pollRequested = false;
+      setImmediate(pollQueue);
+    }
+  }
+};
+
+// ===== HELPER FUNCTION: RUN CLAIMED ENTRY =====
+/**
+ * Run processVideo for a claimed queue entry and record the outcome
+ * @param {Object} entry - Claimed QueueJob document
+ */
+const runQueueEntry = async (entry) => {
+  const jobId = entry.job_id.toString();
+  activeJobs.set(jobId, entry._id);
+
+  try {
+    const video = await Upload.findById(jobId).select('processing_status');
+
+    // Job was deleted or cancelled while waiting in the queue
+    if (!video || video.processing_status === 'cancelled') {
+      console.log(`[${jobId}] ⏭️ Skipping queue entry: job ${video ? 'cancelled' : 'no longer exists'}`);
+      await QueueJob.findByIdAndUpdate(entry._id, { status: 'cancelled', finished_at: new Date() });
+      return;
+    }
+
+    console.log(`[${jobId}] ▶️ Worker ${WORKER_ID} picked up job (${activeJobs.size}/${getQueueConfig().concurrency} slots busy)`);
+    await Upload.findByIdAndUpdate(jobId, { queue_position: null });
+
+    await processVideo(jobId, entry.options || {});
+
+    await QueueJob.findByIdAndUpdate(entry._id, { status: 'done', finished_at: new Date() });
+
+  } catch (error) {
+    const cancelled = error instanceof JobCancelledError;
+    if (cancelled) {
+      console.log(`[${jobId}] 🛑 Queued job cancelled while running`);
+    } else {
+      console.error(`[${jobId}] ❌ Queued job failed:`, error.message);
+    }
+
+    try {
+      await QueueJob.findByIdAndUpdate(entry._id, {
+        status: cancelled ? 'cancelled' : 'failed',
+        finished_at: new Date(),
+        last_error: error.message
+      });
+    } catch (dbError) {
+      console.error(`[${jobId}] Failed to update queue entry:`, dbError.message);
+    }
+
+  } finally {
+    activeJobs.delete(jobId);
+    setImmediate(pollQueue);
+  }
+};
+
+// ===== HELPER FUNCTION: REFRESH QUEUE POSITIONS =====
+/**
+ * Record the current queue position on every waiting Upload document
+ */
+const refreshQueuePositions = async () => {
+  const queued = await QueueJob.find({ status: 'queued' })
+    .sort({ enqueued_at: 1, _id: 1 })
+    .select('job_id')
+    .lean();
+
+  if (queued.length === 0) return;
+
+  await Upload.bulkWrite(queued.map((entry, index) => ({
+    updateOne: {
+      filter: { _id: entry.job_id },
+      update: { $set: { queue_position: index + 1, updatedAt: new Date() } }
+    }
+  })));
+};
+
+// ===== HELPER FUNCTION: SEND HEARTBEAT =====
+/**
+ * Mark entries owned by this worker as still alive
+ * Also picks up cancellations recorded by another server instance
+ */
+const sendHeartbeat = async () => {
+  if (activeJobs.size === 0) return;
+
+  try {
+    await QueueJob.updateMany(
+      { _id: { $in: [...activeJobs.values()] } },
+      { heartbeat_at: new Date() }
+    );
+
+    const cancelled = await Upload.find({
+      _id: { $in: [...activeJobs.keys()] },
+      processing_status: 'cancelled'
+    }).select('cancellation_reason');
+
+    cancelled.forEach(video => cancelJob(video._id.toString(), video.cancellation_reason));
+  } catch (error) {
+    console.error('❌ Queue heartbeat failed:', error.message);
+  }
+};
+
+// ===== HELPER FUNCTION: REQUEUE STALE JOBS =====
+/**
+ * Put jobs back in the queue when the worker that claimed them stopped sending heartbeats
+ * (e.g. the server was restarted mid-pipeline); runs at startup and with every heartbeat
+ * @param {Object} options - { includeDeadLocalWorkers }: also take entries of workers on this
+ *   host whose process is gone, however recent their last heartbeat (used at startup)
+ */
+const requeueStaleJobs = async (options = {}) => {
+  const cutoff = new Date(Date.now() - getQueueConfig().staleAfterMs);
+  const staleFilter = { $or: [{ heartbeat_at: { $lt: cutoff } }, { heartbeat_at: null }] };
+  const filters = [staleFilter];
+
+  if (options.includeDeadLocalWorkers) {
+    const localWorkers = await QueueJob.distinct('worker_id', {
+      status: 'active',
+      worker_id: { $regex: `^${escapeRegex(os.hostname())}-\\d+$`, $ne: WORKER_ID }
+    });
+    const deadWorkers = localWorkers.filter(workerId => !isProcessAlive(parseInt(workerId.split('-').pop(), 10)));
+    if (deadWorkers.length > 0) {
+      filters.push({ worker_id: { $in: deadWorkers } });
+    }
+  }
+
+  const stale = await QueueJob.find({ status: 'active', $or: filters }).select('job_id');
+  const requeued = [];
+
+  // Re-check the conditions per entry so one that sent a heartbeat meanwhile is left alone
+  for (const entry of stale) {
+    const claimed = await QueueJob.findOneAndUpdate(
+      { _id: entry._id, status: 'active', $or: filters },
+      { status: 'queued', worker_id: null, heartbeat_at: null }
+    );
+    if (claimed) requeued.push(entry.job_id);
+  }
+
+  if (requeued.length === 0) return;
+
+  await Upload.updateMany(
+    { _id: { $in: requeued } },
+    { processing_status: 'queued', processing_step: 'queued', updatedAt: new Date() }
+  );
+
+  requeued.forEach(jobId => resetJobEvents(jobId));
+  console.log(`♻️ Re-queued ${requeued.length} stale job(s) abandoned by a previous worker`);
+  setImmediate(pollQueue);
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a process of this host is still running (signal 0 only checks it exists)
+const isProcessAlive = (pid) => {
+  if (!pid || pid === process.pid) return pid === process.pid;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  enqueueJob,
+  cancelQueuedJob,
+  isJobActiveInQueue,
+  getQueuePosition,
+  getQueueStatus,
+  startQueueWorker,
+  stopQueueWorker
+};
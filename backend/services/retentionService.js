@@ -0,0 +1,254 @@
+// services/retentionService.js - SCHEDULED CLEANUP OF INTERMEDIATE FILES, FAILED JOBS AND ORIGINALS
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import cron from 'node-cron';
+import Upload from '../models/uploadModel.js';
+import RetentionRun from '../models/retentionRunModel.js';
+import { cleanupOldFiles, deleteJobArtifacts } from '../utils/fileUtils.js';
+import { localPathFor, storageKeyFor, deleteStoredFiles } from './storage/index.js';
+import { sweepExpiredUploadSessions } from '../controllers/chunkedUploadController.js';
+
+// ===== RETENTION CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getRetentionConfig = () => ({
+  enabled: process.env.RETENTION_ENABLED !== 'false',
+  schedule: process.env.RETENTION_CRON || '0 * * * *', // Hourly
+  // Extracted audio and per-segment TTS files older than this are deleted (jobs still running are skipped)
+  intermediateHours: parseFloat(process.env.RETENTION_INTERMEDIATE_HOURS) || 24,
+  // Failed jobs (record and files) are deleted this long after they failed
+  failedJobDays: parseFloat(process.env.RETENTION_FAILED_JOB_DAYS) || 7,
+  // Delete the uploaded original once a job has been completed for this long (off by default)
+  deleteOriginals: process.env.RETENTION_DELETE_ORIGINALS === 'true',
+  originalsHours: parseFloat(process.env.RETENTION_ORIGINALS_HOURS) || 0
+});
+
+// Stage directories under uploads/ holding intermediate files
+const INTERMEDIATE_DIRS = ['audio', 'temp_audio'];
+
+// Jobs in these states may still need their intermediate files
+const ACTIVE_STATUSES = ['downloading', 'queued', 'processing'];
+
+// Longest list of removed items kept on a run record
+const MAX_LISTED = 200;
+
+// ===== SCHEDULER STATE =====
+let scheduledTask = null;
+let currentRun = null;
+
+// ===== START / STOP SCHEDULE =====
+/**
+ * Schedule retention runs (RETENTION_CRON); does nothing when RETENTION_ENABLED=false
+ * Called from server.js once the database is connected
+ */
+export const startRetentionSchedule = () => {
+  const { enabled, schedule } = getRetentionConfig();
+
+  if (!enabled) {
+    console.log('🧹 Retention cleanup disabled (RETENTION_ENABLED=false)');
+    return;
+  }
+
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid RETENTION_CRON expression "${schedule}", retention cleanup not scheduled`);
+    return;
+  }
+
+  scheduledTask = cron.schedule(schedule, () => {
+    runRetention('schedule').catch(error => console.error('❌ Scheduled retention run failed:', error.message));
+  });
+
+  console.log(`🧹 Retention cleanup scheduled (${schedule})`);
+};
+
+/**
+ * Stop scheduling retention runs (a run in progress finishes on its own)
+ */
+export const stopRetentionSchedule = () => {
+  if (scheduledTask) {
+    scheduledTask.destroy();
+    scheduledTask = null;
+  }
+};
+
+// ===== RUN RETENTION =====
+/**
+ * Apply every retention policy once and record what was removed
+ * Only one run happens at a time; a second call returns the run already in progress
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object>} - RetentionRun document
+ */
+export const runRetention = (trigger = 'manual') => {
+  if (!currentRun) {
+    currentRun = executeRun(trigger).finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+};
+
+/**
+ * Whether a retention run is in progress on this server
+ * @returns {boolean}
+ */
+export const isRetentionRunning = () => currentRun !== null;
+
+/**
+ * Retention policy currently configured
+ * @returns {Object}
+ */
+export const getRetentionPolicy = () => {
+  const config = getRetentionConfig();
+  return {
+    enabled: config.enabled,
+    schedule: config.schedule,
+    intermediate_hours: config.intermediateHours,
+    failed_job_days: config.failedJobDays,
+    delete_originals: config.deleteOriginals,
+    originals_hours: config.originalsHours
+  };
+};
+
+const executeRun = async (trigger) => {
+  const config = getRetentionConfig();
+  const startedAt = Date.now();
+  const run = await RetentionRun.create({
+    trigger,
+    policy: {
+      intermediate_hours: config.intermediateHours,
+      failed_job_days: config.failedJobDays,
+      delete_originals: config.deleteOriginals,
+      originals_hours: config.originalsHours
+    }
+  });
+
+  console.log(`🧹 Retention run ${run._id} started (${trigger})`);
+
+  const removed = {
+    intermediate_files: [],
+    intermediate_file_count: 0,
+    failed_jobs: [],
+    failed_job_count: 0,
+    originals: [],
+    original_count: 0,
+    upload_sessions: 0,
+    stored_objects: 0
+  };
+  const errors = [];
+  let totalBytes = 0;
+
+  // Each policy runs even if another one failed
+  const step = async (name, action) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`❌ Retention ${name} failed:`, error.message);
+      errors.push(`${name}: ${error.message}`);
+    }
+  };
+
+  // ===== INTERMEDIATE AUDIO AND TEMP SEGMENTS =====
+  await step('intermediate files', async () => {
+    const activeJobs = await Upload.find({ processing_status: { $in: ACTIVE_STATUSES } }).select('_id').lean();
+    const activeIds = new Set(activeJobs.map(job => job._id.toString()));
+
+    INTERMEDIATE_DIRS.forEach(directory => {
+      cleanupOldFiles(localPathFor(directory), config.intermediateHours, {
+        shouldKeep: (file) => activeIds.has(file.slice(0, 24)),
+        onDelete: (entry) => {
+          removed.intermediate_file_count++;
+          totalBytes += entry.size_bytes;
+          if (removed.intermediate_files.length < MAX_LISTED) removed.intermediate_files.push(entry);
+        }
+      });
+    });
+  });
+
+  // ===== ABANDONED CHUNKED UPLOADS =====
+  await step('upload sessions', async () => {
+    removed.upload_sessions = await sweepExpiredUploadSessions();
+  });
+
+  // ===== FAILED JOBS =====
+  await step('failed jobs', async () => {
+    const cutoff = new Date(Date.now() - config.failedJobDays * 24 * 60 * 60 * 1000);
+    const failedJobs = await Upload.find({ processing_status: 'failed', failed_at: { $lt: cutoff } });
+
+    for (const job of failedJobs) {
+      const freed = deleteJobArtifacts(job._id.toString(), job);
+      const stored = await deleteStoredFiles(job.stored_files);
+      totalBytes += freed.total_bytes;
+      removed.stored_objects += stored.deleted.length;
+      removed.failed_job_count++;
+      if (removed.failed_jobs.length < MAX_LISTED) {
+        removed.failed_jobs.push({ job_id: job._id.toString(), original_name: job.originalName, failed_at: job.failed_at });
+      }
+    }
+
+    // Files are gone; drop the records
+    if (failedJobs.length > 0) {
+      await Upload.cleanupFailedJobs(config.failedJobDays);
+    }
+  });
+
+  // ===== ORIGINALS OF COMPLETED JOBS =====
+  if (config.deleteOriginals) {
+    await step('originals', async () => {
+      const cutoff = new Date(Date.now() - config.originalsHours * 60 * 60 * 1000);
+      const completedJobs = await Upload.find({
+        processing_status: 'completed',
+        completed_at: { $lte: cutoff },
+        file_path: { $ne: null },
+        original_deleted_at: null
+      });
+
+      for (const job of completedJobs) {
+        const key = storageKeyFor(job.file_path);
+        let size = 0;
+
+        if (fs.existsSync(job.file_path)) {
+          size = fs.statSync(job.file_path).size;
+          fs.rmSync(job.file_path, { force: true });
+        }
+
+        const storedOriginal = (job.stored_files || []).filter(entry => entry.key === key);
+        const stored = await deleteStoredFiles(storedOriginal);
+        removed.stored_objects += stored.deleted.length;
+
+        await Upload.findByIdAndUpdate(job._id, {
+          original_deleted_at: new Date(),
+          $pull: { stored_files: { key: { $in: stored.deleted } } }
+        });
+
+        totalBytes += size;
+        removed.original_count++;
+        if (removed.originals.length < MAX_LISTED) {
+          removed.originals.push({ job_id: job._id.toString(), path: job.file_path, size_bytes: size });
+        }
+      }
+    });
+  }
+
+  // ===== RECORD THE RUN =====
+  run.set({
+    status: errors.length > 0 ? 'failed' : 'completed',
+    finished_at: new Date(),
+    duration_ms: Date.now() - startedAt,
+    removed,
+    total_bytes: totalBytes,
+    error_messages: errors
+  });
+  await run.save();
+
+  console.log(`🧹 Retention run ${run._id} ${run.status}: ${removed.intermediate_file_count} intermediate files, ${removed.failed_job_count} failed jobs, ${removed.original_count} originals, ${removed.upload_sessions} upload sessions (${Math.round(totalBytes / 1024 / 1024)} MB)`);
+  return run;
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  startRetentionSchedule,
+  stopRetentionSchedule,
+  runRetention,
+  isRetentionRunning,
+  getRetentionPolicy
+};
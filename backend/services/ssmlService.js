@@ -0,0 +1,136 @@
+// services/ssmlService.js - SSML FOR SEGMENT SPEECH (PAUSES, EMPHASIS, PROSODY)
+
+// ===== IMPORT REQUIRED MODULES =====
+import { termPattern } from './lexiconService.js';
+
+// ===== SSML CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+export const getSsmlConfig = () => ({
+  // Send segments as SSML to engines that accept it (plain text otherwise)
+  enabled: process.env.TTS_SSML !== 'false',
+  // Pause after a sentence end (danda, full stop, ? and !) and after a clause (comma, semicolon, colon)
+  sentenceBreakMs: Math.max(0, parseInt(process.env.TTS_SSML_SENTENCE_BREAK_MS) || 350),
+  clauseBreakMs: Math.max(0, parseInt(process.env.TTS_SSML_CLAUSE_BREAK_MS) || 150)
+});
+
+// Punctuation that ends a sentence or a clause, when followed by a space (so "3.5" and "1,000" are left alone)
+const SENTENCE_END = /([।॥.!?؟])\s+/g;
+const CLAUSE_END = /([,،:]|(?<!&(?:amp|lt|gt|quot|apos));)\s+/g;      // Not the ; closing an escaped entity
+
+// Emphasis marked in the translation text: **strong** and *moderate*
+const STRONG_EMPHASIS = /\*\*([^*]+?)\*\*/g;
+const MODERATE_EMPHASIS = /\*([^*]+?)\*/g;
+
+// Private-use characters marking where a phoneme element goes
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const PLACEHOLDER = /\uE000(\d+)\uE001/g;
+
+// ===== BUILD SEGMENT SSML =====
+/**
+ * Turn the text of one segment into an SSML document
+ * - Sentence and clause punctuation (including the danda) is followed by a break
+ * - Words marked *like this* or **like this** are emphasised (moderate / strong); add the markers
+ *   to the translation artifact and resume from tts_generation to re-dub with them
+ * - Rate and pitch of the segment go on a prosody element around the whole text
+ * - Lexicon terms with a phoneme (see lexiconService.js) are wrapped in phoneme elements
+ * @param {string} text - Segment text (may contain emphasis markers)
+ * @param {Object} options - Voice and prosody of the segment
+ * @param {string} options.voice - Voice name (e.g. hi-IN-SwaraNeural), also gives xml:lang
+ * @param {number} options.speechRate - Speaking rate in percent of normal (100 = normal)
+ * @param {number} options.pitch - Pitch adjustment in Hz
+ * @param {Array<Object>} options.phonemes - Lexicon entries with a phoneme found in the text (optional)
+ * @returns {string} - SSML document
+ */
+export const buildSegmentSsml = (text, options) => {
+  const config = getSsmlConfig();
+  const phonemeElements = [];
+  let body = normalizeSpaces(text);
+
+  // Placeholders keep the phoneme elements out of the escaping, emphasis and break rules
+  for (const entry of options.phonemes || []) {
+    body = body.replace(termPattern(entry.term, entry.case_sensitive), (match) => {
+      phonemeElements.push(`<phoneme alphabet="${entry.alphabet || 'ipa'}" ph="${escapeXml(entry.phoneme)}">${escapeXml(match)}</phoneme>`);
+      return `${PLACEHOLDER_START}${phonemeElements.length - 1}${PLACEHOLDER_END}`;
+    });
+  }
+
+  body = escapeXml(body);
+
+  body = body
+    .replace(STRONG_EMPHASIS, '<emphasis level="strong">$1</emphasis>')
+    .replace(MODERATE_EMPHASIS, '<emphasis level="moderate">$1</emphasis>')
+    .replace(/\*/g, '');
+
+  if (config.sentenceBreakMs > 0) {
+    body = body.replace(SENTENCE_END, `$1<break time="${config.sentenceBreakMs}ms"/> `);
+  }
+  if (config.clauseBreakMs > 0) {
+    body = body.replace(CLAUSE_END, `$1<break time="${config.clauseBreakMs}ms"/> `);
+  }
+  body = body.replace(PLACEHOLDER, (match, index) => phonemeElements[index]);
+
+  const language = voiceLanguage(options.voice);
+  const rate = formatRate(options.speechRate ?? 100);
+  const pitch = formatPitch(options.pitch || 0);
+
+  return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${language}">` +
+    `<voice name="${escapeXml(options.voice)}">` +
+    `<prosody rate="${rate}" pitch="${pitch}">${body}</prosody>` +
+    `</voice></speak>`;
+};
+
+// ===== RATE AND PITCH VALUES =====
+// Shared by the SSML prosody element and the edge-tts --rate / --pitch options
+
+/**
+ * Rate relative to normal ("+10%", "-5%")
+ * @param {number} speechRate - Speaking rate in percent of normal (100 = "+0%")
+ * @returns {string}
+ */
+export const formatRate = (speechRate) => speechRate >= 100 ? `+${speechRate - 100}%` : `-${100 - speechRate}%`;
+
+/**
+ * Pitch adjustment ("+8Hz", "-4Hz")
+ * @param {number} pitch - Adjustment in Hz
+ * @returns {string}
+ */
+export const formatPitch = (pitch = 0) => pitch >= 0 ? `+${pitch}Hz` : `${pitch}Hz`;
+
+// ===== PLAIN TEXT FALLBACK =====
+/**
+ * Text of a segment for engines without SSML support and for captions: emphasis markers removed
+ * @param {string} text - Segment text (may contain emphasis markers)
+ * @returns {string} - Plain text
+ */
+export const stripEmphasisMarkers = (text) => {
+  return normalizeSpaces((text || '').replace(STRONG_EMPHASIS, '$1').replace(MODERATE_EMPHASIS, '$1').replace(/\*/g, ''));
+};
+
+// ===== HELPER FUNCTIONS =====
+
+const normalizeSpaces = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const escapeXml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// xml:lang from a voice name ("hi-IN-SwaraNeural" -> "hi-IN")
+const voiceLanguage = (voice) => {
+  const match = /^([a-z]{2,3}-[A-Z]{2})-/.exec(voice || '');
+  return match ? match[1] : 'en-US';
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  getSsmlConfig,
+  buildSegmentSsml,
+  stripEmphasisMarkers,
+  formatRate,
+  formatPitch
+};
@@ -0,0 +1,233 @@
+// services/storage/index.js - STORAGE BACKEND SELECTION AND HELPERS
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import path from 'path';
+import localStorage from './localStorage.js';
+import s3Storage from './s3Storage.js';
+
+// ===== STORAGE INTERFACE =====
+// A driver is an object with:
+//   name, isLocal                  - id used by STORAGE_DRIVER / whether keys are plain files under uploads/
+//   put(key, filePath, { contentType }) -> Promise          store a local file under key
+//   stat(key) -> Promise<{ size, contentType? } | null>     null when the key does not exist
+//   getStream(key, range?) -> Promise<Readable>              range = { start, end } (inclusive)
+//   download(key, filePath) -> Promise                       copy the object to a local file
+//   delete(key) -> Promise
+//   getSignedUrl(key, { expiresIn, filename }) -> Promise<string|null>   null = serve through /uploads
+// Keys mirror the layout of uploads/ ("originals/<file>", "processed/<jobId>_final.mp4", ...).
+// The pipeline always works on local files under uploads/; the storage keeps uploaded originals
+// and finished artifacts so any API node can serve or resume a job.
+
+const LOCAL_ROOT = 'uploads';
+
+const drivers = new Map([
+  [localStorage.name, localStorage],
+  [s3Storage.name, s3Storage]
+]);
+
+// ===== STORAGE CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getStorageConfig = () => ({
+  driver: (process.env.STORAGE_DRIVER || 'local').trim().toLowerCase(),
+  // presigned: redirect downloads to the object store; proxy: stream them through the API
+  delivery: process.env.STORAGE_DELIVERY === 'proxy' ? 'proxy' : 'presigned',
+  presignExpiresS: parseInt(process.env.STORAGE_PRESIGN_EXPIRES_S) || 3600,
+  // Remove local copies of stored artifacts once a job has finished (remote drivers only)
+  keepLocalCopies: process.env.STORAGE_KEEP_LOCAL_COPIES === 'true'
+});
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.avi': 'video/avi',
+  '.mov': 'video/quicktime',
+  '.wmv': 'video/x-ms-wmv',
+  '.webm': 'video/webm',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.m4s': 'video/iso.segment'
+};
+
+// ===== GET STORAGE =====
+/**
+ * Get the configured storage driver (STORAGE_DRIVER, default local)
+ * @returns {Object} - Driver implementing the interface above
+ */
+export const getStorage = () => {
+  const { driver } = getStorageConfig();
+  const storage = drivers.get(driver);
+  if (!storage) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver} (available: ${[...drivers.keys()].join(', ')})`);
+  }
+  return storage;
+};
+
+/**
+ * Describe the active storage for health endpoints
+ * @returns {Object} - Driver name and delivery mode
+ */
+export const getStorageInfo = () => {
+  const { driver, delivery, keepLocalCopies } = getStorageConfig();
+  return {
+    driver,
+    delivery: driver === 'local' ? 'local' : delivery,
+    keep_local_copies: driver === 'local' ? true : keepLocalCopies
+  };
+};
+
+// ===== KEYS AND LOCAL PATHS =====
+/**
+ * Local working path of a storage key
+ * @param {string} key - Storage key
+ * @returns {string} - Path under uploads/
+ */
+export const localPathFor = (key) => path.join(LOCAL_ROOT, ...key.split('/'));
+
+/**
+ * Storage key of a local path under uploads/
+ * @param {string} filePath - Local path
+ * @returns {string|null} - Key, or null for paths outside uploads/
+ */
+export const storageKeyFor = (filePath) => {
+  if (!filePath) return null;
+  const relative = path.relative(path.resolve(LOCAL_ROOT), path.resolve(filePath));
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return relative.split(path.sep).join('/');
+};
+
+/**
+ * Content type of a file, from its extension
+ * @param {string} filename - File name or path
+ * @returns {string} - MIME type
+ */
+export const getContentType = (filename) => {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+};
+
+// ===== PERSIST LOCAL FILES =====
+/**
+ * Store local files under their uploads/ keys
+ * A no-op for the local driver, whose keys are the files themselves
+ * @param {Array<string>} filePaths - Local paths (missing files and paths outside uploads/ are skipped)
+ * @param {string} label - Job id for logging
+ * @returns {Promise<Array<Object>>} - Stored files as { key, size, content_type, driver, stored_at }
+ */
+export const persistFiles = async (filePaths, label) => {
+  const storage = getStorage();
+  const stored = [];
+  if (storage.isLocal) return stored;
+
+  for (const filePath of [...new Set(filePaths.filter(Boolean))]) {
+    const key = storageKeyFor(filePath);
+    if (!key || !fs.existsSync(filePath)) continue;
+
+    const contentType = getContentType(filePath);
+    const { size } = fs.statSync(filePath);
+    await storage.put(key, filePath, { contentType });
+    stored.push({ key, size, content_type: contentType, driver: storage.name, stored_at: new Date() });
+    console.log(`[${label}] ☁️ Stored ${key} (${storage.name})`);
+  }
+
+  return stored;
+};
+
+/**
+ * Delete the local copies of stored files when the configuration keeps them off the app server
+ * @param {Array<Object>} storedFiles - Entries returned by persistFiles
+ * @param {string} label - Job id for logging
+ */
+export const releaseLocalCopies = (storedFiles, label) => {
+  const storage = getStorage();
+  if (storage.isLocal || getStorageConfig().keepLocalCopies) return;
+
+  storedFiles
+    .filter(entry => entry.driver === storage.name)
+    .forEach(entry => fs.rmSync(localPathFor(entry.key), { force: true }));
+
+  if (storedFiles.length > 0) {
+    console.log(`[${label}] 🧹 Removed ${storedFiles.length} local cop${storedFiles.length === 1 ? 'y' : 'ies'} kept in ${storage.name} storage`);
+  }
+};
+
+// ===== RESTORE LOCAL FILES =====
+/**
+ * Make sure a file the pipeline needs exists locally, downloading it from storage if another
+ * node stored it (or its local copy was released)
+ * @param {string} filePath - Local path under uploads/
+ * @returns {Promise<boolean>} - Whether the file exists locally now
+ */
+export const ensureLocalFile = async (filePath) => {
+  if (!filePath) return false;
+  if (fs.existsSync(filePath)) return true;
+
+  const storage = getStorage();
+  const key = storageKeyFor(filePath);
+  if (storage.isLocal || !key) return false;
+
+  try {
+    if (!(await storage.stat(key))) return false;
+    await storage.download(key, filePath);
+    console.log(`☁️ Restored ${key} from ${storage.name} storage`);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not restore ${key} from ${storage.name} storage:`, error.message);
+    return false;
+  }
+};
+
+// ===== DELIVERY =====
+/**
+ * URL the client should be redirected to for a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} - Presigned URL, or null to stream through the API
+ */
+export const getDeliveryUrl = async (key) => {
+  const { delivery, presignExpiresS } = getStorageConfig();
+  if (delivery !== 'presigned') return null;
+  return getStorage().getSignedUrl(key, { expiresIn: presignExpiresS, filename: path.basename(key) });
+};
+
+// ===== DELETE STORED FILES =====
+/**
+ * Delete stored copies of a job's files
+ * @param {Array<Object>} storedFiles - Entries recorded on the job (stored_files)
+ * @returns {Promise<Object>} - { deleted: [keys], failed: [{ key, error }] }
+ */
+export const deleteStoredFiles = async (storedFiles = []) => {
+  const result = { deleted: [], failed: [] };
+
+  for (const entry of storedFiles) {
+    const storage = drivers.get(entry.driver);
+    // Local keys are the working files, which deleteJobArtifacts already removes
+    if (!storage || storage.isLocal) continue;
+
+    try {
+      await storage.delete(entry.key);
+      result.deleted.push(entry.key);
+    } catch (error) {
+      console.error(`❌ Failed to delete stored ${entry.key}:`, error.message);
+      result.failed.push({ key: entry.key, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  getStorage,
+  getStorageInfo,
+  localPathFor,
+  storageKeyFor,
+  getContentType,
+  persistFiles,
+  releaseLocalCopies,
+  ensureLocalFile,
+  getDeliveryUrl,
+  deleteStoredFiles
+};
@@ -0,0 +1,68 @@
+// services/storage/localStorage.js - LOCAL DISK STORAGE DRIVER
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// Files are kept where the pipeline writes them, so storing them is a no-op
+const LOCAL_ROOT = 'uploads';
+
+/**
+ * Resolve a storage key to its path under uploads/ (keys cannot escape the root)
+ * @param {string} key - Storage key, e.g. "processed/<jobId>_final.mp4"
+ * @returns {string} - Local path
+ */
+const resolveKey = (key) => {
+  const root = path.resolve(LOCAL_ROOT);
+  const resolved = path.resolve(root, key);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return resolved;
+};
+
+// ===== LOCAL DRIVER =====
+const localStorage = {
+  name: 'local',
+  isLocal: true,
+
+  async put(key, filePath) {
+    const target = resolveKey(key);
+    if (path.resolve(filePath) === target) return;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(filePath, target);
+  },
+
+  async stat(key) {
+    const target = resolveKey(key);
+    if (!fs.existsSync(target)) return null;
+
+    const stats = fs.statSync(target);
+    return stats.isFile() ? { size: stats.size } : null;
+  },
+
+  async getStream(key, range = null) {
+    return fs.createReadStream(resolveKey(key), range || {});
+  },
+
+  async download(key, filePath) {
+    const source = resolveKey(key);
+    if (path.resolve(filePath) === source) return;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await pipeline(fs.createReadStream(source), fs.createWriteStream(filePath));
+  },
+
+  async delete(key) {
+    fs.rmSync(resolveKey(key), { force: true });
+  },
+
+  // Local files are served by the /uploads routes directly
+  async getSignedUrl() {
+    return null;
+  }
+};
+
+export default localStorage;
@@ -0,0 +1,240 @@
+// services/storage/s3Storage.js - S3-COMPATIBLE OBJECT STORAGE DRIVER (AWS S3, MinIO, ...)
+
+// ===== IMPORT REQUIRED MODULES =====
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// ===== S3 CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getS3Config = () => ({
+  // Custom endpoint for S3-compatible servers, e.g. http://localhost:9000 for MinIO (empty = AWS)
+  endpoint: (process.env.S3_ENDPOINT || '').replace(/\/+$/, ''),
+  // Endpoint used in presigned URLs when browsers reach the server under another host name
+  publicEndpoint: (process.env.S3_PUBLIC_ENDPOINT || process.env.S3_ENDPOINT || '').replace(/\/+$/, ''),
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO needs path-style URLs (http://host/bucket/key); AWS uses bucket.s3.region.amazonaws.com
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(process.env.S3_ENDPOINT),
+  keyPrefix: (process.env.S3_KEY_PREFIX || '').replace(/^\/+|\/+$/g, ''),
+  timeoutMs: parseInt(process.env.S3_TIMEOUT_MS) || 60000
+});
+
+// Uploaded bodies are streamed, so their hash is not part of the signature
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// ===== S3 DRIVER =====
+const s3Storage = {
+  name: 's3',
+  isLocal: false,
+
+  async put(key, filePath, { contentType = 'application/octet-stream' } = {}) {
+    const { size } = fs.statSync(filePath);
+    const response = await s3Request('PUT', key, {
+      headers: { 'content-type': contentType, 'content-length': size },
+      body: fs.createReadStream(filePath)
+    });
+    await expectSuccess(response, `upload ${key}`);
+  },
+
+  async stat(key) {
+    const response = await s3Request('HEAD', key);
+    response.resume();
+
+    if (response.statusCode === 404) return null;
+    await expectSuccess(response, `stat ${key}`);
+
+    return {
+      size: parseInt(response.headers['content-length']) || 0,
+      contentType: response.headers['content-type'] || null
+    };
+  },
+
+  async getStream(key, range = null) {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const response = await s3Request('GET', key, { headers });
+    await expectSuccess(response, `read ${key}`);
+    return response;
+  },
+
+  async download(key, filePath) {
+    const response = await s3Request('GET', key);
+    await expectSuccess(response, `download ${key}`);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const partialPath = `${filePath}.download`;
+    await pipeline(response, fs.createWriteStream(partialPath));
+    fs.renameSync(partialPath, filePath);
+  },
+
+  async delete(key) {
+    const response = await s3Request('DELETE', key);
+    // Deleting a missing object is not an error
+    if (response.statusCode !== 404) await expectSuccess(response, `delete ${key}`);
+    response.resume();
+  },
+
+  /**
+   * Presigned GET URL (query-string SigV4), valid for expiresIn seconds
+   */
+  async getSignedUrl(key, { expiresIn = 3600, filename = null } = {}) {
+    const config = getS3Config();
+    const url = buildObjectUrl(config, key, config.publicEndpoint);
+    const { amzDate, dateStamp } = getSigningDates();
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${config.accessKeyId}/${scope}`);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(Math.min(604800, Math.max(1, Math.round(expiresIn)))));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+    if (filename) {
+      url.searchParams.set('response-content-disposition', `inline; filename="${filename.replace(/"/g, '')}"`);
+    }
+
+    const canonicalRequest = [
+      'GET',
+      url.pathname,
+      canonicalQueryString(url.searchParams),
+      `host:${url.host}\n`,
+      'host',
+      UNSIGNED_PAYLOAD
+    ].join('\n');
+
+    url.searchParams.set('X-Amz-Signature', sign(config, dateStamp, amzDate, scope, canonicalRequest));
+    return url.toString();
+  }
+};
+
+// ===== SIGNED REQUEST =====
+/**
+ * Send a SigV4-signed request for an object
+ * @param {string} method - HTTP method
+ * @param {string} key - Storage key (the configured prefix is added here)
+ * @param {Object} options - { headers, body (readable stream) }
+ * @returns {Promise<http.IncomingMessage>} - Response (body not consumed)
+ */
+const s3Request = (method, key, { headers = {}, body = null } = {}) => {
+  const config = getS3Config();
+
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    return Promise.reject(new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY'));
+  }
+
+  const url = buildObjectUrl(config, key, config.endpoint);
+  const { amzDate, dateStamp } = getSigningDates();
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const payloadHash = body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH;
+
+  const signedHeaders = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signedNames = Object.keys(signedHeaders).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQueryString(url.searchParams),
+    signedNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    signedNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const signature = sign(config, dateStamp, amzDate, scope, canonicalRequest);
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method,
+      timeout: config.timeoutMs,
+      headers: {
+        ...headers,
+        ...signedHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedNames.join(';')}, Signature=${signature}`
+      }
+    }, resolve);
+
+    request.on('timeout', () => request.destroy(new Error(`S3 ${method} ${key} timed out`)));
+    request.on('error', reject);
+
+    if (body) {
+      body.on('error', error => request.destroy(error));
+      body.pipe(request);
+    } else {
+      request.end();
+    }
+  });
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Object URL for a key, path-style or virtual-hosted
+const buildObjectUrl = (config, key, endpoint) => {
+  const fullKey = config.keyPrefix ? `${config.keyPrefix}/${key}` : key;
+  const encodedKey = fullKey.split('/').map(encodeRfc3986).join('/');
+
+  if (config.forcePathStyle || !endpoint && config.bucket.includes('.')) {
+    const base = endpoint || `https://s3.${config.region}.amazonaws.com`;
+    return new URL(`${base}/${encodeRfc3986(config.bucket)}/${encodedKey}`);
+  }
+
+  const base = endpoint
+    ? endpoint.replace('://', `://${config.bucket}.`)
+    : `https://${config.bucket}.s3.${config.region}.amazonaws.com`;
+  return new URL(`${base}/${encodedKey}`);
+};
+
+const getSigningDates = () => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+};
+
+const sign = (config, dateStamp, amzDate, scope, canonicalRequest) => {
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const dateKey = hmac(`AWS4${config.secretAccessKey}`, dateStamp);
+  const signingKey = hmac(hmac(hmac(dateKey, config.region), 's3'), 'aws4_request');
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+};
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+const canonicalQueryString = (params) => {
+  return [...params.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+};
+
+const encodeRfc3986 = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+// Throw with the S3 error code when the response is not a 2xx
+const expectSuccess = async (response, action) => {
+  if (response.statusCode >= 200 && response.statusCode < 300) return;
+
+  let detail = '';
+  for await (const data of response) detail += data;
+  const code = (detail.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+
+  const error = new Error(`S3 ${action} failed: HTTP ${response.statusCode}${code ? ` ${code}` : ''}`);
+  error.statusCode = response.statusCode;
+  throw error;
+};
+
+export default s3Storage;
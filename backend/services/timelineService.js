@@ -0,0 +1,214 @@
+// services/timelineService.js - TIMELINE RENDERING OF THE DUB TRACK
+
+// ===== IMPORT REQUIRED MODULES =====
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import fs from 'fs';
+import { readWavFile, writeWavFile } from '../utils/audioUtils.js';
+import { trackProcess, throwIfCancelled } from './cancellationService.js';
+
+// Set FFmpeg binary path (required for fluent-ffmpeg to work)
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+// Sample rate of the rendered dub track (edge-tts voices are 24 kHz)
+export const TIMELINE_SAMPLE_RATE = 24000;
+
+// ===== TIMELINE CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getTimelineConfig = () => ({
+  // Fastest a clip may be played with chained atempo filters before it is flagged
+  maxCompression: Math.max(1, parseFloat(process.env.DUB_MAX_COMPRESSION) || 1.5),
+  // How far a clip may start before its source segment (into silence)
+  maxEarlyStart: Math.max(0, parseFloat(process.env.DUB_MAX_EARLY_START_S) || 0.5)
+});
+
+// Clips this close to their window still count as fitting (rounding of measured durations)
+const FIT_TOLERANCE_SECONDS = 0.05;
+
+// Fitting strategies, in the order they are tried (see ttsService.js for the rate step)
+export const FIT_STRATEGIES = ['natural', 'rate', 'borrow_silence', 'tempo', 'shorter_translation'];
+
+// ===== PLAN CLIP PLACEMENT =====
+/**
+ * Place synthesized clips on the video timeline, fitting each one to its source segment
+ * Clips arrive already re-synthesized at a faster edge-tts rate where that helped; what
+ * still does not fit the segment is handled, in order, by:
+ * 1. borrow_silence - run on into the silence before the next segment, or start up to
+ *    DUB_MAX_EARLY_START_S early into the silence before this one
+ * 2. tempo - speed the clip up with chained atempo filters (up to DUB_MAX_COMPRESSION)
+ * 3. shorter_translation - still too long at the maximum tempo: the clip pushes the next
+ *    one later and the segment is flagged for a shorter translation
+ * @param {Array<Object>} clips - [{ segmentIndex, sourceStart, sourceEnd, duration, naturalDuration?, speechRate?, resynthesized?, file }]
+ *   (duration = length of the synthesized clip, naturalDuration = length at the job's base rate,
+ *   resynthesized = the clip was voiced again faster than that rate to fit)
+ * @param {number} totalDuration - Length of the video in seconds
+ * @returns {Array<Object>} - Placements { ...clip, start, end, nudge, tempo, truncated, strategy,
+ *   stretch_ratio, needs_shorter_translation }
+ */
+export const planDubTimeline = (clips, totalDuration) => {
+  const { maxCompression, maxEarlyStart } = getTimelineConfig();
+  const ordered = [...clips].sort((a, b) => a.sourceStart - b.sourceStart);
+  const placements = [];
+  let cursor = 0;
+
+  ordered.forEach((clip, index) => {
+    const next = ordered[index + 1];
+    const pushed = cursor > clip.sourceStart;
+    const sourceEnd = Math.max(clip.sourceEnd ?? clip.sourceStart, clip.sourceStart);
+    const limit = next ? Math.max(next.sourceStart, cursor, clip.sourceStart) : totalDuration;
+    const earliest = pushed ? cursor : Math.max(cursor, clip.sourceStart - maxEarlyStart);
+
+    let start = Math.max(clip.sourceStart, cursor);
+    let tempo = 1;
+    let strategy;
+
+    if (start + clip.duration <= Math.max(sourceEnd, start) + FIT_TOLERANCE_SECONDS) {
+      // Fits the source segment as synthesized
+      strategy = clip.resynthesized ? 'rate' : 'natural';
+    } else if (start + clip.duration <= limit + FIT_TOLERANCE_SECONDS) {
+      // Runs on into the silence after the segment
+      strategy = 'borrow_silence';
+    } else if (limit - earliest >= clip.duration - FIT_TOLERANCE_SECONDS) {
+      // Also needs some of the silence before the segment
+      start = Math.max(earliest, limit - clip.duration);
+      strategy = 'borrow_silence';
+    } else {
+      // Use all the silence around the segment and speed the clip up
+      start = earliest;
+      const available = limit - start;
+      const needed = available > 0 ? clip.duration / available : Infinity;
+
+      if (needed <= maxCompression) {
+        tempo = needed;
+        strategy = 'tempo';
+      } else {
+        tempo = maxCompression;
+        strategy = 'shorter_translation';
+      }
+    }
+
+    const length = clip.duration / tempo;
+    const end = start + length;
+
+    placements.push({
+      ...clip,
+      start: round3(start),
+      end: round3(Math.min(end, totalDuration)),
+      nudge: round3(start - clip.sourceStart),
+      tempo: round3(tempo),
+      truncated: end > totalDuration + 0.01,
+      strategy,
+      // Overall speed-up against the clip at the normal rate (edge-tts rate x atempo)
+      stretch_ratio: round3((clip.naturalDuration || clip.duration) / length),
+      needs_shorter_translation: strategy === 'shorter_translation'
+    });
+
+    cursor = end;
+  });
+
+  return placements;
+};
+
+// ===== RENDER THE TIMELINE =====
+/**
+ * Render placed clips into one continuous mono wav as long as the video
+ * Gaps between clips are silence
+ * @param {Array<Object>} placements - Result of planDubTimeline (file = synthesized clip)
+ * @param {number} totalDuration - Length of the video in seconds
+ * @param {string} outputPath - Where to write the wav
+ * @param {string} workDir - Directory for the normalized clips
+ * @param {string} jobId - Job identifier (logging and cancellation)
+ * @returns {Promise<string>} - outputPath
+ */
+export const renderDubTimeline = async (placements, totalDuration, outputPath, workDir, jobId) => {
+  console.log(`[${jobId}] Rendering dub timeline: ${placements.length} clips over ${totalDuration.toFixed(2)}s...`);
+
+  const track = new Float32Array(Math.ceil(totalDuration * TIMELINE_SAMPLE_RATE));
+
+  for (const placement of placements) {
+    throwIfCancelled(jobId);
+
+    // Decode (edge-tts writes MP3 data), resample and apply the tempo in one pass
+    const normalizedPath = `${workDir}/placed_${placement.segmentIndex}.wav`;
+    await normalizeClip(placement.file, normalizedPath, placement.tempo, jobId);
+
+    const clip = readWavFile(normalizedPath);
+    const offset = Math.round(placement.start * TIMELINE_SAMPLE_RATE);
+    const count = Math.min(clip.samples.length, track.length - offset);
+
+    for (let i = 0; i < count; i++) {
+      track[offset + i] += clip.samples[i];
+    }
+
+    fs.unlinkSync(normalizedPath);
+  }
+
+  writeWavFile(outputPath, track, TIMELINE_SAMPLE_RATE);
+  console.log(`[${jobId}] ✅ Dub timeline rendered: ${outputPath} (${(track.length / TIMELINE_SAMPLE_RATE).toFixed(2)}s)`);
+
+  return outputPath;
+};
+
+// ===== HELPER FUNCTION: NORMALIZE A CLIP =====
+/**
+ * Convert a clip to mono 16-bit PCM at the timeline rate, applying a tempo change
+ * @param {string} inputPath - Synthesized clip
+ * @param {string} outputPath - Normalized wav
+ * @param {number} tempo - Playback speed factor (1 = unchanged)
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<string>} - outputPath
+ */
+const normalizeClip = (inputPath, outputPath, tempo, jobId) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .audioChannels(1)
+      .audioFrequency(TIMELINE_SAMPLE_RATE)
+      .audioCodec('pcm_s16le')
+      .format('wav');
+
+    if (Math.abs(tempo - 1) > 0.001) {
+      command.audioFilters(buildAtempoChain(tempo));
+    }
+
+    command
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', (error) => reject(new Error(`Clip normalization failed: ${error.message}`)));
+
+    trackProcess(jobId, command);
+    command.run();
+  });
+};
+
+/**
+ * Build an atempo filter chain for any speed factor (a single atempo only accepts 0.5-2.0)
+ * @param {number} tempo - Speed factor
+ * @returns {Array<string>} - Filters, e.g. ['atempo=2', 'atempo=1.25'] for 2.5x
+ */
+export const buildAtempoChain = (tempo) => {
+  const filters = [];
+  let remaining = tempo;
+
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  filters.push(`atempo=${remaining.toFixed(4)}`);
+
+  return filters;
+};
+
+const round3 = (value) => parseFloat(value.toFixed(3));
+
+// ===== MAIN EXPORT =====
+export default {
+  planDubTimeline,
+  renderDubTimeline,
+  buildAtempoChain,
+  FIT_STRATEGIES,
+  TIMELINE_SAMPLE_RATE
+};
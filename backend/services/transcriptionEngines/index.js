@@ -0,0 +1,86 @@
+// services/transcriptionEngines/index.js - SPEECH RECOGNITION ENGINE REGISTRY
+
+// ===== IMPORT REQUIRED MODULES =====
+import speechRecognitionEngine from './speechRecognitionEngine.js';
+import whisperEngine from './whisperEngine.js';
+import voskEngine from './voskEngine.js';
+
+// ===== ENGINE INTERFACE =====
+// An engine is an object with:
+//   name               - id used by uploads (transcriptionEngine) and TRANSCRIPTION_ENGINE
+//   label, service     - human-readable name / value stored as transcription_service
+//   offline            - true when no network access is needed
+//   checkAvailability(jobId, request?) -> Promise<{ available, message }>
+//   transcribe(audioPath, request, jobId) -> Promise<{ text, segments[{start, end, text, confidence, words}],
+//                                                      language, confidence, engine_used, timestamps }>
+// request = { autoDetect, declaredLanguage, candidates: [language codes] }
+// transcriptionService.js turns the result into the advancedHindiPostProcessing shape.
+
+const DEFAULT_ENGINE = 'speech_recognition';
+
+const engines = new Map();
+
+/**
+ * Register a transcription engine (replaces an engine with the same name)
+ * @param {Object} engine - Engine implementing the interface above
+ */
+export const registerTranscriptionEngine = (engine) => {
+  if (!engine || !engine.name || typeof engine.transcribe !== 'function' || typeof engine.checkAvailability !== 'function') {
+    throw new Error('Transcription engines need a name, transcribe() and checkAvailability()');
+  }
+  engines.set(engine.name, engine);
+};
+
+/**
+ * Look up a registered engine
+ * @param {string} name - Engine name
+ * @returns {Object|null} - Engine, or null if unknown
+ */
+export const getTranscriptionEngine = (name) => {
+  if (!name || typeof name !== 'string') return null;
+  return engines.get(name.trim().toLowerCase()) || null;
+};
+
+/**
+ * Describe every registered engine (for API responses)
+ * @returns {Array<Object>} - { name, label, offline, default }
+ */
+export const listTranscriptionEngines = () => {
+  const defaultEngine = getDefaultEngineName();
+  return [...engines.values()].map(engine => ({
+    name: engine.name,
+    label: engine.label,
+    offline: engine.offline,
+    default: engine.name === defaultEngine
+  }));
+};
+
+/**
+ * Engine used when an upload does not pick one (TRANSCRIPTION_ENGINE, default speech_recognition)
+ * @returns {string} - Engine name
+ */
+export const getDefaultEngineName = () => {
+  const configured = getTranscriptionEngine(process.env.TRANSCRIPTION_ENGINE);
+  return configured ? configured.name : DEFAULT_ENGINE;
+};
+
+/**
+ * Engines to try for a job, in order: the requested engine (or the default), then
+ * TRANSCRIPTION_FALLBACK_ENGINES (comma-separated). Unknown names are ignored.
+ * @param {string} requested - Engine chosen for the job, if any
+ * @returns {Array<Object>} - Engines
+ */
+export const resolveEngineChain = (requested) => {
+  const primary = getTranscriptionEngine(requested) || getTranscriptionEngine(getDefaultEngineName());
+  const fallbacks = (process.env.TRANSCRIPTION_FALLBACK_ENGINES || '')
+    .split(',')
+    .map(getTranscriptionEngine)
+    .filter(Boolean);
+
+  return [...new Set([primary, ...fallbacks])];
+};
+
+// ===== BUILT-IN ENGINES =====
+registerTranscriptionEngine(speechRecognitionEngine);
+registerTranscriptionEngine(whisperEngine);
+registerTranscriptionEngine(voskEngine);
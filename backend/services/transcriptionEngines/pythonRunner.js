@@ -0,0 +1,103 @@
+// services/transcriptionEngines/pythonRunner.js - SHARED PYTHON SCRIPT EXECUTION FOR ENGINES
+
+// ===== IMPORT REQUIRED MODULES =====
+import { exec } from 'child_process';
+import fs from 'fs';
+import { trackProcess } from '../cancellationService.js';
+
+// ===== PROMISE WRAPPER FOR EXEC =====
+/**
+ * Run a shell command and resolve with its output
+ * @param {string} command - Command line to execute
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+export const execPromise = (command) => {
+  return new Promise((resolve, reject) => {
+    exec(command, (error, stdout, stderr) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+};
+
+// ===== RUN A GENERATED PYTHON SCRIPT =====
+/**
+ * Write a Python script to temp_sr_<jobId>[_<name>].py, run it and parse the JSON it prints
+ * Every Python script of the pipeline (recognizers, edge-tts SSML) runs through here.
+ * The process is registered with the cancellation service so a cancel request can kill it;
+ * fileUtils.cleanupJobTempFiles removes the script if the process dies before cleaning up
+ * @param {string} pythonScript - Script source; must print one JSON object on stdout
+ * @param {string} jobId - Job identifier (used for the temp file name and logging)
+ * @param {Object} options - { timeout } in milliseconds (default 300000), { name } to tell apart
+ *   scripts of one job that may run at the same time (e.g. one per TTS segment)
+ * @returns {Promise<Object>} - Parsed JSON result
+ */
+export const runPythonScript = (pythonScript, jobId, options = {}) => {
+  return new Promise((resolve, reject) => {
+    // Write to temp file with UTF-8 encoding
+    const tempScript = options.name ? `temp_sr_${jobId}_${options.name}.py` : `temp_sr_${jobId}.py`;
+    fs.writeFileSync(tempScript, pythonScript, 'utf8');
+
+    // Execute with UTF-8 environment
+    const child = exec(`python ${tempScript}`, {
+      maxBuffer: 1024 * 1024 * 5,
+      timeout: options.timeout || 300000,
+      env: {
+        ...process.env,
+        PYTHONIOENCODING: 'utf-8',
+        PYTHONUTF8: '1'
+      }
+    }, (error, stdout, stderr) => {
+
+      // Clean up
+      try {
+        fs.unlinkSync(tempScript);
+      } catch (e) {
+        console.warn(`[${jobId}] Failed to cleanup: ${e.message}`);
+      }
+
+      if (error) {
+        console.error(`[${jobId}] Python execution error:`, error.message);
+        if (stderr) console.error(`[${jobId}] Python stderr:`, stderr);
+        reject(new Error(`Python execution failed: ${error.message}`));
+        return;
+      }
+
+      if (stderr) {
+        console.log(`[${jobId}] Python stderr:`, stderr);
+      }
+
+      try {
+        if (!stdout || stdout.trim().length === 0) {
+          throw new Error('No output from Python script');
+        }
+
+        const result = JSON.parse(stdout.trim());
+
+        if (result.error) {
+          throw new Error(result.error);
+        }
+
+        resolve(result);
+
+      } catch (parseError) {
+        console.error(`[${jobId}] Parse error:`, parseError.message);
+        console.error(`[${jobId}] Raw output:`, stdout);
+        reject(new Error(`Failed to parse result: ${parseError.message}`));
+      }
+    });
+
+    // Register with the cancellation service so a cancel request can kill Python
+    trackProcess(jobId, child);
+  });
+};
+
+/**
+ * Escape a file path for use inside a Python raw string literal
+ * @param {string} filePath - Path to embed
+ * @returns {string} - Escaped path
+ */
+export const toPythonPath = (filePath) => filePath.replace(/\\/g, '\\\\');
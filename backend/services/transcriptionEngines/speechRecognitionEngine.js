@@ -0,0 +1,225 @@
+// services/transcriptionEngines/speechRecognitionEngine.js - GOOGLE WEB SPEECH + POCKETSPHINX ENGINE
+
+// ===== IMPORT REQUIRED MODULES =====
+import { execPromise, runPythonScript, toPythonPath } from './pythonRunner.js';
+import { getLanguageProfile, getRecognitionLocale } from '../../utils/languageUtils.js';
+
+// ===== CHECK PREREQUISITES =====
+/**
+ * Check that Python and the SpeechRecognition package are installed
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Object>} - { available, message, offline_fallback }
+ */
+const checkAvailability = async (jobId) => {
+  console.log(`[${jobId}] Checking SpeechRecognition prerequisites...`);
+
+  // Check Python
+  try {
+    await execPromise('python --version');
+    console.log(`[${jobId}] ✅ Python is available`);
+  } catch (error) {
+    return { available: false, message: 'Python is not installed or not in PATH. Please install Python.' };
+  }
+
+  // Check SpeechRecognition installation
+  try {
+    await execPromise('python -c "import speech_recognition; print(\'SpeechRecognition available\')"');
+    console.log(`[${jobId}] ✅ SpeechRecognition API is available`);
+  } catch (error) {
+    return { available: false, message: 'SpeechRecognition not installed. Run: pip install SpeechRecognition' };
+  }
+
+  // Check PocketSphinx installation (optional)
+  let hasSphinx = false;
+  try {
+    await execPromise('python -c "import pocketsphinx; print(\'PocketSphinx available\')"');
+    console.log(`[${jobId}] ✅ PocketSphinx engine is available`);
+    hasSphinx = true;
+  } catch (error) {
+    console.log(`[${jobId}] ⚠️ PocketSphinx not available, will use Google only`);
+  }
+
+  return {
+    available: true,
+    offline_fallback: hasSphinx,
+    message: hasSphinx ? 'SpeechRecognition with PocketSphinx ready' : 'SpeechRecognition ready (Google only)'
+  };
+};
+
+// ===== SPEECHRECOGNITION EXECUTION WITH FALLBACK (FIXED UNICODE) =====
+/**
+ * Transcribe with Google Web Speech (online), falling back to PocketSphinx (offline, English only)
+ * Neither engine returns timing, so the text comes back as one untimed segment that
+ * alignmentService.js aligns against the audio
+ * @param {string} audioPath - 16 kHz mono WAV file
+ * @param {Object} request - { autoDetect, declaredLanguage, candidates: [language codes] }
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - Raw recognition output (text, segments, language, engine_used)
+ */
+const transcribe = async (audioPath, request, jobId) => {
+  const options = {
+    auto_detect: request.autoDetect,
+    candidates: request.candidates.map(code => ({
+      code,
+      locale: getRecognitionLocale(code),
+      script_range: getLanguageProfile(code) ? getLanguageProfile(code).range : null
+    }))
+  };
+
+  console.log(`[${jobId}] SpeechRecognition Enhanced Configuration:`);
+  console.log(`[${jobId}]   Primary Engine: Google (Online)`);
+  console.log(`[${jobId}]   Fallback Engine: PocketSphinx (Offline English)`);
+  console.log(`[${jobId}]   Source language: ${options.auto_detect ? `auto-detect among ${options.candidates.map(c => c.locale).join(', ')}` : options.candidates[0].locale}`);
+  console.log(`[${jobId}]   Expected accuracy: ~80% (Google) / ~70% (Sphinx)`);
+  console.log(`[${jobId}] Executing SpeechRecognition transcription with fallback...`);
+
+  // Python script with Unicode handling fix for Windows
+  const pythonScript = `
+# -*- coding: utf-8 -*-
+import speech_recognition as sr
+import json
+import sys
+import os
+import re
+import codecs
+
+# Set UTF-8 encoding for stdout
+if sys.platform.startswith('win'):
+    sys.stdout.reconfigure(encoding='utf-8', errors='replace')
+
+def main():
+    try:
+        audio_path = r"${toPythonPath(audioPath)}"
+
+        # Check if audio file exists
+        if not os.path.exists(audio_path):
+            return {"error": f"Audio file not found: {audio_path}"}
+
+        # Initialize recognizer
+        r = sr.Recognizer()
+
+        # Load audio file
+        try:
+            with sr.AudioFile(audio_path) as source:
+                # Adjust for ambient noise
+                r.adjust_for_ambient_noise(source, duration=1)
+                audio_data = r.record(source)
+
+        except Exception as audio_error:
+            return {"error": f"Failed to load audio: {str(audio_error)}"}
+
+        # Try multiple engines in order
+        engines_tried = []
+        candidates = json.loads(r'''${JSON.stringify(options.candidates)}''')
+        auto_detect = ${options.auto_detect ? 'True' : 'False'}
+        candidate_scores = []
+        best = None
+
+        # 1. Try Google (online) in the declared language, or in every candidate when auto-detecting
+        for candidate in candidates:
+            try:
+                response = r.recognize_google(audio_data, language=candidate['locale'], show_all=True)
+                alternatives = response.get('alternative', []) if isinstance(response, dict) else []
+                if not alternatives or not alternatives[0].get('transcript'):
+                    raise sr.UnknownValueError()
+
+                full_text = alternatives[0]['transcript']
+                confidence = float(alternatives[0].get('confidence', 0.5))
+                score = confidence * (0.5 + 0.5 * script_ratio(full_text, candidate.get('script_range')))
+                engines_tried.append(f"google-{candidate['code']}")
+                candidate_scores.append({'language': candidate['code'], 'confidence': confidence, 'score': score})
+
+                if best is None or score > best['score']:
+                    best = {'text': full_text, 'confidence': confidence, 'score': score, 'language': candidate['code']}
+
+                if not auto_detect:
+                    break
+            except Exception as e:
+                engines_tried.append(f"google-{candidate['code']}-failed: {str(e)}")
+                print(f"Google {candidate['locale']} failed: {e}", file=sys.stderr)
+
+        if best is not None:
+            return {
+                'text': best['text'],
+                'segments': create_segments(best['text'], best['confidence']),
+                'language': best['language'],
+                'confidence': best['confidence'],
+                'engine_used': f"google-{best['language']}",
+                'engines_tried': engines_tried,
+                'language_candidates': candidate_scores
+            }
+
+        # 2. Try PocketSphinx (offline), which only knows English
+        if not auto_detect and candidates[0]['code'] != 'en':
+            return {
+                'text': '',
+                'segments': [],
+                'language': candidates[0]['code'],
+                'engine_used': 'none',
+                'engines_tried': engines_tried
+            }
+
+        try:
+            full_text = r.recognize_sphinx(audio_data, language='en-US')
+            segments = create_segments(full_text)
+            engines_tried.append("sphinx-en")
+
+            return {
+                'text': full_text,
+                'segments': segments,
+                'language': 'en',
+                'engine_used': 'pocketsphinx-english',
+                'engines_tried': engines_tried
+            }
+        except Exception as e:
+            engines_tried.append(f"sphinx-en-failed: {str(e)}")
+            print(f"PocketSphinx English failed: {e}", file=sys.stderr)
+
+        # If all engines fail, return empty result
+        return {
+            'text': '',
+            'segments': [],
+            'language': 'unknown' if auto_detect else candidates[0]['code'],
+            'engine_used': 'none',
+            'engines_tried': engines_tried
+        }
+
+    except Exception as e:
+        return {"error": f"Processing error: {str(e)}"}
+
+def script_ratio(text, script_range):
+    """Share of letters written in the expected script (1.0 when the script is unknown)"""
+    if not script_range:
+        return 1.0
+    pattern = re.compile('[' + script_range + ']')
+    matching = len(pattern.findall(text))
+    other = len([ch for ch in text if ch.isalpha() and not pattern.match(ch)])
+    if matching + other == 0:
+        return 0.0
+    return matching / (matching + other)
+
+def create_segments(text, confidence=0.8):
+    """Wrap the transcript in one untimed segment; alignmentService.js times and splits it"""
+    if not text:
+        return []
+    return [{'text': text, 'confidence': confidence, 'words': text.split()}]
+
+result = main()
+# Use ensure_ascii=True to handle Unicode on Windows
+print(json.dumps(result, ensure_ascii=True, indent=None, separators=(',', ':')))
+`;
+
+  const result = await runPythonScript(pythonScript, jobId);
+  result.timestamps = 'none';
+  return result;
+};
+
+// ===== ENGINE DEFINITION =====
+export default {
+  name: 'speech_recognition',
+  label: 'Google Web Speech + PocketSphinx (SpeechRecognition)',
+  service: 'speechrecognition-multi-engine',
+  offline: false,
+  checkAvailability,
+  transcribe
+};
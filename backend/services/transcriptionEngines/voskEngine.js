@@ -0,0 +1,211 @@
+// services/transcriptionEngines/voskEngine.js - OFFLINE VOSK (KALDI) ENGINE
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import path from 'path';
+import { execPromise, runPythonScript, toPythonPath } from './pythonRunner.js';
+import { getLanguageProfile } from '../../utils/languageUtils.js';
+
+// ===== VOSK CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+// One unpacked model per language: <VOSK_MODEL_DIR>/<language code>/ (e.g. ml_models/vosk/hi/)
+const getVoskConfig = () => ({
+  modelDir: path.resolve(process.env.VOSK_MODEL_DIR || './ml_models/vosk')
+});
+
+/**
+ * Get the directory of the Vosk model for a language
+ * @param {string} language - Language code
+ * @returns {string|null} - Model directory, or null when no model is installed
+ */
+const getModelPath = (language) => {
+  const modelPath = path.join(getVoskConfig().modelDir, language);
+  return fs.existsSync(modelPath) && fs.statSync(modelPath).isDirectory() ? modelPath : null;
+};
+
+// ===== CHECK PREREQUISITES =====
+/**
+ * Check that Python, the vosk package and a model for the requested language(s) are installed
+ * @param {string} jobId - Job identifier for logging
+ * @param {Object} request - Optional { candidates } to check models for
+ * @returns {Promise<Object>} - { available, message }
+ */
+const checkAvailability = async (jobId, request = null) => {
+  console.log(`[${jobId}] Checking Vosk prerequisites...`);
+
+  try {
+    await execPromise('python -c "import vosk; print(\'Vosk available\')"');
+    console.log(`[${jobId}] ✅ Vosk is available`);
+  } catch (error) {
+    return { available: false, message: 'Vosk not installed. Run: pip install vosk' };
+  }
+
+  if (request) {
+    const installed = request.candidates.filter(getModelPath);
+    if (installed.length === 0) {
+      return {
+        available: false,
+        message: `No Vosk model for ${request.candidates.join(', ')} in ${getVoskConfig().modelDir}`
+      };
+    }
+  }
+
+  return { available: true, message: `Vosk ready (models in ${getVoskConfig().modelDir})` };
+};
+
+// ===== VOSK TRANSCRIPTION =====
+/**
+ * Transcribe with Vosk; every recognized utterance becomes a segment timed from its words,
+ * and each word keeps the start/end Kaldi reports for it
+ * When auto-detecting, every candidate language with an installed model is decoded and
+ * the result with the best confidence x script match wins
+ * @param {string} audioPath - 16 kHz mono WAV file
+ * @param {Object} request - { autoDetect, declaredLanguage, candidates: [language codes] }
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - Raw recognition output (text, segments, language, engine_used)
+ */
+const transcribe = async (audioPath, request, jobId) => {
+  const models = request.candidates
+    .map(code => ({
+      code,
+      path: getModelPath(code),
+      script_range: getLanguageProfile(code) ? getLanguageProfile(code).range : null
+    }))
+    .filter(model => model.path);
+
+  if (models.length === 0) {
+    throw new Error(`No Vosk model installed for ${request.candidates.join(', ')}`);
+  }
+
+  console.log(`[${jobId}] Vosk Configuration:`);
+  console.log(`[${jobId}]   Models: ${models.map(model => `${model.code} (${model.path})`).join(', ')}`);
+  console.log(`[${jobId}]   Source language: ${request.autoDetect ? 'auto-detect' : request.declaredLanguage}`);
+
+  const pythonScript = `
+# -*- coding: utf-8 -*-
+import json
+import sys
+import os
+import re
+import wave
+
+from vosk import Model, KaldiRecognizer, SetLogLevel
+
+SetLogLevel(-1)
+
+# Set UTF-8 encoding for stdout
+if sys.platform.startswith('win'):
+    sys.stdout.reconfigure(encoding='utf-8', errors='replace')
+
+def recognize(audio_path, model_path):
+    """Decode the file and return one segment per utterance"""
+    wf = wave.open(audio_path, 'rb')
+    if wf.getnchannels() != 1 or wf.getsampwidth() != 2:
+        raise ValueError('Vosk needs mono 16-bit PCM audio')
+
+    recognizer = KaldiRecognizer(Model(model_path), wf.getframerate())
+    recognizer.SetWords(True)
+    segments = []
+
+    def collect(result_json):
+        result = json.loads(result_json)
+        words = result.get('result', [])
+        if not words:
+            return
+        segments.append({
+            'start': words[0]['start'],
+            'end': words[-1]['end'],
+            'text': result.get('text', ''),
+            'confidence': sum(w.get('conf', 1.0) for w in words) / len(words),
+            'words': [{'word': w['word'], 'start': w['start'], 'end': w['end'], 'confidence': w.get('conf', 1.0)} for w in words]
+        })
+
+    while True:
+        data = wf.readframes(4000)
+        if len(data) == 0:
+            break
+        if recognizer.AcceptWaveform(data):
+            collect(recognizer.Result())
+    collect(recognizer.FinalResult())
+    wf.close()
+    return segments
+
+def script_ratio(text, script_range):
+    """Share of letters written in the expected script (1.0 when the script is unknown)"""
+    if not script_range:
+        return 1.0
+    pattern = re.compile('[' + script_range + ']')
+    matching = len(pattern.findall(text))
+    other = len([ch for ch in text if ch.isalpha() and not pattern.match(ch)])
+    if matching + other == 0:
+        return 0.0
+    return matching / (matching + other)
+
+def main():
+    try:
+        audio_path = r"${toPythonPath(audioPath)}"
+        if not os.path.exists(audio_path):
+            return {"error": f"Audio file not found: {audio_path}"}
+
+        models = json.loads(r'''${JSON.stringify(models)}''')
+        engines_tried = []
+        candidate_scores = []
+        best = None
+
+        for model in models:
+            try:
+                segments = recognize(audio_path, model['path'])
+                text = ' '.join(s['text'] for s in segments).strip()
+                confidence = sum(s['confidence'] for s in segments) / len(segments) if segments else 0.0
+                score = confidence * (0.5 + 0.5 * script_ratio(text, model.get('script_range')))
+                engines_tried.append(f"vosk-{model['code']}")
+                candidate_scores.append({'language': model['code'], 'confidence': confidence, 'score': score})
+
+                if text and (best is None or score > best['score']):
+                    best = {'text': text, 'segments': segments, 'confidence': confidence, 'score': score, 'language': model['code']}
+            except Exception as e:
+                engines_tried.append(f"vosk-{model['code']}-failed: {str(e)}")
+                print(f"Vosk {model['code']} failed: {e}", file=sys.stderr)
+
+        if best is None:
+            return {
+                'text': '',
+                'segments': [],
+                'language': models[0]['code'],
+                'engine_used': 'none',
+                'engines_tried': engines_tried
+            }
+
+        return {
+            'text': best['text'],
+            'segments': best['segments'],
+            'language': best['language'],
+            'confidence': best['confidence'],
+            'engine_used': f"vosk-{best['language']}",
+            'engines_tried': engines_tried,
+            'language_candidates': candidate_scores
+        }
+
+    except Exception as e:
+        return {"error": f"Processing error: {str(e)}"}
+
+result = main()
+# Use ensure_ascii=True to handle Unicode on Windows
+print(json.dumps(result, ensure_ascii=True, indent=None, separators=(',', ':')))
+`;
+
+  // Decoding runs at roughly real time per model, so allow longer than the online engine
+  const result = await runPythonScript(pythonScript, jobId, { timeout: 30 * 60 * 1000 });
+  result.timestamps = 'model';
+  return result;
+};
+
+// ===== ENGINE DEFINITION =====
+export default {
+  name: 'vosk',
+  label: 'Vosk (Kaldi, local models)',
+  service: 'vosk-offline',
+  offline: true,
+  checkAvailability,
+  transcribe
+};
@@ -0,0 +1,183 @@
+// services/transcriptionEngines/whisperEngine.js - OFFLINE WHISPER ENGINE (TRANSFORMERS.JS)
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import path from 'path';
+import { readWavFile } from '../../utils/audioUtils.js';
+import { detectLanguageFromScript } from '../../utils/languageUtils.js';
+import { isJobCancelled, throwIfCancelled } from '../cancellationService.js';
+import { groupWordsIntoSegments } from '../alignmentService.js';
+
+// Whisper expects 16 kHz mono input (the rate audioService.js extracts at)
+const WHISPER_SAMPLE_RATE = 16000;
+
+// ===== WHISPER CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+// Models are loaded from WHISPER_MODEL_DIR only; nothing is downloaded at runtime.
+// Expected layout: <WHISPER_MODEL_DIR>/<WHISPER_MODEL>/{config.json, tokenizer.json, onnx/...}
+const getWhisperConfig = () => ({
+  model: process.env.WHISPER_MODEL || 'Xenova/whisper-small',
+  modelDir: path.resolve(process.env.WHISPER_MODEL_DIR || './ml_models/whisper'),
+  quantized: process.env.WHISPER_QUANTIZED !== 'false',
+  chunkLengthSeconds: parseInt(process.env.WHISPER_CHUNK_LENGTH_S) || 30,
+  strideLengthSeconds: parseInt(process.env.WHISPER_STRIDE_LENGTH_S) || 5
+});
+
+// Loaded pipeline, reused across jobs (loading a model takes seconds and hundreds of MB)
+let loadedTranscriber = { key: null, promise: null };
+
+/**
+ * Load (or reuse) the transformers.js speech recognition pipeline
+ * @param {Object} config - Whisper configuration
+ * @returns {Promise<Function>} - Transcriber pipeline
+ */
+const loadTranscriber = (config) => {
+  const key = `${config.modelDir}|${config.model}|${config.quantized}`;
+
+  if (loadedTranscriber.key !== key) {
+    const promise = (async () => {
+      const { pipeline, env } = await import('@xenova/transformers');
+      env.localModelPath = config.modelDir;
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      return pipeline('automatic-speech-recognition', config.model, { quantized: config.quantized });
+    })();
+
+    loadedTranscriber = { key, promise };
+
+    // Forget a failed load so the next job retries
+    promise.catch(() => {
+      if (loadedTranscriber.promise === promise) {
+        loadedTranscriber = { key: null, promise: null };
+      }
+    });
+  }
+
+  return loadedTranscriber.promise;
+};
+
+// ===== CHECK PREREQUISITES =====
+/**
+ * Check that transformers.js is installed and the model exists in the local model directory
+ * @param {string} jobId - Job identifier for logging
+ * @returns {Promise<Object>} - { available, message }
+ */
+const checkAvailability = async (jobId) => {
+  const config = getWhisperConfig();
+  const modelPath = path.join(config.modelDir, config.model);
+
+  console.log(`[${jobId}] Checking Whisper prerequisites (model: ${modelPath})...`);
+
+  try {
+    await import('@xenova/transformers');
+  } catch (error) {
+    return { available: false, message: `@xenova/transformers could not be loaded: ${error.message}` };
+  }
+
+  if (!fs.existsSync(path.join(modelPath, 'config.json'))) {
+    return {
+      available: false,
+      message: `Whisper model not found at ${modelPath}. Download ${config.model} into WHISPER_MODEL_DIR.`
+    };
+  }
+
+  return { available: true, message: `Whisper model ${config.model} ready (offline)` };
+};
+
+// ===== WHISPER TRANSCRIPTION =====
+/**
+ * Transcribe with Whisper running locally through transformers.js
+ * Words carry the timestamps Whisper predicts and are grouped into segments at pauses;
+ * long audio is processed in overlapping windows (WHISPER_CHUNK_LENGTH_S / WHISPER_STRIDE_LENGTH_S)
+ * @param {string} audioPath - 16 kHz mono WAV file
+ * @param {Object} request - { autoDetect, declaredLanguage, candidates: [language codes] }
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - Raw recognition output (text, segments, language, engine_used)
+ */
+const transcribe = async (audioPath, request, jobId) => {
+  const config = getWhisperConfig();
+
+  console.log(`[${jobId}] Whisper Configuration:`);
+  console.log(`[${jobId}]   Model: ${config.model} (${config.quantized ? 'quantized' : 'full precision'})`);
+  console.log(`[${jobId}]   Model directory: ${config.modelDir}`);
+  console.log(`[${jobId}]   Source language: ${request.autoDetect ? 'auto-detect' : request.declaredLanguage}`);
+  console.log(`[${jobId}]   Window: ${config.chunkLengthSeconds}s, stride ${config.strideLengthSeconds}s`);
+
+  const audio = readWavFile(audioPath);
+  if (audio.sampleRate !== WHISPER_SAMPLE_RATE) {
+    throw new Error(`Whisper needs ${WHISPER_SAMPLE_RATE} Hz audio, got ${audio.sampleRate} Hz: ${audioPath}`);
+  }
+
+  console.log(`[${jobId}] Loading Whisper model...`);
+  const transcriber = await loadTranscriber(config);
+  throwIfCancelled(jobId);
+
+  console.log(`[${jobId}] Running Whisper on ${audio.duration.toFixed(1)}s of audio...`);
+  const runWhisper = (returnTimestamps) => transcriber(audio.samples, {
+    language: request.autoDetect ? null : request.declaredLanguage,
+    task: 'transcribe',
+    return_timestamps: returnTimestamps,
+    chunk_length_s: config.chunkLengthSeconds,
+    stride_length_s: config.strideLengthSeconds,
+    // Called after every window; throwing here stops decoding of a cancelled job
+    chunk_callback: () => throwIfCancelled(jobId)
+  });
+
+  // Word timestamps need the model's cross-attention alignment heads; models exported
+  // without them only support segment timestamps (words are then aligned afterwards)
+  let output;
+  let segments;
+  try {
+    output = await runWhisper('word');
+    const words = (output.chunks || [])
+      .map(chunk => ({
+        word: (chunk.text || '').trim(),
+        start: chunk.timestamp[0] ?? 0,
+        end: chunk.timestamp[1] ?? chunk.timestamp[0] ?? audio.duration
+      }))
+      .filter(word => word.word.length > 0);
+    segments = groupWordsIntoSegments(words);
+  } catch (error) {
+    if (isJobCancelled(jobId)) throw error;
+    console.warn(`[${jobId}] ⚠️ Whisper word timestamps unavailable (${error.message}), using segment timestamps`);
+
+    output = await runWhisper(true);
+    segments = (output.chunks || [])
+      .map(chunk => {
+        const text = (chunk.text || '').trim();
+        const start = chunk.timestamp[0] ?? 0;
+        // The last window can end without a closing timestamp
+        const end = chunk.timestamp[1] ?? audio.duration;
+        return { start, end: Math.max(end, start), text, words: text.split(/\s+/).filter(Boolean) };
+      })
+      .filter(segment => segment.text.length > 0);
+  }
+
+  const text = (output.text || '').trim();
+
+  // transformers.js does not report the language Whisper picked, so infer it from the script
+  const language = request.autoDetect
+    ? (detectLanguageFromScript(text) || 'unknown')
+    : request.declaredLanguage;
+
+  console.log(`[${jobId}] ✅ Whisper produced ${segments.length} timed segments`);
+
+  return {
+    text,
+    segments,
+    language,
+    engine_used: `whisper-${path.basename(config.model)}`,
+    engines_tried: ['whisper'],
+    timestamps: 'model'
+  };
+};
+
+// ===== ENGINE DEFINITION =====
+export default {
+  name: 'whisper',
+  label: 'Whisper (transformers.js, local model)',
+  service: 'whisper-transformers-js',
+  offline: true,
+  checkAvailability,
+  transcribe
+};
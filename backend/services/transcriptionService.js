@@ -1,30 +1,35 @@
-// services/transcriptionService.js - SPEECHRECOGNITION IMPLEMENTATION WITH FALLBACK
+// services/transcriptionService.js - TRANSCRIPTION THROUGH PLUGGABLE RECOGNITION ENGINES
 
 // ===== IMPORT REQUIRED MODULES =====
-import { exec } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import Upload from '../models/uploadModel.js';
+import { isJobCancelled, throwIfCancelled } from './cancellationService.js';
+import { resolveEngineChain } from './transcriptionEngines/index.js';
+import { alignTranscription } from './alignmentService.js';
+import { execPromise } from './transcriptionEngines/pythonRunner.js';
+import { localPathFor } from './storage/index.js';
+import { normalizeLanguageCode, isAutoLanguage, getLanguageProfile, getAutoDetectCandidates } from '../utils/languageUtils.js';
 
 // ===== MAIN ENHANCED TRANSCRIPTION FUNCTION =====
 /**
- * Enhanced transcription service using SpeechRecognition with multilingual support
- * Uses multiple engines with fallback support
+ * Transcribe the extracted audio with the job's recognition engine
+ * The engine is the upload's transcription_engine, else TRANSCRIPTION_ENGINE; engines listed
+ * in TRANSCRIPTION_FALLBACK_ENGINES are tried in order when it is unavailable or fails
+ * Recognizes in the job's declared source_language; 'auto' lets the engine pick among
+ * the candidate languages
  * Called by processController.js in step 3 of processing pipeline
  * @param {string} jobId - Unique job identifier to locate audio file
  * @returns {Promise<Object>} - Enhanced transcription object with text, language, and segments
  */
 export const transcribeAudio = async (jobId) => {
   try {
-    console.log(`[${jobId}] Starting SpeechRecognition enhanced transcription with multi-engine support...`);
-    
-    // ===== CHECK PREREQUISITES FIRST =====
-    await checkPrerequisites(jobId);
-    
     // ===== GET VIDEO INFO AND AUDIO FILE PATH =====
     const video = await Upload.findById(jobId);
     const audioPath = getFilePath('audio', jobId, '.wav');
+    const engines = resolveEngineChain(video && video.transcription_engine);
     
+    console.log(`[${jobId}] Starting transcription (engines: ${engines.map(engine => engine.name).join(' -> ')})...`);
     console.log(`[${jobId}] Audio file to transcribe: ${audioPath}`);
     
     // ===== VERIFY AUDIO FILE EXISTS AND IS VALID =====
@@ -39,52 +44,101 @@ export const transcribeAudio = async (jobId) => {
     // Check audio file statistics
     const audioStats = fs.statSync(audioPath);
     console.log(`[${jobId}] Audio file size: ${audioStats.size} bytes`);
-    console.log(`[${jobId}] Using SpeechRecognition with multi-engine fallback...`);
     
     // ===== PREPARE OUTPUT DIRECTORY =====
-    const outputDir = './uploads/transcripts/';
+    const outputDir = localPathFor('transcripts');
     
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
       console.log(`[${jobId}] Created transcripts directory: ${outputDir}`);
     }
     
-    // ===== SPEECHRECOGNITION ENHANCED CONFIGURATION =====
-    const srOptions = {
-      engines: ['google', 'sphinx'],  // Try Google first, then Sphinx
-      language: 'hi-IN',
-      fallback_language: 'en-US',
-      sample_rate: 16000,
-      chunk_duration: 10,
-      confidence_threshold: 0.5,
-      timeout: 300,
-      phrase_time_limit: 15
+    // ===== SOURCE LANGUAGE: DECLARED OR AUTO-DETECT =====
+    const declaredLanguage = normalizeLanguageCode(video && video.source_language);
+    const autoDetect = isAutoLanguage(declaredLanguage);
+    const request = {
+      autoDetect,
+      declaredLanguage: autoDetect ? null : declaredLanguage,
+      candidates: autoDetect ? getAutoDetectCandidates() : [declaredLanguage]
     };
     
-    console.log(`[${jobId}] SpeechRecognition Enhanced Configuration:`);
-    console.log(`[${jobId}]   Primary Engine: Google (Online Hindi support)`);
-    console.log(`[${jobId}]   Fallback Engine: PocketSphinx (Offline English)`);
-    console.log(`[${jobId}]   Language: हिंदी (Hindi) - ${srOptions.language}`);
-    console.log(`[${jobId}]   Fallback Language: English - ${srOptions.fallback_language}`);
-    console.log(`[${jobId}]   Context: Multi-engine with fallback`);
-    console.log(`[${jobId}]   Expected accuracy: ~80% (Google) / ~70% (Sphinx)`);
-    
-    // ===== EXECUTE ENHANCED SPEECHRECOGNITION TRANSCRIPTION =====
+    // ===== RUN ENGINES IN ORDER UNTIL ONE SUCCEEDS =====
     const startTime = Date.now();
-    const srResult = await executeSpeechRecognitionTranscription(audioPath, srOptions, jobId);
+    const engineErrors = [];
+    let srResult = null;
+    let engine = null;
+    
+    for (const candidate of engines) {
+      throwIfCancelled(jobId);
+      
+      const availability = await candidate.checkAvailability(jobId, request);
+      if (!availability.available) {
+        console.log(`[${jobId}] ⚠️ ${candidate.name} engine unavailable: ${availability.message}`);
+        engineErrors.push(`${candidate.name}: ${availability.message}`);
+        continue;
+      }
+      
+      try {
+        console.log(`[${jobId}] Using ${candidate.label}...`);
+        srResult = await candidate.transcribe(audioPath, request, jobId);
+        engine = candidate;
+        break;
+      } catch (error) {
+        if (isJobCancelled(jobId)) throw error;
+        console.error(`[${jobId}] ❌ ${candidate.name} engine failed:`, error.message);
+        engineErrors.push(`${candidate.name}: ${error.message}`);
+      }
+    }
+    
+    throwIfCancelled(jobId);
+    
+    if (!srResult) {
+      throw new Error(`No transcription engine succeeded (${engineErrors.join('; ')})`);
+    }
+    
+    // ===== WORD-LEVEL TIMESTAMPS (FORCED ALIGNMENT WHEN THE ENGINE HAS NONE) =====
+    try {
+      srResult = alignTranscription(srResult, audioPath, jobId);
+    } catch (alignError) {
+      console.warn(`[${jobId}] ⚠️ Word alignment failed, keeping engine timing: ${alignError.message}`);
+    }
+    
+    if (!srResult.text && (!srResult.segments || srResult.segments.length === 0)) {
+      // Create fallback result
+      srResult.text = "No speech detected";
+      srResult.segments = [{
+        start: 0,
+        end: 5,
+        text: "No speech detected",
+        confidence: 0.5
+      }];
+      srResult.engine_used = 'fallback';
+    }
+    
     const processingTime = (Date.now() - startTime) / 1000;
     
-    console.log(`[${jobId}] SpeechRecognition processing completed in ${processingTime.toFixed(1)} seconds`);
+    console.log(`[${jobId}] ✅ ${engine.name} execution successful in ${processingTime.toFixed(1)} seconds`);
+    console.log(`[${jobId}] Engine used: ${srResult.engine_used}`);
+    console.log(`[${jobId}] Generated ${srResult.segments.length} segments`);
+    
+    // Save raw engine output for reference
+    const rawOutputPath = path.join(outputDir, `${jobId}_sr_output.json`);
+    fs.writeFileSync(rawOutputPath, JSON.stringify({ ...srResult, transcription_engine: engine.name, engine_errors: engineErrors }, null, 2), 'utf8');
     
-    // ===== ADVANCED POST-PROCESSING FOR HINDI =====
+    // ===== ADVANCED POST-PROCESSING (SCRIPT-AWARE CLEANING) =====
     const enhancedTranscription = advancedHindiPostProcessing(srResult, jobId);
+    enhancedTranscription.source_language_mode = autoDetect ? 'detected' : 'declared';
+    enhancedTranscription.declared_language = autoDetect ? 'auto' : declaredLanguage;
+    enhancedTranscription.transcription_engine = engine.name;
+    enhancedTranscription.timestamps = srResult.timestamps || 'none';
+    enhancedTranscription.alignment = srResult.alignment || null;
     
-    console.log(`[${jobId}] ✅ SpeechRecognition enhanced transcription completed`);
+    console.log(`[${jobId}] ✅ Transcription completed`);
     console.log(`[${jobId}] Quality metrics:`);
     console.log(`[${jobId}]   Language: ${enhancedTranscription.detected_language} - ${enhancedTranscription.script_purity}% pure`);
     console.log(`[${jobId}]   Text length: ${enhancedTranscription.text.length} characters`);
     console.log(`[${jobId}]   Word count: ${enhancedTranscription.word_count} words`);
-    console.log(`[${jobId}]   Segments: ${enhancedTranscription.segments.length}`);
+    console.log(`[${jobId}]   Segments: ${enhancedTranscription.segments.length} (${enhancedTranscription.timestamps} timestamps)`);
     console.log(`[${jobId}]   Duration: ${enhancedTranscription.duration} seconds`);
     console.log(`[${jobId}]   Confidence: ${(enhancedTranscription.confidence * 100).toFixed(1)}%`);
     console.log(`[${jobId}]   Processing time: ${processingTime.toFixed(1)}s`);
@@ -107,18 +161,19 @@ export const transcribeAudio = async (jobId) => {
       transcription_word_count: enhancedTranscription.word_count,
       transcription_script_purity: enhancedTranscription.script_purity,
       transcription_processing_time: processingTime,
-      transcription_service: 'speechrecognition-multi-engine',
+      transcription_service: engine.service,
+      transcription_engine_used: engine.name,
       transcription_model: enhancedTranscription.engine_used,
       transcription_quality: enhancedTranscription.processing_quality,
       transcription_completed_at: new Date(),
-      transcription_file_path: path.join(outputDir, `${jobId}_sr_output.json`),
+      transcription_file_path: rawOutputPath,
       transcript_file_path: transcriptFilePath,
       hindi_optimized: enhancedTranscription.detected_language === 'hi',
-      language_forced: false
+      language_forced: !autoDetect
     });
     
     console.log(`[${jobId}] ✅ Enhanced transcription saved to database and files`);
-    console.log(`[${jobId}] Keeping JSON file for reference: ${path.join(outputDir, `${jobId}_sr_output.json`)}`);
+    console.log(`[${jobId}] Keeping JSON file for reference: ${rawOutputPath}`);
     
     return enhancedTranscription;
     
@@ -130,7 +185,7 @@ export const transcribeAudio = async (jobId) => {
       await Upload.findByIdAndUpdate(jobId, {
         transcription_error: error.message,
         transcription_failed_at: new Date(),
-        transcription_service: 'speechrecognition-enhanced-failed',
+        transcription_service: 'transcription-failed',
         $push: { errorMessages: `Enhanced transcription failed: ${error.message}` }
       });
     } catch (dbError) {
@@ -141,267 +196,9 @@ export const transcribeAudio = async (jobId) => {
   }
 };
 
-// ===== CHECK PREREQUISITES =====
-const checkPrerequisites = async (jobId) => {
-  console.log(`[${jobId}] Checking SpeechRecognition prerequisites...`);
-  
-  // Check Python
-  try {
-    await execPromise('python --version');
-    console.log(`[${jobId}] ✅ Python is available`);
-  } catch (error) {
-    throw new Error('Python is not installed or not in PATH. Please install Python.');
-  }
-  
-  // Check SpeechRecognition installation
-  try {
-    await execPromise('python -c "import speech_recognition; print(\'SpeechRecognition available\')"');
-    console.log(`[${jobId}] ✅ SpeechRecognition API is available`);
-  } catch (error) {
-    throw new Error('SpeechRecognition not installed. Run: pip install SpeechRecognition');
-  }
-  
-  // Check PocketSphinx installation (optional)
-  try {
-    await execPromise('python -c "import pocketsphinx; print(\'PocketSphinx available\')"');
-    console.log(`[${jobId}] ✅ PocketSphinx engine is available`);
-  } catch (error) {
-    console.log(`[${jobId}] ⚠️ PocketSphinx not available, will use Google only`);
-  }
-};
-
-// ===== PROMISE WRAPPER FOR EXEC =====
-const execPromise = (command) => {
-  return new Promise((resolve, reject) => {
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve({ stdout, stderr });
-      }
-    });
-  });
-};
-
-// ===== SPEECHRECOGNITION EXECUTION WITH FALLBACK (FIXED UNICODE) =====
-const executeSpeechRecognitionTranscription = (audioPath, options, jobId) => {
-  return new Promise((resolve, reject) => {
-    console.log(`[${jobId}] Executing SpeechRecognition transcription with fallback...`);
-    
-    // Python script with Unicode handling fix for Windows
-    const pythonScript = `
-# -*- coding: utf-8 -*-
-import speech_recognition as sr
-import json
-import sys
-import os
-import codecs
-
-# Set UTF-8 encoding for stdout
-if sys.platform.startswith('win'):
-    sys.stdout.reconfigure(encoding='utf-8', errors='replace')
-
-def main():
-    try:
-        audio_path = r"${audioPath.replace(/\\/g, '\\\\')}"
-        
-        # Check if audio file exists
-        if not os.path.exists(audio_path):
-            return {"error": f"Audio file not found: {audio_path}"}
-        
-        # Initialize recognizer
-        r = sr.Recognizer()
-        
-        # Load audio file
-        try:
-            with sr.AudioFile(audio_path) as source:
-                # Adjust for ambient noise
-                r.adjust_for_ambient_noise(source, duration=1)
-                audio_data = r.record(source)
-                
-        except Exception as audio_error:
-            return {"error": f"Failed to load audio: {str(audio_error)}"}
-        
-        # Try multiple engines in order
-        engines_tried = []
-        
-        # 1. Try Google (online) with Hindi
-        try:
-            full_text = r.recognize_google(audio_data, language='hi-IN')
-            segments = create_segments(full_text)
-            engines_tried.append("google-hi")
-            
-            return {
-                'text': full_text,
-                'segments': segments,
-                'language': 'hi',
-                'engine_used': 'google-hindi',
-                'engines_tried': engines_tried
-            }
-        except Exception as e:
-            engines_tried.append(f"google-hi-failed: {str(e)}")
-            print(f"Google Hindi failed: {e}", file=sys.stderr)
-        
-        # 2. Try Google (online) with English
-        try:
-            full_text = r.recognize_google(audio_data, language='en-US')
-            segments = create_segments(full_text)
-            engines_tried.append("google-en")
-            
-            return {
-                'text': full_text,
-                'segments': segments,
-                'language': 'en',
-                'engine_used': 'google-english',
-                'engines_tried': engines_tried
-            }
-        except Exception as e:
-            engines_tried.append(f"google-en-failed: {str(e)}")
-            print(f"Google English failed: {e}", file=sys.stderr)
-        
-        # 3. Try PocketSphinx (offline) with English
-        try:
-            full_text = r.recognize_sphinx(audio_data, language='en-US')
-            segments = create_segments(full_text)
-            engines_tried.append("sphinx-en")
-            
-            return {
-                'text': full_text,
-                'segments': segments,
-                'language': 'en',
-                'engine_used': 'pocketsphinx-english',
-                'engines_tried': engines_tried
-            }
-        except Exception as e:
-            engines_tried.append(f"sphinx-en-failed: {str(e)}")
-            print(f"PocketSphinx English failed: {e}", file=sys.stderr)
-        
-        # If all engines fail, return empty result
-        return {
-            'text': '',
-            'segments': [],
-            'language': 'unknown',
-            'engine_used': 'none',
-            'engines_tried': engines_tried
-        }
-            
-    except Exception as e:
-        return {"error": f"Processing error: {str(e)}"}
-
-def create_segments(text):
-    """Create time-based segments from transcribed text"""
-    segments = []
-    
-    if not text:
-        return segments
-    
-    # Split text into sentences/phrases
-    words = text.split()
-    chunk_size = 10  # words per segment
-    
-    segment_duration = 5.0  # estimated 5 seconds per segment
-    current_time = 0.0
-    
-    for i in range(0, len(words), chunk_size):
-        chunk = words[i:i + chunk_size]
-        chunk_text = ' '.join(chunk)
-        
-        segment = {
-            'start': current_time,
-            'end': current_time + segment_duration,
-            'text': chunk_text,
-            'confidence': 0.8,
-            'words': chunk
-        }
-        
-        segments.append(segment)
-        current_time += segment_duration
-    
-    return segments
-
-result = main()
-# Use ensure_ascii=True to handle Unicode on Windows
-print(json.dumps(result, ensure_ascii=True, indent=None, separators=(',', ':')))
-`;
-
-    // Write to temp file with UTF-8 encoding
-    const tempScript = `temp_sr_${jobId}.py`;
-    fs.writeFileSync(tempScript, pythonScript, 'utf8');
-    
-    // Execute with UTF-8 environment
-    const command = `python ${tempScript}`;
-    
-    exec(command, { 
-      maxBuffer: 1024 * 1024 * 5,
-      timeout: 300000,
-      env: { 
-        ...process.env,
-        PYTHONIOENCODING: 'utf-8',
-        PYTHONUTF8: '1'
-      }
-    }, (error, stdout, stderr) => {
-      
-      // Clean up
-      try {
-        fs.unlinkSync(tempScript);
-      } catch (e) {
-        console.warn(`[${jobId}] Failed to cleanup: ${e.message}`);
-      }
-      
-      if (error) {
-        console.error(`[${jobId}] Python execution error:`, error.message);
-        if (stderr) console.error(`[${jobId}] Python stderr:`, stderr);
-        reject(new Error(`Python execution failed: ${error.message}`));
-        return;
-      }
-      
-      if (stderr) {
-        console.log(`[${jobId}] Python stderr:`, stderr);
-      }
-      
-      try {
-        if (!stdout || stdout.trim().length === 0) {
-          throw new Error('No output from Python script');
-        }
-        
-        const result = JSON.parse(stdout.trim());
-        
-        if (result.error) {
-          throw new Error(result.error);
-        }
-        
-        if (!result.text && (!result.segments || result.segments.length === 0)) {
-          // Create fallback result
-          result.text = "No speech detected";
-          result.segments = [{
-            start: 0,
-            end: 5,
-            text: "No speech detected",
-            confidence: 0.5
-          }];
-          result.engine_used = 'fallback';
-        }
-        
-        console.log(`[${jobId}] ✅ SpeechRecognition execution successful`);
-        console.log(`[${jobId}] Engine used: ${result.engine_used}`);
-        console.log(`[${jobId}] Generated ${result.segments.length} segments`);
-        
-        // Save debug output
-        const jsonPath = path.join('./uploads/transcripts/', `${jobId}_sr_output.json`);
-        fs.writeFileSync(jsonPath, JSON.stringify(result, null, 2), 'utf8');
-        
-        resolve(result);
-        
-      } catch (parseError) {
-        console.error(`[${jobId}] Parse error:`, parseError.message);
-        console.error(`[${jobId}] Raw output:`, stdout);
-        reject(new Error(`Failed to parse result: ${parseError.message}`));
-      }
-    });
-  });
-};
-
 // ===== ADVANCED HINDI POST-PROCESSING =====
+// Script-aware: keeps the writing system of the recognized language (Devanagari,
+// Tamil, Bengali, ...) plus Latin, and only strips characters from other scripts
 const advancedHindiPostProcessing = (srOutput, jobId) => {
   console.log(`[${jobId}] Applying advanced post-processing and script cleaning...`);
   
@@ -409,73 +206,74 @@ const advancedHindiPostProcessing = (srOutput, jobId) => {
   let segments = srOutput.segments || [];
   const detectedLanguage = srOutput.language || 'unknown';
   const engineUsed = srOutput.engine_used || 'unknown';
+  const profile = getLanguageProfile(detectedLanguage);
+  const scriptName = profile ? profile.script : 'unknown';
+  const scriptRegex = profile ? new RegExp(`[${profile.range}]`, 'g') : null;
   
   // ===== SCRIPT PURITY ANALYSIS =====
-  const totalChars = cleanedText.length;
-  const devanagariChars = (cleanedText.match(/[\u0900-\u097F]/g) || []).length;
-  const arabicChars = (cleanedText.match(/[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g) || []).length;
-  const latinChars = (cleanedText.match(/[a-zA-Z]/g) || []).length;
-  const otherChars = totalChars - devanagariChars - arabicChars - latinChars;
+  const countScript = (text) => scriptRegex ? (text.match(scriptRegex) || []).length : 0;
+  const countLatin = (text) => (text.match(/[a-zA-Z]/g) || []).length;
   
-  const scriptPurity = Math.round((devanagariChars / Math.max(totalChars - latinChars, 1)) * 100);
+  // Purity = share of non-space characters written in the language's own script
+  // (Latin is ignored for non-English languages since code-mixing is common)
+  const measurePurity = (text) => {
+    const nonSpace = text.replace(/\s/g, '').length;
+    if (!profile) return 100;
+    if (detectedLanguage === 'en') return Math.round((countLatin(text) / Math.max(nonSpace, 1)) * 100);
+    return Math.round((countScript(text) / Math.max(nonSpace - countLatin(text), 1)) * 100);
+  };
+  
+  const totalChars = cleanedText.length;
+  const scriptChars = countScript(cleanedText);
+  const latinChars = countLatin(cleanedText);
+  const scriptPurity = measurePurity(cleanedText);
   
   console.log(`[${jobId}] Script analysis before cleaning:`);
   console.log(`[${jobId}]   Detected language: ${detectedLanguage}`);
   console.log(`[${jobId}]   Engine used: ${engineUsed}`);
   console.log(`[${jobId}]   Total characters: ${totalChars}`);
-  console.log(`[${jobId}]   Devanagari (Hindi): ${devanagariChars} (${Math.round(devanagariChars/totalChars*100)}%)`);
-  console.log(`[${jobId}]   Latin: ${latinChars} (${Math.round(latinChars/totalChars*100)}%)`);
+  console.log(`[${jobId}]   ${scriptName}: ${scriptChars} (${Math.round(scriptChars/Math.max(totalChars, 1)*100)}%)`);
+  console.log(`[${jobId}]   Latin: ${latinChars} (${Math.round(latinChars/Math.max(totalChars, 1)*100)}%)`);
   console.log(`[${jobId}]   Script purity: ${scriptPurity}%`);
   
   // ===== TEXT CLEANING BASED ON DETECTED LANGUAGE =====
-  if (detectedLanguage === 'hi') {
-    // Hindi-specific cleaning
-    cleanedText = cleanedText
-      .replace(/[\u0600-\u06FF]/g, '')    // Arabic block
-      .replace(/[\u0750-\u077F]/g, '')    // Arabic supplement
-      .replace(/[\uFB50-\uFDFF]/g, '')    // Arabic presentation forms A
-      .replace(/[\uFE70-\uFEFF]/g, '')    // Arabic presentation forms B
-      .replace(/[^\u0900-\u097F\u0020-\u007F\u2000-\u206F]/g, ' ')
-      .replace(/ी\s+/g, 'ी ')           // Fix matras (vowel marks)
-      .replace(/े\s+/g, 'े ')
-      .replace(/ै\s+/g, 'ै ')
-      .replace(/ो\s+/g, 'ो ')
-      .replace(/ौ\s+/g, 'ौ ')
-      .replace(/्\s+/g, '्')            // Fix virama (halant)
-      .replace(/\s+/g, ' ')
-      .trim();
-  } else {
-    // English/Other language cleaning
-    cleanedText = cleanedText
-      .replace(/[^\u0020-\u007F\u0080-\u00FF\u0900-\u097F\u2000-\u206F]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
+  // Allowed: the language's script, ASCII, Latin-1, general punctuation and the danda (।॥)
+  const allowed = profile ? `${profile.range}\\u0020-\\u007F\\u0080-\\u00FF\\u2000-\\u206F\\u0964\\u0965` : null;
   
-  // ===== CLEAN SEGMENTS WITH TIMING PRESERVATION =====
-  const cleanedSegments = segments.map((segment, index) => {
-    let segmentText = segment.text || '';
+  const cleanText = (text) => {
+    if (!allowed) {
+      // Unknown language: keep every script, just normalize whitespace
+      return text.replace(/\s+/g, ' ').trim();
+    }
     
-    // Apply same cleaning to each segment
-    if (detectedLanguage === 'hi') {
-      segmentText = segmentText
-        .replace(/[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g, '')
-        .replace(/[^\u0900-\u097F\u0020-\u007F\u2000-\u206F]/g, ' ')
-        .replace(/ी\s+/g, 'ी ')
+    let cleaned = text.replace(new RegExp(`[^${allowed}]`, 'g'), ' ');
+    
+    if (scriptName === 'Devanagari') {
+      cleaned = cleaned
+        .replace(/ी\s+/g, 'ी ')           // Fix matras (vowel marks)
         .replace(/े\s+/g, 'े ')
         .replace(/ै\s+/g, 'ै ')
         .replace(/ो\s+/g, 'ो ')
         .replace(/ौ\s+/g, 'ौ ')
-        .replace(/्\s+/g, '्')
-        .replace(/\s+/g, ' ')
-        .trim();
-    } else {
-      segmentText = segmentText
-        .replace(/[^\u0020-\u007F\u0080-\u00FF\u0900-\u097F\u2000-\u206F]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+        .replace(/्\s+/g, '्');           // Fix virama (halant)
     }
     
+    return cleaned.replace(/\s+/g, ' ').trim();
+  };
+  
+  cleanedText = cleanText(cleanedText);
+  
+  // Words keep their timing; words that clean down to nothing are dropped
+  const cleanWords = (words) => words
+    .map(word => typeof word === 'string' ? { word } : word)
+    .map(word => ({ ...word, word: cleanText(word.word || '') }))
+    .filter(word => word.word.length > 0);
+  
+  // ===== CLEAN SEGMENTS WITH TIMING PRESERVATION =====
+  const cleanedSegments = segments.map((segment, index) => {
+    // Apply same cleaning to each segment
+    const segmentText = cleanText(segment.text || '');
+    
     return {
       id: index,
       start: segment.start || 0,
@@ -483,7 +281,7 @@ const advancedHindiPostProcessing = (srOutput, jobId) => {
       text: segmentText,
       original_text: segment.text,
       confidence: segment.confidence || 0.8,
-      words: segment.words || [],
+      words: cleanWords(segment.words || []),
       duration: (segment.end || 0) - (segment.start || 0)
     };
   }).filter(segment => segment.text.length > 0);
@@ -494,8 +292,7 @@ const advancedHindiPostProcessing = (srOutput, jobId) => {
   const wordCount = cleanedText.split(/\s+/).filter(word => word.length > 0).length;
   
   // Final script purity check
-  const finalDevanagariChars = (cleanedText.match(/[\u0900-\u097F]/g) || []).length;
-  const finalScriptPurity = Math.round((finalDevanagariChars / Math.max(cleanedText.length - (cleanedText.match(/[a-zA-Z]/g) || []).length, 1)) * 100);
+  const finalScriptPurity = measurePurity(cleanedText);
   
   console.log(`[${jobId}] Post-processing results:`);
   console.log(`[${jobId}]   Original text length: ${(srOutput.text || '').length} characters`);
@@ -535,15 +332,15 @@ const advancedHindiPostProcessing = (srOutput, jobId) => {
  */
 const getFilePath = (type, jobId, extension) => {
   const basePaths = {
-    audio: './uploads/audio/',
-    video: './uploads/originals/',
-    processed: './uploads/processed/',
-    transcripts: './uploads/transcripts/',
-    captions: './uploads/captions/',
-    translated_audio: './uploads/translated_audio/'
+    audio: localPathFor('audio'),
+    video: localPathFor('originals'),
+    processed: localPathFor('processed'),
+    transcripts: localPathFor('transcripts'),
+    captions: localPathFor('captions'),
+    translated_audio: localPathFor('translated_audio')
   };
   
-  const basePath = basePaths[type] || './uploads/';
+  const basePath = basePaths[type] || localPathFor('');
   const fileName = `${jobId}_${type}${extension}`;
   
   return path.join(basePath, fileName);
@@ -5,6 +5,7 @@ import https from 'https';
 import querystring from 'querystring';
 import { translate } from '@vitalets/google-translate-api';
 import Upload from '../models/uploadModel.js';
+import { normalizeLanguageCode, isAutoLanguage, getLanguageProfile, countScriptCharacters, detectLanguageFromScript, AUTO_LANGUAGE } from '../utils/languageUtils.js';
 
 // ===== RATE LIMITING TRACKERS =====
 let dailyGoogleTranslations = 0;
@@ -16,14 +17,17 @@ let blockUntil = null;
 /**
  * Enhanced translation service with Hindi optimization and duration preservation
  * Uses LibreTranslate (FREE & UNLIMITED) with Google Translate fallback
- * Optimized specifically for Hindi→Target language translations
+ * Translates from the job's declared source_language; 'auto' uses the language
+ * detected during transcription (or lets the provider detect it)
  * @param {Object} transcription - Enhanced transcription object from Whisper with text, language, segments
  * @param {string} jobId - Unique job identifier to get target language from database
+ * @param {Object} options - Translation options
+ * @param {string} options.targetLanguage - Language of the branch being translated (default: job target_language)
  * @returns {Promise<Object>} - Enhanced translation object with duration preservation
  */
-export const translateText = async (transcription, jobId) => {
+export const translateText = async (transcription, jobId, options = {}) => {
   try {
-    console.log(`[${jobId}] Starting enhanced Hindi→Target translation with duration preservation...`);
+    console.log(`[${jobId}] Starting enhanced translation with duration preservation...`);
     
     // ===== VALIDATE INPUT TRANSCRIPTION =====
     if (!transcription || !transcription.text) {
@@ -37,37 +41,50 @@ export const translateText = async (transcription, jobId) => {
       throw new Error(`Video record not found for job ID: ${jobId}`);
     }
     
-    if (!video.target_language) {
+    const targetLanguage = options.targetLanguage || video.target_language;
+    
+    if (!targetLanguage) {
       throw new Error(`Target language not specified for job ID: ${jobId}`);
     }
     
-    const targetLanguage = video.target_language;
-    let sourceLanguage = transcription.language || 'hi'; // Default to Hindi now
+    // ===== RESOLVE SOURCE LANGUAGE: DECLARED, DETECTED OR PROVIDER AUTO-DETECT =====
+    const declaredSource = normalizeLanguageCode(video.source_language);
+    const sourceLanguageMode = isAutoLanguage(declaredSource) ? 'detected' : 'declared';
+    let sourceLanguage = declaredSource;
+    
+    if (sourceLanguageMode === 'detected') {
+      const transcribedLanguage = normalizeLanguageCode(transcription.language);
+      sourceLanguage = (transcribedLanguage && transcribedLanguage !== 'unknown' && transcribedLanguage !== AUTO_LANGUAGE)
+        ? transcribedLanguage
+        : (detectLanguageFromScript(transcription.text) || AUTO_LANGUAGE);
+    }
     
     console.log(`[${jobId}] Enhanced Indian Language Translation: ${sourceLanguage} → ${targetLanguage}`);
     console.log(`[${jobId}] Original text preview: "${transcription.text.substring(0, 100)}..."`);
     
-    // ===== VALIDATE HINDI INPUT QUALITY =====
+    // ===== VALIDATE SOURCE INPUT QUALITY =====
     if (!transcription.text || transcription.text.trim().length === 0) {
       throw new Error('Empty transcription text received');
     }
     
-    // Check if text contains Hindi Devanagari script
-    const hindiRegex = /[\u0900-\u097F]/;
-    const hindiCharCount = (transcription.text.match(/[\u0900-\u097F]/g) || []).length;
-    const totalCharCount = transcription.text.length;
-    const hindiPercentage = Math.round((hindiCharCount / Math.max(totalCharCount, 1)) * 100);
-    
-    console.log(`[${jobId}] Hindi script analysis:`);
-    console.log(`[${jobId}]   Total characters: ${totalCharCount}`);
-    console.log(`[${jobId}]   Hindi characters: ${hindiCharCount} (${hindiPercentage}%)`);
-    
-    if (!hindiRegex.test(transcription.text)) {
-      console.warn(`[${jobId}] ⚠️ Warning: Text does not contain Hindi script, may affect translation quality`);
-    } else if (hindiPercentage < 50) {
-      console.warn(`[${jobId}] ⚠️ Warning: Low Hindi script percentage (${hindiPercentage}%), translation quality may be affected`);
-    } else {
-      console.log(`[${jobId}] ✅ Good Hindi script quality: ${hindiPercentage}% Devanagari characters`);
+    // Check that the text is written in the source language's script
+    const sourceProfile = getLanguageProfile(sourceLanguage);
+    const scriptCharCount = countScriptCharacters(transcription.text, sourceLanguage);
+    const totalCharCount = transcription.text.replace(/\s/g, '').length;
+    const scriptPercentage = Math.round((scriptCharCount / Math.max(totalCharCount, 1)) * 100);
+    
+    if (sourceProfile) {
+      console.log(`[${jobId}] ${sourceProfile.script} script analysis:`);
+      console.log(`[${jobId}]   Total characters: ${totalCharCount}`);
+      console.log(`[${jobId}]   ${sourceProfile.script} characters: ${scriptCharCount} (${scriptPercentage}%)`);
+      
+      if (scriptCharCount === 0) {
+        console.warn(`[${jobId}] ⚠️ Warning: Text does not contain ${sourceProfile.script} script, may affect translation quality`);
+      } else if (scriptPercentage < 50) {
+        console.warn(`[${jobId}] ⚠️ Warning: Low ${sourceProfile.script} script percentage (${scriptPercentage}%), translation quality may be affected`);
+      } else {
+        console.log(`[${jobId}] ✅ Good script quality: ${scriptPercentage}% ${sourceProfile.script} characters`);
+      }
     }
     
     // ===== VALIDATE SUPPORTED INDIAN LANGUAGES =====
@@ -76,7 +93,7 @@ export const translateText = async (transcription, jobId) => {
       throw new Error(`Target language '${targetLanguage}' is not supported. Use one of: ${Object.keys(supportedLanguages).join(', ')}`);
     }
     
-    console.log(`[${jobId}] Enhanced translation: हिंदी → ${supportedLanguages[targetLanguage]}`);
+    console.log(`[${jobId}] Enhanced translation: ${supportedLanguages[sourceLanguage] || sourceLanguage} (${sourceLanguageMode}) → ${supportedLanguages[targetLanguage]}`);
     console.log(`[${jobId}] Input text length: ${transcription.text.length} characters`);
     console.log(`[${jobId}] Input segments: ${transcription.segments.length}`);
     console.log(`[${jobId}] Target language: ${supportedLanguages[targetLanguage]}`);
@@ -84,14 +101,15 @@ export const translateText = async (transcription, jobId) => {
     // ===== CHECK IF TRANSLATION IS NEEDED =====
     if (sourceLanguage === targetLanguage) {
       console.log(`[${jobId}] Source and target languages are identical, skipping translation`);
-      return createSkippedTranslation(transcription, sourceLanguage, targetLanguage, jobId);
+      const skipped = await createSkippedTranslation(transcription, sourceLanguage, targetLanguage, jobId);
+      return withSourceTiming(skipped, transcription, sourceLanguageMode);
     }
     
     // ===== TRY ENHANCED LIBRETRANSLATE FIRST (PRIMARY) =====
     try {
       console.log(`[${jobId}] 🚀 Attempting Enhanced LibreTranslate (PRIMARY - FREE & UNLIMITED)...`);
-      const libreResult = await translateWithLibreTranslateEnhanced(transcription, targetLanguage, jobId);
-      return libreResult;
+      const libreResult = await translateWithLibreTranslateEnhanced(transcription, sourceLanguage, targetLanguage, jobId);
+      return withSourceTiming(libreResult, transcription, sourceLanguageMode);
       
     } catch (libreError) {
       console.warn(`[${jobId}] ⚠️ Enhanced LibreTranslate failed: ${libreError.message}`);
@@ -99,15 +117,16 @@ export const translateText = async (transcription, jobId) => {
       
       // ===== FALLBACK TO ENHANCED GOOGLE TRANSLATE =====
       try {
-        const googleResult = await translateWithGoogleEnhanced(transcription, targetLanguage, jobId);
-        return googleResult;
+        const googleResult = await translateWithGoogleEnhanced(transcription, sourceLanguage, targetLanguage, jobId);
+        return withSourceTiming(googleResult, transcription, sourceLanguageMode);
         
       } catch (googleError) {
         console.warn(`[${jobId}] ⚠️ Enhanced Google Translate also failed: ${googleError.message}`);
         console.log(`[${jobId}] 🔄 Using enhanced fallback with original text...`);
         
         // ===== FINAL ENHANCED FALLBACK =====
-        return createEnhancedFallback(transcription, sourceLanguage, targetLanguage, jobId, 'Both services failed');
+        const fallback = await createEnhancedFallback(transcription, sourceLanguage, targetLanguage, jobId, 'Both services failed');
+        return withSourceTiming(fallback, transcription, sourceLanguageMode);
       }
     }
     
@@ -130,11 +149,46 @@ export const translateText = async (transcription, jobId) => {
   }
 };
 
+// ===== HELPER FUNCTION: CARRY SOURCE SPEECH TIMING =====
+/**
+ * Attach the source words (with their timestamps) to every translated segment so captions
+ * and dubbing can follow the real speech boundaries, and record where the timing came from
+ * The speaker labels of a diarized transcription are carried over the same way
+ * @param {Object} translation - Result of one of the translation providers
+ * @param {Object} transcription - Transcription the translation was made from
+ * @param {string} sourceLanguageMode - 'declared' or 'detected'
+ * @returns {Object} - Translation with source_language_mode, timestamps, speakers and
+ *   segments[].source_words / segments[].speaker
+ */
+const withSourceTiming = (translation, transcription, sourceLanguageMode) => {
+  const sourceSegments = transcription.segments || [];
+  
+  const segments = (translation.segments || []).map((segment, index) => {
+    const source = sourceSegments[index] && sourceSegments[index].start === segment.start
+      ? sourceSegments[index]
+      : sourceSegments.find(candidate => candidate.start === segment.start && candidate.end === segment.end);
+    
+    return {
+      ...segment,
+      source_words: source && Array.isArray(source.words) ? source.words : [],
+      ...(source && source.speaker && { speaker: source.speaker })
+    };
+  });
+  
+  return {
+    ...translation,
+    segments,
+    speakers: transcription.speakers || [],
+    source_language_mode: sourceLanguageMode,
+    timestamps: transcription.timestamps || 'none'
+  };
+};
+
 // ===== ENHANCED LIBRETRANSLATE IMPLEMENTATION =====
 /**
  * Enhanced LibreTranslate with multiple working instances and duration preservation
  */
-const translateWithLibreTranslateEnhanced = async (transcription, targetLanguage, jobId) => {
+const translateWithLibreTranslateEnhanced = async (transcription, sourceLanguage, targetLanguage, jobId) => {
   console.log(`[${jobId}] Using enhanced LibreTranslate with duration preservation...`);
   
   // Working LibreTranslate instances (tested and updated)
@@ -158,10 +212,10 @@ const translateWithLibreTranslateEnhanced = async (transcription, targetLanguage
     'pa': 'pa',    // Punjabi
     'ur': 'ur',    // Urdu
     'en': 'en',    // English
-    'auto': 'hi'   // Map auto to Hindi
+    'auto': 'auto' // Let LibreTranslate detect the language
   };
   
-  const sourceLang = 'hi'; // Always Hindi now due to enhanced transcription
+  const sourceLang = langMap[sourceLanguage] || sourceLanguage;
   const targetLang = langMap[targetLanguage] || 'mr';
   
   console.log(`[${jobId}] Enhanced LibreTranslate: ${sourceLang} → ${targetLang}`);
@@ -301,7 +355,7 @@ const translateWithLibreTranslateEnhanced = async (transcription, targetLanguage
     language: targetLang,
     language_name: supportedLanguages[targetLanguage],
     original_language: sourceLang,
-    original_language_name: supportedLanguages[sourceLang] || 'हिंदी (Hindi)',
+    original_language_name: supportedLanguages[sourceLang] || sourceLang,
     confidence: 0.9,
     segments: translatedSegments,
     translation_service: 'libretranslate-enhanced-hindi',
@@ -315,7 +369,7 @@ const translateWithLibreTranslateEnhanced = async (transcription, targetLanguage
     translated_duration: translatedDuration,
     duration_difference: durationDifference,
     working_instance: workingInstance,
-    hindi_optimized: true
+    hindi_optimized: sourceLang === 'hi'
   };
   
   // ===== SAVE ENHANCED TRANSLATION TO DATABASE =====
@@ -325,7 +379,7 @@ const translateWithLibreTranslateEnhanced = async (transcription, targetLanguage
     translation_language: targetLang,
     translation_language_name: supportedLanguages[targetLanguage],
     original_language: sourceLang,
-    original_language_name: supportedLanguages[sourceLang] || 'हिंदी (Hindi)',
+    original_language_name: supportedLanguages[sourceLang] || sourceLang,
     translation_confidence: translation.confidence,
     translation_service: 'libretranslate-enhanced-hindi',
     translation_duration_preserved: translation.duration_preserved,
@@ -339,7 +393,7 @@ const translateWithLibreTranslateEnhanced = async (transcription, targetLanguage
       translated_duration: translation.translated_duration,
       duration_difference: translation.duration_difference
     },
-    hindi_optimized: true,
+    hindi_optimized: sourceLang === 'hi',
     translation_completed_at: new Date()
   });
   
@@ -433,7 +487,7 @@ const callLibreTranslateAPIEnhanced = (text, sourceLang, targetLang, jobId, inst
 /**
  * Enhanced Google Translate with improved rate limiting and segment handling
  */
-const translateWithGoogleEnhanced = async (transcription, targetLanguage, jobId) => {
+const translateWithGoogleEnhanced = async (transcription, sourceLanguage, targetLanguage, jobId) => {
   // Reset daily counter
   const today = new Date().toDateString();
   if (today !== lastResetDate) {
@@ -455,7 +509,6 @@ const translateWithGoogleEnhanced = async (transcription, targetLanguage, jobId)
   
   console.log(`[${jobId}] Using enhanced Google Translate fallback (${dailyGoogleTranslations}/25 used today)...`);
   
-  const sourceLanguage = 'hi'; // Always Hindi now
   let detectedSourceLanguage = sourceLanguage;
   
   try {
@@ -586,7 +639,7 @@ const translateWithGoogleEnhanced = async (transcription, targetLanguage, jobId)
       language: targetLanguage,
       language_name: supportedLanguages[targetLanguage],
       original_language: detectedSourceLanguage,
-      original_language_name: supportedLanguages[detectedSourceLanguage] || 'हिंदी (Hindi)',
+      original_language_name: supportedLanguages[detectedSourceLanguage] || detectedSourceLanguage,
       confidence: 0.95,
       segments: translatedSegments,
       translation_service: 'google-translate-enhanced-fallback',
@@ -598,7 +651,7 @@ const translateWithGoogleEnhanced = async (transcription, targetLanguage, jobId)
       duration_preserved: Math.abs(originalDuration - translatedDuration) < 1,
       original_duration: originalDuration,
       translated_duration: translatedDuration,
-      hindi_optimized: true
+      hindi_optimized: detectedSourceLanguage === 'hi'
     };
     
     // Save enhanced Google translation to database
@@ -608,7 +661,7 @@ const translateWithGoogleEnhanced = async (transcription, targetLanguage, jobId)
       translation_language: targetLanguage,
       translation_language_name: supportedLanguages[targetLanguage],
       original_language: detectedSourceLanguage,
-      original_language_name: supportedLanguages[detectedSourceLanguage] || 'हिंदी (Hindi)',
+      original_language_name: supportedLanguages[detectedSourceLanguage] || detectedSourceLanguage,
       translation_confidence: translation.confidence,
       translation_service: 'google-translate-enhanced-fallback',
       translation_stats: {
@@ -617,7 +670,7 @@ const translateWithGoogleEnhanced = async (transcription, targetLanguage, jobId)
         failed_segments: translation.failed_segments,
         translation_quality: translation.translation_quality
       },
-      hindi_optimized: true,
+      hindi_optimized: detectedSourceLanguage === 'hi',
       translation_completed_at: new Date()
     });
     
@@ -701,7 +754,7 @@ const createEnhancedFallback = async (transcription, sourceLanguage, targetLangu
     duration_preserved: true,
     original_duration: transcription.duration || 0,
     translated_duration: transcription.duration || 0,
-    hindi_optimized: true
+    hindi_optimized: sourceLanguage === 'hi'
   };
   
   await Upload.findByIdAndUpdate(jobId, {
@@ -710,7 +763,7 @@ const createEnhancedFallback = async (transcription, sourceLanguage, targetLangu
     translation_duration_preserved: true,
     translation_completed_at: new Date(),
     fallback_reason: reason,
-    hindi_optimized: true
+    hindi_optimized: sourceLanguage === 'hi'
   });
   
   return fallbackTranslation;
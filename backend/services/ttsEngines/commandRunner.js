@@ -0,0 +1,57 @@
+// services/ttsEngines/commandRunner.js - SHARED COMMAND EXECUTION FOR LOCAL TTS ENGINES
+
+// ===== IMPORT REQUIRED MODULES =====
+import { spawn } from 'child_process';
+import fs from 'fs';
+import { trackProcess } from '../cancellationService.js';
+
+// ===== RUN A COMMAND WITH TEXT ON STDIN =====
+/**
+ * Run a program without a shell, writing the text to synthesize to its stdin
+ * (no quoting or stripping of quotes in the text, unlike an edge-tts command line)
+ * The process is registered with the cancellation service so a cancel request can kill it
+ * @param {string} command - Program to run
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - { input, timeout (ms, default 60000), jobId }
+ * @returns {Promise<Object>} - { stdout, stderr }
+ */
+export const runCommand = (command, args, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: options.timeout || 60000, windowsHide: true });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    child.on('error', (error) => {
+      reject(error.code === 'ENOENT' ? new Error(`${command} is not installed or not in PATH`) : error);
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new Error(`${command} exited with ${signal || `code ${code}`}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+      }
+    });
+
+    if (options.jobId) {
+      trackProcess(options.jobId, child);
+    }
+
+    child.stdin.on('error', () => {});  // Reported through 'close'
+    child.stdin.end(options.input || '');
+  });
+};
+
+/**
+ * Check that a local engine wrote a non-empty audio file
+ * @param {string} outputPath - Expected output file
+ * @param {string} engineLabel - Engine name for the error
+ */
+export const assertAudioWritten = (outputPath, engineLabel) => {
+  if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+    throw new Error(`${engineLabel} wrote no audio`);
+  }
+};
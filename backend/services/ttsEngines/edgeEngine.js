@@ -0,0 +1,215 @@
+// services/ttsEngines/edgeEngine.js - MICROSOFT EDGE NEURAL VOICES (ONLINE)
+
+// ===== IMPORT REQUIRED MODULES =====
+import { exec } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { trackProcess, throwIfCancelled } from '../cancellationService.js';
+import { execPromise, runPythonScript } from '../transcriptionEngines/pythonRunner.js';
+import { getSsmlConfig, buildSegmentSsml, stripEmphasisMarkers, formatRate, formatPitch } from '../ssmlService.js';
+import { plainPronunciation } from '../lexiconService.js';
+
+// ===== CHECK PREREQUISITES =====
+let commandAvailable = null;
+
+/**
+ * Check that the language has an Edge voice and the edge-tts command is installed
+ * (network problems only show up when a segment is synthesized)
+ * @param {Object} request - { language, voice: { voice } }
+ * @returns {Promise<Object>} - { available, message }
+ */
+const checkAvailability = async (request) => {
+  if (!request.voice || !request.voice.voice) {
+    return { available: false, message: `No Edge voice for ${request.language}` };
+  }
+
+  if (commandAvailable === null) {
+    try {
+      await execPromise('edge-tts --help');
+      commandAvailable = true;
+    } catch (error) {
+      commandAvailable = false;
+    }
+  }
+
+  return commandAvailable
+    ? { available: true, message: `edge-tts ready (${request.voice.voice})` }
+    : { available: false, message: 'Edge-TTS not installed. Install with: pip install edge-tts' };
+};
+
+// ===== SYNTHESIZE ONE SEGMENT =====
+/**
+ * Synthesize one segment: as SSML (breaks at punctuation, emphasis, prosody of the segment)
+ * when TTS_SSML is on and a tested edge_tts release is installed (see checkSsmlSupport),
+ * otherwise - or when the SSML request fails - as plain text through the edge-tts command line.
+ * The result says which one was used, so the timeline shows segments that fell back to plain text
+ * @param {Object} request - { spoken: { text, phonemes } from applyLexicon (the text may contain
+ *   *emphasis* markers), voice: { voice, pitch }, speechRate (percent of normal), outputPath, segmentNumber }
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - { outputPath, ssml }
+ */
+const synthesize = async (request, jobId) => {
+  const { spoken, voice: voiceConfig, speechRate, outputPath, segmentNumber } = request;
+
+  if (getSsmlConfig().enabled && await canSynthesizeSsml(jobId)) {
+    const ssml = buildSegmentSsml(spoken.text, { voice: voiceConfig.voice, speechRate, pitch: voiceConfig.pitch, phonemes: spoken.phonemes });
+
+    try {
+      console.log(`[${jobId}] Edge-TTS segment ${segmentNumber} SSML: rate=${formatRate(speechRate)}, ${ssml.length} characters`);
+      await synthesizeSsml(ssml, voiceConfig.voice, outputPath, jobId);
+      console.log(`[${jobId}] ✅ Edge-TTS segment ${segmentNumber} completed (SSML)`);
+      return { outputPath, ssml: true };
+
+    } catch (ssmlError) {
+      throwIfCancelled(jobId);
+      console.warn(`[${jobId}] SSML for segment ${segmentNumber} failed, sending plain text: ${ssmlError.message}`);
+    }
+  }
+
+  await synthesizePlainSegment(stripEmphasisMarkers(plainPronunciation(spoken)), voiceConfig, outputPath, speechRate, jobId, segmentNumber);
+  return { outputPath, ssml: false };
+};
+
+// ===== PLAIN TEXT SEGMENT THROUGH THE EDGE-TTS COMMAND LINE - FIXED RATE PARAMETER =====
+const synthesizePlainSegment = (text, voiceConfig, outputPath, speechRate, jobId, segmentNumber) => {
+  return new Promise((resolve, reject) => {
+    // Clean text for Edge-TTS command line
+    const cleanText = text.replace(/"/g, '').replace(/'/g, '').replace(/\\/g, '').replace(/\$/g, '').replace(/`/g, '').trim();
+
+    // ✅ FIXED: CORRECT RATE PARAMETER FORMAT
+    const rateParam = formatRate(speechRate);
+
+    // ✅ FIXED: USE CORRECT EDGE-TTS COMMAND FORMAT
+    // Use --rate=value format for negative values without quotes
+    const edgeTTSCommand = `edge-tts --voice "${voiceConfig.voice}" --text "${cleanText}" --rate="${rateParam}" --pitch="${formatPitch(voiceConfig.pitch)}" --write-media "${outputPath}"`;
+
+    console.log(`[${jobId}] Edge-TTS segment ${segmentNumber} command: rate=${rateParam}, text length=${text.length}`);
+
+    const child = exec(edgeTTSCommand, {
+      maxBuffer: 1024 * 1024 * 20, // 20MB buffer
+      timeout: 45000 // 45 second timeout
+    }, (error, stdout, stderr) => {
+      if (error) {
+        console.error(`[${jobId}] Edge-TTS segment ${segmentNumber} failed:`, error.message);
+        reject(new Error(`Edge-TTS segment ${segmentNumber} failed: ${error.message}`));
+        return;
+      }
+
+      if (stderr) {
+        console.warn(`[${jobId}] Edge-TTS segment ${segmentNumber} warnings:`, stderr);
+      }
+
+      console.log(`[${jobId}] ✅ Edge-TTS segment ${segmentNumber} completed`);
+      resolve(outputPath);
+    });
+
+    trackProcess(jobId, child);
+  });
+};
+
+// ===== SSML THROUGH THE edge_tts PYTHON PACKAGE =====
+// The edge-tts command line only reads plain text; the package builds the request SSML itself,
+// so the script replaces that builder (the private communicate.mkssml) with one returning the
+// segment's document. Private functions change between releases, so SSML is only sent with
+// the releases this was checked against; the service may still ignore elements it does not
+// support, which no response reports
+const SSML_EDGE_TTS_VERSIONS = { min: '6.1.0', below: '8.0.0' };
+
+let ssmlSupport = null;
+
+const canSynthesizeSsml = async (jobId) => {
+  if (ssmlSupport === null) {
+    ssmlSupport = await checkSsmlSupport(jobId);
+  }
+  return ssmlSupport;
+};
+
+/**
+ * Check that edge_tts is importable, is a tested release and still has communicate.mkssml
+ * @param {string} jobId - Job that triggered the check (logging and cancellation)
+ * @returns {Promise<boolean>}
+ */
+const checkSsmlSupport = async (jobId) => {
+  const pythonScript = `
+import json
+
+try:
+    import edge_tts
+    from edge_tts import communicate
+    version = getattr(edge_tts, "__version__", None)
+    if version is None:
+        from edge_tts.version import __version__ as version
+    print(json.dumps({"version": version, "has_mkssml": callable(getattr(communicate, "mkssml", None))}))
+except Exception as error:
+    print(json.dumps({"error": str(error)}))
+`;
+
+  try {
+    const { version, has_mkssml } = await runPythonScript(pythonScript, jobId, { timeout: 30000, name: 'edge_tts_check' });
+    const { min, below } = SSML_EDGE_TTS_VERSIONS;
+
+    if (!has_mkssml || compareVersions(version, min) < 0 || compareVersions(version, below) >= 0) {
+      console.warn(`⚠️ edge_tts ${version} is not a release SSML was tested with (${min} up to ${below}), TTS segments are sent as plain text`);
+      return false;
+    }
+
+    console.log(`🔊 edge_tts ${version}: TTS segments are sent as SSML`);
+    return true;
+
+  } catch (error) {
+    console.warn(`⚠️ Python package edge_tts is not usable (${error.message}), TTS segments are sent as plain text`);
+    return false;
+  }
+};
+
+const synthesizeSsml = async (ssml, voice, outputPath, jobId) => {
+  const pythonScript = `
+import asyncio
+import json
+import edge_tts
+from edge_tts import communicate
+
+SSML = ${JSON.stringify(ssml)}
+VOICE = ${JSON.stringify(voice)}
+OUTPUT = ${JSON.stringify(outputPath)}
+
+communicate.mkssml = lambda *args, **kwargs: SSML
+
+try:
+    asyncio.run(edge_tts.Communicate(".", VOICE).save(OUTPUT))
+    print(json.dumps({"success": True}))
+except Exception as error:
+    print(json.dumps({"error": str(error)}))
+`;
+
+  // Named after the clip (branch work directory and segment), so no two scripts share a file
+  const name = `${path.basename(path.dirname(outputPath))}_${path.basename(outputPath, path.extname(outputPath))}`;
+  await runPythonScript(pythonScript, jobId, { timeout: 45000, name });
+
+  if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+    throw new Error('SSML request returned no audio');
+  }
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Compare dotted version strings ("6.1.12" < "7.0.0"); missing parts count as 0
+const compareVersions = (a, b) => {
+  const left = String(a || '0').split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b || '0').split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+// ===== ENGINE EXPORT =====
+export default {
+  name: 'edge',
+  label: 'Microsoft Edge neural voices (edge-tts)',
+  offline: false,
+  ssml: true,
+  checkAvailability,
+  synthesize
+};
@@ -0,0 +1,102 @@
+// services/ttsEngines/espeakEngine.js - OFFLINE ESPEAK-NG (FORMANT) ENGINE
+
+// ===== IMPORT REQUIRED MODULES =====
+import { runCommand, assertAudioWritten } from './commandRunner.js';
+import { stripEmphasisMarkers } from '../ssmlService.js';
+import { plainPronunciation } from '../lexiconService.js';
+
+// ===== ESPEAK-NG CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getEspeakConfig = () => ({
+  command: process.env.ESPEAK_BIN || 'espeak-ng',
+  // Speaking rate at 100% (espeak-ng's own default is 175, which is hurried for Indic languages)
+  wordsPerMinute: parseInt(process.env.ESPEAK_WORDS_PER_MINUTE) || 160
+});
+
+// espeak-ng pitch is 0-99 around 50; one step is roughly two Hz of the job's pitch adjustment
+const DEFAULT_PITCH = 50;
+const HZ_PER_PITCH_STEP = 2;
+
+// ===== CHECK PREREQUISITES =====
+let installedLanguages = null;
+
+/**
+ * Check that espeak-ng is installed and has a voice for the language
+ * @param {Object} request - { language }
+ * @returns {Promise<Object>} - { available, message }
+ */
+const checkAvailability = async (request) => {
+  const { command } = getEspeakConfig();
+
+  if (installedLanguages === null) {
+    try {
+      const { stdout } = await runCommand(command, ['--voices'], { timeout: 10000 });
+      installedLanguages = parseVoiceList(stdout);
+    } catch (error) {
+      installedLanguages = new Set();
+      console.warn(`⚠️ espeak-ng is not available: ${error.message}`);
+    }
+  }
+
+  if (installedLanguages.size === 0) {
+    return { available: false, message: `espeak-ng not installed (${command}). Install the espeak-ng package` };
+  }
+
+  return installedLanguages.has(request.language)
+    ? { available: true, message: `espeak-ng ready (${request.language})` }
+    : { available: false, message: `espeak-ng has no voice for ${request.language}` };
+};
+
+// ===== SYNTHESIZE ONE SEGMENT =====
+/**
+ * Synthesize one segment offline with espeak-ng (robotic, but intelligible and always local)
+ * The voice gender picks the espeak-ng variant; rate and pitch follow the job's voice
+ * @param {Object} request - { spoken, language, voice: { gender, pitch }, speechRate, outputPath, segmentNumber }
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - { outputPath, ssml: false }
+ */
+const synthesize = async (request, jobId) => {
+  const { spoken, language, voice = {}, speechRate, outputPath, segmentNumber } = request;
+  const { command, wordsPerMinute } = getEspeakConfig();
+
+  const variant = `${language}+${voice.gender === 'male' ? 'm3' : 'f3'}`;
+  const speed = Math.max(80, Math.round(wordsPerMinute * (speechRate || 100) / 100));
+  const pitch = Math.min(99, Math.max(0, Math.round(DEFAULT_PITCH + (voice.pitch || 0) / HZ_PER_PITCH_STEP)));
+
+  console.log(`[${jobId}] espeak-ng segment ${segmentNumber}: voice ${variant}, ${speed} wpm, pitch ${pitch}`);
+
+  await runCommand(command, ['-v', variant, '-s', String(speed), '-p', String(pitch), '-w', outputPath, '--stdin'], {
+    input: stripEmphasisMarkers(plainPronunciation(spoken)),
+    timeout: 30000,
+    jobId
+  });
+
+  assertAudioWritten(outputPath, 'espeak-ng');
+  console.log(`[${jobId}] ✅ espeak-ng segment ${segmentNumber} completed`);
+  return { outputPath, ssml: false };
+};
+
+// ===== HELPER FUNCTIONS =====
+
+// Language codes from `espeak-ng --voices` ("Pty Language Age/Gender VoiceName File Other Languages")
+const parseVoiceList = (output) => {
+  const languages = new Set();
+  output.split('\n').slice(1).forEach(line => {
+    const language = line.trim().split(/\s+/)[1];
+    if (language) {
+      languages.add(language);
+      languages.add(language.split('-')[0]);
+    }
+  });
+  return languages;
+};
+
+// ===== ENGINE EXPORT =====
+export default {
+  name: 'espeak',
+  label: 'eSpeak NG (offline formant synthesis)',
+  offline: true,
+  ssml: false,
+  checkAvailability,
+  synthesize
+};
@@ -0,0 +1,78 @@
+// services/ttsEngines/index.js - TEXT-TO-SPEECH ENGINE REGISTRY
+
+// ===== IMPORT REQUIRED MODULES =====
+import edgeEngine from './edgeEngine.js';
+import piperEngine from './piperEngine.js';
+import espeakEngine from './espeakEngine.js';
+
+// ===== ENGINE INTERFACE =====
+// An engine is an object with:
+//   name               - id used in TTS_ENGINES and recorded per segment (placements[].engine in the timeline)
+//   label              - human-readable name
+//   offline            - true when no network access is needed
+//   ssml               - true when it takes SSML (breaks, emphasis, phonemes); the others read plain text
+//   checkAvailability(request) -> Promise<{ available, message }>
+//   synthesize(request, jobId) -> Promise<{ outputPath, ssml }>   ssml: the audio was produced from SSML
+//                        (recorded per segment as placements[].ssml in the timeline)
+// request = { spoken: { text, phonemes } from applyLexicon, language, voice: { voice, gender, rate, pitch },
+//             speechRate (percent of normal), outputPath, segmentNumber }
+// ttsService.js tries the engines in order for every segment and leaves it silent only when all fail.
+
+const DEFAULT_ENGINES = 'edge,piper,espeak';
+
+const engines = new Map();
+
+/**
+ * Register a TTS engine (replaces an engine with the same name)
+ * @param {Object} engine - Engine implementing the interface above
+ */
+export const registerTtsEngine = (engine) => {
+  if (!engine || !engine.name || typeof engine.synthesize !== 'function' || typeof engine.checkAvailability !== 'function') {
+    throw new Error('TTS engines need a name, synthesize() and checkAvailability()');
+  }
+  engines.set(engine.name, engine);
+};
+
+/**
+ * Look up a registered engine
+ * @param {string} name - Engine name
+ * @returns {Object|null} - Engine, or null if unknown
+ */
+export const getTtsEngine = (name) => {
+  if (!name || typeof name !== 'string') return null;
+  return engines.get(name.trim().toLowerCase()) || null;
+};
+
+/**
+ * Describe every registered engine (for API responses)
+ * @returns {Array<Object>} - { name, label, offline, ssml, enabled }
+ */
+export const listTtsEngines = () => {
+  const chain = resolveTtsEngineChain();
+  return [...engines.values()].map(engine => ({
+    name: engine.name,
+    label: engine.label,
+    offline: engine.offline,
+    ssml: engine.ssml,
+    enabled: chain.includes(engine)
+  }));
+};
+
+/**
+ * Engines to try for every segment, in order: TTS_ENGINES (comma-separated, default
+ * edge,piper,espeak). Unknown names are ignored; an empty list falls back to the default.
+ * @returns {Array<Object>} - Engines
+ */
+export const resolveTtsEngineChain = () => {
+  const configured = (process.env.TTS_ENGINES || '')
+    .split(',')
+    .map(getTtsEngine)
+    .filter(Boolean);
+
+  return [...new Set(configured.length > 0 ? configured : DEFAULT_ENGINES.split(',').map(getTtsEngine))];
+};
+
+// ===== BUILT-IN ENGINES =====
+registerTtsEngine(edgeEngine);
+registerTtsEngine(piperEngine);
+registerTtsEngine(espeakEngine);
@@ -0,0 +1,109 @@
+// services/ttsEngines/piperEngine.js - OFFLINE PIPER (NEURAL, ONNX) ENGINE
+
+// ===== IMPORT REQUIRED MODULES =====
+import fs from 'fs';
+import path from 'path';
+import { runCommand, assertAudioWritten } from './commandRunner.js';
+import { stripEmphasisMarkers } from '../ssmlService.js';
+import { plainPronunciation } from '../lexiconService.js';
+
+// ===== PIPER CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+// Voice models per language: <PIPER_MODEL_DIR>/<language code>/*.onnx, each with its .onnx.json
+// (e.g. ml_models/piper/hi/hi_IN-female-medium.onnx); a model whose file name says
+// "female" or "male" is used for that voice gender, otherwise the first one
+const getPiperConfig = () => ({
+  command: process.env.PIPER_BIN || 'piper',
+  modelDir: path.resolve(process.env.PIPER_MODEL_DIR || './ml_models/piper')
+});
+
+/**
+ * Get the Piper model for a language, preferring one matching the voice gender
+ * @param {string} language - Language code
+ * @param {string} gender - 'female' or 'male' (optional)
+ * @returns {string|null} - Path of the .onnx model, or null when none is installed
+ */
+const getModelPath = (language, gender) => {
+  const languageDir = path.join(getPiperConfig().modelDir, language);
+  if (!fs.existsSync(languageDir) || !fs.statSync(languageDir).isDirectory()) {
+    return null;
+  }
+
+  const models = fs.readdirSync(languageDir).filter(file => file.endsWith('.onnx')).sort();
+  const byGender = models.find(file => gender === 'female'
+    ? /female/i.test(file)
+    : gender === 'male' && /male/i.test(file.replace(/female/ig, '')));
+  const model = byGender || models[0];
+
+  return model ? path.join(languageDir, model) : null;
+};
+
+// ===== CHECK PREREQUISITES =====
+let commandAvailable = null;
+
+/**
+ * Check that the piper command runs and a voice model for the language is installed
+ * @param {Object} request - { language, voice: { gender } }
+ * @returns {Promise<Object>} - { available, message }
+ */
+const checkAvailability = async (request) => {
+  const { command, modelDir } = getPiperConfig();
+
+  if (commandAvailable === null) {
+    try {
+      await runCommand(command, ['--help'], { timeout: 10000 });
+      commandAvailable = true;
+    } catch (error) {
+      commandAvailable = false;
+    }
+  }
+
+  if (!commandAvailable) {
+    return { available: false, message: `Piper not installed (${command}). Run: pip install piper-tts` };
+  }
+
+  const model = getModelPath(request.language, request.voice && request.voice.gender);
+  return model
+    ? { available: true, message: `Piper ready (${path.basename(model)})` }
+    : { available: false, message: `No Piper model for ${request.language} in ${modelDir}` };
+};
+
+// ===== SYNTHESIZE ONE SEGMENT =====
+/**
+ * Synthesize one segment offline with Piper; the speaking rate maps to the length scale
+ * (Piper has no pitch control, so speaker pitch offsets are not applied)
+ * @param {Object} request - { spoken, language, voice: { gender }, speechRate, outputPath, segmentNumber }
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - { outputPath, ssml: false }
+ */
+const synthesize = async (request, jobId) => {
+  const { spoken, language, voice, speechRate, outputPath, segmentNumber } = request;
+  const model = getModelPath(language, voice && voice.gender);
+
+  if (!model) {
+    throw new Error(`No Piper model for ${language}`);
+  }
+
+  const lengthScale = (100 / Math.max(1, speechRate || 100)).toFixed(3);
+  console.log(`[${jobId}] Piper segment ${segmentNumber}: ${path.basename(model)}, length scale ${lengthScale}`);
+
+  await runCommand(getPiperConfig().command, ['--model', model, '--output_file', outputPath, '--length_scale', lengthScale], {
+    input: stripEmphasisMarkers(plainPronunciation(spoken)),
+    timeout: 60000,
+    jobId
+  });
+
+  assertAudioWritten(outputPath, 'Piper');
+  console.log(`[${jobId}] ✅ Piper segment ${segmentNumber} completed`);
+  return { outputPath, ssml: false };
+};
+
+// ===== ENGINE EXPORT =====
+export default {
+  name: 'piper',
+  label: 'Piper (offline neural voices)',
+  offline: true,
+  ssml: false,
+  checkAvailability,
+  synthesize
+};
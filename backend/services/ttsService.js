@@ -1,11 +1,53 @@
-// services/ttsService.js - COMPLETE INTEGRATED TTS SERVICE WITH DURATION FIX
+// services/ttsService.js - COMPLETE INTEGRATED TTS SERVICE WITH TIMELINE DUB RENDERING
 
 import { exec } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { trackProcess, isJobCancelled, throwIfCancelled, JobCancelledError } from './cancellationService.js';
+import { planDubTimeline, renderDubTimeline, TIMELINE_SAMPLE_RATE } from './timelineService.js';
+import { publishJobEvent } from './jobEventsService.js';
+import { stripEmphasisMarkers, formatRate, formatPitch } from './ssmlService.js';
+import { applyLexicon, plainPronunciation } from './lexiconService.js';
+import { resolveTtsEngineChain } from './ttsEngines/index.js';
+import { localPathFor } from './storage/index.js';
+
+// ===== TTS ENGINE CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getEngineConfig = () => ({
+  // An engine failing this many segments in a row is skipped for the rest of the branch
+  // (offline, edge-tts would otherwise time out on every segment before a local engine runs)
+  maxConsecutiveFailures: Math.max(1, parseInt(process.env.TTS_ENGINE_MAX_FAILURES, 10) || 3)
+});
+
+// ===== DURATION FITTING CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getFittingConfig = () => ({
+  // Fastest speaking rate (percent of normal) used to re-synthesize overlong segments
+  maxSpeechRate: Math.max(100, parseInt(process.env.TTS_MAX_SPEECH_RATE, 10) || 130)
+});
 
 // ===== MAIN ENHANCED TTS FUNCTION - NO DATABASE DEPENDENCY =====
-export const generateTTS = async (translation, jobId) => {
+/**
+ * Generate translated speech for a translation object
+ * Every segment is voiced by the first engine of TTS_ENGINES that succeeds (Edge online, then
+ * Piper and espeak-ng offline, see ttsEngines/); only segments no engine can voice stay silent
+ * @param {Object} translation - Translation object with text, language, segments
+ * @param {string} jobId - Job identifier
+ * @param {Object} options - TTS options
+ * @param {string} options.artifactKey - File-name key of the language branch (default: jobId)
+ * @param {string} options.originalVideoPath - The job's source video, used for the target duration
+ *   (without it the transcription duration, translation.original_duration, is used)
+ * @param {Object} options.voice - Voice chosen for the job: { voice, rate, pitch } from resolveVoice
+ *   (default: the primary voice of the language at the normal rate and pitch)
+ * @param {Object} options.speakerVoices - Voice per diarized speaker from resolveSpeakerVoices; segments
+ *   of a listed speaker use it instead of options.voice
+ * @param {Object} options.lexicon - Pronunciation lexicon of the target language from loadLexicon (optional)
+ * @returns {Promise<string>} - Path to the generated wav file
+ */
+export const generateTTS = async (translation, jobId, options = {}) => {
+  const artifactKey = options.artifactKey || jobId;
+  const audioFilePath = localPathFor(`translated_audio/${artifactKey}_translated.wav`);
+  
   try {
     console.log(`[${jobId}] Starting enhanced TTS with duration preservation and segment-based generation...`);
     
@@ -18,118 +60,108 @@ export const generateTTS = async (translation, jobId) => {
       throw new Error('Target language not specified in translation object');
     }
     
-    // ===== GET ACTUAL VIDEO DURATION DIRECTLY FROM FILE =====
-    console.log(`[${jobId}] Detecting video duration directly from files...`);
-    
+    // ===== GET ACTUAL VIDEO DURATION FROM THE JOB'S ORIGINAL =====
+    // Only this job's own video counts; without it the transcription's duration is used
     let actualDuration = 0;
-    const possibleVideoPaths = [
-      `./uploads/originals/${jobId}.mp4`,
-      `./uploads/originals/1758761895481.mp4`, // Your specific file
-      './uploads/originals/*.mp4' // Will check all MP4s
-    ];
-    
-    // Find the original video file
-    let originalVideoPath = null;
-    
-    // Check specific paths first
-    for (const videoPath of possibleVideoPaths.slice(0, 2)) {
-      if (fs.existsSync(videoPath)) {
-        originalVideoPath = videoPath;
-        console.log(`[${jobId}] Found original video: ${videoPath}`);
-        break;
-      }
-    }
+    const originalVideoPath = options.originalVideoPath;
     
-    // If not found, scan the originals directory
-    if (!originalVideoPath) {
-      const originalsDir = './uploads/originals/';
-      if (fs.existsSync(originalsDir)) {
-        const files = fs.readdirSync(originalsDir);
-        const videoFiles = files.filter(file => 
-          file.endsWith('.mp4') || file.endsWith('.mov') || 
-          file.endsWith('.avi') || file.endsWith('.mkv')
-        );
-        
-        if (videoFiles.length > 0) {
-          // Use the most recent video file
-          const mostRecentVideo = videoFiles
-            .map(file => ({
-              name: file,
-              path: path.join(originalsDir, file),
-              mtime: fs.statSync(path.join(originalsDir, file)).mtime
-            }))
-            .sort((a, b) => b.mtime - a.mtime)[0];
-            
-          originalVideoPath = mostRecentVideo.path;
-          console.log(`[${jobId}] Using most recent video: ${mostRecentVideo.name}`);
-        }
-      }
-    }
-    
-    // Get duration directly from video file using FFprobe
     if (originalVideoPath && fs.existsSync(originalVideoPath)) {
       actualDuration = await getVideoDurationDirect(originalVideoPath);
       console.log(`[${jobId}] ✅ Detected actual video duration: ${actualDuration}s`);
     } else {
-      // Fallback: estimate from translation or use default
       actualDuration = translation.original_duration || 30;
-      console.warn(`[${jobId}] ⚠️ Could not find video file, using estimate: ${actualDuration}s`);
+      console.warn(`[${jobId}] ⚠️ Original video not available${originalVideoPath ? ` (${originalVideoPath})` : ''}, using transcription duration: ${actualDuration}s`);
     }
     
     // ===== VALIDATE SUPPORTED INDIAN LANGUAGE =====
     const supportedVoices = getSupportedIndianVoices();
     const targetLanguage = translation.language;
     
-    if (!supportedVoices[targetLanguage]) {
-      console.warn(`[${jobId}] Language ${targetLanguage} not supported, using enhanced fallback`);
-      return createEnhancedTTSFallback(translation, jobId);
-    }
+    // Languages without an Edge voice can still be spoken by a local engine (see ttsEngines/)
+    const voiceConfig = supportedVoices[targetLanguage]
+      ? { ...supportedVoices[targetLanguage], ...(options.voice || resolveVoice(targetLanguage)) }
+      : { name: targetLanguage, quality: 'local engines only', voice: null, gender: 'female', rate: 0, pitch: 0 };
     
-    const voiceConfig = supportedVoices[targetLanguage];
+    const engineChain = await prepareEngineChain(targetLanguage, voiceConfig, jobId);
+    if (engineChain.engines.length === 0) {
+      console.warn(`[${jobId}] No TTS engine can speak ${targetLanguage}, using enhanced fallback`);
+      return createEnhancedTTSFallback(translation, jobId, audioFilePath);
+    }
     
     console.log(`[${jobId}] Enhanced TTS Configuration:`);
     console.log(`[${jobId}]   Language: ${voiceConfig.name}`);
-    console.log(`[${jobId}]   Voice: ${voiceConfig.voice}`);
+    console.log(`[${jobId}]   Engines: ${engineChain.engines.map(engine => engine.name).join(' -> ')}`);
+    console.log(`[${jobId}]   Voice: ${voiceConfig.voice || voiceConfig.gender} (rate ${formatRate(100 + voiceConfig.rate)}, pitch ${formatPitch(voiceConfig.pitch)})`);
     console.log(`[${jobId}]   Quality: ${voiceConfig.quality}`);
+    if (options.speakerVoices) {
+      console.log(`[${jobId}]   Speakers: ${Object.entries(options.speakerVoices).map(([speaker, voice]) => `${speaker} → ${voice.voice} (pitch ${formatPitch(voice.pitch)})`).join(', ')}`);
+    }
+    if (options.lexicon) {
+      console.log(`[${jobId}]   Lexicon: version ${options.lexicon.version}, ${options.lexicon.entries.length} entries`);
+    }
     console.log(`[${jobId}]   Text length: ${translation.text.length} characters`);
     console.log(`[${jobId}]   Target duration: ${actualDuration} seconds`); // ✅ FIXED: Use actual duration
     console.log(`[${jobId}]   Segments available: ${translation.segments ? translation.segments.length : 0}`);
     
     // ===== CREATE OUTPUT DIRECTORY =====
-    const outputDir = './uploads/translated_audio';
+    const outputDir = localPathFor('translated_audio');
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
       console.log(`[${jobId}] Created translated_audio directory: ${outputDir}`);
     }
     
-    const audioFileName = `${jobId}_translated.wav`;
-    const audioFilePath = path.join(outputDir, audioFileName);
     console.log(`[${jobId}] Enhanced TTS output file: ${audioFilePath}`);
     
     // ===== CHOOSE TTS GENERATION METHOD =====
     // ✅ FIXED: Pass actual duration to generation methods
     if (translation.segments && translation.segments.length > 0) {
-      console.log(`[${jobId}] Using segment-based TTS for perfect duration preservation...`);
+      console.log(`[${jobId}] Using segment-based TTS placed on the video timeline...`);
       return await generateSegmentBasedTTS({
         ...translation,
         original_duration: actualDuration // ✅ FIXED: Use actual duration
-      }, voiceConfig, audioFilePath, jobId);
+      }, voiceConfig, audioFilePath, jobId, artifactKey, engineChain, options.speakerVoices, options.lexicon);
     } else {
       console.log(`[${jobId}] Using full-text TTS (no segments available)...`);
       return await generateFullTextTTS({
         ...translation,
         original_duration: actualDuration // ✅ FIXED: Use actual duration  
-      }, voiceConfig, audioFilePath, jobId);
+      }, voiceConfig, audioFilePath, jobId, engineChain, options.lexicon);
     }
     
   } catch (error) {
+    // Cancellation must stop the pipeline instead of producing a fallback track
+    if (isJobCancelled(jobId)) {
+      throw new JobCancelledError(jobId);
+    }
+    
     console.error(`[${jobId}] ❌ Enhanced TTS failed:`, error.message);
     
     // No database operations - just log error
     console.error(`[${jobId}] TTS error details:`, error.stack);
     
     // Return fallback instead of throwing error
-    return createEnhancedTTSFallback(translation, jobId);
+    return createEnhancedTTSFallback(translation, jobId, audioFilePath);
+  }
+};
+
+// ===== ENGINES BEHIND A DUB TRACK =====
+/**
+ * Which TTS engine produced how many segments of a dub track, read from the timeline written
+ * next to it (for job records; each placement of the timeline names its engine)
+ * @param {string} ttsAudioPath - Dub track returned by generateTTS
+ * @returns {Object} - { engines: [{ engine, segments }], silent_segments } (empty without a timeline)
+ */
+export const getDubEngines = (ttsAudioPath) => {
+  const timelinePath = (ttsAudioPath || '').replace(/_translated\.wav$/, '_timeline.json');
+  
+  try {
+    const timeline = JSON.parse(fs.readFileSync(timelinePath, 'utf8'));
+    return {
+      engines: Object.entries(timeline.engines || {}).map(([engine, segments]) => ({ engine, segments })),
+      silent_segments: (timeline.failed_segments || []).length
+    };
+  } catch (error) {
+    return { engines: [], silent_segments: 0 };
   }
 };
 
@@ -166,245 +198,370 @@ const getVideoDurationDirect = async (videoPath) => {
         return;
       }
       
-      resolve(Math.round(duration)); // Round to nearest second
+      resolve(parseFloat(duration.toFixed(3))); // Millisecond precision so the dub track matches the video
     });
   });
 };
 
-// ===== SEGMENT-BASED TTS FOR PERFECT DURATION PRESERVATION (NO DATABASE) =====
-const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, jobId) => {
-  console.log(`[${jobId}] Generating segment-based TTS with perfect duration matching...`);
-  
-  const segmentAudioFiles = [];
-  const tempDir = './uploads/temp_audio';
+// ===== SEGMENT-BASED TTS ON THE VIDEO TIMELINE (NO DATABASE) =====
+/**
+ * Synthesize every segment and place each clip at its source start time
+ * Gaps stay silent; clips that overrun their segment are fitted by a faster speech rate,
+ * then by timelineService (borrowed silence, chained atempo, flag for a shorter translation)
+ * The result is one continuous wav as long as the video
+ * @param {Object} translation - Translation with segments and original_duration (video length)
+ * @param {Object} voiceConfig - Edge-TTS voice configuration
+ * @param {string} outputPath - Where to write the dub track
+ * @param {string} jobId - Job identifier
+ * @param {string} artifactKey - File-name key of the language branch
+ * @param {Object} engineChain - Engines to try per segment, from prepareEngineChain
+ * @param {Object} speakerVoices - Voice per speaker id (optional, segments carry the speaker id)
+ * @param {Object} lexicon - Pronunciation lexicon applied to every segment (optional)
+ * @returns {Promise<string>} - outputPath
+ */
+const generateSegmentBasedTTS = async (translation, voiceConfig, outputPath, jobId, artifactKey, engineChain, speakerVoices = null, lexicon = null) => {
+  console.log(`[${jobId}] Generating segment-based TTS on the video timeline...`);
   
-  // Create temporary directory
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-    console.log(`[${jobId}] Created temporary audio directory: ${tempDir}`);
-  }
+  // Per-branch work directory so parallel jobs never share (or delete) each other's clips
+  const workDir = localPathFor(`temp_audio/${artifactKey}_tts`);
+  fs.mkdirSync(workDir, { recursive: true });
   
   try {
-    console.log(`[${jobId}] Processing ${translation.segments.length} segments for TTS generation...`);
-    
-    // ✅ FIXED: Calculate segment durations based on actual video duration
-    const actualDuration = translation.original_duration; // This is now the correct duration from video file
-    const totalSegments = translation.segments.length;
-    const segmentDuration = actualDuration / totalSegments; // Equal time per segment
+    const actualDuration = translation.original_duration;
+    const clips = [];
+    const failedSegments = [];
     
     console.log(`[${jobId}] ✅ Actual video duration: ${actualDuration}s (detected from file)`);
-    console.log(`[${jobId}] 📊 Segment duration: ${segmentDuration.toFixed(2)}s each`);
-    console.log(`[${jobId}] 🎯 Target total duration: ${actualDuration}s`);
+    console.log(`[${jobId}] Processing ${translation.segments.length} segments for TTS generation...`);
     
     // ===== GENERATE AUDIO FOR EACH SEGMENT =====
     for (let i = 0; i < translation.segments.length; i++) {
-      const segment = translation.segments[i];
-      const targetSegmentDuration = segmentDuration;
+      throwIfCancelled(jobId);
       
-      console.log(`[${jobId}] Processing segment ${i + 1}/${translation.segments.length}:`);
-      console.log(`[${jobId}]   Start: ${(i * segmentDuration).toFixed(2)}s, End: ${((i + 1) * segmentDuration).toFixed(2)}s, Duration: ${targetSegmentDuration.toFixed(2)}s`);
-      console.log(`[${jobId}]   Text: "${segment.text.substring(0, 50)}..."`);
+      const segment = translation.segments[i];
+      const sourceStart = typeof segment.start === 'number' ? segment.start : 0;
+      const sourceEnd = typeof segment.end === 'number' ? segment.end : sourceStart;
       
+      // Empty segments are simply silence on the timeline
       if (!segment.text || segment.text.trim().length === 0) {
-        // Create silence for empty segments
-        console.log(`[${jobId}] Creating silence for empty segment ${i + 1}`);
-        const silenceFile = path.join(tempDir, `${jobId}_segment_${i}_silence.wav`);
-        await createSilenceFile(silenceFile, targetSegmentDuration);
-        segmentAudioFiles.push({
-          file: silenceFile,
-          duration: targetSegmentDuration,
-          isSilence: true,
-          segmentIndex: i
-        });
+        console.log(`[${jobId}] Segment ${i + 1}: empty, left silent`);
         continue;
       }
       
-      const segmentFile = path.join(tempDir, `${jobId}_segment_${i}.wav`);
+      console.log(`[${jobId}] Processing segment ${i + 1}/${translation.segments.length}:`);
+      console.log(`[${jobId}]   Source: ${sourceStart.toFixed(2)}s - ${sourceEnd.toFixed(2)}s`);
+      console.log(`[${jobId}]   Text: "${segment.text.substring(0, 50)}..."`);
       
-      // ===== CALCULATE OPTIMAL SPEECH RATE =====
-      const wordCount = segment.text.split(' ').filter(word => word.length > 0).length;
-      const normalWPM = 150; // Words per minute for normal speech
-      const requiredWPM = Math.max(50, Math.min(300, (wordCount / Math.max(targetSegmentDuration, 0.5)) * 60));
-      const speechRate = Math.round((requiredWPM / normalWPM) * 100);
+      const segmentFile = path.join(workDir, `segment_${i}.wav`);
+      const segmentVoice = speakerVoices && speakerVoices[segment.speaker]
+        ? { ...voiceConfig, ...speakerVoices[segment.speaker] }
+        : voiceConfig;
+      if (segment.speaker) {
+        console.log(`[${jobId}]   Speaker: ${segment.speaker} (${segmentVoice.voice})`);
+      }
       
-      console.log(`[${jobId}]   Word count: ${wordCount}, Target WPM: ${Math.round(requiredWPM)}, Speech rate: ${speechRate}%`);
+      // Lexicon respellings and phonemes; captions keep the translated spelling
+      const spoken = applyLexicon(segment.text, lexicon);
+      if (spoken.replacements > 0) {
+        console.log(`[${jobId}]   Lexicon: ${spoken.replacements} term(s) respelled or given a phoneme`);
+      }
       
       try {
-        // Generate TTS for individual segment
-        await generateSingleSegmentTTS(
-          segment.text, 
-          voiceConfig.voice, 
-          segmentFile, 
-          speechRate, 
-          jobId, 
-          i + 1
-        );
-        
-        // ===== VERIFY AND ADJUST DURATION =====
-        const generatedDuration = await getAudioDuration(segmentFile);
-        const durationDifference = Math.abs(generatedDuration - targetSegmentDuration);
+        // Chosen base speaking rate first
+        const { engine, ssml } = await synthesizeSegment(spoken, segmentVoice, segmentFile, 100 + segmentVoice.rate, jobId, i + 1, engineChain);
         
-        console.log(`[${jobId}]   Generated duration: ${generatedDuration.toFixed(2)}s, Target: ${targetSegmentDuration.toFixed(2)}s, Diff: ${durationDifference.toFixed(2)}s`);
+        const naturalDuration = await getAudioDuration(segmentFile);
+        console.log(`[${jobId}]   Generated duration: ${naturalDuration.toFixed(2)}s, source slot: ${(sourceEnd - sourceStart).toFixed(2)}s`);
         
-        // If duration mismatch is significant, adjust the audio
-        if (durationDifference > 0.5) {
-          console.log(`[${jobId}]   Adjusting duration for segment ${i + 1}...`);
-          await adjustAudioDuration(segmentFile, targetSegmentDuration, jobId, i + 1);
-          
-          // Verify adjustment
-          const adjustedDuration = await getAudioDuration(segmentFile);
-          console.log(`[${jobId}]   Adjusted duration: ${adjustedDuration.toFixed(2)}s`);
-        }
+        // Overruns its segment: re-synthesize faster before the timeline borrows silence or compresses
+        // Same engine as the natural clip, so the voice does not change between tries
+        const fitted = await resynthesizeFaster(spoken, segmentVoice, segmentFile, naturalDuration, sourceEnd - sourceStart, jobId, i + 1,
+          { ...engineChain, engines: engineChain.engines.filter(candidate => candidate.name === engine) });
         
-        segmentAudioFiles.push({
-          file: segmentFile,
-          duration: targetSegmentDuration,
-          isSilence: false,
+        clips.push({
           segmentIndex: i,
-          originalDuration: generatedDuration
+          sourceStart,
+          sourceEnd,
+          duration: fitted.duration,
+          naturalDuration,
+          speechRate: fitted.speechRate,
+          resynthesized: fitted.resynthesized,
+          engine,
+          ssml: fitted.resynthesized ? fitted.ssml : ssml,
+          file: fitted.file
         });
         
-        console.log(`[${jobId}]   ✅ Segment ${i + 1} TTS completed successfully`);
+        console.log(`[${jobId}]   ✅ Segment ${i + 1} TTS completed successfully (${engine})`);
         
       } catch (segmentError) {
-        console.warn(`[${jobId}] Segment ${i + 1} TTS failed: ${segmentError.message}`);
-        console.log(`[${jobId}] Using silence as fallback for segment ${i + 1}`);
+        throwIfCancelled(jobId);
         
-        // Create silence as fallback
-        const silenceFile = path.join(tempDir, `${jobId}_segment_${i}_silence.wav`);
-        await createSilenceFile(silenceFile, targetSegmentDuration);
-        segmentAudioFiles.push({
-          file: silenceFile,
-          duration: targetSegmentDuration,
-          isSilence: true,
-          segmentIndex: i,
-          fallbackReason: segmentError.message
-        });
+        console.warn(`[${jobId}] Segment ${i + 1} TTS failed on every engine: ${segmentError.message}`);
+        console.log(`[${jobId}] Leaving segment ${i + 1} silent`);
+        failedSegments.push({ segmentIndex: i, reason: segmentError.message });
       }
-      
+
+      publishJobEvent(jobId, 'progress', {
+        stage: 'tts_generation',
+        language: translation.language,
+        segment: i + 1,
+        total: translation.segments.length,
+        percent: Math.round(((i + 1) / translation.segments.length) * 100),
+        failed: failedSegments.length
+      });
+
       // Small delay between segments to avoid overwhelming the system
       if (i < translation.segments.length - 1) {
         await new Promise(resolve => setTimeout(resolve, 300));
       }
     }
     
-    console.log(`[${jobId}] ✅ All segments processed. Successful: ${segmentAudioFiles.filter(f => !f.isSilence).length}/${translation.segments.length}`);
-    
-    // ===== CONCATENATE ALL SEGMENT AUDIO FILES =====
-    console.log(`[${jobId}] Concatenating ${segmentAudioFiles.length} audio segments...`);
-    await concatenateAudioFiles(segmentAudioFiles.map(f => f.file), outputPath, jobId);
+    console.log(`[${jobId}] ✅ All segments processed. Successful: ${clips.length}/${translation.segments.length}`);
     
-    // ===== VERIFY FINAL DURATION AND QUALITY =====
-    const finalDuration = await getAudioDuration(outputPath);
-    const durationDifference = Math.abs(finalDuration - actualDuration);
-    const durationPreserved = durationDifference < 1.5;
-    
-    console.log(`[${jobId}] Final TTS Results:`);
-    console.log(`[${jobId}]   Final audio duration: ${finalDuration.toFixed(2)} seconds`);
-    console.log(`[${jobId}]   Target duration: ${actualDuration.toFixed(2)} seconds`);
-    console.log(`[${jobId}]   Duration difference: ${durationDifference.toFixed(2)} seconds`);
-    console.log(`[${jobId}]   Duration preserved: ${durationPreserved ? '✅ YES' : '❌ NO'}`);
-    
-    // If duration is still not matching, do a final adjustment
-    if (!durationPreserved && Math.abs(durationDifference) > 0.5) {
-      console.log(`[${jobId}] 🔧 Final duration adjustment needed...`);
-      
-      try {
-        await adjustAudioDuration(outputPath, actualDuration, jobId, 'final');
-        const correctedDuration = await getAudioDuration(outputPath);
-        console.log(`[${jobId}] ✅ Final duration corrected: ${correctedDuration.toFixed(2)}s`);
-      } catch (adjustError) {
-        console.warn(`[${jobId}] Final duration adjustment failed: ${adjustError.message}`);
-      }
+    if (clips.length === 0) {
+      throw new Error('No segment could be synthesized');
     }
     
-    // ===== CLEANUP TEMPORARY FILES =====
-    console.log(`[${jobId}] Cleaning up temporary files...`);
-    let cleanupSuccessful = 0;
-    let cleanupFailed = 0;
+    // ===== PLACE CLIPS AT THEIR SOURCE TIMESTAMPS AND RENDER =====
+    const placements = planDubTimeline(clips, actualDuration);
     
-    segmentAudioFiles.forEach(audioFile => {
-      try {
-        if (fs.existsSync(audioFile.file)) {
-          fs.unlinkSync(audioFile.file);
-          cleanupSuccessful++;
-        }
-      } catch (cleanupError) {
-        console.warn(`[${jobId}] Failed to cleanup ${audioFile.file}:`, cleanupError.message);
-        cleanupFailed++;
+    placements.forEach(placement => {
+      if (placement.strategy !== 'natural') {
+        console.log(`[${jobId}]   Segment ${placement.segmentIndex + 1}: ${placement.strategy} - placed at ${placement.start}s (nudged ${placement.nudge}s, rate ${placement.speechRate}%, tempo ${placement.tempo}x, stretch ${placement.stretch_ratio}x)${placement.truncated ? ' - cut at video end' : ''}`);
       }
     });
     
-    // Remove temporary directory
-    try {
-      fs.rmSync(tempDir, { recursive: true, force: true });
-      console.log(`[${jobId}] ✅ Temporary directory cleaned up`);
-    } catch (dirCleanupError) {
-      console.warn(`[${jobId}] Failed to cleanup temp directory:`, dirCleanupError.message);
+    const needsShorterTranslation = placements
+      .filter(placement => placement.needs_shorter_translation)
+      .map(placement => placement.segmentIndex);
+    
+    if (needsShorterTranslation.length > 0) {
+      console.warn(`[${jobId}] ⚠️ ${needsShorterTranslation.length} segment(s) too long even at maximum speed, flagged for a shorter translation: ${needsShorterTranslation.map(index => index + 1).join(', ')}`);
     }
     
-    console.log(`[${jobId}] Cleanup completed: ${cleanupSuccessful} files removed, ${cleanupFailed} failed`);
+    await renderDubTimeline(placements, actualDuration, outputPath, workDir, jobId);
+    
+    // Record where every clip landed next to the dub track
+    const timelinePath = outputPath.replace(/_translated\.wav$/, '_timeline.json');
+    fs.writeFileSync(timelinePath, JSON.stringify({
+      duration: actualDuration,
+      sample_rate: TIMELINE_SAMPLE_RATE,
+      placements: placements.map(({ file, ...placement }) => placement),
+      strategies: countStrategies(placements),
+      engines: countEngines(placements),
+      ssml_segments: placements.filter(placement => placement.ssml).length,
+      needs_shorter_translation: needsShorterTranslation,
+      failed_segments: failedSegments
+    }, null, 2), 'utf8');
+    
+    // ===== VERIFY FINAL DURATION =====
+    const finalDuration = await getAudioDuration(outputPath);
+    const strategies = countStrategies(placements);
+    
+    console.log(`[${jobId}] Final TTS Results:`);
+    console.log(`[${jobId}]   Final audio duration: ${finalDuration.toFixed(2)} seconds`);
+    console.log(`[${jobId}]   Target duration: ${actualDuration.toFixed(2)} seconds`);
+    console.log(`[${jobId}]   Clips placed: ${placements.length} (${Object.entries(strategies).map(([strategy, count]) => `${count} ${strategy}`).join(', ')}, ${failedSegments.length} silent)`);
+    console.log(`[${jobId}]   Engines: ${Object.entries(countEngines(placements)).map(([engine, count]) => `${count} ${engine}`).join(', ')}`);
+    console.log(`[${jobId}]   Sent as SSML: ${placements.filter(placement => placement.ssml).length}/${placements.length} clips`);
+    console.log(`[${jobId}]   Timeline: ${timelinePath}`);
     
-    // ===== NO DATABASE SAVES - JUST RETURN PATH =====
     const fileStats = fs.statSync(outputPath);
     console.log(`[${jobId}] ✅ Enhanced segment-based TTS completed successfully`);
     console.log(`[${jobId}] Generated ${voiceConfig.name} speech: ${Math.round(fileStats.size / 1024)} KB`);
-    console.log(`[${jobId}] Duration preservation: ${durationPreserved ? 'PERFECT' : 'ACCEPTABLE'}`);
-    console.log(`[${jobId}] 🎯 Final audio matches video duration: ${actualDuration}s`);
     
     return outputPath;
     
   } catch (error) {
     console.error(`[${jobId}] ❌ Segment-based TTS failed:`, error.message);
+    throw error;
     
-    // Cleanup on error
-    console.log(`[${jobId}] Performing error cleanup...`);
-    segmentAudioFiles.forEach(audioFile => {
-      try {
-        if (fs.existsSync(audioFile.file)) {
-          fs.unlinkSync(audioFile.file);
-        }
-      } catch (cleanupError) {
-        // Ignore cleanup errors during error handling
-      }
-    });
-    
-    // Try to remove temp directory
+  } finally {
+    // ===== CLEANUP TEMPORARY FILES =====
     try {
-      if (fs.existsSync(tempDir)) {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      }
+      fs.rmSync(workDir, { recursive: true, force: true });
+      console.log(`[${jobId}] ✅ Temporary directory cleaned up`);
     } catch (dirCleanupError) {
-      // Ignore cleanup errors during error handling
+      console.warn(`[${jobId}] Failed to cleanup temp directory:`, dirCleanupError.message);
     }
+  }
+};
+
+// ===== DURATION FITTING: FASTER SPEECH RATE =====
+/**
+ * Re-synthesize a clip that overruns its source segment at a faster speaking rate
+ * A faster voice keeps natural prosody, so it is tried before the timeline borrows
+ * silence or applies atempo (see planDubTimeline)
+ * @param {Object} spoken - Segment text after the lexicon (applyLexicon)
+ * @param {Object} voiceConfig - Voice, base rate (percent adjustment) and pitch of the job
+ * @param {string} naturalFile - Clip synthesized at the base rate
+ * @param {number} naturalDuration - Its length in seconds
+ * @param {number} window - Length of the source segment in seconds
+ * @param {string} jobId - Job identifier
+ * @param {number} segmentNumber - 1-based segment number (logging)
+ * @param {Object} engineChain - Engine that produced the natural clip (prepareEngineChain shape)
+ * @returns {Promise<Object>} - { file, duration, speechRate, resynthesized, ssml } of the clip to place
+ *   (ssml is only set for a re-synthesized clip)
+ */
+const resynthesizeFaster = async (spoken, voiceConfig, naturalFile, naturalDuration, window, jobId, segmentNumber, engineChain) => {
+  const baseRate = 100 + voiceConfig.rate;
+  const natural = { file: naturalFile, duration: naturalDuration, speechRate: baseRate, resynthesized: false };
+  const { maxSpeechRate } = getFittingConfig();
+  
+  if (window <= 0 || naturalDuration <= window || maxSpeechRate <= baseRate) {
+    return natural;
+  }
+  
+  const speechRate = Math.min(maxSpeechRate, Math.ceil((naturalDuration / window) * baseRate));
+  const fasterFile = naturalFile.replace(/\.wav$/, `_rate${speechRate}.wav`);
+  
+  try {
+    const { ssml } = await synthesizeSegment(spoken, voiceConfig, fasterFile, speechRate, jobId, segmentNumber, engineChain);
+    const duration = await getAudioDuration(fasterFile);
     
-    throw error;
+    if (duration <= 0 || duration >= naturalDuration) {
+      return natural;
+    }
+    
+    console.log(`[${jobId}]   Re-synthesized at ${speechRate}% rate: ${duration.toFixed(2)}s`);
+    return { file: fasterFile, duration, speechRate, resynthesized: true, ssml };
+    
+  } catch (rateError) {
+    throwIfCancelled(jobId);
+    console.warn(`[${jobId}]   Faster re-synthesis failed, keeping normal rate: ${rateError.message}`);
+    return natural;
   }
 };
 
+/**
+ * Count placements per fitting strategy
+ * @param {Array<Object>} placements - Result of planDubTimeline
+ * @returns {Object} - { natural: n, rate: n, ... }
+ */
+const countStrategies = (placements) => {
+  return placements.reduce((counts, placement) => {
+    counts[placement.strategy] = (counts[placement.strategy] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * Count placed clips per TTS engine
+ * @param {Array<Object>} placements - Result of planDubTimeline
+ * @returns {Object} - { edge: n, espeak: n, ... }
+ */
+const countEngines = (placements) => {
+  return placements.reduce((counts, placement) => {
+    counts[placement.engine] = (counts[placement.engine] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+// ===== TTS ENGINE CHAIN =====
+/**
+ * Engines of TTS_ENGINES (see ttsEngines/index.js) that can speak the language, in order
+ * @param {string} language - Target language
+ * @param {Object} voiceConfig - Voice of the job (voice is null for languages without an Edge voice)
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<Object>} - { language, engines, failures: Map<name, consecutive failures> }
+ */
+const prepareEngineChain = async (language, voiceConfig, jobId) => {
+  const engines = [];
+
+  for (const engine of resolveTtsEngineChain()) {
+    const availability = await engine.checkAvailability({ language, voice: voiceConfig });
+    if (availability.available) {
+      engines.push(engine);
+    } else {
+      console.log(`[${jobId}] TTS engine ${engine.name} skipped: ${availability.message}`);
+    }
+  }
+
+  return { language, engines, failures: new Map() };
+};
+
+// ===== SYNTHESIZE ONE SEGMENT WITH THE FIRST ENGINE THAT WORKS =====
+/**
+ * Synthesize one segment, trying the engines of the chain in order
+ * Engines that failed TTS_ENGINE_MAX_FAILURES segments in a row are skipped
+ * @param {Object} spoken - Segment text after the lexicon (applyLexicon)
+ * @param {Object} voiceConfig - Voice, gender and pitch of the segment
+ * @param {string} outputPath - Where to write the clip
+ * @param {number} speechRate - Speaking rate in percent of normal
+ * @param {string} jobId - Job identifier
+ * @param {number} segmentNumber - 1-based segment number (logging)
+ * @param {Object} engineChain - Result of prepareEngineChain
+ * @returns {Promise<Object>} - { engine: name of the engine that produced the clip, ssml: whether it was sent as SSML }
+ */
+const synthesizeSegment = async (spoken, voiceConfig, outputPath, speechRate, jobId, segmentNumber, engineChain) => {
+  const { maxConsecutiveFailures } = getEngineConfig();
+  const errors = [];
+
+  for (const engine of engineChain.engines) {
+    const failures = engineChain.failures.get(engine.name) || 0;
+    if (failures >= maxConsecutiveFailures) continue;
+
+    try {
+      const result = await engine.synthesize({ spoken, language: engineChain.language, voice: voiceConfig, speechRate, outputPath, segmentNumber }, jobId);
+      engineChain.failures.set(engine.name, 0);
+      return { engine: engine.name, ssml: Boolean(result && result.ssml) };
+
+    } catch (engineError) {
+      throwIfCancelled(jobId);
+      errors.push(`${engine.name}: ${engineError.message}`);
+      engineChain.failures.set(engine.name, failures + 1);
+
+      if (failures + 1 >= maxConsecutiveFailures) {
+        console.warn(`[${jobId}] ⚠️ TTS engine ${engine.name} failed ${failures + 1} segments in a row, skipping it for the rest of this language`);
+      } else {
+        console.warn(`[${jobId}] TTS engine ${engine.name} failed on segment ${segmentNumber}: ${engineError.message}`);
+      }
+    }
+  }
+
+  throw new Error(errors.length > 0 ? errors.join('; ') : 'No TTS engine left to try');
+};
+
 // ===== FULL TEXT TTS FALLBACK METHOD =====
-const generateFullTextTTS = async (translation, voiceConfig, outputPath, jobId) => {
+const generateFullTextTTS = async (translation, voiceConfig, outputPath, jobId, engineChain, lexicon = null) => {
   console.log(`[${jobId}] Generating full-text TTS...`);
   
-  // Prepare text for TTS
-  let textToConvert = translation.text;
+  // Prepare text for TTS (the command line takes no SSML, so phoneme entries use their respelling)
+  let textToConvert = plainPronunciation(applyLexicon(translation.text, lexicon));
   
   // Handle long text by truncating if necessary
-  if (translation.text.length > 5000) {
-    console.warn(`[${jobId}] Text is ${translation.text.length} characters. Truncating to 5000 for better performance.`);
-    textToConvert = translation.text.substring(0, 4950) + '...';
+  if (textToConvert.length > 5000) {
+    console.warn(`[${jobId}] Text is ${textToConvert.length} characters. Truncating to 5000 for better performance.`);
+    textToConvert = textToConvert.substring(0, 4950) + '...';
   }
   
-  // Call Edge-TTS
-  console.log(`[${jobId}] Calling Edge-TTS with ${voiceConfig.voice}...`);
-  const audioFilePathFinal = await callEdgeTTS({
-    text: textToConvert,
-    voice: voiceConfig.voice,
-    outputPath: outputPath,
-    rate: 0, // Normal speech rate
-    volume: 0, // Normal volume
-    jobId: jobId
-  });
+  // Call Edge-TTS; without it (or when it fails) the local engines of the chain read the text
+  let audioFilePathFinal = outputPath;
+  const localChain = { ...engineChain, engines: engineChain.engines.filter(engine => engine.name !== 'edge') };
+  
+  try {
+    if (!engineChain.engines.some(engine => engine.name === 'edge')) {
+      throw new Error(`Edge-TTS not available for ${translation.language}`);
+    }
+    console.log(`[${jobId}] Calling Edge-TTS with ${voiceConfig.voice}...`);
+    audioFilePathFinal = await callEdgeTTS({
+      text: textToConvert,
+      voice: voiceConfig.voice,
+      outputPath: outputPath,
+      rate: voiceConfig.rate, // Base speech rate chosen for the job
+      pitch: voiceConfig.pitch,
+      volume: 0, // Normal volume
+      jobId: jobId
+    });
+    
+  } catch (edgeError) {
+    throwIfCancelled(jobId);
+    if (localChain.engines.length === 0) throw edgeError;
+    
+    console.warn(`[${jobId}] ${edgeError.message}, trying local engines...`);
+    const { engine } = await synthesizeSegment({ text: textToConvert, phonemes: [] }, voiceConfig, outputPath, 100 + voiceConfig.rate, jobId, 1, localChain);
+    console.log(`[${jobId}] Full-text TTS produced by ${engine}`);
+  }
   
   // Verify file creation
   if (!fs.existsSync(audioFilePathFinal)) {
@@ -426,63 +583,23 @@ const generateFullTextTTS = async (translation, voiceConfig, outputPath, jobId)
   return audioFilePathFinal;
 };
 
-// ===== GENERATE SINGLE SEGMENT TTS - FIXED RATE PARAMETER =====
-const generateSingleSegmentTTS = (text, voice, outputPath, speechRate, jobId, segmentNumber) => {
-  return new Promise((resolve, reject) => {
-    // Clean text for Edge-TTS command line
-    const cleanText = text.replace(/"/g, '').replace(/'/g, '').replace(/\\/g, '').replace(/\$/g, '').replace(/`/g, '').trim();
-    
-    // ✅ FIXED: CORRECT RATE PARAMETER FORMAT
-    // Build rate parameter without quotes for negative values
-    let rateParam;
-    if (speechRate > 100) {
-      rateParam = `+${speechRate - 100}%`;
-    } else {
-      rateParam = `-${100 - speechRate}%`;
-    }
-    
-    // ✅ FIXED: USE CORRECT EDGE-TTS COMMAND FORMAT
-    // Use --rate=value format for negative values without quotes
-    const edgeTTSCommand = `edge-tts --voice "${voice}" --text "${cleanText}" --rate="${rateParam}" --write-media "${outputPath}"`;
-    
-    console.log(`[${jobId}] Edge-TTS segment ${segmentNumber} command: rate=${rateParam}, text length=${text.length}`);
-    
-    exec(edgeTTSCommand, { 
-      maxBuffer: 1024 * 1024 * 20, // 20MB buffer
-      timeout: 45000 // 45 second timeout
-    }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`[${jobId}] Edge-TTS segment ${segmentNumber} failed:`, error.message);
-        reject(new Error(`Edge-TTS segment ${segmentNumber} failed: ${error.message}`));
-        return;
-      }
-      
-      if (stderr) {
-        console.warn(`[${jobId}] Edge-TTS segment ${segmentNumber} warnings:`, stderr);
-      }
-      
-      console.log(`[${jobId}] ✅ Edge-TTS segment ${segmentNumber} completed`);
-      resolve(outputPath);
-    });
-  });
-};
-
 // ===== HELPER FUNCTION: CALL EDGE-TTS =====
 const callEdgeTTS = async (options) => {
-  const { text, voice, outputPath, rate, volume, jobId } = options;
+  const { voice, outputPath, rate = 0, pitch = 0, jobId } = options;
+  const text = stripEmphasisMarkers(options.text);
   
   return new Promise((resolve, reject) => {
     // Escape text for command line
     const escapedText = text.replace(/"/g, '').replace(/'/g, '').replace(/\\/g, '').replace(/\$/g, '').replace(/`/g, '').trim();
     
     // Build Edge-TTS command
-    const edgeTTSCommand = `edge-tts --voice "${voice}" --text "${escapedText}" --write-media "${outputPath}" --write-subtitles "${outputPath}.vtt"`;
+    const edgeTTSCommand = `edge-tts --voice "${voice}" --text "${escapedText}" --rate="${formatRate(100 + rate)}" --pitch="${formatPitch(pitch)}" --write-media "${outputPath}" --write-subtitles "${outputPath}.vtt"`;
     
     console.log(`[${jobId}] Edge-TTS full-text command: voice=${voice}, ${text.length} chars`);
     console.log(`[${jobId}] Output: ${outputPath}`);
     
     // Execute Edge-TTS command
-    exec(edgeTTSCommand, {
+    const child = exec(edgeTTSCommand, {
       maxBuffer: 1024 * 1024 * 50, // 50MB buffer for large audio files
       timeout: 120000 // 2 minute timeout for full text
     }, (error, stdout, stderr) => {
@@ -508,6 +625,8 @@ const callEdgeTTS = async (options) => {
       console.log(`[${jobId}] Edge-TTS full-text command completed successfully`);
       resolve(outputPath);
     });
+    
+    trackProcess(jobId, child);
   });
 };
 
@@ -542,133 +661,15 @@ const getAudioDuration = (audioPath) => {
   });
 };
 
-// ===== ADJUST AUDIO DURATION USING TEMPO =====
-const adjustAudioDuration = async (audioFile, targetDuration, jobId, segmentNumber) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const currentDuration = await getAudioDuration(audioFile);
-      const speedRatio = currentDuration / targetDuration;
-      
-      // Limit speed ratio to reasonable bounds
-      const clampedRatio = Math.max(0.5, Math.min(2.0, speedRatio));
-      
-      if (Math.abs(speedRatio - 1) < 0.05) {
-        // If difference is less than 5%, don't adjust
-        console.log(`[${jobId}]   Speed adjustment not needed (ratio: ${speedRatio.toFixed(3)})`);
-        resolve();
-        return;
-      }
-      
-      const tempFile = audioFile + '_temp_adjust';
-      
-      console.log(`[${jobId}]   Adjusting segment ${segmentNumber} duration: speed ratio = ${clampedRatio.toFixed(3)}`);
-      
-      const command = `ffmpeg -i "${audioFile}" -filter:a "atempo=${clampedRatio}" -y "${tempFile}"`;
-      
-      exec(command, { timeout: 30000 }, (error, stdout, stderr) => {
-        if (error) {
-          console.error(`[${jobId}] Duration adjustment failed:`, error.message);
-          reject(error);
-          return;
-        }
-        
-        try {
-          // Replace original with adjusted
-          if (fs.existsSync(tempFile)) {
-            fs.copyFileSync(tempFile, audioFile);
-            fs.unlinkSync(tempFile);
-            resolve();
-          } else {
-            reject(new Error('Adjusted file was not created'));
-          }
-        } catch (fileError) {
-          reject(fileError);
-        }
-      });
-      
-    } catch (durationError) {
-      reject(durationError);
-    }
-  });
-};
-
-// ===== CONCATENATE AUDIO FILES =====
-const concatenateAudioFiles = (audioFiles, outputPath, jobId) => {
-  return new Promise((resolve, reject) => {
-    if (!audioFiles || audioFiles.length === 0) {
-      reject(new Error('No audio files to concatenate'));
-      return;
-    }
-    
-    if (audioFiles.length === 1) {
-      // If only one file, just copy it
-      try {
-        fs.copyFileSync(audioFiles[0], outputPath);
-        console.log(`[${jobId}] Single file copied to output`);
-        resolve(outputPath);
-      } catch (copyError) {
-        reject(new Error(`Failed to copy single file: ${copyError.message}`));
-      }
-      return;
-    }
-    
-    // Create file list for FFmpeg concat
-    const fileListPath = `./uploads/temp_audio/${jobId}_filelist.txt`;
-    
-    // Ensure temp directory exists
-    const tempDir = path.dirname(fileListPath);
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    const fileListContent = audioFiles.map(file => `file '${path.resolve(file)}'`).join('\n');
-    
-    try {
-      fs.writeFileSync(fileListPath, fileListContent);
-    } catch (writeError) {
-      reject(new Error(`Failed to write file list: ${writeError.message}`));
-      return;
-    }
-    
-    const concatCommand = `ffmpeg -f concat -safe 0 -i "${fileListPath}" -c copy -y "${outputPath}"`;
-    
-    console.log(`[${jobId}] Concatenating ${audioFiles.length} audio files...`);
-    
-    exec(concatCommand, {
-      maxBuffer: 1024 * 1024 * 200, // 200MB buffer
-      timeout: 120000 // 2 minute timeout
-    }, (error, stdout, stderr) => {
-      // Cleanup file list regardless of result
-      try {
-        if (fs.existsSync(fileListPath)) {
-          fs.unlinkSync(fileListPath);
-        }
-      } catch (cleanupError) {
-        console.warn(`[${jobId}] Failed to cleanup file list:`, cleanupError.message);
-      }
-      
-      if (error) {
-        reject(new Error(`Audio concatenation failed: ${error.message}`));
-      } else {
-        console.log(`[${jobId}] ✅ Audio concatenation completed successfully`);
-        resolve(outputPath);
-      }
-    });
-  });
-};
-
 // ===== CREATE ENHANCED TTS FALLBACK =====
-const createEnhancedTTSFallback = async (translation, jobId) => {
+const createEnhancedTTSFallback = async (translation, jobId, audioFilePath) => {
   console.log(`[${jobId}] Creating enhanced TTS fallback (silent audio file)...`);
   
-  const outputDir = './uploads/translated_audio';
+  const outputDir = path.dirname(audioFilePath);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
   
-  const audioFileName = `${jobId}_translated.wav`;
-  const audioFilePath = path.join(outputDir, audioFileName);
-  
   // Estimate duration based on text length (rough estimate: 150 WPM)
   const estimatedDuration = Math.max(5, translation.text.length / 10); // Rough estimate
   const fallbackDuration = translation.original_duration || translation.translated_duration || estimatedDuration;
@@ -690,6 +691,156 @@ const createEnhancedTTSFallback = async (translation, jobId) => {
   }
 };
 
+// ===== VOICE SELECTION =====
+export const VOICE_GENDERS = ['female', 'male'];
+
+// Base speaking rate (percent adjustment) and pitch (Hz adjustment) an upload may ask for
+export const VOICE_RATE_RANGE = { min: -50, max: 50 };
+export const VOICE_PITCH_RANGE = { min: -50, max: 50 };
+
+// Diarized speaker ids (see services/diarizationService.js) and the pitch step between speakers sharing a voice
+const SPEAKER_ID = /^S[1-9]\d*$/;
+const SHARED_VOICE_PITCH_STEP_HZ = 8;
+
+/**
+ * Voices available per target language (GET /api/voices)
+ * Each language has its primary voice and, for most, an alternative of the other gender
+ * @returns {Array<Object>} - [{ language, name, quality, region, note?, voices: [{ name, gender, default }] }]
+ */
+export const getVoiceCatalog = () => {
+  return Object.entries(getSupportedIndianVoices()).map(([language, config]) => ({
+    language,
+    name: config.name,
+    quality: config.quality,
+    region: config.region,
+    ...(config.note && { note: config.note }),
+    voices: [
+      { name: config.voice, gender: config.gender, default: true },
+      ...(config.alternative ? [{ name: config.alternative, gender: otherGender(config.gender), default: false }] : [])
+    ]
+  }));
+};
+
+/**
+ * Check the voice options of an upload against the catalog
+ * @param {Object} options - { voices: [names], gender, rate, pitch }
+ * @param {Array<string>} languages - Target languages of the upload
+ * @returns {string|null} - Reason the options are rejected, or null if they are acceptable
+ */
+export const validateVoiceOptions = (options, languages) => {
+  const { voices = [], gender, rate, pitch, speakers = [] } = options;
+  const catalog = getVoiceCatalog().filter(entry => languages.includes(entry.language));
+  const chosenLanguages = new Set();
+
+  for (const voice of voices) {
+    const entry = catalog.find(candidate => candidate.voices.some(option => option.name === voice));
+    if (!entry) {
+      return `Voice ${voice} is not available for ${languages.join(', ')} (see GET /api/voices)`;
+    }
+    if (chosenLanguages.has(entry.language)) {
+      return `Only one voice per language can be chosen (${entry.language})`;
+    }
+    chosenLanguages.add(entry.language);
+  }
+
+  if (gender && !VOICE_GENDERS.includes(gender)) {
+    return `voiceGender must be one of: ${VOICE_GENDERS.join(', ')}`;
+  }
+  if (rate !== undefined && !(Number.isInteger(rate) && rate >= VOICE_RATE_RANGE.min && rate <= VOICE_RATE_RANGE.max)) {
+    return `speechRate must be a whole percentage between ${VOICE_RATE_RANGE.min} and ${VOICE_RATE_RANGE.max}`;
+  }
+  if (pitch !== undefined && !(Number.isInteger(pitch) && pitch >= VOICE_PITCH_RANGE.min && pitch <= VOICE_PITCH_RANGE.max)) {
+    return `pitch must be a whole number of Hz between ${VOICE_PITCH_RANGE.min} and ${VOICE_PITCH_RANGE.max}`;
+  }
+
+  for (const mapping of speakers) {
+    if (!SPEAKER_ID.test(mapping.speaker || '')) {
+      return `speakerVoices keys must be speaker ids like S1, S2 (got ${mapping.speaker})`;
+    }
+    if (mapping.gender && !VOICE_GENDERS.includes(mapping.gender)) {
+      return `speakerVoices: ${mapping.speaker} must map to a voice or one of: ${VOICE_GENDERS.join(', ')}`;
+    }
+    if (mapping.voice && !catalog.some(entry => entry.voices.some(option => option.name === mapping.voice))) {
+      return `Voice ${mapping.voice} for ${mapping.speaker} is not available for ${languages.join(', ')} (see GET /api/voices)`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick the voice of one target language from the options of a job
+ * An explicit voice of the language wins, then a voice of the requested gender, then the primary voice
+ * @param {string} language - Target language
+ * @param {Object} options - Job voice options { voices, gender, rate, pitch } (optional)
+ * @returns {Object|null} - { voice, gender, rate, pitch }, or null for languages without a voice
+ */
+export const resolveVoice = (language, options = {}) => {
+  const entry = getVoiceCatalog().find(candidate => candidate.language === language);
+  if (!entry) return null;
+
+  const explicit = entry.voices.find(option => (options.voices || []).includes(option.name));
+  const byGender = options.gender ? entry.voices.find(option => option.gender === options.gender) : null;
+  const chosen = explicit || byGender || entry.voices[0];
+
+  if (options.gender && !explicit && !byGender) {
+    console.warn(`⚠️ No ${options.gender} voice for ${language}, using ${chosen.name}`);
+  }
+
+  return {
+    voice: chosen.name,
+    gender: chosen.gender,
+    rate: options.rate || 0,
+    pitch: options.pitch || 0
+  };
+};
+
+/**
+ * Pick the voice of every diarized speaker for one target language
+ * A voice mapped to the speaker at upload wins (in other languages it stands for its gender), then a
+ * mapped gender; unmapped speakers get the job voice when one was chosen (voice or voiceGender),
+ * otherwise the voice matching their estimated gender
+ * Speakers that end up on the same voice are told apart by a pitch offset
+ * @param {string} language - Target language
+ * @param {Array<Object>} speakers - Speakers of the transcription [{ id, gender }]
+ * @param {Object} options - Job voice options { voices, gender, rate, pitch, speakers: [{ speaker, voice, gender }] }
+ * @returns {Object|null} - { S1: { voice, gender, rate, pitch }, ... }, or null without speakers or voices
+ */
+export const resolveSpeakerVoices = (language, speakers = [], options = {}) => {
+  const catalog = getVoiceCatalog();
+  const entry = catalog.find(candidate => candidate.language === language);
+  if (!entry || speakers.length === 0) return null;
+
+  const jobVoice = resolveVoice(language, options);
+  const jobChoseVoice = Boolean(options.gender) || entry.voices.some(option => (options.voices || []).includes(option.name));
+  const allVoices = catalog.flatMap(candidate => candidate.voices);
+  const voiceUsage = {};
+
+  return Object.fromEntries(speakers.map(speaker => {
+    const mapping = (options.speakers || []).find(candidate => candidate.speaker === speaker.id) || {};
+    const mappedVoice = mapping.voice ? allVoices.find(option => option.name === mapping.voice) : null;
+    const gender = mapping.gender || (mappedVoice && mappedVoice.gender) || (!jobChoseVoice && speaker.gender) || null;
+
+    const chosen = (mappedVoice && entry.voices.find(option => option.name === mappedVoice.name))
+      || (gender && entry.voices.find(option => option.gender === gender))
+      || entry.voices.find(option => option.name === jobVoice.voice);
+
+    // 0, +8, -8, +16, ... Hz for the first, second, third, ... speaker on a voice
+    const shared = voiceUsage[chosen.name] || 0;
+    voiceUsage[chosen.name] = shared + 1;
+    const offset = Math.ceil(shared / 2) * SHARED_VOICE_PITCH_STEP_HZ * (shared % 2 ? 1 : -1);
+
+    return [speaker.id, {
+      voice: chosen.name,
+      gender: chosen.gender,
+      rate: jobVoice.rate,
+      pitch: Math.min(VOICE_PITCH_RANGE.max, Math.max(VOICE_PITCH_RANGE.min, jobVoice.pitch + offset))
+    }];
+  }));
+};
+
+const otherGender = (gender) => gender === 'female' ? 'male' : 'female';
+
 // ===== SUPPORTED INDIAN VOICES FOR EDGE-TTS =====
 export const getSupportedIndianVoices = () => {
   return {
@@ -815,5 +966,10 @@ export const getSupportedIndianVoices = () => {
 // ===== EXPORT ALL FUNCTIONS =====
 export default {
   generateTTS,
-  getSupportedIndianVoices
+  getDubEngines,
+  getSupportedIndianVoices,
+  getVoiceCatalog,
+  validateVoiceOptions,
+  resolveVoice,
+  resolveSpeakerVoices
 };
@@ -6,6 +6,9 @@ import ffmpegStatic from 'ffmpeg-static';
 import fs from 'fs';
 import path from 'path';
 import Upload from '../models/uploadModel.js';
+import { trackProcess } from './cancellationService.js';
+import { publishJobProgress } from './jobEventsService.js';
+import { localPathFor } from './storage/index.js';
 
 // Set FFmpeg binary path (required for fluent-ffmpeg to work)
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -15,9 +18,14 @@ ffmpeg.setFfmpegPath(ffmpegStatic);
  * Combine original video with translated audio and embed captions
  * Called by processController.js in step 6 of processing pipeline
  * @param {string} jobId - Unique job identifier to locate all required files
+ * @param {Object} options - Assembly options for a language branch
+ * @param {string} options.artifactKey - File-name key of the language branch (default: jobId)
+ * @param {string} options.ttsAudioPath - Translated audio of the branch
+ * @param {string} options.captionPath - WebVTT captions of the branch
+ * @param {string} options.language - Target language of the branch (progress events)
  * @returns {Promise<string>} - Path to final processed video with translated audio and embedded captions
  */
-export const assembleVideoWithCaptions = async (jobId) => {
+export const assembleVideoWithCaptions = async (jobId, options = {}) => {
   return new Promise(async (resolve, reject) => {
     try {
       console.log(`[${jobId}] Starting complete video assembly with captions...`);
@@ -30,10 +38,11 @@ export const assembleVideoWithCaptions = async (jobId) => {
       }
       
       // ===== DEFINE FILE PATHS =====
-      const originalVideoPath = video.original_file_path;                           // ✅ FIXED: Use mongoose field name
-      const translatedAudioPath = video.tts_audio_path || `./uploads/translated_audio/${jobId}_translated.wav`; // ✅ FIXED: Use .wav extension
-      const captionFilePath = video.caption_file_path || `./uploads/captions/${jobId}_captions.vtt`;           // Generated WebVTT captions
-      const outputVideoPath = `./uploads/processed/${jobId}_final.mp4`;             // Final processed video
+      const originalVideoPath = video.file_path || video.original_file_path;       // ✅ FIXED: Use mongoose field name
+      const artifactKey = options.artifactKey || jobId;
+      const translatedAudioPath = options.ttsAudioPath || video.tts_audio_path || localPathFor(`translated_audio/${artifactKey}_translated.wav`); // ✅ FIXED: Use .wav extension
+      const captionFilePath = options.captionPath || video.caption_file_path || localPathFor(`captions/${artifactKey}_captions.vtt`);           // Generated WebVTT captions
+      const outputVideoPath = localPathFor(`processed/${artifactKey}_final.mp4`);             // Final processed video
       
       console.log(`[${jobId}] Original video: ${originalVideoPath}`);
       console.log(`[${jobId}] Translated audio: ${translatedAudioPath}`);
@@ -41,7 +50,7 @@ export const assembleVideoWithCaptions = async (jobId) => {
       console.log(`[${jobId}] Output video: ${outputVideoPath}`);
       
       // ===== CREATE OUTPUT DIRECTORY =====
-      const processedDir = './uploads/processed/';
+      const processedDir = localPathFor('processed');
       if (!fs.existsSync(processedDir)) {
         fs.mkdirSync(processedDir, { recursive: true });
         console.log(`[${jobId}] Created processed directory: ${processedDir}`);
@@ -108,6 +117,7 @@ export const assembleVideoWithCaptions = async (jobId) => {
         .on('progress', (progress) => {
           if (progress.percent) {
             console.log(`[${jobId}] Video assembly progress: ${Math.round(progress.percent)}%`);
+            publishJobProgress(jobId, 'video_assembly', progress.percent, options.language ? { language: options.language } : {});
           }
           
           // Log processing speed and time estimates
@@ -176,10 +186,11 @@ export const assembleVideoWithCaptions = async (jobId) => {
           } else {
             reject(new Error(`Video assembly failed: ${error.message}`));
           }
-        })
-        
-        // Start the FFmpeg process
-        .run();
+        });
+      
+      // Register with the cancellation service, then start the FFmpeg process
+      trackProcess(jobId, ffmpegCommand);
+      ffmpegCommand.run();
         
     } catch (error) {
       // ===== GENERAL ERROR HANDLING =====
@@ -206,9 +217,10 @@ export const assembleVideoWithCaptions = async (jobId) => {
  * Combine original video with translated audio (no captions)
  * Fallback function for cases where caption embedding is not needed
  * @param {string} jobId - Unique job identifier
+ * @param {Object} options - Same branch options as assembleVideoWithCaptions
  * @returns {Promise<string>} - Path to final video
  */
-export const assembleVideoWithAudioOnly = async (jobId) => {
+export const assembleVideoWithAudioOnly = async (jobId, options = {}) => {
   return new Promise(async (resolve, reject) => {
     try {
       console.log(`[${jobId}] Starting video + audio assembly (no captions)...`);
@@ -221,9 +233,10 @@ export const assembleVideoWithAudioOnly = async (jobId) => {
       }
       
       // ===== DEFINE FILE PATHS =====
-      const originalVideoPath = video.original_file_path;
-      const translatedAudioPath = video.tts_audio_path || `./uploads/translated_audio/${jobId}_translated.wav`;
-      const outputVideoPath = `./uploads/processed/${jobId}_final.mp4`;
+      const originalVideoPath = video.file_path || video.original_file_path;
+      const artifactKey = options.artifactKey || jobId;
+      const translatedAudioPath = options.ttsAudioPath || video.tts_audio_path || localPathFor(`translated_audio/${artifactKey}_translated.wav`);
+      const outputVideoPath = localPathFor(`processed/${artifactKey}_final.mp4`);
       
       // ===== VERIFY INPUT FILES =====
       if (!fs.existsSync(originalVideoPath)) {
@@ -235,13 +248,13 @@ export const assembleVideoWithAudioOnly = async (jobId) => {
       }
       
       // ===== CREATE OUTPUT DIRECTORY =====
-      const processedDir = './uploads/processed/';
+      const processedDir = localPathFor('processed');
       if (!fs.existsSync(processedDir)) {
         fs.mkdirSync(processedDir, { recursive: true });
       }
       
       // ===== SIMPLE VIDEO + AUDIO ASSEMBLY WITH PROPER AUDIO REPLACEMENT =====
-      ffmpeg()
+      const command = ffmpeg()
         .input(originalVideoPath)     // Input 0: Original video
         .input(translatedAudioPath)   // Input 1: Translated audio
         .videoCodec('copy')           // Copy video without re-encoding (faster)
@@ -267,9 +280,10 @@ export const assembleVideoWithAudioOnly = async (jobId) => {
         .on('error', (error) => {
           console.error(`[${jobId}] ❌ Simple video assembly failed:`, error.message);
           reject(error);
-        })
-        
-        .run();
+        });
+      
+      trackProcess(jobId, command);
+      command.run();
         
     } catch (error) {
       reject(error);
@@ -0,0 +1,303 @@
+// services/webhookService.js - SIGNED COMPLETION WEBHOOKS WITH RETRIES
+
+// ===== IMPORT REQUIRED MODULES =====
+import crypto from 'crypto';
+import Upload from '../models/uploadModel.js';
+import { toArtifactUrl } from './jobEventsService.js';
+
+// ===== WEBHOOK CONFIGURATION =====
+// Read lazily so values from .env (loaded after imports in server.js) are respected
+const getWebhookConfig = () => ({
+  defaultUrl: process.env.WEBHOOK_URL || null,          // Used when an upload registers no callbackUrl
+  secret: process.env.WEBHOOK_SECRET || null,           // HMAC key; payloads are unsigned without it
+  maxAttempts: Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5),
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000, // Doubles after every failed attempt
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  retryPollMs: parseInt(process.env.WEBHOOK_RETRY_POLL_MS) || 15000, // How often due retries are looked up
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '')
+});
+
+// Job statuses that trigger a webhook, and the event name sent for each
+const WEBHOOK_EVENTS = {
+  completed: 'job.completed',
+  failed: 'job.failed',
+  cancelled: 'job.cancelled'
+};
+
+let retryTimer = null;
+let isSendingRetries = false;
+
+// ===== VALIDATE CALLBACK URL =====
+/**
+ * Check a callback URL registered with an upload
+ * @param {string} url - Callback URL
+ * @returns {boolean} - true for absolute http(s) URLs
+ */
+export const isValidCallbackUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// ===== NOTIFY JOB OUTCOME =====
+/**
+ * POST the outcome of a job to its callback URL (or WEBHOOK_URL)
+ * Called when processVideo completes, fails or is cancelled; never throws, so a
+ * broken receiver cannot affect the pipeline. Failed deliveries are retried with exponential
+ * backoff (the next attempt is stored on the job, see startWebhookRetries) and every attempt
+ * is recorded on the job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<boolean>} - Whether a delivery was started
+ */
+export const notifyJobOutcome = async (jobId) => {
+  try {
+    const video = await Upload.findById(jobId);
+    if (!video) return false;
+
+    const event = WEBHOOK_EVENTS[video.processing_status];
+    const url = video.callback_url || getWebhookConfig().defaultUrl;
+
+    if (!event || !url) return false;
+
+    const delivery = {
+      id: crypto.randomUUID(),
+      event,
+      url,
+      payload: buildWebhookPayload(video, event)
+    };
+
+    console.log(`[${jobId}] 🔔 Sending ${event} webhook to ${url}`);
+    await deliverWebhook(jobId, delivery, 1);
+    return true;
+
+  } catch (error) {
+    console.error(`[${jobId}] ❌ Webhook notification failed:`, error.message);
+    return false;
+  }
+};
+
+// ===== START / STOP WEBHOOK RETRIES =====
+/**
+ * Send due webhook retries now and then every WEBHOOK_RETRY_POLL_MS; retries live on the
+ * job, so they survive a restart and are picked up by whichever instance is running
+ * Called by server.js once the database connection is established
+ */
+export const startWebhookRetries = () => {
+  if (retryTimer) return;
+
+  sendDueRetries();
+  retryTimer = setInterval(sendDueRetries, getWebhookConfig().retryPollMs);
+  retryTimer.unref();
+};
+
+export const stopWebhookRetries = () => {
+  clearInterval(retryTimer);
+  retryTimer = null;
+};
+
+// ===== SIGN PAYLOAD =====
+/**
+ * Compute the signature header of a webhook body
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to
+ * X-Webhook-Signature (reject stale X-Webhook-Timestamp values to stop replays)
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix time in seconds (X-Webhook-Timestamp)
+ * @param {string} secret - Shared secret (WEBHOOK_SECRET)
+ * @returns {string} - `sha256=<hex digest>`
+ */
+export const signWebhookPayload = (body, timestamp, secret) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+// ===== HELPER FUNCTION: BUILD PAYLOAD =====
+/**
+ * Build the JSON payload describing the outcome of a job
+ * @param {Object} video - Upload document
+ * @param {string} event - Event name (job.completed, job.failed, job.cancelled)
+ * @returns {Object} - Webhook payload
+ */
+const buildWebhookPayload = (video, event) => {
+  const { publicBaseUrl } = getWebhookConfig();
+  const toUrl = (filePath) => {
+    const relative = toArtifactUrl(filePath);
+    return relative ? `${publicBaseUrl}${relative}` : null;
+  };
+
+  return {
+    event,
+    jobId: video._id.toString(),
+    status: video.processing_status,
+    original_filename: video.originalName,
+    source_language: video.source_language || null,
+    detected_language: video.detected_language || null,
+    target_languages: video.target_languages && video.target_languages.length > 0
+      ? video.target_languages
+      : [video.target_language].filter(Boolean),
+    video_url: toUrl(video.processed_file_path),
+    languages: (video.language_branches || []).map(branch => ({
+      language: branch.language,
+      status: branch.status,
+      error: branch.error_message || null,
+      artifacts: {
+        video: toUrl(branch.processed_file_path),
+        audio: toUrl(branch.tts_audio_path),
+        captions_vtt: toUrl(branch.caption_file_path),
+        captions_srt: toUrl(branch.caption_srt_path),
+        transcript: toUrl(branch.transcript_file_path)
+      }
+    })),
+    error: video.processing_status === 'failed' ? (video.error_message || null) : null,
+    cancellation_reason: video.processing_status === 'cancelled' ? (video.cancellation_reason || null) : null,
+    completed_at: video.completed_at || null,
+    failed_at: video.failed_at || null,
+    cancelled_at: video.cancelled_at || null,
+    processing_duration_ms: video.processing_duration_ms || null,
+    sent_at: new Date().toISOString()
+  };
+};
+
+// ===== HELPER FUNCTION: DELIVER ONE ATTEMPT =====
+/**
+ * POST the payload once, record the attempt and schedule a retry if it failed
+ * @param {string} jobId - Job identifier
+ * @param {Object} delivery - { id, event, url, payload }
+ * @param {number} attempt - 1-based attempt number
+ */
+const deliverWebhook = async (jobId, delivery, attempt) => {
+  const { secret, maxAttempts, retryBaseMs, timeoutMs } = getWebhookConfig();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'video-translation-webhooks/1.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery.id,
+    'X-Webhook-Attempt': attempt.toString(),
+    'X-Webhook-Timestamp': timestamp
+  };
+  if (secret) {
+    headers['X-Webhook-Signature'] = signWebhookPayload(body, timestamp, secret);
+  }
+
+  const record = {
+    delivery_id: delivery.id,
+    event: delivery.event,
+    url: delivery.url,
+    attempt,
+    success: false,
+    attempted_at: new Date(startedAt)
+  };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    record.status_code = response.status;
+    record.success = response.ok;
+    if (!response.ok) {
+      record.error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    record.error = error.name === 'TimeoutError' ? `No response within ${timeoutMs}ms` : error.message;
+  }
+
+  record.duration_ms = Date.now() - startedAt;
+
+  const retryDelay = retryBaseMs * 2 ** (attempt - 1);
+  const willRetry = !record.success && attempt < maxAttempts;
+  if (willRetry) {
+    record.next_retry_at = new Date(Date.now() + retryDelay);
+  }
+
+  // A first attempt replaces any pending retry of an older event; a retry only touches its own
+  const retryFilter = attempt === 1
+    ? { _id: jobId }
+    : { _id: jobId, $or: [{ webhook_retry: null }, { 'webhook_retry.delivery_id': delivery.id }] };
+  const retryUpdate = willRetry
+    ? {
+      webhook_retry: {
+        delivery_id: delivery.id,
+        event: delivery.event,
+        url: delivery.url,
+        payload: delivery.payload,
+        attempt: attempt + 1,
+        next_attempt_at: record.next_retry_at
+      }
+    }
+    : null;
+
+  try {
+    await Upload.findByIdAndUpdate(jobId, { $push: { webhook_deliveries: record } });
+    await Upload.updateOne(
+      retryFilter,
+      retryUpdate ? { $set: retryUpdate } : { $unset: { webhook_retry: 1 } }
+    );
+  } catch (dbError) {
+    console.error(`[${jobId}] Failed to record webhook delivery:`, dbError.message);
+  }
+
+  if (record.success) {
+    console.log(`[${jobId}] ✅ Webhook ${delivery.event} delivered (attempt ${attempt}, HTTP ${record.status_code})`);
+    return;
+  }
+
+  if (!willRetry) {
+    console.error(`[${jobId}] ❌ Webhook ${delivery.event} gave up after ${attempt} attempt(s): ${record.error}`);
+    return;
+  }
+
+  console.warn(`[${jobId}] ⚠️ Webhook attempt ${attempt}/${maxAttempts} failed (${record.error}), retrying in ${Math.round(retryDelay / 1000)}s`);
+};
+
+// ===== HELPER FUNCTION: SEND DUE RETRIES =====
+/**
+ * Send every stored retry whose time has come. Each one is claimed by pushing its due time
+ * past the request timeout first, so two instances never send the same attempt
+ */
+const sendDueRetries = async () => {
+  if (isSendingRetries) return;
+  isSendingRetries = true;
+
+  try {
+    const { timeoutMs } = getWebhookConfig();
+
+    while (true) {
+      const now = new Date();
+      const video = await Upload.findOneAndUpdate(
+        { 'webhook_retry.next_attempt_at': { $lte: now } },
+        { $set: { 'webhook_retry.next_attempt_at': new Date(now.getTime() + timeoutMs * 2) } },
+        { sort: { 'webhook_retry.next_attempt_at': 1 } }
+      ).select('webhook_retry');
+
+      if (!video) break;
+
+      const { delivery_id, event, url, payload, attempt } = video.webhook_retry;
+      const jobId = video._id.toString();
+      console.log(`[${jobId}] 🔁 Retrying ${event} webhook (attempt ${attempt})`);
+      await deliverWebhook(jobId, { id: delivery_id, event, url, payload }, attempt);
+    }
+  } catch (error) {
+    console.error('❌ Webhook retry check failed:', error.message);
+  } finally {
+    isSendingRetries = false;
+  }
+};
+
+// ===== MAIN EXPORT =====
+export default {
+  notifyJobOutcome,
+  isValidCallbackUrl,
+  signWebhookPayload,
+  startWebhookRetries,
+  stopWebhookRetries
+};
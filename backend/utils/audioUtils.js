@@ -0,0 +1,112 @@
+// utils/audioUtils.js
+
+import fs from 'fs';
+
+/**
+ * Read a PCM WAV file into mono float samples
+ * Supports 16-bit integer and 32-bit float PCM (what audioService.js extracts is 16 kHz mono s16le)
+ * @param {string} filePath - Path to the WAV file
+ * @returns {Object} - { sampleRate, channels, duration, samples: Float32Array in [-1, 1] }
+ */
+export const readWavFile = (filePath) => {
+  const buffer = fs.readFileSync(filePath);
+
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`Not a WAV file: ${filePath}`);
+  }
+
+  let format = null;
+  let offset = 12;
+
+  // Walk the RIFF chunks until the data chunk (chunks are word-aligned)
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error(`WAV data chunk before fmt chunk: ${filePath}`);
+      }
+      // Streams written by ffmpeg through a pipe may carry a 0/overflowing size
+      const dataEnd = Math.min(buffer.length, chunkSize > 0 ? body + chunkSize : buffer.length);
+      return decodeSamples(buffer.subarray(body, dataEnd), format, filePath);
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error(`WAV file has no data chunk: ${filePath}`);
+};
+
+// Convert interleaved PCM bytes to mono Float32 samples
+const decodeSamples = (data, format, filePath) => {
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const isFloat = audioFormat === 3 && bitsPerSample === 32;
+  const isInt16 = (audioFormat === 1 || audioFormat === 0xFFFE) && bitsPerSample === 16;
+
+  if (!isFloat && !isInt16) {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit): ${filePath}`);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const samples = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      const position = (frame * channels + channel) * bytesPerSample;
+      sum += isFloat ? data.readFloatLE(position) : data.readInt16LE(position) / 32768;
+    }
+    samples[frame] = sum / channels;
+  }
+
+  return {
+    sampleRate,
+    channels,
+    duration: frameCount / sampleRate,
+    samples
+  };
+};
+
+/**
+ * Write mono float samples to a 16-bit PCM WAV file
+ * @param {string} filePath - Output path
+ * @param {Float32Array} samples - Samples in [-1, 1] (clipped outside that range)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {string} - The output path
+ */
+export const writeWavFile = (filePath, samples, sampleRate) => {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);              // fmt chunk size
+  buffer.writeUInt16LE(1, 20);               // PCM
+  buffer.writeUInt16LE(1, 22);               // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);  // byte rate
+  buffer.writeUInt16LE(2, 32);               // block align
+  buffer.writeUInt16LE(16, 34);              // bits per sample
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+  }
+
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
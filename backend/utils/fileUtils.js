@@ -2,6 +2,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { localPathFor, storageKeyFor } from '../services/storage/index.js';
 
 /**
  * Generate file path for different processing stages
@@ -11,7 +12,6 @@ import path from 'path';
  * @returns {string} - Complete file path
  */
 export const getFilePath = (type, jobId, extension) => {
-  const baseDir = 'uploads';
   let subdirectory = '';
   
   switch (type) {
@@ -34,7 +34,8 @@ export const getFilePath = (type, jobId, extension) => {
       throw new Error(`Unknown file type: ${type}`);
   }
   
-  const fullDir = path.join(baseDir, subdirectory);
+  // Local working directory of the storage layer (uploads/<subdirectory>)
+  const fullDir = localPathFor(subdirectory);
   
   // Create directory if it doesn't exist
   if (!fs.existsSync(fullDir)) {
@@ -119,11 +120,15 @@ export const ensureDirectoryExists = (dirPath) => {
 
 /**
  * Clean up old files based on age
+ * Entries that are directories (e.g. per-branch TTS work directories) are removed recursively
  * @param {string} directory - Directory to clean
  * @param {number} maxAgeHours - Maximum file age in hours
+ * @param {Object} options - { shouldKeep(file): boolean, onDelete({ path, size_bytes }) }
  * @returns {number} - Number of files deleted
  */
-export const cleanupOldFiles = (directory, maxAgeHours = 24) => {
+export const cleanupOldFiles = (directory, maxAgeHours = 24, options = {}) => {
+  const { shouldKeep = () => false, onDelete = () => {} } = options;
+  
   try {
     if (!fs.existsSync(directory)) {
       return 0;
@@ -135,12 +140,19 @@ export const cleanupOldFiles = (directory, maxAgeHours = 24) => {
     
     files.forEach(file => {
       const filePath = path.join(directory, file);
-      const stats = fs.statSync(filePath);
       
-      if (stats.mtime.getTime() < cutoffTime) {
-        fs.unlinkSync(filePath);
-        deletedCount++;
-        console.log(`🗑️ Deleted old file: ${filePath}`);
+      try {
+        const stats = fs.statSync(filePath);
+        
+        if (stats.mtime.getTime() < cutoffTime && !shouldKeep(file)) {
+          const size = getPathSize(filePath);
+          fs.rmSync(filePath, { recursive: true, force: true });
+          deletedCount++;
+          onDelete({ path: filePath, size_bytes: size });
+          console.log(`🗑️ Deleted old file: ${filePath}`);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to delete ${filePath}:`, error.message);
       }
     });
     
@@ -151,13 +163,131 @@ export const cleanupOldFiles = (directory, maxAgeHours = 24) => {
   }
 };
 
+/**
+ * Remove temporary files a job leaves behind while it is running
+ * Used when a job is cancelled mid-pipeline
+ * @param {string} jobId - Job identifier
+ * @returns {number} - Number of files deleted
+ */
+export const cleanupJobTempFiles = (jobId) => {
+  let deletedCount = 0;
+  
+  const removeFile = (filePath) => {
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.rmSync(filePath, { recursive: true, force: true });
+        deletedCount++;
+        console.log(`🗑️ Deleted temp file: ${filePath}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete temp file ${filePath}:`, error.message);
+    }
+  };
+  
+  // Python scripts written to the working directory (recognizers, edge-tts SSML segments)
+  listJobPythonScripts(jobId).forEach(removeFile);
+  
+  // Per-segment TTS audio (per-branch work directories and loose files)
+  const tempAudioDir = localPathFor('temp_audio');
+  if (fs.existsSync(tempAudioDir)) {
+    fs.readdirSync(tempAudioDir)
+      .filter(file => file.startsWith(`${jobId}_`))
+      .forEach(file => removeFile(path.join(tempAudioDir, file)));
+  }
+  
+  return deletedCount;
+};
+
+// Directories under uploads/ where pipeline stages write `${jobId}_*` files (hls holds `${jobId}_hls/` directories)
+const JOB_ARTIFACT_DIRS = ['audio', 'translated_audio', 'captions', 'transcripts', 'processed', 'temp_audio', 'hls'];
+
+/**
+ * Delete every file a job produced on disk
+ * Covers the original upload, paths recorded on the job document and every
+ * `${jobId}_*` file in the stage directories (the getFilePath naming scheme)
+ * @param {string} jobId - Job identifier
+ * @param {Object} video - Upload document (optional, used for recorded paths)
+ * @returns {Object} - Deleted files with sizes, total bytes freed and failures
+ */
+export const deleteJobArtifacts = (jobId, video = null) => {
+  const candidates = new Set();
+  
+  // Paths recorded on the job document (only if they live inside uploads/)
+  if (video) {
+    [
+      video.file_path,
+      video.tts_audio_path,
+      video.caption_file_path,
+      video.caption_srt_path,
+      video.transcript_file_path,
+      video.processed_file_path
+    ].filter(Boolean).forEach(filePath => {
+      if (storageKeyFor(filePath)) {
+        candidates.add(path.resolve(filePath));
+      }
+    });
+  }
+  
+  // Stage outputs named `${jobId}_<type>.<ext>` and other `${jobId}_*` files
+  JOB_ARTIFACT_DIRS.forEach(subdir => {
+    const dirPath = path.resolve(localPathFor(subdir));
+    if (!fs.existsSync(dirPath)) return;
+    
+    fs.readdirSync(dirPath)
+      .filter(file => file.startsWith(`${jobId}_`))
+      .forEach(file => candidates.add(path.join(dirPath, file)));
+  });
+  
+  // Python scripts left in the working directory by an interrupted run
+  listJobPythonScripts(jobId).forEach(file => candidates.add(path.resolve(file)));
+  
+  const result = { files: [], total_bytes: 0, failed: [] };
+  
+  candidates.forEach(filePath => {
+    if (!fs.existsSync(filePath)) return;
+    
+    try {
+      const size = getPathSize(filePath);
+      fs.rmSync(filePath, { recursive: true, force: true });
+      
+      result.files.push({ path: path.relative(process.cwd(), filePath), size_bytes: size });
+      result.total_bytes += size;
+      console.log(`🗑️ Deleted: ${filePath} (${formatFileSize(size)})`);
+    } catch (error) {
+      console.error(`❌ Failed to delete ${filePath}:`, error.message);
+      result.failed.push({ path: path.relative(process.cwd(), filePath), error: error.message });
+    }
+  });
+  
+  result.total_size_formatted = formatFileSize(result.total_bytes);
+  return result;
+};
+
+// temp_sr_<jobId>.py and temp_sr_<jobId>_<name>.py written by pythonRunner.runPythonScript
+const listJobPythonScripts = (jobId) => {
+  return fs.readdirSync('.')
+    .filter(file => file === `temp_sr_${jobId}.py` || (file.startsWith(`temp_sr_${jobId}_`) && file.endsWith('.py')));
+};
+
+/**
+ * Get size of a file, or of everything inside a directory
+ * @param {string} targetPath - File or directory path
+ * @returns {number} - Size in bytes
+ */
+const getPathSize = (targetPath) => {
+  const stats = fs.statSync(targetPath);
+  if (!stats.isDirectory()) return stats.size;
+  
+  return fs.readdirSync(targetPath)
+    .reduce((total, entry) => total + getPathSize(path.join(targetPath, entry)), 0);
+};
+
 /**
  * Get storage usage statistics
  * @returns {Object} - Storage usage stats
  */
 export const getStorageStats = () => {
   try {
-    const uploadDir = 'uploads';
     const subdirs = ['originals', 'audio', 'translated_audio', 'captions', 'transcripts', 'processed'];
     
     const stats = {
@@ -167,7 +297,7 @@ export const getStorageStats = () => {
     };
     
     subdirs.forEach(subdir => {
-      const dirPath = path.join(uploadDir, subdir);
+      const dirPath = localPathFor(subdir);
       if (fs.existsSync(dirPath)) {
         const files = fs.readdirSync(dirPath);
         let dirSize = 0;
@@ -0,0 +1,115 @@
+// utils/languageUtils.js
+
+// Value of fromLang meaning "detect the spoken language"
+export const AUTO_LANGUAGE = 'auto';
+
+// Recognition locale and writing system of every language the pipeline handles
+const LANGUAGE_PROFILES = {
+  hi: { locale: 'hi-IN', script: 'Devanagari', range: '\\u0900-\\u097F' },
+  mr: { locale: 'mr-IN', script: 'Devanagari', range: '\\u0900-\\u097F' },
+  ne: { locale: 'ne-NP', script: 'Devanagari', range: '\\u0900-\\u097F' },
+  bn: { locale: 'bn-IN', script: 'Bengali', range: '\\u0980-\\u09FF' },
+  as: { locale: 'as-IN', script: 'Bengali', range: '\\u0980-\\u09FF' },
+  pa: { locale: 'pa-Guru-IN', script: 'Gurmukhi', range: '\\u0A00-\\u0A7F' },
+  gu: { locale: 'gu-IN', script: 'Gujarati', range: '\\u0A80-\\u0AFF' },
+  or: { locale: 'or-IN', script: 'Odia', range: '\\u0B00-\\u0B7F' },
+  ta: { locale: 'ta-IN', script: 'Tamil', range: '\\u0B80-\\u0BFF' },
+  te: { locale: 'te-IN', script: 'Telugu', range: '\\u0C00-\\u0C7F' },
+  kn: { locale: 'kn-IN', script: 'Kannada', range: '\\u0C80-\\u0CFF' },
+  ml: { locale: 'ml-IN', script: 'Malayalam', range: '\\u0D00-\\u0D7F' },
+  ur: { locale: 'ur-IN', script: 'Arabic', range: '\\u0600-\\u06FF\\u0750-\\u077F\\uFB50-\\uFDFF\\uFE70-\\uFEFF' },
+  en: { locale: 'en-IN', script: 'Latin', range: 'a-zA-Z' }
+};
+
+// Languages tried when the source is "auto" and AUTO_DETECT_LANGUAGES is not set
+const DEFAULT_AUTO_DETECT_LANGUAGES = ['hi', 'en', 'bn', 'ta', 'te'];
+
+/**
+ * Normalize a language code ("hi-IN", " TA ", "Auto") to its base form
+ * @param {string} code - Language code or locale
+ * @returns {string|null} - Lower-case base code, 'auto', or null if empty
+ */
+export const normalizeLanguageCode = (code) => {
+  if (!code || typeof code !== 'string' || !code.trim()) return null;
+  return code.trim().toLowerCase().split(/[-_]/)[0];
+};
+
+/**
+ * Check whether a source language means "detect"
+ * @param {string} code - Language code
+ * @returns {boolean} - True for empty values and 'auto'
+ */
+export const isAutoLanguage = (code) => {
+  const normalized = normalizeLanguageCode(code);
+  return !normalized || normalized === AUTO_LANGUAGE;
+};
+
+/**
+ * Get the recognition locale and script of a language
+ * @param {string} code - Language code
+ * @returns {Object|null} - Profile with locale, script and character range (regex class body)
+ */
+export const getLanguageProfile = (code) => {
+  return LANGUAGE_PROFILES[normalizeLanguageCode(code)] || null;
+};
+
+/**
+ * Get the locale used by speech recognition for a language (e.g. 'ta' -> 'ta-IN')
+ * @param {string} code - Language code
+ * @returns {string} - Recognition locale
+ */
+export const getRecognitionLocale = (code) => {
+  const profile = getLanguageProfile(code);
+  return profile ? profile.locale : code;
+};
+
+/**
+ * Get the candidate languages tried when auto-detecting the source language
+ * Configured with AUTO_DETECT_LANGUAGES (comma-separated codes)
+ * @returns {Array<string>} - Language codes
+ */
+export const getAutoDetectCandidates = () => {
+  const configured = (process.env.AUTO_DETECT_LANGUAGES || '')
+    .split(',')
+    .map(normalizeLanguageCode)
+    .filter(code => code && LANGUAGE_PROFILES[code]);
+
+  return configured.length > 0 ? [...new Set(configured)] : DEFAULT_AUTO_DETECT_LANGUAGES;
+};
+
+/**
+ * Count characters of a text written in the script of a language
+ * @param {string} text - Text to analyse
+ * @param {string} code - Language code
+ * @returns {number} - Number of matching characters (0 for unknown languages)
+ */
+export const countScriptCharacters = (text, code) => {
+  const profile = getLanguageProfile(code);
+  if (!profile || !text) return 0;
+  return (text.match(new RegExp(`[${profile.range}]`, 'g')) || []).length;
+};
+
+/**
+ * Guess the language of a text from the script it is written in
+ * Scripts shared by several languages resolve to the first listed (Devanagari -> hi)
+ * @param {string} text - Text to analyse
+ * @returns {string|null} - Language code, or null when no known script is found
+ */
+export const detectLanguageFromScript = (text) => {
+  let best = null;
+  let bestCount = 0;
+  const seenScripts = new Set();
+
+  Object.entries(LANGUAGE_PROFILES).forEach(([code, profile]) => {
+    if (seenScripts.has(profile.script)) return;
+    seenScripts.add(profile.script);
+
+    const count = countScriptCharacters(text, code);
+    if (count > bestCount) {
+      best = code;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
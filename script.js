@@ -9,12 +9,31 @@ document.addEventListener("DOMContentLoaded", () => {
     const languageSelector = document.getElementById("languageSelector");
     const fromLang = document.getElementById("fromLang");
     const toLang = document.getElementById("toLang");
+    const audioMix = document.getElementById("audioMix");
+    const voiceGender = document.getElementById("voiceGender");
     const translateBtn = document.getElementById("translateBtn");
     const notification = document.getElementById("notification");
     const notificationText = document.getElementById("notificationText");
 
     let selectedFile = null;
 
+    const API_BASE = "http://localhost:5000";
+
+    // Files above the threshold go through the resumable chunked upload (/api/upload/sessions)
+    const MAX_FILE_SIZE = 4*1024*1024*1024;
+    const CHUNKED_UPLOAD_THRESHOLD = 100*1024*1024;
+    const CHUNK_MAX_ATTEMPTS = 5;
+
+    // API key issued by an admin (POST /api/admin/users), remembered in this browser
+    function getApiKey(){
+        let apiKey = localStorage.getItem("apiKey");
+        if(!apiKey){
+            apiKey = (window.prompt("Enter your API key") || "").trim();
+            if(apiKey) localStorage.setItem("apiKey", apiKey);
+        }
+        return apiKey;
+    }
+
     // Drag & Drop
     uploadZone.addEventListener("click", () => fileInput.click());
     uploadZone.addEventListener("dragover", (e) => { e.preventDefault(); uploadZone.classList.add("dragover"); });
@@ -29,8 +48,7 @@ document.addEventListener("DOMContentLoaded", () => {
     function handleFileSelect(file) {
         const allowedTypes = ["video/mp4","video/avi","video/quicktime","video/x-ms-wmv"];
         if(!allowedTypes.includes(file.type)){ showNotification("❌ Invalid video type"); return; }
-        const maxSize = 100*1024*1024;
-        if(file.size>maxSize){ showNotification("❌ File exceeds 100MB"); return; }
+        if(file.size>MAX_FILE_SIZE){ showNotification("❌ File exceeds 4GB"); return; }
 
         selectedFile = file;
         fileName.textContent = file.name;
@@ -60,19 +78,34 @@ document.addEventListener("DOMContentLoaded", () => {
         if(!translateBtn.classList.contains("active")) return;
         if(!selectedFile){ showNotification("❌ No file selected!"); return; }
 
-        const formData = new FormData();
-        formData.append("video", selectedFile);
-        formData.append("fromLang", fromLang.value);
-        formData.append("toLang", toLang.value);
+        // Every selected target language becomes its own dubbing branch
+        const targetLangs = Array.from(toLang.selectedOptions).map(option => option.value);
+        if(targetLangs.length === 0){ showNotification("❌ Select at least one target language!"); return; }
+
+        const apiKey = getApiKey();
+        if(!apiKey){ showNotification("❌ An API key is required to upload"); return; }
 
         showNotification("🚀 Uploading video...");
 
         try{
-            const response = await fetch("http://localhost:5000/api/upload", { method:"POST", body:formData });
+            let response;
+            if(selectedFile.size > CHUNKED_UPLOAD_THRESHOLD){
+                response = await chunkedUpload(selectedFile, { fromLang: fromLang.value, toLang: targetLangs, audioMix: audioMix.value, voiceGender: voiceGender.value }, apiKey);
+            }else{
+                const formData = new FormData();
+                formData.append("video", selectedFile);
+                formData.append("fromLang", fromLang.value);
+                targetLangs.forEach(lang => formData.append("toLang", lang));
+                formData.append("audioMix", audioMix.value);
+                formData.append("voiceGender", voiceGender.value);
+                response = await fetch(`${API_BASE}/api/upload`, { method:"POST", body:formData, headers:{ "Authorization": `Bearer ${apiKey}` } });
+            }
             const data = await response.json();
 
+            if(response.status === 401) localStorage.removeItem("apiKey");
             if(response.ok){
-                showNotification(`✅ Upload complete! Download: ${data.downloadUrl}`);
+                showNotification("✅ Upload complete! Dubbing started...");
+                followJobProgress(data.jobId);
             }else{
                 showNotification(`❌ Error: ${data.error || "Unknown error"}`);
             }
@@ -82,6 +115,219 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    // Resumable upload: the session id is kept in localStorage, so after a dropped connection
+    // or a page reload the same file continues from the chunks the server already has
+    async function chunkedUpload(file, jobOptions, apiKey){
+        const headers = { "Authorization": `Bearer ${apiKey}` };
+        const resumeKey = `upload:${file.name}:${file.size}:${file.lastModified}`;
+        let session = null;
+
+        const savedId = localStorage.getItem(resumeKey);
+        if(savedId){
+            const response = await fetch(`${API_BASE}/api/upload/sessions/${savedId}`, { headers });
+            if(response.ok){
+                session = await response.json();
+                if(session.status !== "open") session = null;
+            }
+        }
+
+        if(!session){
+            const response = await fetch(`${API_BASE}/api/upload/sessions`, {
+                method:"POST",
+                headers:{ ...headers, "Content-Type": "application/json" },
+                body: JSON.stringify({ filename: file.name, size: file.size, mimeType: file.type, ...jobOptions })
+            });
+            if(!response.ok) return response;
+            session = await response.json();
+            localStorage.setItem(resumeKey, session.uploadId);
+        }else{
+            showNotification(`🔁 Resuming upload (${session.received_chunks.length}/${session.total_chunks} chunks already sent)`);
+        }
+
+        const received = new Set(session.received_chunks);
+        progressFill.style.width = Math.round(received.size / session.total_chunks * 100) + "%";
+
+        // Chunks already on the server are read too: the whole file is hashed for the complete request
+        const fileHash = createSha256();
+        for(let index = 0; index < session.total_chunks; index++){
+            const chunk = file.slice(index * session.chunk_size, Math.min(file.size, (index + 1) * session.chunk_size));
+            fileHash.update(new Uint8Array(await chunk.arrayBuffer()));
+            if(received.has(index)) continue;
+
+            const checksum = await sha256Hex(chunk);
+            await sendChunk(session.uploadId, index, chunk, { ...headers, "Content-Type": "application/octet-stream", "X-Chunk-Checksum": checksum });
+
+            received.add(index);
+            progressFill.style.width = Math.round(received.size / session.total_chunks * 100) + "%";
+        }
+
+        const response = await fetch(`${API_BASE}/api/upload/sessions/${session.uploadId}/complete`, {
+            method:"POST",
+            headers:{ ...headers, "Content-Type": "application/json" },
+            body: JSON.stringify({ checksum: fileHash.hex() })
+        });
+        // A finished (or rejected) session cannot be resumed; a server error can be retried later
+        if(response.ok || response.status === 422) localStorage.removeItem(resumeKey);
+        return response;
+    }
+
+    // Send one chunk, retrying with exponential backoff on network or server errors
+    async function sendChunk(uploadId, index, chunk, headers){
+        for(let attempt = 1; ; attempt++){
+            try{
+                const response = await fetch(`${API_BASE}/api/upload/sessions/${uploadId}/chunks/${index}`, { method:"PUT", headers, body:chunk });
+                if(response.ok) return;
+                // Client errors other than a corrupted chunk will not succeed on retry
+                if(response.status < 500 && response.status !== 422){
+                    const data = await response.json().catch(() => ({}));
+                    throw Object.assign(new Error(data.message || data.error || `Chunk ${index} rejected`), { permanent: true });
+                }
+            }catch(err){
+                if(err.permanent || attempt >= CHUNK_MAX_ATTEMPTS) throw err;
+            }
+            if(attempt >= CHUNK_MAX_ATTEMPTS) throw new Error(`Chunk ${index} failed after ${attempt} attempts`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+        }
+    }
+
+    async function sha256Hex(blob){
+        const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, "0")).join("");
+    }
+
+    // Incremental SHA-256: crypto.subtle only hashes one buffer, and a multi-gigabyte file does not fit in one
+    function createSha256(){
+        const K = new Uint32Array([
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ]);
+        const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        const W = new Uint32Array(64);
+        const pending = new Uint8Array(64);
+        let pendingLength = 0;
+        let totalLength = 0;
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        function processBlock(bytes, offset){
+            for(let i = 0; i < 16; i++){
+                const at = offset + i * 4;
+                W[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+            }
+            for(let i = 16; i < 64; i++){
+                const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+                const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+                W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+            }
+            let [a, b, c, d, e, f, g, h] = H;
+            for(let i = 0; i < 64; i++){
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+        }
+
+        return {
+            update(bytes){
+                totalLength += bytes.length;
+                let offset = 0;
+                if(pendingLength > 0){
+                    offset = Math.min(64 - pendingLength, bytes.length);
+                    pending.set(bytes.subarray(0, offset), pendingLength);
+                    pendingLength += offset;
+                    if(pendingLength < 64) return;
+                    processBlock(pending, 0);
+                    pendingLength = 0;
+                }
+                for(; offset + 64 <= bytes.length; offset += 64) processBlock(bytes, offset);
+                pending.set(bytes.subarray(offset));
+                pendingLength = bytes.length - offset;
+            },
+            hex(){
+                const bits = totalLength * 8;
+                const tail = new Uint8Array(pendingLength + 9 <= 64 ? 64 : 128);
+                tail.set(pending.subarray(0, pendingLength));
+                tail[pendingLength] = 0x80;
+                const view = new DataView(tail.buffer);
+                view.setUint32(tail.length - 8, Math.floor(bits / 2 ** 32));
+                view.setUint32(tail.length - 4, bits >>> 0);
+                for(let offset = 0; offset < tail.length; offset += 64) processBlock(tail, offset);
+                return Array.from(H).map(word => word.toString(16).padStart(8, "0")).join("");
+            }
+        };
+    }
+
+    // Live progress pushed by the server (Server-Sent Events)
+    const STAGE_LABELS = {
+        download: "Downloading source video",
+        audio_extraction: "Extracting audio",
+        transcription: "Transcribing speech",
+        diarization: "Identifying speakers",
+        translation: "Translating",
+        tts_generation: "Generating speech",
+        caption_generation: "Creating captions",
+        video_assembly: "Assembling video",
+        hls_packaging: "Packaging for streaming"
+    };
+
+    function followJobProgress(jobId){
+        // EventSource cannot send headers, so the key goes in the query string
+        const apiKey = encodeURIComponent(getApiKey());
+        const events = new EventSource(`${API_BASE}/api/process/jobs/${jobId}/events?api_key=${apiKey}`);
+        const readEvent = (e) => JSON.parse(e.data);
+        const languageLabel = (data) => data.language ? ` (${data.language})` : "";
+
+        progressBar.style.display = "block";
+        progressFill.style.width = "0%";
+
+        events.addEventListener("status", (e) => {
+            const data = readEvent(e);
+            if(data.status === "queued") showNotification(`⏳ Waiting in queue${data.queue_position ? ` (position ${data.queue_position})` : ""}...`);
+        });
+
+        events.addEventListener("stage", (e) => {
+            const data = readEvent(e);
+            if(data.status !== "started") return;
+            progressFill.style.width = "0%";
+            showNotification(`⚙️ ${STAGE_LABELS[data.stage] || data.stage}${languageLabel(data)}...`);
+        });
+
+        events.addEventListener("progress", (e) => {
+            const data = readEvent(e);
+            progressFill.style.width = data.percent + "%";
+        });
+
+        events.addEventListener("branch", (e) => {
+            const data = readEvent(e);
+            if(data.status === "failed") showNotification(`❌ ${data.language} failed: ${data.error}`);
+        });
+
+        events.addEventListener("completed", (e) => {
+            const data = readEvent(e);
+            events.close();
+            progressFill.style.width = "100%";
+            const videos = (data.artifacts || []).filter(artifact => artifact.video).map(artifact => `${artifact.language}: ${API_BASE}${artifact.video}?api_key=${apiKey}`);
+            const stream = data.hls_url ? ` | HLS: ${API_BASE}${data.hls_url}?api_key=${apiKey}` : "";
+            showNotification(`🎉 Dubbing complete! ${videos.join(" | ")}${stream}`);
+        });
+
+        events.addEventListener("failed", (e) => {
+            events.close();
+            showNotification(`❌ Dubbing failed: ${readEvent(e).error || "Unknown error"}`);
+        });
+
+        events.addEventListener("cancelled", () => {
+            events.close();
+            showNotification("🛑 Dubbing cancelled");
+        });
+    }
+
     function showNotification(message){
         notificationText.textContent = message;
         notification.classList.add("show");